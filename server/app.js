@@ -0,0 +1,136 @@
+/**
+ * TerraLend Express Application
+ *
+ * Middleware, API routes and error handlers, without storage or a
+ * listening port: index.js opens storage and starts the server, and
+ * tests mount the app directly.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import { describeStorage } from './repositories/storage.js';
+
+// Import route handlers
+import authRouter from './routes/auth.js';
+import profileRouter from './routes/profile.js';
+import loansRouter from './routes/loans.js';
+import verificationRouter from './routes/verification.js';
+import impactRouter from './routes/impact.js';
+import blockchainRouter from './routes/blockchain.js';
+import mockRouter from './routes/mock.js';
+import climateRouter from './routes/climate.js';
+import geoRouter from './routes/geo.js';
+import aiRouter from './routes/ai.js';
+import underwritingRouter from './routes/underwriting.js';
+import approvalsRouter from './routes/approvals.js';
+import scoringRouter from './routes/scoring.js';
+import stressTestRouter from './routes/stressTest.js';
+import registryRouter from './routes/registry.js';
+
+const app = express();
+
+// ============================================
+// Middleware Configuration
+// ============================================
+
+// Enable CORS for frontend communication
+// Allow ALL origins for development to prevent any CORS issues
+app.use(cors({
+    origin: true,
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization']
+}));
+
+// Parse JSON request bodies
+app.use(express.json());
+
+app.use((req, res, next) => {
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+    console.log('Origin:', req.headers.origin); // Log the origin for debugging
+    if (req.method === 'POST') console.log('Body:', JSON.stringify(req.body ?? {}).substring(0, 100) + '...');
+    next();
+});
+
+// ============================================
+// API Routes
+// ============================================
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        version: '2.0.0',
+        environment: process.env.NODE_ENV || 'development',
+        database: describeStorage()
+    });
+});
+
+// Authentication routes
+app.use('/api/auth', authRouter);
+
+// Profile management routes
+app.use('/api/profile', profileRouter);
+
+// Loan management endpoints
+app.use('/api/loans', loansRouter);
+
+// AI verification endpoints
+app.use('/api/verify', verificationRouter);
+
+// Underwriter review queue and manual decisions
+app.use('/api/underwriting', underwritingRouter);
+
+// Maker-checker approvals for high-value loans
+app.use('/api/approvals', approvalsRouter);
+
+// Versioned green scoring rule sets (publish, activate, roll back, backtest)
+app.use('/api/scoring', scoringRouter);
+
+// Portfolio climate stress testing (admin)
+app.use('/api/stress-test', stressTestRouter);
+
+// Vendor and certification registry for claim cross-verification (admin)
+app.use('/api/registry', registryRouter);
+
+// Impact tracking endpoints
+app.use('/api/impact', impactRouter);
+
+// Blockchain audit trail endpoints
+app.use('/api/blockchain', blockchainRouter);
+
+// Mock data endpoints (GST, KYC simulation)
+app.use('/api/mock', mockRouter);
+
+// Climate risk assessment endpoints
+app.use('/api/climate', climateRouter);
+
+// Offline reverse geocoding (state, district, pincode region)
+app.use('/api/geo', geoRouter);
+
+// AI extraction endpoints (sustainability claim extraction)
+app.use('/api/ai', aiRouter);
+
+// ============================================
+// Error Handling
+// ============================================
+
+// 404 handler
+app.use((req, res) => {
+    res.status(404).json({
+        error: 'Not Found',
+        message: `Endpoint ${req.path} does not exist`
+    });
+});
+
+// Global error handler
+app.use((err, req, res, next) => {
+    console.error('Server Error:', err);
+    res.status(500).json({
+        error: 'Internal Server Error',
+        message: err.message || 'Something went wrong'
+    });
+});
+
+export default app;
@@ -0,0 +1,33 @@
+/**
+ * Climate Hazard Dataset
+ *
+ * Bundled multi-hazard exposure scores, 0 (none) to 1 (severe), so the
+ * climate risk assessment is deterministic and works offline.
+ *
+ *   hazards     - key, label, weight in the aggregate index, description
+ *                 and recommendation shown when the hazard is material
+ *   aggregation - peakWeight: share of the index taken by the worst hazard,
+ *                 the rest is the weighted mean of all hazards
+ *   levels      - index (and per-hazard score) thresholds for high / medium
+ *   states      - state code -> scores in hazard order (state-wide default)
+ *   districts   - 'STATE:District' -> scores in hazard order; names match
+ *                 the district boundaries in config/geo.js
+ *
+ * Districts not listed fall back to their state's scores.
+ *
+ * Scenario projections (scenarios.json) scale each hazard over time:
+ *
+ *   horizonsYears - years from today the multipliers apply to
+ *   scenarios     - key, label, description and, per hazard, one multiplier
+ *                   per horizon; values between horizons are interpolated
+ */
+
+import fs from 'fs';
+
+const load = (file) => JSON.parse(fs.readFileSync(new URL(`./climate/${file}`, import.meta.url), 'utf8'));
+
+export const CLIMATE_HAZARDS = Object.freeze(load('hazards.json'));
+
+export const CLIMATE_SCENARIOS = Object.freeze(load('scenarios.json'));
+
+export default CLIMATE_HAZARDS;
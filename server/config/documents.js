@@ -0,0 +1,71 @@
+/**
+ * Evidence Document Configuration
+ *
+ * Document types a borrower can attach to a loan, the file formats
+ * accepted for each, and where uploaded files are kept:
+ *
+ *   local - files under DOCUMENT_DIR on the server's disk (default)
+ *   s3    - an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...);
+ *           set S3_ENDPOINT for non-AWS services
+ *
+ * Read when the server starts, after .env has been loaded.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DOCUMENT_STORAGE_BACKENDS = ['local', 's3'];
+
+const PDF = 'application/pdf';
+const IMAGES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Accepted content types per document type
+export const DOCUMENT_TYPES = {
+    invoice: { label: 'Invoice', contentTypes: [PDF, ...IMAGES] },
+    commissioning_certificate: { label: 'Commissioning certificate', contentTypes: [PDF, ...IMAGES] },
+    site_photo: { label: 'Site photo', contentTypes: IMAGES },
+    bank_statement: { label: 'Bank statement', contentTypes: [PDF, 'text/csv'] },
+    other: { label: 'Other', contentTypes: [PDF, ...IMAGES] },
+};
+
+const serverDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const num = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Current document storage settings from the environment
+ *
+ * @returns {Object} { backend, maxBytes, directory, s3: { bucket, region, endpoint, forcePathStyle,
+ *   accessKeyId, secretAccessKey, prefix } }
+ */
+export function getDocumentConfig() {
+    const requested = (process.env.DOCUMENT_STORAGE || 'local').toLowerCase();
+    const backend = DOCUMENT_STORAGE_BACKENDS.includes(requested) ? requested : 'local';
+    if (backend !== requested) {
+        console.warn(`[Documents] Unknown DOCUMENT_STORAGE "${requested}", using local`);
+    }
+
+    return {
+        backend,
+        maxBytes: num(process.env.DOCUMENT_MAX_MB, 10) * 1024 * 1024,
+        directory: path.resolve(serverDir, process.env.DOCUMENT_DIR || 'data/documents'),
+        s3: {
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION || 'us-east-1',
+            // e.g. http://localhost:9000 for MinIO; AWS is used when unset
+            endpoint: process.env.S3_ENDPOINT,
+            // Most S3-compatible services only support path-style URLs
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+                ? process.env.S3_FORCE_PATH_STYLE === 'true'
+                : !!process.env.S3_ENDPOINT,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            prefix: process.env.S3_PREFIX || 'documents/',
+        },
+    };
+}
+
+export default getDocumentConfig;
@@ -0,0 +1,27 @@
+/**
+ * Duplicate Claim Detection Configuration
+ *
+ * Thresholds for flagging an application whose project description,
+ * site coordinates or evidence documents recycle another loan's.
+ * Matches against the same borrower's other loans are reported too,
+ * since one project financed twice is as much a problem as a copied one.
+ */
+
+const duplicateDetectionConfig = {
+    // Words per shingle when comparing descriptions
+    shingleSize: 3,
+
+    // Descriptions shorter than this are too generic to compare
+    minDescriptionWords: 8,
+
+    // Jaccard similarity of description shingles treated as a near-duplicate
+    descriptionSimilarity: 0.7,
+
+    // Sites closer than this are treated as the same site (metres)
+    coordinateRadiusMeters: 50,
+
+    // Refer flagged applications to an underwriter instead of deciding automatically
+    holdForReview: true,
+};
+
+export default duplicateDetectionConfig;
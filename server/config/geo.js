@@ -0,0 +1,25 @@
+/**
+ * Administrative Boundaries
+ *
+ * Simplified polygons for every Indian state and union territory and for
+ * the major districts, bundled so reverse geocoding works offline and
+ * gives the same answer on every run. Coordinates are [longitude,
+ * latitude] pairs; each area lists one or more outer rings.
+ *
+ *   states    - name, ISO 3166-2 code, pincode region, a representative
+ *               point inside the state (center) and polygons
+ *   districts - name, state code, pincode region, polygons
+ *
+ * Boundaries are simplified to a few dozen vertices per state, so points
+ * within a few kilometres of a border can resolve to the neighbour.
+ * Only the major districts are included (see `coverage` in the file);
+ * points elsewhere, such as Puri in Odisha, resolve to their state only.
+ */
+
+import fs from 'fs';
+
+const load = (file) => JSON.parse(fs.readFileSync(new URL(`./geo/${file}`, import.meta.url), 'utf8'));
+
+export const INDIA_BOUNDARIES = Object.freeze(load('india.json'));
+
+export default INDIA_BOUNDARIES;
@@ -0,0 +1,57 @@
+/**
+ * Greenwashing Plausibility Configuration
+ *
+ * Physical and economic reference values the greenwashing agent checks
+ * claimed impact against. A claim fails when it exceeds what the
+ * reference allows by more than the tolerance; under-claiming never fails.
+ */
+
+const greenwashingConfig = {
+    // Annual solar yield (kWh per kW of installed capacity) by state code,
+    // from typical fixed-tilt PV performance across India's irradiance zones
+    solarYieldKwhPerKw: {
+        RJ: 1650, GJ: 1600, LA: 1650, MP: 1550, MH: 1500, KA: 1500, AP: 1500, TG: 1500,
+        TN: 1450, CT: 1450, HR: 1450, PB: 1450, DL: 1450, CH: 1450, DH: 1450, GA: 1400,
+        UP: 1400, JH: 1400, OR: 1350, KL: 1350, PY: 1400, HP: 1400, UT: 1400, JK: 1400,
+        BR: 1350, WB: 1300, AN: 1350, LD: 1400, SK: 1200, AS: 1150, AR: 1150, ML: 1150,
+        MN: 1200, MZ: 1200, NL: 1150, TR: 1200,
+    },
+
+    // Used when the project's state is not known
+    defaultSolarYieldKwhPerKw: 1450,
+
+    // Grid emission factor (tonnes CO2 per kWh), CEA CO2 Baseline Database v19, FY 2022-23
+    gridEmissionFactor: 0.000716,
+
+    // Highest commercial / industrial electricity tariff a saving is valued at (₹ per kWh)
+    maxTariffPerKwh: 11,
+
+    // Allowed excess over the reference before a claim fails (0.25 = 25%)
+    tolerance: {
+        yield: 0.2,
+        emissions: 0.25,
+        savings: 0.25,
+    },
+
+    // Relative difference between the application's claim and the project
+    // description beyond which a figure is flagged as inconsistent
+    claimMismatchTolerance: 0.05,
+
+    // Confidence reported for the claim vs description check, by its outcome
+    claimConsistencyConfidence: {
+        pass: 85,
+        unverified: 60,
+    },
+
+    // Confidence reported for a check run against a fallback reference value
+    fallbackConfidencePenalty: 10,
+
+    // Confidence reported for a registry check, by its outcome
+    registryConfidence: {
+        pass: 90,
+        unverified: 60,
+        fail: 95,
+    },
+};
+
+export default greenwashingConfig;
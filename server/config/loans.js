@@ -0,0 +1,48 @@
+/**
+ * Loan Domain Constants
+ *
+ * Enumerations shared by the loan model and the services that act on
+ * loans (state machine, tranches, underwriting, approvals, delinquency). Kept here so
+ * the model does not depend on the service layer.
+ */
+
+// Lifecycle statuses; transitions between them are in services/loanStateMachine.js
+export const LOAN_STATUSES = ['pending', 'pending_verification', 'approved', 'rejected', 'cancelled', 'active', 'completed'];
+
+/**
+ * Actors that can change a loan's status:
+ * - owner:  the borrower who submitted the loan
+ * - admin:  lending operations (users with loans:manage, e.g. admin or credit manager)
+ * - underwriter: users with underwriting:review (manual credit decisions)
+ * - system: internal services (AI verification, repayment ledger)
+ */
+export const ACTORS = ['owner', 'admin', 'underwriter', 'system'];
+
+// Default annual interest rate (% p.a.) when a loan has no priced rate
+export const DEFAULT_INTEREST_RATE = 8.5;
+
+// RBI-style asset buckets used by the delinquency service
+export const ASSET_CLASSIFICATIONS = ['standard', 'SMA-0', 'SMA-1', 'SMA-2', 'NPA'];
+
+// Disbursement milestones
+export const MILESTONE_TYPES = ['equipment_purchase', 'installation', 'commissioning', 'other'];
+export const MILESTONE_STATUSES = ['pending', 'evidence_submitted', 'approved', 'rejected', 'disbursed'];
+
+// Underwriter review
+export const UNDERWRITING_DECISIONS = ['approve', 'reject', 'request_info'];
+export const REVIEW_STATUSES = ['not_required', 'queued', 'info_requested', 'awaiting_checker', 'decided'];
+
+// Maker-checker approval requests
+export const APPROVAL_STATUSES = ['pending', 'confirmed', 'declined'];
+
+export default {
+    LOAN_STATUSES,
+    ACTORS,
+    DEFAULT_INTEREST_RATE,
+    ASSET_CLASSIFICATIONS,
+    MILESTONE_TYPES,
+    MILESTONE_STATUSES,
+    UNDERWRITING_DECISIONS,
+    REVIEW_STATUSES,
+    APPROVAL_STATUSES,
+};
@@ -0,0 +1,74 @@
+/**
+ * Role & Permission Matrix
+ *
+ * Every route is gated on a permission rather than a role, so adding a
+ * role only means listing what it may do here. Permissions follow a
+ * `resource:action` naming scheme; `*` grants everything, including
+ * admin-only permissions such as users:manage, scoring:manage,
+ * stresstest:run and registry:manage.
+ */
+
+export const ROLES = ['borrower', 'underwriter', 'credit_manager', 'auditor', 'admin'];
+
+// Roles stored before the permission matrix existed
+export const LEGACY_ROLES = {
+    user: 'borrower',
+};
+
+// Role given to self-registered users
+export const DEFAULT_ROLE = 'borrower';
+
+// Read-only view of the whole portfolio and its audit trail
+const PORTFOLIO_READ = [
+    'loans:read',
+    'loans:read_all',
+    'verification:read',
+    'impact:read',
+    'audit:read',
+    'scoring:read',
+    'registry:read',
+];
+
+// Borrowers act on their own loans only; repayments are posted by staff
+const BORROWER = [
+    'loans:create',
+    'loans:read',
+    'loans:update',
+    // Withdraw an application (owner edges of the loan state machine)
+    'loans:cancel',
+    'milestones:submit',
+    'verification:run',
+    'verification:read',
+    'impact:read',
+];
+
+const UNDERWRITER = [
+    ...PORTFOLIO_READ,
+    'verification:run',
+    'underwriting:review',
+    'loans:approve',
+    'milestones:review',
+];
+
+const CREDIT_MANAGER = [
+    ...UNDERWRITER,
+    'loans:manage',
+    'payments:create',
+    'disbursements:release',
+    'delinquency:run',
+];
+
+export const ROLE_PERMISSIONS = {
+    borrower: BORROWER,
+    underwriter: UNDERWRITER,
+    credit_manager: CREDIT_MANAGER,
+    auditor: PORTFOLIO_READ,
+    admin: ['*'],
+};
+
+export default {
+    ROLES,
+    LEGACY_ROLES,
+    DEFAULT_ROLE,
+    ROLE_PERMISSIONS,
+};
@@ -0,0 +1,43 @@
+/**
+ * Loan Pricing Configuration
+ *
+ * Green-score-linked interest rate settings. Rates are in % per annum
+ * and can be overridden through environment variables.
+ */
+
+const num = (val, fallback) => {
+    const parsed = parseFloat(val);
+    return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const pricingConfig = {
+    // Rate before any green discount
+    baseRate: num(process.env.BASE_INTEREST_RATE, 10.5),
+
+    // Priced rate never drops below this
+    floorRate: num(process.env.MIN_INTEREST_RATE, 7.5),
+
+    // Discount by Green Score (first band whose minScore is met)
+    greenScoreBands: [
+        { minScore: 90, discount: 1.5 },
+        { minScore: 80, discount: 1.25 },
+        { minScore: 65, discount: 0.75 },
+        { minScore: 50, discount: 0.25 },
+    ],
+
+    // Additional discount by sustainability class
+    classDiscounts: {
+        high: 0.5,
+        medium: 0.25,
+        low: 0,
+    },
+
+    // Premium by climate risk level (negative discount)
+    climateRiskPremiums: {
+        low: 0,
+        medium: 0.25,
+        high: 0.75,
+    },
+};
+
+export default pricingConfig;
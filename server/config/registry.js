@@ -0,0 +1,27 @@
+/**
+ * Vendor & Certification Registry
+ *
+ * Approved vendors (e.g. ALMM-listed module makers) and recognised
+ * certifications that the greenwashing agent cross-checks claims
+ * against. Each entry defines:
+ *
+ *   type               - 'vendor' or 'certification'
+ *   name, aliases      - names a claim may use for it
+ *   categories         - green objectives it is approved for (empty = any)
+ *   authority          - listing or certifying body
+ *   certificatePattern - regex a certificate number must match (optional)
+ *   validFrom/Until    - period the listing or recognition is in force
+ *
+ * The bundled entries below seed the registry until an admin maintains
+ * it through /api/registry.
+ */
+
+import fs from 'fs';
+
+const load = (file) => JSON.parse(fs.readFileSync(new URL(`./registry/${file}`, import.meta.url), 'utf8'));
+
+export const BUNDLED_REGISTRY = Object.freeze(load('entries.json'));
+
+export const REGISTRY_TYPES = ['vendor', 'certification'];
+
+export default BUNDLED_REGISTRY;
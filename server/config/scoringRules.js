@@ -0,0 +1,26 @@
+/**
+ * Green Scoring Rule Sets
+ *
+ * Scoring weights are versioned JSON documents rather than code, so credit
+ * policy can change them without a deploy. Each document defines:
+ *
+ *   impact       - points per green category and the transformative bonus
+ *   financial    - ROI, turnover and vintage tiers (highest `min` first)
+ *   geo          - state bands per category keyword and climate resilience
+ *   dataQuality  - bonuses for geolocation and financial disclosure
+ *   classCutoffs - minimum scores for the high and medium classes
+ *
+ * The bundled version below is used until an admin publishes and
+ * activates another one through /api/scoring/rulesets.
+ */
+
+import fs from 'fs';
+
+const load = (file) => JSON.parse(fs.readFileSync(new URL(`./scoringRules/${file}`, import.meta.url), 'utf8'));
+
+export const DEFAULT_RULE_SET = Object.freeze(load('2.0.json'));
+
+// Sections every rule set must define
+export const RULE_SET_SECTIONS = ['impact', 'financial', 'geo', 'dataQuality', 'classCutoffs'];
+
+export default DEFAULT_RULE_SET;
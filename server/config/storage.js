@@ -0,0 +1,41 @@
+/**
+ * Storage Configuration
+ *
+ * Selects where data is kept:
+ *
+ *   mongo  - MongoDB (MONGODB_URI), falling back to in-memory demo mode
+ *            if the database is unreachable (default)
+ *   file   - Append-only JSON file on local disk, for deployments
+ *            without a database server
+ *   memory - In-memory demo mode; data is lost on restart
+ *
+ * Read when the server starts, after .env has been loaded.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const STORAGE_BACKENDS = ['mongo', 'file', 'memory'];
+
+const serverDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Current storage settings from the environment
+ *
+ * @returns {Object} { backend, dataFile }
+ */
+export function getStorageConfig() {
+    const requested = (process.env.STORAGE_BACKEND || 'mongo').toLowerCase();
+    const backend = STORAGE_BACKENDS.includes(requested) ? requested : 'mongo';
+    if (backend !== requested) {
+        console.warn(`[Storage] Unknown STORAGE_BACKEND "${requested}", using mongo`);
+    }
+
+    return {
+        backend,
+        // Log file for the file backend
+        dataFile: path.resolve(serverDir, process.env.DATA_FILE || 'data/terralend.jsonl'),
+    };
+}
+
+export default getStorageConfig;
@@ -0,0 +1,78 @@
+/**
+ * Climate Stress Test Configuration
+ *
+ * Hazard shocks applied to the active book and the assumptions that turn
+ * a shock into lost revenue and a higher probability of default (PD).
+ * Hazard keys match config/climate/hazards.json.
+ */
+
+const stressTestConfig = {
+    // Preset shocks. A shock adds `hazards` to the 0-1 hazard scores (capped
+    // at 1) of loans in scope: `states` (state codes), `coastal` (locations
+    // with any sea-level-rise exposure) or, with neither, the whole book.
+    shocks: [
+        {
+            key: 'maharashtra_drought',
+            label: 'Maharashtra drought',
+            description: 'Failed monsoon across Maharashtra with severe groundwater stress and heat',
+            states: ['MH'],
+            hazards: { drought: 0.4, heat: 0.2 },
+        },
+        {
+            key: 'coastal_cyclone',
+            label: 'Coastal cyclone',
+            description: 'Severe cyclone making landfall with storm surge and inland flooding along the coast',
+            coastal: true,
+            hazards: { cyclone: 0.5, flood: 0.3, seaLevelRise: 0.2 },
+        },
+        {
+            key: 'northern_heatwave',
+            label: 'Northern plains heatwave',
+            description: 'Prolonged heatwave across the Indo-Gangetic plains',
+            states: ['PB', 'HR', 'DL', 'UP', 'BR', 'RJ'],
+            hazards: { heat: 0.4, drought: 0.15 },
+        },
+        {
+            key: 'himalayan_cloudburst',
+            label: 'Himalayan cloudburst',
+            description: 'Extreme rainfall triggering flash floods and landslides in the hill states',
+            states: ['UT', 'HP', 'JK', 'SK'],
+            hazards: { flood: 0.35, landslide: 0.45 },
+        },
+    ],
+
+    // Share of annual revenue lost per unit of added hazard score, by green category
+    revenueSensitivity: {
+        solar: { flood: 0.3, cyclone: 0.6, drought: 0.05, heat: 0.25, landslide: 0.3, seaLevelRise: 0.3 },
+        ev: { flood: 0.4, cyclone: 0.3, drought: 0.05, heat: 0.15, landslide: 0.2, seaLevelRise: 0.2 },
+        waste: { flood: 0.35, cyclone: 0.3, drought: 0.1, heat: 0.1, landslide: 0.2, seaLevelRise: 0.25 },
+        water: { flood: 0.25, cyclone: 0.2, drought: 0.6, heat: 0.2, landslide: 0.15, seaLevelRise: 0.3 },
+        agriculture: { flood: 0.5, cyclone: 0.45, drought: 0.7, heat: 0.4, landslide: 0.3, seaLevelRise: 0.35 },
+        efficiency: { flood: 0.2, cyclone: 0.2, drought: 0.05, heat: 0.1, landslide: 0.15, seaLevelRise: 0.15 },
+    },
+
+    // Used for categories not listed above
+    defaultSensitivity: { flood: 0.3, cyclone: 0.3, drought: 0.2, heat: 0.15, landslide: 0.2, seaLevelRise: 0.2 },
+
+    // Annual PD before the shock, by the loan's climate risk level today
+    basePd: {
+        low: 0.02,
+        medium: 0.03,
+        high: 0.045,
+    },
+
+    // Stressed PD = base PD x (1 + pdElasticity x share of revenue lost), capped at maxPd
+    pdElasticity: 4,
+    maxPd: 0.5,
+
+    // Loss given default, for the expected loss uplift
+    lgd: 0.45,
+
+    // A loan losing at least this share of revenue counts as exposure at risk
+    materialImpairment: 0.05,
+
+    // Loan statuses a stress test covers
+    statuses: ['active'],
+};
+
+export default stressTestConfig;
@@ -0,0 +1,26 @@
+/**
+ * Underwriting Configuration
+ *
+ * Controls when AI verification decides a loan on its own and when it is
+ * referred to an underwriter. Values can be overridden through
+ * environment variables. The approval cut-off itself is not set here: it
+ * is the medium class cut-off of the active scoring rule set.
+ */
+
+const num = (val, fallback) => {
+    const parsed = parseFloat(val);
+    return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const underwritingConfig = {
+    // Scores within this many points of the approval cut-off are borderline
+    borderlineMargin: num(process.env.UNDERWRITING_BORDERLINE_MARGIN, 10),
+
+    // Hold borderline loans in pending_verification instead of auto-deciding them
+    holdBorderline: process.env.UNDERWRITING_HOLD_BORDERLINE !== 'false',
+
+    // Loans above this amount (₹) need a maker and a distinct checker to approve
+    makerCheckerThreshold: num(process.env.MAKER_CHECKER_THRESHOLD, 10000000),
+};
+
+export default underwritingConfig;
@@ -22,8 +22,6 @@
  * ============================================
  */
 
-import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -35,52 +33,15 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, '.env') });
 
-// Database connection
-import connectDB from './config/db.js';
+// Storage backend (MongoDB, file or in-memory)
+import { initStorage } from './repositories/storage.js';
+import { startDelinquencyScheduler } from './services/delinquencyService.js';
+import { seedAdmin } from './services/bootstrapService.js';
+import { ensureBundledRuleSet } from './services/scoringRuleService.js';
+import app from './app.js';
 
-// Import route handlers
-import authRouter from './routes/auth.js';
-import profileRouter from './routes/profile.js';
-import loansRouter from './routes/loans.js';
-import verificationRouter from './routes/verification.js';
-import impactRouter from './routes/impact.js';
-import blockchainRouter from './routes/blockchain.js';
-import mockRouter from './routes/mock.js';
-import climateRouter from './routes/climate.js';
-import aiRouter from './routes/ai.js';
-
-const app = express();
 const PORT = process.env.PORT || 5000;
 
-// ============================================
-// Database Connection
-// ============================================
-
-connectDB();
-
-// ============================================
-// Middleware Configuration
-// ============================================
-
-// Enable CORS for frontend communication
-// Allow ALL origins for development to prevent any CORS issues
-app.use(cors({
-    origin: true,
-    credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
-}));
-
-// Parse JSON request bodies
-app.use(express.json());
-
-app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-    console.log('Origin:', req.headers.origin); // Log the origin for debugging
-    if (req.method === 'POST') console.log('Body:', JSON.stringify(req.body).substring(0, 100) + '...');
-    next();
-});
-
 // Crash handling
 process.on('uncaughtException', (err) => {
     console.error('UNCAUGHT EXCEPTION! Shutting down...', err);
@@ -90,80 +51,32 @@ process.on('unhandledRejection', (err) => {
 });
 
 // ============================================
-// API Routes
-// ============================================
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        version: '2.0.0',
-        environment: process.env.NODE_ENV || 'development',
-        database: 'MongoDB'
-    });
-});
-
-// Authentication routes
-app.use('/api/auth', authRouter);
-
-// Profile management routes
-app.use('/api/profile', profileRouter);
-
-// Loan management endpoints
-app.use('/api/loans', loansRouter);
-
-// AI verification endpoints
-app.use('/api/verify', verificationRouter);
-
-// Impact tracking endpoints
-app.use('/api/impact', impactRouter);
-
-// Blockchain audit trail endpoints
-app.use('/api/blockchain', blockchainRouter);
-
-// Mock data endpoints (GST, KYC simulation)
-app.use('/api/mock', mockRouter);
-
-// Climate risk assessment endpoints
-app.use('/api/climate', climateRouter);
-
-// AI extraction endpoints (sustainability claim extraction)
-app.use('/api/ai', aiRouter);
-
-// ============================================
-// Error Handling
+// Server Startup
 // ============================================
 
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({
-        error: 'Not Found',
-        message: `Endpoint ${req.path} does not exist`
-    });
-});
+/**
+ * Open storage and seed it before anything reads from it, then start the
+ * scheduled jobs and accept requests
+ */
+async function start() {
+    // STORAGE_BACKEND: mongo | file | memory
+    await initStorage();
 
-// Global error handler
-app.use((err, req, res, next) => {
-    console.error('Server Error:', err);
-    res.status(500).json({
-        error: 'Internal Server Error',
-        message: err.message || 'Something went wrong'
-    });
-});
+    // First admin from ADMIN_EMAIL / ADMIN_PASSWORD, while there is none,
+    // and the bundled scoring rules until a rule set has been published
+    await seedAdmin();
+    await ensureBundledRuleSet();
 
-// ============================================
-// Server Startup
-// ============================================
+    // Daily days-past-due / NPA classification job
+    startDelinquencyScheduler();
 
-app.listen(PORT, () => {
-    console.log(`
+    app.listen(PORT, () => {
+        console.log(`
   ╔════════════════════════════════════════════╗
   ║  🌱 TerraLend API Server                   ║
   ╠════════════════════════════════════════════╣
   ║  Port: ${PORT}                               ║
   ║  Mode: ${process.env.NODE_ENV || 'development'}                       ║
-  ║  Database: MongoDB                         ║
   ║  Status: Running                           ║
   ╚════════════════════════════════════════════╝
   
@@ -176,10 +89,40 @@ app.listen(PORT, () => {
   - POST /api/loans
   - GET  /api/loans
   - GET  /api/loans/:id
+  - GET  /api/loans/:id/schedule
+  - POST /api/loans/:id/payments
+  - GET  /api/loans/:id/documents
+  - POST /api/loans/:id/documents
+  - GET  /api/loans/:id/documents/:documentId
   - POST /api/verify/green-score
+  - GET  /api/verify/history/:loanId
+  - POST /api/verify/simulate
+  - GET  /api/underwriting/queue
+  - POST /api/underwriting/:loanId/decision
+  - GET  /api/approvals
+  - POST /api/approvals
+  - POST /api/approvals/:approvalId/confirm
+  - GET  /api/scoring/rulesets
+  - POST /api/scoring/rulesets
+  - POST /api/scoring/rulesets/:version/activate
+  - POST /api/scoring/rulesets/rollback
+  - GET  /api/scoring/backtest
+  - GET  /api/stress-test/shocks
+  - POST /api/stress-test/run
+  - GET  /api/registry
+  - POST /api/registry
+  - PUT  /api/registry/:entryId
+  - DELETE /api/registry/:entryId
   - GET  /api/impact/:loanId
   - GET  /api/blockchain/audit
+  - GET  /api/geo/reverse
   `);
+    });
+}
+
+start().catch(err => {
+    console.error('[Startup] Failed to start server:', err);
+    process.exit(1);
 });
 
 export default app;
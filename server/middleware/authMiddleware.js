@@ -3,12 +3,12 @@
  * 
  * Protects routes by verifying JWT tokens.
  * Attaches user to request object for downstream handlers.
+ * Authorization is permission-based (see config/permissions.js).
  */
 
 import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
-import { isDbConnected } from '../config/db.js';
-import { getLocalUserById } from '../services/store.js';
+import { userRepository } from '../repositories/userRepository.js';
+import { hasPermission } from '../services/permissionService.js';
 
 export const protect = async (req, res, next) => {
     let token;
@@ -30,18 +30,8 @@ export const protect = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-        // Get user from token
-        if (isDbConnected()) {
-            req.user = await User.findById(decoded.id).select('-password');
-        } else {
-            // In-memory fallback
-            const localUser = getLocalUserById(decoded.id);
-            if (localUser) {
-                // Clone and remove password
-                const { password, ...userWithoutPassword } = localUser;
-                req.user = { ...userWithoutPassword, id: localUser._id };
-            }
-        }
+        // Get user from token (without the password)
+        req.user = await userRepository.findById(decoded.id);
 
         if (!req.user) {
             return res.status(401).json({
@@ -72,4 +62,22 @@ export const adminOnly = (req, res, next) => {
     }
 };
 
-export default { protect, adminOnly };
+/**
+ * Permission middleware (use after protect)
+ * Passes if the user's role grants any of the listed permissions.
+ *
+ * @param {...string} permissions - e.g. 'loans:approve'
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+    const role = req.user?.role;
+    if (permissions.some(permission => hasPermission(role, permission))) {
+        next();
+    } else {
+        return res.status(403).json({
+            success: false,
+            error: `Access denied. Requires permission: ${permissions.join(' or ')}`
+        });
+    }
+};
+
+export default { protect, adminOnly, requirePermission };
@@ -0,0 +1,26 @@
+/**
+ * Upload Middleware
+ *
+ * Parses multipart uploads with a single "file" field into req.file.
+ * Files are held in memory (up to DOCUMENT_MAX_MB) so they can be hashed
+ * or parsed before anything is stored.
+ */
+
+import multer from 'multer';
+import { getDocumentConfig } from '../config/documents.js';
+
+export const parseUpload = (req, res, next) => {
+    const { maxBytes } = getDocumentConfig();
+    const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxBytes, files: 1 } }).single('file');
+
+    upload(req, res, (error) => {
+        if (!error) return next();
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        res.status(tooLarge ? 413 : 400).json({
+            success: false,
+            error: tooLarge ? `File exceeds the ${Math.round(maxBytes / 1024 / 1024)} MB limit` : `Invalid upload: ${error.message}`
+        });
+    });
+};
+
+export default parseUpload;
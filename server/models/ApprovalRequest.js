@@ -0,0 +1,59 @@
+/**
+ * Approval Request Model
+ *
+ * Maker-checker approval for high-value loans. The maker proposes the
+ * approval; a different user signs as checker to confirm or decline it.
+ */
+
+import mongoose from 'mongoose';
+import { APPROVAL_STATUSES } from '../config/loans.js';
+
+// Maker or checker signature
+const SignatureSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    email: { type: String },
+    role: { type: String },
+    comment: { type: String, required: true, trim: true },
+    signedAt: { type: Date, default: Date.now },
+    txHash: { type: String }
+}, { _id: false });
+
+const ApprovalRequestSchema = new mongoose.Schema({
+    approvalId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    loanId: {
+        type: String,
+        required: true
+    },
+    loanAmount: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: APPROVAL_STATUSES,
+        default: 'pending'
+    },
+    maker: {
+        type: SignatureSchema,
+        required: true
+    },
+    checker: {
+        type: SignatureSchema
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    resolvedAt: {
+        type: Date
+    }
+});
+
+ApprovalRequestSchema.index({ loanId: 1, status: 1 });
+ApprovalRequestSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('ApprovalRequest', ApprovalRequestSchema);
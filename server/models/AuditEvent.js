@@ -0,0 +1,36 @@
+/**
+ * Audit Event Model
+ *
+ * Persisted record of an event on the simulated blockchain audit trail.
+ */
+
+import mongoose from 'mongoose';
+
+const AuditEventSchema = new mongoose.Schema({
+    id: { type: String, required: true },
+    txHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    blockNumber: { type: Number },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    },
+    eventType: { type: String, required: true },
+    loanId: { type: String },
+    description: { type: String },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    verifiedBy: { type: String },
+    status: { type: String, default: 'confirmed' },
+    gasUsed: { type: Number }
+}, { minimize: false });
+
+AuditEventSchema.index({ loanId: 1, timestamp: -1 });
+AuditEventSchema.index({ eventType: 1, timestamp: -1 });
+
+export default mongoose.model('AuditEvent', AuditEventSchema);
@@ -0,0 +1,42 @@
+/**
+ * Impact Metrics Model
+ *
+ * Aggregated environmental and financial impact of a borrower's portfolio.
+ */
+
+import mongoose from 'mongoose';
+
+const ImpactMetricsSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    co2Saved: { type: Number, default: 0 }, // kg
+    energyGenerated: { type: Number, default: 0 }, // kWh
+    waterSaved: { type: Number, default: 0 }, // Liters
+    jobsCreated: { type: Number, default: 0 },
+    financialSavings: { type: Number, default: 0 }, // INR
+    treesEquivalent: { type: Number, default: 0 },
+    monthlyData: [{
+        _id: false,
+        month: String,
+        co2: Number,
+        energy: Number
+    }],
+    impactByCategory: {
+        type: Map,
+        of: Number
+    },
+    certifications: [{
+        _id: false,
+        name: String,
+        status: String
+    }],
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+export default mongoose.model('ImpactMetrics', ImpactMetricsSchema);
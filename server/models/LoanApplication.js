@@ -6,6 +6,120 @@
  */
 
 import mongoose from 'mongoose';
+import {
+    LOAN_STATUSES, ACTORS, DEFAULT_INTEREST_RATE, ASSET_CLASSIFICATIONS,
+    MILESTONE_TYPES, MILESTONE_STATUSES, UNDERWRITING_DECISIONS, REVIEW_STATUSES
+} from '../config/loans.js';
+import { DOCUMENT_TYPES, DOCUMENT_STORAGE_BACKENDS } from '../config/documents.js';
+
+// Single row of the amortization schedule
+const InstallmentSchema = new mongoose.Schema({
+    installmentNumber: { type: Number, required: true },
+    dueDate: { type: Date, required: true },
+    emi: { type: Number, required: true },
+    principal: { type: Number, required: true },
+    interest: { type: Number, required: true },
+    openingBalance: { type: Number, required: true },
+    closingBalance: { type: Number, required: true }
+}, { _id: false });
+
+// Status change record, appended by the loan state machine
+const StatusChangeSchema = new mongoose.Schema({
+    from: { type: String, enum: [...LOAN_STATUSES, null] },
+    to: { type: String, enum: LOAN_STATUSES, required: true },
+    actor: { type: String, enum: ACTORS, required: true },
+    changedBy: { type: String },
+    reason: { type: String, trim: true },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Underwriter decision, recorded next to the AI recommendation it confirms or overrides
+const UnderwritingDecisionSchema = new mongoose.Schema({
+    decision: { type: String, enum: UNDERWRITING_DECISIONS, required: true },
+    comment: { type: String, required: true, trim: true },
+    decidedBy: { type: String },
+    fromStatus: { type: String, enum: LOAN_STATUSES },
+    toStatus: { type: String, enum: LOAN_STATUSES },
+    aiRecommendation: { type: String, enum: ['approved', 'rejected'] },
+    override: { type: Boolean, default: false },
+    decidedAt: { type: Date, default: Date.now },
+    txHash: { type: String }
+}, { _id: false });
+
+// Asset classification change, appended by the delinquency job
+const DelinquencyChangeSchema = new mongoose.Schema({
+    from: { type: String, enum: ASSET_CLASSIFICATIONS },
+    to: { type: String, enum: ASSET_CLASSIFICATIONS, required: true },
+    daysPastDue: { type: Number, default: 0 },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Disbursement milestone with its tranche and supporting evidence
+const MilestoneSchema = new mongoose.Schema({
+    milestoneId: { type: String, required: true },
+    sequence: { type: Number, required: true },
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: MILESTONE_TYPES, default: 'other' },
+    description: { type: String, trim: true },
+    trancheAmount: { type: Number, required: true, min: 1 },
+    status: { type: String, enum: MILESTONE_STATUSES, default: 'pending' },
+    evidence: [{
+        _id: false,
+        description: { type: String, trim: true },
+        documentUrl: { type: String, trim: true },
+        documentType: { type: String, trim: true },
+        // Uploaded document the evidence refers to, if any
+        documentId: { type: String },
+        // SHA-256 of the document, checked for reuse across loans
+        sha256: { type: String, lowercase: true },
+        submittedBy: { type: String },
+        submittedAt: { type: Date, default: Date.now }
+    }],
+    reviewedBy: { type: String },
+    reviewedAt: { type: Date },
+    reviewComment: { type: String, trim: true },
+    disbursedAt: { type: Date },
+    txHash: { type: String }
+}, { _id: false });
+
+// Uploaded evidence document; the content is in the document store under storageKey
+const DocumentSchema = new mongoose.Schema({
+    documentId: { type: String, required: true },
+    type: { type: String, enum: Object.keys(DOCUMENT_TYPES), required: true },
+    description: { type: String, trim: true },
+    milestoneId: { type: String },
+    fileName: { type: String },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true },
+    sha256: { type: String, required: true, lowercase: true },
+    storage: { type: String, enum: DOCUMENT_STORAGE_BACKENDS, required: true },
+    storageKey: { type: String, required: true },
+    uploadedBy: { type: String },
+    uploadedAt: { type: Date, default: Date.now },
+    txHash: { type: String }
+}, { _id: false });
+
+// Repayment ledger entry, allocated interest-first against the schedule
+const PaymentSchema = new mongoose.Schema({
+    paymentId: { type: String, required: true },
+    amount: { type: Number, required: true, min: 1 },
+    paidAt: { type: Date, default: Date.now },
+    method: {
+        type: String,
+        enum: ['bank_transfer', 'upi', 'nach', 'cheque', 'cash'],
+        default: 'bank_transfer'
+    },
+    reference: { type: String, trim: true },
+    interestComponent: { type: Number, default: 0 },
+    principalComponent: { type: Number, default: 0 },
+    allocations: [{
+        _id: false,
+        installmentNumber: Number,
+        interest: Number,
+        principal: Number
+    }],
+    txHash: { type: String }
+}, { _id: false });
 
 const LoanApplicationSchema = new mongoose.Schema({
     user: {
@@ -60,6 +174,31 @@ const LoanApplicationSchema = new mongoose.Schema({
         latitude: { type: Number },
         longitude: { type: Number }
     },
+    // Sustainability claim extracted from the description (aiExtractionService schema)
+    sustainabilityClaim: {
+        project_type: { type: String },
+        capacity_kw: { type: Number },
+        vendor: { type: String },
+        certifications: { type: [String], default: undefined },
+        claimed_impact: {
+            co2_saved_tonnes_per_year: { type: Number },
+            energy_generated_kwh_per_year: { type: Number }
+        },
+        vendor_gstin: { type: String, uppercase: true },
+        // Rows of the quotation or invoice the claim was read from
+        line_items: {
+            type: [{
+                _id: false,
+                description: String,
+                model: String,
+                quantity: Number,
+                unit: String,
+                unit_price: Number,
+                amount: Number
+            }],
+            default: undefined
+        }
+    },
 
     // Loan Details
     loanAmount: {
@@ -77,13 +216,47 @@ const LoanApplicationSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    interestRate: {
+        type: Number,
+        min: 0,
+        max: 50,
+        default: DEFAULT_INTEREST_RATE // % per annum
+    },
+    pricing: {
+        baseRate: { type: Number },
+        totalDiscount: { type: Number },
+        finalRate: { type: Number },
+        floorApplied: { type: Boolean },
+        components: [{
+            _id: false,
+            factor: String,
+            adjustment: Number,
+            reason: String
+        }],
+        inputs: {
+            greenScore: Number,
+            sustainabilityClass: String,
+            climateRiskLevel: String
+        },
+        explanation: { type: String },
+        methodology: { type: String },
+        pricedAt: { type: Date }
+    },
 
     // Status and AI Score
     status: {
         type: String,
-        enum: ['pending', 'pending_verification', 'approved', 'rejected', 'cancelled', 'active', 'completed'],
+        enum: LOAN_STATUSES,
         default: 'pending_verification'
     },
+    statusHistory: {
+        type: [StatusChangeSchema],
+        default: []
+    },
+    rejectionReason: {
+        type: String,
+        trim: true
+    },
     aiScore: {
         type: Number,
         min: 0,
@@ -94,7 +267,37 @@ const LoanApplicationSchema = new mongoose.Schema({
         enum: ['low', 'medium', 'high']
     },
 
+    // Underwriting (AI recommendation + human review)
+    underwriting: {
+        aiRecommendation: { type: String, enum: ['approved', 'rejected'] },
+        aiReason: { type: String },
+        aiScore: { type: Number },
+        // Scoring rule set version that produced aiScore
+        ruleSetVersion: { type: String },
+        greenwashingPassed: { type: Boolean },
+        // Loans whose description, site or evidence this application recycles
+        duplicateLoanIds: { type: [String], default: undefined },
+        borderline: { type: Boolean, default: false },
+        reviewStatus: { type: String, enum: REVIEW_STATUSES, default: 'not_required' },
+        queuedAt: { type: Date },
+        decisions: { type: [UnderwritingDecisionSchema], default: [] }
+    },
+
+    // Invoices, certificates, site photos and statements backing the application
+    documents: {
+        type: [DocumentSchema],
+        default: undefined
+    },
+
     // Disbursement & Payment tracking
+    milestones: {
+        type: [MilestoneSchema],
+        default: undefined
+    },
+    disbursedAmount: {
+        type: Number,
+        default: 0
+    },
     disbursedDate: {
         type: Date
     },
@@ -104,12 +307,49 @@ const LoanApplicationSchema = new mongoose.Schema({
     nextPaymentAmount: {
         type: Number
     },
+    emiAmount: {
+        type: Number
+    },
+    repaymentSchedule: {
+        type: [InstallmentSchema],
+        default: undefined
+    },
     repaymentProgress: {
         type: Number,
         default: 0,
         min: 0,
         max: 100
     },
+    outstandingBalance: {
+        type: Number
+    },
+    payments: {
+        type: [PaymentSchema],
+        default: []
+    },
+
+    // Delinquency (days past due and RBI-style asset classification)
+    daysPastDue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    overdueAmount: {
+        type: Number,
+        default: 0
+    },
+    assetClassification: {
+        type: String,
+        enum: ASSET_CLASSIFICATIONS,
+        default: 'standard'
+    },
+    delinquencyAsOf: {
+        type: Date
+    },
+    delinquencyHistory: {
+        type: [DelinquencyChangeSchema],
+        default: []
+    },
 
     // Timestamps
     appliedAt: {
@@ -137,5 +377,7 @@ LoanApplicationSchema.pre('save', async function (next) {
 // Index for faster queries
 LoanApplicationSchema.index({ user: 1, status: 1 });
 LoanApplicationSchema.index({ loanId: 1 });
+LoanApplicationSchema.index({ status: 1, assetClassification: 1 });
+LoanApplicationSchema.index({ status: 1, 'underwriting.reviewStatus': 1 });
 
 export default mongoose.model('LoanApplication', LoanApplicationSchema);
@@ -0,0 +1,55 @@
+/**
+ * Registry Entry Model
+ *
+ * An approved vendor or recognised certification the greenwashing agent
+ * checks claims against (see config/registry.js). Entries are retired
+ * rather than deleted, so past checks stay traceable.
+ */
+
+import mongoose from 'mongoose';
+
+const RegistryEntrySchema = new mongoose.Schema({
+    entryId: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['vendor', 'certification'],
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    aliases: [String],
+    // Green objectives the entry is approved for; empty means any
+    categories: [String],
+    authority: { type: String },
+    certificatePattern: { type: String },
+    certificateFormat: { type: String },
+    validFrom: { type: Date },
+    validUntil: { type: Date },
+    notes: { type: String },
+    status: {
+        type: String,
+        enum: ['active', 'retired'],
+        default: 'active'
+    },
+    createdBy: { type: String },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedBy: { type: String },
+    updatedAt: { type: Date },
+    retiredBy: { type: String },
+    retiredAt: { type: Date }
+});
+
+RegistryEntrySchema.index({ type: 1, status: 1 });
+
+export default mongoose.model('RegistryEntry', RegistryEntrySchema);
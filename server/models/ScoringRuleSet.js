@@ -0,0 +1,47 @@
+/**
+ * Scoring Rule Set Model
+ *
+ * A published version of the green scoring rules (see
+ * config/scoringRules.js). Versions are immutable once published; at most
+ * one is active at a time.
+ */
+
+import mongoose from 'mongoose';
+
+const Mixed = mongoose.Schema.Types.Mixed;
+
+const ScoringRuleSetSchema = new mongoose.Schema({
+    version: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    description: { type: String },
+    impact: { type: Mixed, required: true },
+    financial: { type: Mixed, required: true },
+    geo: { type: Mixed, required: true },
+    dataQuality: { type: Mixed, required: true },
+    classCutoffs: { type: Mixed, required: true },
+    active: {
+        type: Boolean,
+        default: false
+    },
+    // Version that was active before this one, restored on rollback
+    previousVersion: { type: String },
+    publishedBy: { type: String },
+    publishedAt: {
+        type: Date,
+        default: Date.now
+    },
+    activatedBy: { type: String },
+    activatedAt: { type: Date }
+}, { minimize: false });
+
+ScoringRuleSetSchema.index({ active: 1 });
+
+export default mongoose.model('ScoringRuleSet', ScoringRuleSetSchema);
@@ -7,6 +7,7 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ROLES, LEGACY_ROLES, DEFAULT_ROLE } from '../config/permissions.js';
 
 const UserSchema = new mongoose.Schema({
     email: {
@@ -25,8 +26,8 @@ const UserSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['user', 'admin'],
-        default: 'user'
+        enum: [...ROLES, ...Object.keys(LEGACY_ROLES)],
+        default: DEFAULT_ROLE
     },
     createdAt: {
         type: Date,
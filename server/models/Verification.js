@@ -0,0 +1,86 @@
+/**
+ * Verification Model
+ *
+ * One AI verification run of a loan application. Every run is kept, with
+ * the scoring rule set version and a snapshot of the inputs it was scored on,
+ * so a result can be explained after the application or the rules change.
+ */
+
+import mongoose from 'mongoose';
+
+const VerificationSchema = new mongoose.Schema({
+    runId: {
+        type: String,
+        unique: true
+    },
+    loanId: {
+        type: String,
+        required: true
+    },
+    // 1 for the first run of a loan, then 2, 3, ...
+    runNumber: {
+        type: Number
+    },
+    methodology: { type: String },
+    // Version of the scoring rule set that produced the score
+    methodologyVersion: {
+        type: String,
+        required: true
+    },
+    inputs: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    completed: {
+        type: Boolean,
+        default: true
+    },
+    greenScore: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    sustainabilityClass: {
+        type: String,
+        enum: ['high', 'medium', 'low']
+    },
+    reasoning: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    greenwashingCheck: { type: mongoose.Schema.Types.Mixed },
+    climateRisk: { type: mongoose.Schema.Types.Mixed },
+    // Other loans recycling this application's description, site or evidence
+    duplicateCheck: { type: mongoose.Schema.Types.Mixed },
+    // Loan status after the run
+    status: { type: String },
+    underwriting: {
+        aiRecommendation: { type: String },
+        borderline: { type: Boolean },
+        makerCheckerRequired: { type: Boolean },
+        reviewStatus: { type: String }
+    },
+    pricing: { type: mongoose.Schema.Types.Mixed },
+    interestRate: { type: Number },
+    runBy: { type: String },
+    txHash: { type: String },
+    completedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { minimize: false });
+
+// Number the run and derive its ID before the first save
+VerificationSchema.pre('save', async function () {
+    if (!this.runNumber) {
+        const count = await mongoose.model('Verification').countDocuments({ loanId: this.loanId });
+        this.runNumber = count + 1;
+    }
+    if (!this.runId) {
+        this.runId = `${this.loanId}-V${this.runNumber}`;
+    }
+});
+
+VerificationSchema.index({ loanId: 1, runNumber: -1 }, { unique: true });
+
+export default mongoose.model('Verification', VerificationSchema);
@@ -0,0 +1,49 @@
+/**
+ * Approval Repository
+ *
+ * Maker-checker approval requests from MongoDB or the in-memory store.
+ */
+
+import ApprovalRequest from '../models/ApprovalRequest.js';
+import { collections, persist, validateDocument, matches, sortBy } from './memoryStore.js';
+import { selectRepository, toMongoFilter } from './selectRepository.js';
+
+export const mongoApprovalRepository = {
+    findById: (approvalId) => ApprovalRequest.findOne({ approvalId }),
+
+    findOne: (query) => ApprovalRequest.findOne(toMongoFilter(query)),
+
+    find: (query = {}, { sort = { createdAt: -1 } } = {}) =>
+        ApprovalRequest.find(toMongoFilter(query)).sort(sort),
+
+    create: (data) => ApprovalRequest.create(data),
+
+    save: (approval) => approval.save(),
+};
+
+export const memoryApprovalRepository = {
+    findById: async (approvalId) =>
+        collections.approvals.find(a => a.approvalId === approvalId) || null,
+
+    findOne: async (query) =>
+        collections.approvals.find(a => matches(a, query)) || null,
+
+    find: async (query = {}, { sort = { createdAt: -1 } } = {}) =>
+        sortBy(collections.approvals.filter(a => matches(a, query)), sort),
+
+    create: async (data) => {
+        validateDocument(ApprovalRequest, data);
+        collections.approvals.push(data);
+        return persist('approvals', data);
+    },
+
+    save: async (approval) => {
+        validateDocument(ApprovalRequest, approval);
+        approval.updatedAt = new Date();
+        return persist('approvals', approval);
+    },
+};
+
+export const approvalRepository = selectRepository(mongoApprovalRepository, memoryApprovalRepository);
+
+export default approvalRepository;
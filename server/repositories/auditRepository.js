@@ -0,0 +1,61 @@
+/**
+ * Audit Repository
+ *
+ * Audit trail records of the simulated blockchain, from MongoDB or the
+ * in-memory store. Results are newest first.
+ */
+
+import AuditEvent from '../models/AuditEvent.js';
+import { collections, persist, validateDocument } from './memoryStore.js';
+import { selectRepository } from './selectRepository.js';
+
+const DEFAULT_LIMIT = 50;
+
+export const mongoAuditRepository = {
+    append: (record) => AuditEvent.create(record),
+
+    /**
+     * @param {Object} options - { loanId, eventType, startDate, endDate, limit }
+     */
+    find: ({ loanId, eventType, startDate, endDate, limit = DEFAULT_LIMIT } = {}) => {
+        const filter = {};
+        if (loanId) filter.loanId = loanId;
+        if (eventType) filter.eventType = eventType;
+        if (startDate || endDate) {
+            filter.timestamp = {};
+            if (startDate) filter.timestamp.$gte = new Date(startDate);
+            if (endDate) filter.timestamp.$lte = new Date(endDate);
+        }
+        return AuditEvent.find(filter).sort({ timestamp: -1 }).limit(limit).select('-_id -__v').lean();
+    },
+
+    findByTxHash: (txHash) => AuditEvent.findOne({ txHash }).select('-_id -__v').lean(),
+
+    count: () => AuditEvent.countDocuments(),
+};
+
+export const memoryAuditRepository = {
+    append: async (record) => {
+        validateDocument(AuditEvent, record);
+        collections.auditLogs.unshift(record); // Reverse chronological order
+        return persist('auditLogs', record);
+    },
+
+    find: async ({ loanId, eventType, startDate, endDate, limit = DEFAULT_LIMIT } = {}) => {
+        let logs = collections.auditLogs;
+        if (loanId) logs = logs.filter(log => log.loanId === loanId);
+        if (eventType) logs = logs.filter(log => log.eventType === eventType);
+        if (startDate) logs = logs.filter(log => new Date(log.timestamp) >= new Date(startDate));
+        if (endDate) logs = logs.filter(log => new Date(log.timestamp) <= new Date(endDate));
+        return logs.slice(0, limit);
+    },
+
+    findByTxHash: async (txHash) =>
+        collections.auditLogs.find(log => log.txHash === txHash) || null,
+
+    count: async () => collections.auditLogs.length,
+};
+
+export const auditRepository = selectRepository(mongoAuditRepository, memoryAuditRepository);
+
+export default auditRepository;
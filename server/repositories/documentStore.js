@@ -0,0 +1,178 @@
+/**
+ * Document Store
+ *
+ * Content of uploaded evidence documents, on local disk or in an
+ * S3-compatible bucket (see config/documents.js). Document metadata is
+ * kept on the loan; this store only holds the bytes, under a key the
+ * caller chooses.
+ *
+ * S3 requests are signed with AWS Signature Version 4 directly, so no
+ * SDK is needed for the two operations used.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getDocumentConfig } from '../config/documents.js';
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Keys are built from generated IDs, but never let one escape its directory or bucket prefix
+const SAFE_KEY = /^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)*$/;
+
+const assertKey = (key) => {
+    if (!SAFE_KEY.test(key)) throw new Error(`Invalid document key: ${key}`);
+};
+
+// ============================================
+// Local disk
+// ============================================
+
+export const localDocumentStore = {
+    put: async (key, content) => {
+        assertKey(key);
+        const { directory } = getDocumentConfig();
+        const file = path.join(directory, key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+
+        // Write then rename, so a crash never leaves a partial document
+        const tempFile = `${file}.tmp`;
+        await fs.writeFile(tempFile, content);
+        await fs.rename(tempFile, file);
+    },
+
+    get: async (key) => {
+        assertKey(key);
+        return fs.readFile(path.join(getDocumentConfig().directory, key));
+    },
+};
+
+// ============================================
+// S3-compatible bucket
+// ============================================
+
+/**
+ * URI-encode a path the way SigV4 expects (RFC 3986, '/' kept)
+ */
+const encodePath = (value) => value.split('/')
+    .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ *
+ * @param {Object} request - { method, url (URL), headers, payloadHash }
+ * @param {Object} credentials - { region, accessKeyId, secretAccessKey }
+ * @param {Date} now - Signing time
+ * @returns {Object} Headers to send, including Authorization
+ */
+export function signS3Request({ method, url, headers = {}, payloadHash }, { region, accessKeyId, secretAccessKey }, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const signed = {
+        ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+        host: url.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+    };
+    const names = Object.keys(signed).sort();
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        '', // No query string on object requests
+        names.map(name => `${name}:${signed[name]}\n`).join(''),
+        signedHeaders,
+        payloadHash,
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...sent } = signed; // fetch sets Host itself
+    return {
+        ...sent,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+}
+
+/**
+ * URL of an object in the configured bucket
+ */
+function objectUrl(s3, key) {
+    const objectPath = encodePath(`${s3.prefix}${key}`);
+    if (s3.endpoint) {
+        const base = new URL(s3.endpoint);
+        return s3.forcePathStyle
+            ? new URL(`${base.origin}/${s3.bucket}/${objectPath}`)
+            : new URL(`${base.protocol}//${s3.bucket}.${base.host}/${objectPath}`);
+    }
+    return s3.forcePathStyle
+        ? new URL(`https://s3.${s3.region}.amazonaws.com/${s3.bucket}/${objectPath}`)
+        : new URL(`https://${s3.bucket}.s3.${s3.region}.amazonaws.com/${objectPath}`);
+}
+
+/**
+ * Send a signed request for an object
+ */
+async function s3Request(method, key, { body, contentType } = {}) {
+    assertKey(key);
+    const { s3 } = getDocumentConfig();
+    if (!s3.bucket || !s3.accessKeyId || !s3.secretAccessKey) {
+        throw new Error('S3 document storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    const url = objectUrl(s3, key);
+    const headers = signS3Request({
+        method,
+        url,
+        headers: contentType ? { 'content-type': contentType } : {},
+        payloadHash: sha256Hex(body || ''),
+    }, s3);
+
+    const response = await fetch(url, { method, headers, body });
+    if (!response.ok) {
+        const detail = (await response.text()).match(/<Code>([^<]+)<\/Code>/)?.[1] || response.statusText;
+        throw new Error(`S3 ${method} ${key} failed: ${response.status} ${detail}`);
+    }
+    return response;
+}
+
+export const s3DocumentStore = {
+    put: async (key, content, { contentType } = {}) => {
+        await s3Request('PUT', key, { body: content, contentType });
+    },
+
+    get: async (key) => Buffer.from(await (await s3Request('GET', key)).arrayBuffer()),
+};
+
+// ============================================
+// Selection
+// ============================================
+
+const STORES = {
+    local: localDocumentStore,
+    s3: s3DocumentStore,
+};
+
+/**
+ * Store for a backend, or the configured one
+ * Documents record the backend they were written to, so they stay
+ * readable after DOCUMENT_STORAGE changes (given its settings remain).
+ *
+ * @param {string} [backend] - 'local' or 's3'
+ * @returns {Object} { backend, put(key, content, { contentType }), get(key) }
+ */
+export function getDocumentStore(backend = getDocumentConfig().backend) {
+    const store = STORES[backend];
+    if (!store) throw new Error(`Unknown document storage backend: ${backend}`);
+    return { backend, ...store };
+}
+
+export default getDocumentStore;
@@ -0,0 +1,117 @@
+/**
+ * File Store
+ *
+ * Embedded persistence for deployments without a database server. The
+ * in-memory collections are loaded from an append-only JSON Lines file
+ * and every write is appended to it as the full document:
+ *
+ *   {"meta":{"schemaVersion":2,"writtenAt":"..."}}
+ *   {"c":"loans","d":{ ...loan... }}
+ *
+ * On open the log is replayed (later lines replace earlier versions of
+ * the same document), pending migrations are applied and the file is
+ * compacted to one line per document.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { collections, COLLECTION_KEYS, setWriter } from './memoryStore.js';
+import { SCHEMA_VERSION, runMigrations } from './migrations.js';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Restore Date fields, which JSON stores as ISO strings
+const reviveDates = (key, value) => (typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value);
+
+/**
+ * Insert or replace a document in a collection
+ */
+function upsert(name, doc) {
+    const key = COLLECTION_KEYS[name];
+    const list = collections[name];
+    // Documents written before their key field existed are kept as separate entries
+    const index = doc[key] === undefined ? -1 : list.findIndex(d => d[key] === doc[key]);
+
+    if (index !== -1) {
+        list[index] = doc;
+    } else if (name === 'auditLogs') {
+        list.unshift(doc); // Newest first, as the audit repository keeps them
+    } else {
+        list.push(doc);
+    }
+}
+
+/**
+ * Rewrite the file as one line per document (atomic via rename)
+ */
+function writeSnapshot(dataFile) {
+    const lines = [JSON.stringify({ meta: { schemaVersion: SCHEMA_VERSION, writtenAt: new Date() } })];
+
+    Object.keys(COLLECTION_KEYS).forEach(name => {
+        // Audit logs are held newest first but replayed oldest first
+        const docs = name === 'auditLogs' ? [...collections[name]].reverse() : collections[name];
+        docs.forEach(doc => lines.push(JSON.stringify({ c: name, d: doc })));
+    });
+
+    const tempFile = `${dataFile}.tmp`;
+    fs.writeFileSync(tempFile, lines.join('\n') + '\n');
+    fs.renameSync(tempFile, dataFile);
+}
+
+/**
+ * Load the data file into the in-memory collections and log further writes
+ *
+ * @param {string} dataFile - Path of the JSON Lines file (created if missing)
+ * @returns {Object} { dataFile, schemaVersion, migrated, records }
+ */
+export function openFileStore(dataFile) {
+    fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+
+    const exists = fs.existsSync(dataFile);
+    let storedVersion = exists ? 0 : SCHEMA_VERSION; // Files without a header predate migrations
+    let lineCount = 0;
+
+    if (exists) {
+        const lines = fs.readFileSync(dataFile, 'utf8').split('\n').filter(Boolean);
+        lines.forEach((line, index) => {
+            let entry;
+            try {
+                entry = JSON.parse(line, reviveDates);
+            } catch (error) {
+                // A crash mid-append leaves at most a truncated last line
+                console.warn(`[Storage] Skipping unreadable line ${index + 1} of ${dataFile}`);
+                return;
+            }
+
+            if (entry.meta) {
+                storedVersion = entry.meta.schemaVersion ?? storedVersion;
+            } else if (COLLECTION_KEYS[entry.c] && entry.d) {
+                upsert(entry.c, entry.d);
+                lineCount += 1;
+            }
+        });
+    }
+
+    const migrated = runMigrations(collections, storedVersion);
+    const records = Object.keys(COLLECTION_KEYS).reduce((sum, name) => sum + collections[name].length, 0);
+
+    // Compact superseded versions; also writes the header for new or migrated files
+    if (!exists || migrated.length || lineCount > records) {
+        writeSnapshot(dataFile);
+    }
+
+    setWriter((name, doc) => {
+        fs.appendFileSync(dataFile, JSON.stringify({ c: name, d: doc }) + '\n');
+    });
+
+    console.log(`[Storage] File store ${dataFile}: ${records} record(s), schema v${SCHEMA_VERSION}`);
+
+    return {
+        dataFile,
+        schemaVersion: SCHEMA_VERSION,
+        migrated: migrated.map(m => m.version),
+        records,
+    };
+}
+
+export default openFileStore;
@@ -0,0 +1,40 @@
+/**
+ * Impact Repository
+ *
+ * Portfolio impact metrics per borrower, from MongoDB or the in-memory store.
+ */
+
+import ImpactMetrics from '../models/ImpactMetrics.js';
+import { collections, persist, validateDocument } from './memoryStore.js';
+import { selectRepository } from './selectRepository.js';
+
+export const mongoImpactRepository = {
+    findByUser: (userId) => ImpactMetrics.findOne({ userId }).select('-_id -__v').lean(),
+
+    save: (metrics) => ImpactMetrics.findOneAndUpdate(
+        { userId: metrics.userId },
+        { ...metrics, updatedAt: new Date() },
+        { upsert: true, new: true }
+    ).select('-_id -__v').lean(),
+};
+
+export const memoryImpactRepository = {
+    findByUser: async (userId) =>
+        collections.impactMetrics.find(m => m.userId === userId) || null,
+
+    save: async (metrics) => {
+        const stored = { ...metrics, updatedAt: new Date() };
+        validateDocument(ImpactMetrics, stored);
+        const index = collections.impactMetrics.findIndex(m => m.userId === metrics.userId);
+        if (index === -1) {
+            collections.impactMetrics.push(stored);
+        } else {
+            collections.impactMetrics[index] = stored;
+        }
+        return persist('impactMetrics', stored);
+    },
+};
+
+export const impactRepository = selectRepository(mongoImpactRepository, memoryImpactRepository);
+
+export default impactRepository;
@@ -0,0 +1,15 @@
+/**
+ * Repositories
+ *
+ * One repository per aggregate, each backed by MongoDB when connected and
+ * by the in-memory store otherwise (see selectRepository.js).
+ */
+
+export { userRepository } from './userRepository.js';
+export { loanRepository } from './loanRepository.js';
+export { approvalRepository } from './approvalRepository.js';
+export { verificationRepository } from './verificationRepository.js';
+export { impactRepository } from './impactRepository.js';
+export { auditRepository } from './auditRepository.js';
+export { scoringRuleRepository } from './scoringRuleRepository.js';
+export { registryRepository } from './registryRepository.js';
@@ -0,0 +1,77 @@
+/**
+ * Loan Repository
+ *
+ * Loan applications from MongoDB or the in-memory store. Queries are
+ * plain equality filters (array values match any of the listed values).
+ */
+
+import mongoose from 'mongoose';
+import LoanApplication from '../models/LoanApplication.js';
+import { DEFAULT_INTEREST_RATE } from '../config/loans.js';
+import { collections, persist, validateDocument, matches, project, sortBy } from './memoryStore.js';
+import { selectRepository, toMongoFilter } from './selectRepository.js';
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+export const mongoLoanRepository = {
+    // By MongoDB _id or loanId
+    findById: (id) => LoanApplication.findOne({
+        $or: [
+            { _id: OBJECT_ID.test(id) ? id : null },
+            { loanId: id }
+        ]
+    }),
+
+    // With select (a field list), plain partial loans that cannot be saved
+    find: (query = {}, { sort = { appliedAt: -1 }, select } = {}) => {
+        const loans = LoanApplication.find(toMongoFilter(query)).sort(sort);
+        return select ? loans.select(select).lean() : loans;
+    },
+
+    create: (data) => LoanApplication.create(data),
+
+    save: (loan) => loan.save(),
+};
+
+export const memoryLoanRepository = {
+    findById: async (id) =>
+        collections.loans.find(l => l.loanId === id || l._id === id) || null,
+
+    find: async (query = {}, { sort = { appliedAt: -1 }, select } = {}) => {
+        const loans = sortBy(collections.loans.filter(l => matches(l, query)), sort);
+        return select ? loans.map(loan => project(loan, select)) : loans;
+    },
+
+    // Mirrors the LoanApplication schema defaults and loanId format
+    create: async (data) => {
+        const prefix = `TL-${new Date().getFullYear()}-`;
+        const count = collections.loans.filter(l => l.loanId?.startsWith(prefix)).length;
+        const now = new Date();
+
+        const loan = {
+            _id: new mongoose.Types.ObjectId().toString(),
+            loanId: `${prefix}${String(count + 1).padStart(3, '0')}`,
+            interestRate: DEFAULT_INTEREST_RATE,
+            repaymentProgress: 0,
+            assetClassification: 'standard',
+            payments: [],
+            ...data,
+            statusHistory: (data.statusHistory || []).map(entry => ({ changedAt: now, ...entry })),
+            appliedAt: now,
+            updatedAt: now,
+        };
+        validateDocument(LoanApplication, loan);
+        collections.loans.push(loan);
+        return persist('loans', loan);
+    },
+
+    save: async (loan) => {
+        validateDocument(LoanApplication, loan);
+        loan.updatedAt = new Date();
+        return persist('loans', loan);
+    },
+};
+
+export const loanRepository = selectRepository(mongoLoanRepository, memoryLoanRepository);
+
+export default loanRepository;
@@ -0,0 +1,280 @@
+/**
+ * In-Memory Data Store
+ *
+ * Backing collections for the in-memory repositories, used when MongoDB
+ * is unavailable. Repositories are the only code that should touch these.
+ *
+ * On its own the store is demo-only and lost on restart; the file backend
+ * (fileStore.js) loads it from disk and appends every write to a log.
+ */
+
+export const collections = {
+    users: [],
+    loans: [],
+    approvals: [],
+    verifications: [],
+    impactMetrics: [],
+    auditLogs: [],
+    scoringRules: [],
+    registry: [],
+};
+
+// Field that identifies a document in each collection
+export const COLLECTION_KEYS = {
+    users: '_id',
+    loans: '_id',
+    approvals: 'approvalId',
+    verifications: 'runId',
+    impactMetrics: 'userId',
+    auditLogs: 'txHash',
+    scoringRules: 'version',
+    registry: 'entryId',
+};
+
+// Called with (collection, doc) after every write; set by the file store
+let writer = null;
+
+/**
+ * Register the function that persists writes (null to disable)
+ */
+export function setWriter(fn) {
+    writer = fn;
+}
+
+/**
+ * Record a created or updated document
+ *
+ * @param {string} collection - Collection name
+ * @param {Object} doc - Full document after the change
+ * @returns {Object} The document
+ */
+export function persist(collection, doc) {
+    if (writer) writer(collection, doc);
+    return doc;
+}
+
+/**
+ * Validate a document against the Mongoose model MongoDB mode stores it with
+ * Throws the model's ValidationError, as Model.create() or save() would.
+ *
+ * @param {mongoose.Model} Model - e.g. LoanApplication
+ * @param {Object} doc - Document about to be stored
+ */
+export function validateDocument(Model, doc) {
+    const error = new Model(doc).validateSync();
+    if (error) throw error;
+}
+
+/**
+ * Read a (possibly dotted) field path from a document
+ */
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Check a document against an equality query
+ * Array values match any of the listed values; undefined values are ignored.
+ *
+ * @param {Object} doc - Stored document
+ * @param {Object} query - e.g. { user: 'u1', status: ['active', 'completed'] }
+ * @returns {boolean} True if every field matches
+ */
+export function matches(doc, query = {}) {
+    return Object.entries(query).every(([path, expected]) => {
+        if (expected === undefined) return true;
+        const value = getPath(doc, path);
+        return Array.isArray(expected) ? expected.includes(value) : value === expected;
+    });
+}
+
+/**
+ * Nest a space-separated field list, e.g. 'a b.c b.d' -> { a: true, b: { c: true, d: true } }
+ */
+function fieldTree(select) {
+    const tree = {};
+    select.split(/\s+/).filter(Boolean).forEach(path => {
+        const keys = path.split('.');
+        let node = tree;
+        keys.slice(0, -1).forEach(key => { node = node[key] = node[key] || {}; });
+        node[keys[keys.length - 1]] = true;
+    });
+    return tree;
+}
+
+const pickTree = (value, tree) => {
+    if (tree === true || value === null || typeof value !== 'object' || value instanceof Date) return value;
+    if (Array.isArray(value)) return value.map(item => pickTree(item, tree));
+    const picked = {};
+    Object.entries(tree).forEach(([key, subtree]) => {
+        if (value[key] !== undefined) picked[key] = pickTree(value[key], subtree);
+    });
+    return picked;
+};
+
+/**
+ * Copy the listed fields of a document, like a Mongo projection
+ * Dotted paths reach into arrays of subdocuments; _id is always kept.
+ *
+ * @param {Object} doc - Stored document
+ * @param {string} select - e.g. 'loanId milestones.evidence.sha256'
+ * @returns {Object} Partial copy
+ */
+export function project(doc, select) {
+    return { _id: doc._id, ...pickTree(doc, fieldTree(select)) };
+}
+
+/**
+ * Sort documents by a Mongo-style sort spec, e.g. { appliedAt: -1 }
+ *
+ * @param {Array<Object>} docs - Documents to sort (not mutated)
+ * @param {Object} sort - Field to direction (1 or -1)
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortBy(docs, sort = {}) {
+    const fields = Object.entries(sort);
+    return [...docs].sort((a, b) => {
+        for (const [path, direction] of fields) {
+            const left = getPath(a, path);
+            const right = getPath(b, path);
+            if (left === right) continue;
+            if (left === undefined || left === null) return 1;
+            if (right === undefined || right === null) return -1;
+            return (left < right ? -1 : 1) * direction;
+        }
+        return 0;
+    });
+}
+
+// ObjectId-shaped, like the ids of stored users
+const DEMO_USER_ID = '65a1f0c2e4b0a1d2c3f40001';
+
+/**
+ * Seed the demo borrower, loans, verification and impact metrics
+ */
+export function initializeDemoData() {
+    collections.users.push({
+        _id: DEMO_USER_ID,
+        email: 'rajesh@greensolutions.in',
+        role: 'borrower',
+    });
+
+    collections.loans.push(
+        {
+            _id: '65a1f0c2e4b0a1d2c3f40011',
+            loanId: 'TL-2025-001',
+            user: DEMO_USER_ID,
+            status: 'active',
+            loanAmount: 1500000,
+            tenure: 36,
+            greenObjective: 'solar',
+            businessName: 'Green Energy Solutions Pvt Ltd',
+            businessType: 'pvt_ltd',
+            annualTurnover: '5000000',
+            yearsInBusiness: 5,
+            projectLocation: 'Mumbai, Maharashtra',
+            projectDescription: '50kW rooftop solar installation for manufacturing unit',
+            aiScore: 82,
+            sustainabilityClass: 'high',
+            disbursedDate: new Date('2025-01-15'),
+            nextPaymentDate: new Date('2025-03-01'),
+            nextPaymentAmount: 45000,
+            repaymentProgress: 35,
+            assetClassification: 'standard',
+            payments: [],
+            appliedAt: new Date('2025-01-10T10:00:00Z'),
+            updatedAt: new Date('2025-02-01T14:30:00Z'),
+        },
+        {
+            _id: '65a1f0c2e4b0a1d2c3f40012',
+            loanId: 'TL-2024-042',
+            user: DEMO_USER_ID,
+            status: 'completed',
+            loanAmount: 500000,
+            tenure: 12,
+            greenObjective: 'ev',
+            businessName: 'Green Energy Solutions Pvt Ltd',
+            disbursedDate: new Date('2024-06-20'),
+            completedDate: new Date('2025-01-20'),
+            repaymentProgress: 100,
+            assetClassification: 'standard',
+            payments: [],
+            appliedAt: new Date('2024-06-15T09:00:00Z'),
+            updatedAt: new Date('2025-01-20T16:00:00Z'),
+        }
+    );
+
+    collections.verifications.push({
+        runId: 'TL-2025-001-V1',
+        loanId: 'TL-2025-001',
+        runNumber: 1,
+        methodology: 'TerraLend Enhanced AI v2.0',
+        methodologyVersion: '2.0',
+        inputs: {
+            greenObjective: 'solar',
+            annualTurnover: '5000000',
+            yearsInBusiness: 5,
+            projectLocation: 'Mumbai, Maharashtra',
+            projectDescription: '50kW rooftop solar installation for manufacturing unit',
+            loanAmount: 1500000,
+        },
+        completed: true,
+        greenScore: 82,
+        sustainabilityClass: 'high',
+        reasoning: {
+            cash_flow: 'stable',
+            project_type: 'solar',
+            climate_risk: 'low',
+            emission_reduction: 'significant',
+        },
+        greenwashingCheck: {
+            passed: true,
+            confidenceScore: 95,
+        },
+        climateRisk: {
+            level: 'low',
+            notes: 'Favorable climate conditions for solar installation.',
+        },
+        completedAt: new Date('2025-01-10T12:00:00Z'),
+    });
+
+    collections.impactMetrics.push({
+        userId: DEMO_USER_ID,
+        co2Saved: 12500,
+        energyGenerated: 45000,
+        waterSaved: 250000,
+        jobsCreated: 15,
+        financialSavings: 850000,
+        treesEquivalent: 570,
+        monthlyData: [
+            { month: 'Sep', co2: 1200, energy: 4200 },
+            { month: 'Oct', co2: 1350, energy: 4500 },
+            { month: 'Nov', co2: 1500, energy: 4800 },
+            { month: 'Dec', co2: 1600, energy: 5000 },
+            { month: 'Jan', co2: 1800, energy: 5200 },
+            { month: 'Feb', co2: 1900, energy: 5500 },
+        ],
+        impactByCategory: {
+            solar: 65,
+            ev: 20,
+            waste: 10,
+            water: 5,
+        },
+        certifications: [
+            { name: 'Climate Finance Taxonomy 2025', status: 'verified' },
+            { name: 'GRI Standards Compliant', status: 'verified' },
+            { name: 'MNRE Verified Project', status: 'verified' },
+        ],
+    });
+
+    console.log('[DataStore] Demo data initialized');
+}
+
+export default {
+    collections,
+    COLLECTION_KEYS,
+    setWriter,
+    persist,
+    validateDocument,
+    matches,
+    project,
+    sortBy,
+};
@@ -0,0 +1,108 @@
+/**
+ * File Store Migrations
+ *
+ * Schema migrations for data kept by the file backend. Each migration
+ * upgrades the loaded collections in place from the previous version;
+ * the file store then rewrites the log at the new version. Append new
+ * migrations to the end with the next version number.
+ */
+
+import mongoose from 'mongoose';
+import { LEGACY_ROLES } from '../config/permissions.js';
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Replace every string in a document that is a key of the id map
+ */
+function remapIds(value, ids) {
+    if (typeof value === 'string') return ids.get(value) ?? value;
+    if (Array.isArray(value)) return value.map(item => remapIds(item, ids));
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        Object.keys(value).forEach(key => { value[key] = remapIds(value[key], ids); });
+    }
+    return value;
+}
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Map legacy user roles onto the permission matrix roles',
+        up: ({ users }) => {
+            users.forEach(user => {
+                if (LEGACY_ROLES[user.role]) user.role = LEGACY_ROLES[user.role];
+            });
+        },
+    },
+    {
+        version: 2,
+        description: 'Classify loans without an asset classification as standard',
+        up: ({ loans }) => {
+            loans.forEach(loan => {
+                if (!loan.assetClassification) loan.assetClassification = 'standard';
+            });
+        },
+    },
+    {
+        version: 3,
+        description: 'Number stored verification results as runs of their loan',
+        up: ({ verifications }) => {
+            const runCounts = {};
+            verifications
+                .filter(v => !v.runId)
+                .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+                .forEach(v => {
+                    runCounts[v.loanId] = (runCounts[v.loanId] || 0) + 1;
+                    v.runNumber = runCounts[v.loanId];
+                    v.runId = `${v.loanId}-V${v.runNumber}`;
+                    v.methodologyVersion = v.methodologyVersion || 'unversioned';
+                    v.inputs = v.inputs || {};
+                });
+        },
+    },
+    {
+        version: 4,
+        description: 'Give users and loans with timestamp ids ObjectId ids',
+        // Audit logs keep the ids they were recorded with
+        up: (collections) => {
+            const ids = new Map();
+            [...collections.users, ...collections.loans]
+                .filter(doc => typeof doc._id === 'string' && !OBJECT_ID.test(doc._id))
+                .forEach(doc => ids.set(doc._id, new mongoose.Types.ObjectId().toString()));
+            if (!ids.size) return;
+
+            Object.keys(collections)
+                .filter(name => name !== 'auditLogs')
+                .forEach(name => collections[name].forEach(doc => remapIds(doc, ids)));
+        },
+    },
+];
+
+// Version written by this build
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply every migration newer than a stored schema version
+ *
+ * @param {Object} collections - Loaded collections (mutated)
+ * @param {number} fromVersion - Schema version the data was written at
+ * @returns {Array<Object>} Migrations applied, oldest first
+ */
+export function runMigrations(collections, fromVersion) {
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`Data file is at schema version ${fromVersion}, newer than this server (${SCHEMA_VERSION})`);
+    }
+
+    const pending = MIGRATIONS.filter(m => m.version > fromVersion);
+    pending.forEach(migration => {
+        console.log(`[Storage] Migrating to v${migration.version}: ${migration.description}`);
+        migration.up(collections);
+    });
+    return pending;
+}
+
+export default {
+    MIGRATIONS,
+    SCHEMA_VERSION,
+    runMigrations,
+};
@@ -0,0 +1,53 @@
+/**
+ * Registry Repository
+ *
+ * Vendor and certification registry entries, from MongoDB or the
+ * in-memory store. Entries are identified by their entryId.
+ */
+
+import RegistryEntry from '../models/RegistryEntry.js';
+import { collections, persist, validateDocument, matches, sortBy } from './memoryStore.js';
+import { selectRepository, toMongoFilter } from './selectRepository.js';
+
+export const mongoRegistryRepository = {
+    findById: (entryId) => RegistryEntry.findOne({ entryId }).select('-_id -__v').lean(),
+
+    // Grouped by type, then by name
+    find: (query = {}) => RegistryEntry.find(toMongoFilter(query)).sort({ type: 1, name: 1 }).select('-_id -__v').lean(),
+
+    create: async (entry) => {
+        validateDocument(RegistryEntry, entry);
+        const { _id, __v, ...stored } = (await RegistryEntry.create(entry)).toObject();
+        return stored;
+    },
+
+    save: (entry) => RegistryEntry.findOneAndUpdate(
+        { entryId: entry.entryId },
+        entry,
+        { new: true }
+    ).select('-_id -__v').lean(),
+};
+
+export const memoryRegistryRepository = {
+    findById: async (entryId) =>
+        collections.registry.find(e => e.entryId === entryId) || null,
+
+    find: async (query = {}) =>
+        sortBy(collections.registry.filter(e => matches(e, query)), { type: 1, name: 1 }),
+
+    create: async (entry) => {
+        collections.registry.push(entry);
+        return persist('registry', entry);
+    },
+
+    save: async (entry) => {
+        validateDocument(RegistryEntry, entry);
+        const index = collections.registry.findIndex(e => e.entryId === entry.entryId);
+        if (index !== -1) collections.registry[index] = entry;
+        return persist('registry', entry);
+    },
+};
+
+export const registryRepository = selectRepository(mongoRegistryRepository, memoryRegistryRepository);
+
+export default registryRepository;
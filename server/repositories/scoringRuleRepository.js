@@ -0,0 +1,94 @@
+/**
+ * Scoring Rule Repository
+ *
+ * Published green scoring rule sets, from MongoDB or the in-memory store.
+ * Rule sets are identified by their version.
+ */
+
+import ScoringRuleSet from '../models/ScoringRuleSet.js';
+import { collections, persist, validateDocument, sortBy } from './memoryStore.js';
+import { selectRepository } from './selectRepository.js';
+
+export const mongoScoringRuleRepository = {
+    findByVersion: (version) => ScoringRuleSet.findOne({ version }).select('-_id -__v').lean(),
+
+    findActive: () => ScoringRuleSet.findOne({ active: true }).select('-_id -__v').lean(),
+
+    // Newest first
+    find: () => ScoringRuleSet.find().sort({ publishedAt: -1 }).select('-_id -__v').lean(),
+
+    create: async (ruleSet) => {
+        const { _id, __v, ...stored } = (await ScoringRuleSet.create(ruleSet)).toObject();
+        return stored;
+    },
+
+    save: (ruleSet) => ScoringRuleSet.findOneAndUpdate(
+        { version: ruleSet.version },
+        ruleSet,
+        { new: true }
+    ).select('-_id -__v').lean(),
+
+    // One pipeline update: the target gets its activation fields, every other
+    // active version is switched off, so there is never a moment with none or two
+    activate: async ({ version, ...changes }) => {
+        const isTarget = { $eq: ['$version', version] };
+        const fields = Object.entries(changes).filter(([, value]) => value !== undefined);
+
+        await ScoringRuleSet.updateMany(
+            { $or: [{ version }, { active: true }] },
+            [{
+                $set: {
+                    active: isTarget,
+                    ...Object.fromEntries(fields.map(([key, value]) =>
+                        [key, { $cond: [isTarget, { $literal: value }, `$${key}`] }])),
+                }
+            }],
+            { updatePipeline: true }
+        );
+        return mongoScoringRuleRepository.findByVersion(version);
+    },
+};
+
+export const memoryScoringRuleRepository = {
+    findByVersion: async (version) =>
+        collections.scoringRules.find(r => r.version === version) || null,
+
+    findActive: async () =>
+        collections.scoringRules.find(r => r.active) || null,
+
+    find: async () => sortBy(collections.scoringRules, { publishedAt: -1 }),
+
+    create: async (ruleSet) => {
+        validateDocument(ScoringRuleSet, ruleSet);
+        collections.scoringRules.push(ruleSet);
+        return persist('scoringRules', ruleSet);
+    },
+
+    save: async (ruleSet) => {
+        validateDocument(ScoringRuleSet, ruleSet);
+        const index = collections.scoringRules.findIndex(r => r.version === ruleSet.version);
+        if (index !== -1) collections.scoringRules[index] = ruleSet;
+        return persist('scoringRules', ruleSet);
+    },
+
+    activate: async ({ version, ...changes }) => {
+        const target = collections.scoringRules.find(r => r.version === version);
+        if (!target) return null;
+
+        collections.scoringRules.forEach(r => {
+            if (r.active && r !== target) {
+                r.active = false;
+                persist('scoringRules', r);
+            }
+        });
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value !== undefined) target[key] = value;
+        });
+        target.active = true;
+        return persist('scoringRules', target);
+    },
+};
+
+export const scoringRuleRepository = selectRepository(mongoScoringRuleRepository, memoryScoringRuleRepository);
+
+export default scoringRuleRepository;
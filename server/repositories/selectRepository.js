@@ -0,0 +1,39 @@
+/**
+ * Repository Selection
+ *
+ * Routes depend on one repository per aggregate. Each call is dispatched
+ * to the MongoDB implementation while the database is connected and to
+ * the in-memory implementation otherwise, so a dropped connection falls
+ * back to demo mode without any branching in the callers.
+ */
+
+import { isDbConnected } from '../config/db.js';
+
+/**
+ * Build a repository that delegates to the active implementation
+ *
+ * @param {Object} mongo - MongoDB implementation
+ * @param {Object} memory - In-memory implementation (same method names)
+ * @returns {Object} Repository with the same interface
+ */
+export function selectRepository(mongo, memory) {
+    return Object.fromEntries(Object.keys(memory).map(method => [
+        method,
+        (...args) => (isDbConnected() ? mongo : memory)[method](...args),
+    ]));
+}
+
+/**
+ * Convert an equality query into a MongoDB filter
+ * Array values become $in; undefined values are dropped.
+ *
+ * @param {Object} query - e.g. { user: 'u1', status: ['active', 'completed'] }
+ * @returns {Object} MongoDB filter
+ */
+export function toMongoFilter(query = {}) {
+    return Object.fromEntries(Object.entries(query)
+        .filter(([, value]) => value !== undefined)
+        .map(([path, value]) => [path, Array.isArray(value) ? { $in: value } : value]));
+}
+
+export default selectRepository;
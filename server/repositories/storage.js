@@ -0,0 +1,51 @@
+/**
+ * Storage Initialisation
+ *
+ * Opens the configured storage backend (see config/storage.js) when the
+ * server starts.
+ */
+
+import connectDB, { isDbConnected } from '../config/db.js';
+import { getStorageConfig } from '../config/storage.js';
+import { initializeDemoData } from './memoryStore.js';
+import { openFileStore } from './fileStore.js';
+import { seedDemoData } from '../services/blockchainService.js';
+
+let activeBackend = null;
+
+/**
+ * Open the configured backend
+ * The file backend starts from its data file; the other backends get the
+ * in-memory demo data, which MongoDB mode falls back to if unreachable.
+ *
+ * @returns {Promise<string>} Backend in use: 'mongo', 'file' or 'memory'
+ */
+export async function initStorage() {
+    const { backend, dataFile } = getStorageConfig();
+    activeBackend = backend;
+
+    if (backend === 'file') {
+        openFileStore(dataFile);
+        return backend;
+    }
+
+    initializeDemoData();
+    seedDemoData();
+
+    if (backend === 'mongo') {
+        await connectDB();
+    } else {
+        console.log('[Storage] Using In-Memory Mode (Demo)');
+    }
+    return backend;
+}
+
+/**
+ * Human-readable name of the storage in use, for health checks
+ */
+export function describeStorage() {
+    if (activeBackend === 'file') return 'File';
+    return isDbConnected() ? 'MongoDB' : 'In-Memory';
+}
+
+export default initStorage;
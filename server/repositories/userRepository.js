@@ -0,0 +1,90 @@
+/**
+ * User Repository
+ *
+ * Users and their business profile snapshot, from MongoDB or the
+ * in-memory store.
+ */
+
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import BusinessProfile from '../models/BusinessProfile.js';
+import { collections, persist, validateDocument } from './memoryStore.js';
+import { selectRepository } from './selectRepository.js';
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+export const mongoUserRepository = {
+    // Without the password hash
+    findById: (id) => User.findById(id).select('-password'),
+
+    findByEmail: (email, { withPassword = false } = {}) => {
+        const query = User.findOne({ email: String(email).toLowerCase() });
+        return withPassword ? query.select('+password') : query;
+    },
+
+    findByIdOrEmail: (idOrEmail) => User.findOne({
+        $or: [
+            { _id: OBJECT_ID.test(idOrEmail) ? idOrEmail : null },
+            { email: String(idOrEmail).toLowerCase() }
+        ]
+    }),
+
+    hasRole: async (role) => !!(await User.exists({ role })),
+
+    create: (data) => User.create(data),
+
+    save: (user) => user.save(),
+
+    matchPassword: (user, password) => user.matchPassword(password),
+
+    findBusinessProfile: (userId) => BusinessProfile.findOne({ user: userId }),
+};
+
+export const memoryUserRepository = {
+    // Clone without the password, exposing _id as id like a Mongoose document
+    findById: async (id) => {
+        const user = collections.users.find(u => u._id === id);
+        if (!user) return null;
+        const { password, ...userWithoutPassword } = user;
+        return { ...userWithoutPassword, id: user._id };
+    },
+
+    findByEmail: async (email) =>
+        collections.users.find(u => u.email === String(email).toLowerCase()) || null,
+
+    findByIdOrEmail: async (idOrEmail) =>
+        collections.users.find(u => u._id === idOrEmail || u.email === String(idOrEmail).toLowerCase()) || null,
+
+    hasRole: async (role) => collections.users.some(u => u.role === role),
+
+    // Hashed like the User model, since the file backend writes users to disk;
+    // validated first, as the model checks the plain password
+    create: async (data) => {
+        const user = {
+            _id: new mongoose.Types.ObjectId().toString(),
+            ...data,
+            email: String(data.email).toLowerCase(),
+            createdAt: new Date(),
+        };
+        validateDocument(User, user);
+        user.password = await bcrypt.hash(String(data.password), 10);
+        collections.users.push(user);
+        return persist('users', user);
+    },
+
+    save: async (user) => {
+        validateDocument(User, user);
+        return persist('users', user);
+    },
+
+    matchPassword: async (user, password) =>
+        !!password && !!user.password && bcrypt.compare(password, user.password),
+
+    // Business profiles are only kept in MongoDB
+    findBusinessProfile: async () => null,
+};
+
+export const userRepository = selectRepository(mongoUserRepository, memoryUserRepository);
+
+export default userRepository;
@@ -0,0 +1,51 @@
+/**
+ * Verification Repository
+ *
+ * AI verification runs, every run kept per loan, from MongoDB or the
+ * in-memory store. Runs are numbered per loan and identified as
+ * `<loanId>-V<runNumber>`.
+ */
+
+import Verification from '../models/Verification.js';
+import { collections, persist, validateDocument } from './memoryStore.js';
+import { selectRepository } from './selectRepository.js';
+
+export const mongoVerificationRepository = {
+    create: async (run) => (await Verification.create(run)).toObject({ versionKey: false }),
+
+    findLatest: (loanId) =>
+        Verification.findOne({ loanId }).sort({ runNumber: -1 }).select('-__v').lean(),
+
+    // Newest first
+    findByLoan: (loanId) =>
+        Verification.find({ loanId }).sort({ runNumber: -1 }).select('-__v').lean(),
+};
+
+const runsFor = (loanId) => collections.verifications
+    .filter(v => v.loanId === loanId)
+    .sort((a, b) => b.runNumber - a.runNumber);
+
+export const memoryVerificationRepository = {
+    // Mirrors the Verification model's run numbering
+    create: async (run) => {
+        const runNumber = runsFor(run.loanId).length + 1;
+        const stored = {
+            runId: `${run.loanId}-V${runNumber}`,
+            runNumber,
+            completed: true,
+            completedAt: new Date(),
+            ...run,
+        };
+        validateDocument(Verification, stored);
+        collections.verifications.push(stored);
+        return persist('verifications', stored);
+    },
+
+    findLatest: async (loanId) => runsFor(loanId)[0] || null,
+
+    findByLoan: async (loanId) => runsFor(loanId),
+};
+
+export const verificationRepository = selectRepository(mongoVerificationRepository, memoryVerificationRepository);
+
+export default verificationRepository;
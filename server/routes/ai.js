@@ -8,9 +8,61 @@
 import express from 'express';
 import { extractClaim, isLLMEnabled } from '../services/aiExtractionService.js';
 import { calculateExtractionConfidence, getConfidenceLevel } from '../services/confidenceService.js';
+import { extractDocumentText, PARSEABLE_CONTENT_TYPES } from '../services/documentParsingService.js';
+import { hasValidSignature } from '../services/documentService.js';
+import { parseUpload } from '../middleware/uploadMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
+/**
+ * Extract a claim from text and send it with its confidence
+ *
+ * @param {Object} document - How an uploaded document was read (omitted for typed text)
+ */
+async function respondWithClaim(res, text, document) {
+    if (!text || typeof text !== 'string') {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: 'Request body must include "text" field with string value'
+        });
+    }
+
+    if (text.trim().length < 10) {
+        return res.status(400).json({
+            error: 'Text too short',
+            message: 'Please provide a more detailed sustainability description'
+        });
+    }
+
+    // Extract claim using appropriate mode
+    const extractedClaim = await extractClaim(text);
+
+    // Calculate extraction confidence
+    const confidenceResult = calculateExtractionConfidence(extractedClaim);
+
+    // Determine which mode was used
+    const mode = isLLMEnabled() ? 'llm' : 'mock';
+
+    // Log extraction for governance/audit
+    console.log(`[AI Extraction] Mode: ${mode}, Confidence: ${confidenceResult.confidence}`);
+
+    res.json({
+        success: true,
+        extracted_claim: extractedClaim,
+        extraction_confidence: {
+            confidence: confidenceResult.confidence,
+            level: getConfidenceLevel(confidenceResult.confidence),
+            signals: confidenceResult.signals,
+            completeness: confidenceResult.completeness
+        },
+        mode,
+        original_text: text,
+        ...(document && { document }),
+        timestamp: new Date().toISOString()
+    });
+}
+
 /**
  * POST /api/ai/extract-claim
  * 
@@ -24,7 +76,7 @@ const router = express.Router();
  * 
  * Response:
  * {
- *   "extracted_claim": { ... },
+ *   "extracted_claim": { ..., "vendor_gstin": "...", "line_items": [...] },
  *   "extraction_confidence": { ... },
  *   "mode": "mock" | "llm",
  *   "original_text": "..."
@@ -32,48 +84,63 @@ const router = express.Router();
  */
 router.post('/extract-claim', async (req, res) => {
     try {
-        const { text } = req.body;
+        await respondWithClaim(res, req.body?.text);
+    } catch (error) {
+        console.error('AI extraction error:', error);
+        res.status(500).json({
+            error: 'Extraction failed',
+            message: error.message || 'An error occurred during AI extraction'
+        });
+    }
+});
 
-        if (!text || typeof text !== 'string') {
+/**
+ * POST /api/ai/extract-claim/document
+ * 
+ * Extract the same data from a quotation or invoice (multipart "file":
+ * PDF, JPEG, PNG or WebP). PDFs are read from their text layer; scans and
+ * photos are OCR'd, so this is limited to signed-in applicants and staff.
+ * 
+ * Response: as /extract-claim, plus
+ *   "document": { file_name, content_type, method, pages, total_pages, ocr_pages,
+ *                 ocr_skipped_pages, ocr_confidence }
+ */
+router.post('/extract-claim/document', protect, requirePermission('loans:create', 'loans:manage'), parseUpload, async (req, res) => {
+    try {
+        if (!req.file) {
             return res.status(400).json({
                 error: 'Invalid request',
-                message: 'Request body must include "text" field with string value'
+                message: 'Upload the document as a "file" field'
             });
         }
 
-        if (text.trim().length < 10) {
-            return res.status(400).json({
-                error: 'Text too short',
-                message: 'Please provide a more detailed sustainability description'
+        const { buffer, mimetype, originalname } = req.file;
+        if (!PARSEABLE_CONTENT_TYPES.includes(mimetype) || !hasValidSignature(buffer, mimetype)) {
+            return res.status(415).json({
+                error: 'Unsupported document',
+                message: `Upload a PDF or an image (${PARSEABLE_CONTENT_TYPES.join(', ')})`
             });
         }
 
-        // Extract claim using appropriate mode
-        const extractedClaim = await extractClaim(text);
-
-        // Calculate extraction confidence
-        const confidenceResult = calculateExtractionConfidence(extractedClaim);
-
-        // Determine which mode was used
-        const mode = isLLMEnabled() ? 'llm' : 'mock';
-
-        // Log extraction for governance/audit
-        console.log(`[AI Extraction] Mode: ${mode}, Confidence: ${confidenceResult.confidence}`);
-
-        res.json({
-            success: true,
-            extracted_claim: extractedClaim,
-            extraction_confidence: {
-                confidence: confidenceResult.confidence,
-                level: getConfidenceLevel(confidenceResult.confidence),
-                signals: confidenceResult.signals,
-                completeness: confidenceResult.completeness
-            },
-            mode,
-            original_text: text,
-            timestamp: new Date().toISOString()
-        });
+        const parsed = await extractDocumentText(buffer, mimetype);
+        if (!parsed.valid) {
+            return res.status(parsed.httpStatus).json({
+                error: 'Unreadable document',
+                message: parsed.error
+            });
+        }
+        console.log(`[AI Extraction] Parsed ${mimetype} (${parsed.method}, ${parsed.pages} page(s))`);
 
+        await respondWithClaim(res, parsed.text, {
+            file_name: originalname,
+            content_type: mimetype,
+            method: parsed.method,
+            pages: parsed.pages,
+            total_pages: parsed.totalPages,
+            ocr_pages: parsed.ocrPages,
+            ocr_skipped_pages: parsed.ocrSkippedPages,
+            ocr_confidence: parsed.ocrConfidence
+        });
     } catch (error) {
         console.error('AI extraction error:', error);
         res.status(500).json({
@@ -99,8 +166,13 @@ router.get('/status', (req, res) => {
             'extract_vendor',
             'extract_certifications',
             'extract_impact_metrics',
+            'extract_line_items',
+            'extract_vendor_gstin',
+            'document_text_extraction',
+            'document_ocr',
             'confidence_scoring'
         ],
+        supported_document_types: PARSEABLE_CONTENT_TYPES,
         supported_project_types: ['solar', 'ev', 'waste', 'energy_efficiency', 'water']
     });
 });
@@ -0,0 +1,239 @@
+/**
+ * Maker-Checker Approval Routes
+ *
+ * Two-signature approval for high-value loans. The maker proposes an
+ * approval; a different user with loans:approve confirms or declines it.
+ * Both signatures are recorded on the audit chain.
+ */
+
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { recordEvent } from '../services/blockchainService.js';
+import { loanRepository, approvalRepository } from '../repositories/index.js';
+import { resolveActor } from '../services/loanStateMachine.js';
+import { applyDecision } from '../services/underwritingService.js';
+import { proposeApproval, signAsChecker } from '../services/approvalService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/approvals
+ * List approval requests (optionally filtered by ?status= and ?loanId=)
+ */
+router.get('/', protect, requirePermission('loans:approve'), async (req, res) => {
+    try {
+        const { status, loanId } = req.query;
+        const approvals = await approvalRepository.find({ status, loanId });
+
+        res.json({
+            success: true,
+            count: approvals.length,
+            approvals
+        });
+    } catch (error) {
+        console.error('[Approvals] List error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch approvals'
+        });
+    }
+});
+
+/**
+ * GET /api/approvals/:approvalId
+ * Get a single approval request
+ */
+router.get('/:approvalId', protect, requirePermission('loans:approve'), async (req, res) => {
+    try {
+        const approval = await approvalRepository.findById(req.params.approvalId);
+
+        if (!approval) {
+            return res.status(404).json({
+                success: false,
+                error: 'Approval not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            approval
+        });
+    } catch (error) {
+        console.error('[Approvals] Fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch approval'
+        });
+    }
+});
+
+/**
+ * POST /api/approvals
+ * Propose approval of a high-value loan (maker signature)
+ */
+router.post('/', protect, requirePermission('loans:approve'), async (req, res) => {
+    try {
+        const { loanId, comment } = req.body || {};
+        const loan = loanId ? await loanRepository.findById(loanId) : null;
+
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        const result = proposeApproval(loan, {
+            user: req.user,
+            comment,
+            pendingApproval: await approvalRepository.findOne({ loanId: loan.loanId, status: 'pending' }),
+        });
+
+        if (!result.valid) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const block = recordEvent({
+            eventType: 'approval_proposed',
+            loanId: loan.loanId,
+            description: `Maker ${req.user.email} proposed approval of ₹${loan.loanAmount.toLocaleString('en-IN')}: ${result.approval.maker.comment}`,
+            metadata: {
+                approvalId: result.approval.approvalId,
+                signature: 'maker',
+                signer: result.approval.maker,
+                aiRecommendation: loan.underwriting?.aiRecommendation,
+                aiScore: loan.aiScore,
+            },
+        });
+        result.approval.maker.txHash = block.txHash;
+
+        const approval = await approvalRepository.create(result.approval);
+
+        if (!loan.underwriting) loan.underwriting = {};
+        loan.underwriting.reviewStatus = 'awaiting_checker';
+        await loanRepository.save(loan);
+
+        res.status(201).json({
+            success: true,
+            approval,
+            txHash: block.txHash
+        });
+    } catch (error) {
+        console.error('[Approvals] Propose error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to propose approval'
+        });
+    }
+});
+
+/**
+ * Checker signature handler for confirm and decline
+ */
+const signAsCheckerHandler = (decision) => async (req, res) => {
+    try {
+        const { comment } = req.body || {};
+        const approval = await approvalRepository.findById(req.params.approvalId);
+
+        if (!approval) {
+            return res.status(404).json({
+                success: false,
+                error: 'Approval not found'
+            });
+        }
+
+        const loan = await loanRepository.findById(approval.loanId);
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        const signed = signAsChecker(approval, { user: req.user, comment, decision });
+        if (!signed.valid) {
+            return res.status(signed.httpStatus).json({
+                success: false,
+                error: signed.error
+            });
+        }
+
+        // The confirmed approval is the underwriting decision for the loan
+        let decisionRecord = null;
+        if (decision === 'confirm') {
+            const applied = applyDecision(loan, {
+                decision: 'approve',
+                comment: `Maker-checker approval ${approval.approvalId}: ${signed.checker.comment}`,
+                actor: resolveActor(req.user, loan),
+                userId: req.user.id,
+                makerCheckerApproved: true,
+            });
+
+            if (!applied.valid) {
+                return res.status(applied.httpStatus).json({
+                    success: false,
+                    error: applied.error
+                });
+            }
+            decisionRecord = applied.record;
+        } else {
+            if (!loan.underwriting) loan.underwriting = {};
+            loan.underwriting.reviewStatus = 'queued';
+        }
+
+        approval.checker = signed.checker;
+        approval.status = signed.status;
+        approval.resolvedAt = new Date();
+
+        const block = recordEvent({
+            eventType: decision === 'confirm' ? 'approval_confirmed' : 'approval_declined',
+            loanId: loan.loanId,
+            description: decision === 'confirm'
+                ? `Checker ${req.user.email} confirmed approval proposed by ${approval.maker.email}: ${approval.checker.comment}`
+                : `Checker ${req.user.email} declined approval proposed by ${approval.maker.email}: ${approval.checker.comment}`,
+            metadata: {
+                approvalId: approval.approvalId,
+                signature: 'checker',
+                signer: approval.checker,
+                maker: approval.maker,
+                aiRecommendation: loan.underwriting?.aiRecommendation,
+                aiScore: loan.aiScore,
+            },
+        });
+        approval.checker.txHash = block.txHash;
+        if (decisionRecord) decisionRecord.txHash = block.txHash;
+
+        await approvalRepository.save(approval);
+        await loanRepository.save(loan);
+
+        res.json({
+            success: true,
+            approval,
+            loan,
+            txHash: block.txHash
+        });
+    } catch (error) {
+        console.error('[Approvals] Checker error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to sign approval'
+        });
+    }
+};
+
+/**
+ * POST /api/approvals/:approvalId/confirm
+ * Confirm a pending approval (checker signature); approves the loan
+ */
+router.post('/:approvalId/confirm', protect, requirePermission('loans:approve'), signAsCheckerHandler('confirm'));
+
+/**
+ * POST /api/approvals/:approvalId/decline
+ * Decline a pending approval (checker signature); the loan returns to the queue
+ */
+router.post('/:approvalId/decline', protect, requirePermission('loans:approve'), signAsCheckerHandler('decline'));
+
+export default router;
@@ -6,10 +6,10 @@
 
 import express from 'express';
 import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
-import { protect } from '../middleware/authMiddleware.js';
-import { isDbConnected } from '../config/db.js';
-import { localUsers } from '../services/store.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { userRepository } from '../repositories/userRepository.js';
+import { DEFAULT_ROLE } from '../config/permissions.js';
+import { normalizeRole, toAuthUser } from '../services/permissionService.js';
 
 const router = express.Router();
 
@@ -29,53 +29,25 @@ const generateToken = (id) => {
 router.post('/register', async (req, res) => {
     console.log('[Auth] Register request received');
     try {
-        const { email, password, role } = req.body;
+        const { email, password } = req.body;
+        // Everyone signs up as a borrower; the first admin is seeded at startup
+        // (see services/bootstrapService.js) and assigns staff roles
+        const role = DEFAULT_ROLE;
         console.log('[Auth] Processing registration for:', email);
 
-        if (isDbConnected()) {
-            console.log('[Auth] Using MongoDB');
-            // MongoDB Logic
-            const userExists = await User.findOne({ email });
-            if (userExists) {
-                return res.status(400).json({ success: false, error: 'User already exists' });
-            }
-
-            const user = await User.create({ email, password, role: role || 'user' });
-            const token = generateToken(user._id);
-
-            res.status(201).json({
-                success: true,
-                token,
-                user: { id: user._id, email: user.email, role: user.role }
-            });
-        } else {
-            console.log('[Auth] Using In-Memory Store');
-            // In-Memory Logic
-            if (localUsers.find(u => u.email === email)) {
-                return res.status(400).json({ success: false, error: 'User already exists' });
-            }
-
-            const newUser = {
-                _id: 'local_' + Date.now(),
-                email,
-                password, // Note: storing plain text in memory for demo only
-                role: role || 'user',
-                matchPassword: function (enteredPassword) { return enteredPassword === this.password; }
-            };
-
-            console.log('[Auth] Pushing to localUsers');
-            localUsers.push(newUser);
-
-            console.log('[Auth] Generating token');
-            const token = generateToken(newUser._id);
-
-            console.log('[Auth] Sending response');
-            res.status(201).json({
-                success: true,
-                token,
-                user: { id: newUser._id, email: newUser.email, role: newUser.role }
-            });
+        const userExists = await userRepository.findByEmail(email);
+        if (userExists) {
+            return res.status(400).json({ success: false, error: 'User already exists' });
         }
+
+        const user = await userRepository.create({ email, password, role });
+        const token = generateToken(user._id);
+
+        res.status(201).json({
+            success: true,
+            token,
+            user: toAuthUser(user)
+        });
     } catch (error) {
         console.error('[Auth] Registration error:', error);
 
@@ -115,16 +87,8 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ success: false, error: 'Please provide email and password' });
         }
 
-        let user;
-        let isMatch = false;
-
-        if (isDbConnected()) {
-            user = await User.findOne({ email }).select('+password');
-            if (user) isMatch = await user.matchPassword(password);
-        } else {
-            user = localUsers.find(u => u.email === email);
-            if (user) isMatch = user.password === password;
-        }
+        const user = await userRepository.findByEmail(email, { withPassword: true });
+        const isMatch = user ? await userRepository.matchPassword(user, password) : false;
 
         if (!user || !isMatch) {
             return res.status(401).json({ success: false, error: 'Invalid credentials' });
@@ -134,7 +98,7 @@ router.post('/login', async (req, res) => {
         res.json({
             success: true,
             token,
-            user: { id: user._id, email: user.email, role: user.role }
+            user: toAuthUser(user)
         });
     } catch (error) {
         console.error('[Auth] Login error:', error);
@@ -148,24 +112,46 @@ router.post('/login', async (req, res) => {
  */
 router.get('/me', protect, async (req, res) => {
     try {
-        if (isDbConnected()) {
-            const user = await User.findById(req.user.id);
-            res.json({
-                success: true,
-                user: { id: user._id, email: user.email, role: user.role }
-            });
-        } else {
-            const user = localUsers.find(u => u._id === req.user.id) || req.user; // req.user set by middleware
-            res.json({
-                success: true,
-                user: { id: user.id || user._id, email: user.email, role: user.role }
-            });
-        }
+        // req.user set by middleware
+        res.json({
+            success: true,
+            user: toAuthUser(req.user)
+        });
     } catch (error) {
         res.status(500).json({ success: false, error: 'Failed to get user' });
     }
 });
 
+/**
+ * PUT /api/auth/users/:id/role
+ * Assign a role to a user (by id or email)
+ */
+router.put('/users/:id/role', protect, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const role = normalizeRole(req.body?.role);
+
+        if (!role) {
+            return res.status(400).json({ success: false, error: `Unknown role: ${req.body?.role}` });
+        }
+
+        const user = await userRepository.findByIdOrEmail(id);
+
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        user.role = role;
+        await userRepository.save(user);
+
+        console.log(`[Auth] ${req.user.email} set role of ${user.email} to ${role}`);
+        res.json({ success: true, user: toAuthUser(user) });
+    } catch (error) {
+        console.error('[Auth] Role assignment error:', error);
+        res.status(500).json({ success: false, error: 'Failed to assign role' });
+    }
+});
+
 
 
 export default router;
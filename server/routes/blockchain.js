@@ -5,6 +5,7 @@
 
 import express from 'express';
 import { getAuditLogs, verifyTransaction, getBlockchainStats } from '../services/blockchainService.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -12,11 +13,11 @@ const router = express.Router();
  * GET /api/blockchain/audit
  * Get all audit logs
  */
-router.get('/audit', async (req, res) => {
+router.get('/audit', protect, requirePermission('audit:read'), async (req, res) => {
     try {
         const { loanId, eventType, limit } = req.query;
 
-        const logs = getAuditLogs({
+        const logs = await getAuditLogs({
             loanId,
             eventType,
             limit: limit ? parseInt(limit) : 50,
@@ -25,7 +26,7 @@ router.get('/audit', async (req, res) => {
         res.json({
             logs,
             total: logs.length,
-            blockchain: getBlockchainStats(),
+            blockchain: await getBlockchainStats(),
         });
     } catch (error) {
         console.error('Error fetching audit logs:', error);
@@ -37,11 +38,11 @@ router.get('/audit', async (req, res) => {
  * GET /api/blockchain/audit/:loanId
  * Get audit logs for a specific loan
  */
-router.get('/audit/:loanId', async (req, res) => {
+router.get('/audit/:loanId', protect, requirePermission('audit:read'), async (req, res) => {
     try {
         const { loanId } = req.params;
 
-        const logs = getAuditLogs({ loanId });
+        const logs = await getAuditLogs({ loanId });
 
         res.json({
             loanId,
@@ -56,13 +57,14 @@ router.get('/audit/:loanId', async (req, res) => {
 
 /**
  * GET /api/blockchain/verify/:txHash
- * Verify a transaction by hash
+ * Verify a transaction by hash (public, so anyone holding a hash can check it).
+ * Returns only the hash, event type and timestamp; the full record is on /audit.
  */
 router.get('/verify/:txHash', async (req, res) => {
     try {
         const { txHash } = req.params;
 
-        const result = verifyTransaction(txHash);
+        const result = await verifyTransaction(txHash);
 
         if (!result) {
             return res.status(404).json({
@@ -84,7 +86,7 @@ router.get('/verify/:txHash', async (req, res) => {
  */
 router.get('/stats', async (req, res) => {
     try {
-        const stats = getBlockchainStats();
+        const stats = await getBlockchainStats();
         res.json(stats);
     } catch (error) {
         console.error('Error fetching blockchain stats:', error);
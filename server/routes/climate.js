@@ -4,23 +4,48 @@
  */
 
 import express from 'express';
-import { assessClimateRisk } from '../services/aiScoringService.js';
+import { parseCoordinates } from '../services/aiScoringService.js';
+import { assessClimateRisk, projectClimateRisk } from '../services/climateRiskService.js';
 
 const router = express.Router();
 
+/**
+ * Read the location from a request body
+ * Returns { location } or { error, message } for a 400.
+ */
+function readLocation(body) {
+    const hasCoordinates = body.latitude !== undefined || body.longitude !== undefined;
+    const coordinates = parseCoordinates(body);
+
+    if (hasCoordinates && !coordinates) {
+        return {
+            error: 'Invalid coordinates',
+            message: 'latitude and longitude must both be decimal degrees',
+        };
+    }
+
+    if (!coordinates && !body.city && !body.district && !body.state) {
+        return {
+            error: 'Location required',
+            message: 'Please provide coordinates, city, district or state',
+        };
+    }
+
+    const { city, district, state } = body;
+    return { location: { city, district, state, ...coordinates } };
+}
+
 /**
  * POST /api/climate/risk
- * Assess climate risk for a location
+ * Assess climate risk for a location: per-hazard scores (0-1), aggregate
+ * index and level, with the dataset source and vintage.
+ * Body: { latitude, longitude } and/or { city, district, state }
  */
 router.post('/risk', async (req, res) => {
     try {
-        const location = req.body;
-
-        if (!location.city && !location.state) {
-            return res.status(400).json({
-                error: 'Location required',
-                message: 'Please provide city or state',
-            });
+        const { location, ...invalid } = readLocation(req.body || {});
+        if (!location) {
+            return res.status(400).json(invalid);
         }
 
         const assessment = assessClimateRisk(location);
@@ -32,6 +57,39 @@ router.post('/risk', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/climate/scenario
+ * Project climate risk across a loan tenure under an emissions scenario
+ * Body: location as for /risk, plus scenario (baseline | ssp245 | ssp585,
+ * default baseline) and tenureMonths (default 60)
+ */
+router.post('/scenario', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { location, ...invalid } = readLocation(body);
+        if (!location) {
+            return res.status(400).json(invalid);
+        }
+
+        const result = projectClimateRisk(location, {
+            scenario: body.scenario || undefined,
+            tenureMonths: body.tenureMonths ?? undefined,
+        });
+
+        if (!result.valid) {
+            return res.status(result.httpStatus).json({
+                error: 'Invalid scenario request',
+                message: result.error,
+            });
+        }
+
+        res.json(result.projection);
+    } catch (error) {
+        console.error('Error in climate scenario projection:', error);
+        res.status(500).json({ error: 'Climate scenario projection failed' });
+    }
+});
+
 /**
  * GET /api/climate/alerts
  * Get current climate alerts for India
@@ -0,0 +1,51 @@
+/**
+ * Geolocation Routes
+ * Offline reverse geocoding for the loan application location step
+ */
+
+import express from 'express';
+import { lookupLocation, getBoundarySource } from '../services/geoService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/geo/reverse?lat=9.93&lng=76.27
+ * Resolve coordinates to state, district and pincode region
+ */
+router.get('/reverse', (req, res) => {
+    try {
+        const { lat, lng } = req.query;
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lng);
+
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)
+            || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            return res.status(400).json({
+                success: false,
+                error: 'lat and lng must be decimal coordinates'
+            });
+        }
+
+        const location = lookupLocation(latitude, longitude);
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                error: 'Coordinates are outside the supported region (India)'
+            });
+        }
+
+        res.json({
+            success: true,
+            location,
+            source: getBoundarySource()
+        });
+    } catch (error) {
+        console.error('[Geo] Reverse geocoding error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Reverse geocoding failed'
+        });
+    }
+});
+
+export default router;
@@ -4,8 +4,10 @@
  */
 
 import express from 'express';
-import { impactMetrics, loans } from '../services/dataStore.js';
+import { loanRepository, impactRepository } from '../repositories/index.js';
 import { recordEvent } from '../services/blockchainService.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { canAccessLoan, canAccessUser } from '../services/permissionService.js';
 
 const router = express.Router();
 
@@ -13,17 +15,17 @@ const router = express.Router();
  * GET /api/impact/:loanId
  * Get impact metrics for a specific loan
  */
-router.get('/:loanId', async (req, res) => {
+router.get('/:loanId', protect, requirePermission('impact:read'), async (req, res) => {
     try {
         const { loanId } = req.params;
 
-        const loan = loans.get(loanId);
-        if (!loan) {
+        const loan = await loanRepository.findById(loanId);
+        if (!canAccessLoan(req.user, loan)) {
             return res.status(404).json({ error: 'Loan not found' });
         }
 
         // Generate loan-specific impact (simulated)
-        const monthsActive = Math.floor((Date.now() - new Date(loan.disbursedDate || loan.createdAt).getTime()) / (30 * 24 * 60 * 60 * 1000));
+        const monthsActive = Math.floor((Date.now() - new Date(loan.disbursedDate || loan.appliedAt).getTime()) / (30 * 24 * 60 * 60 * 1000));
 
         const impact = {
             loanId,
@@ -46,12 +48,16 @@ router.get('/:loanId', async (req, res) => {
  * GET /api/impact/portfolio/:userId
  * Get aggregated impact for user's portfolio
  */
-router.get('/portfolio/:userId', async (req, res) => {
+router.get('/portfolio/:userId', protect, requirePermission('impact:read'), async (req, res) => {
     try {
         const { userId } = req.params;
 
+        if (!canAccessUser(req.user, userId)) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
         // Get stored impact metrics or use defaults
-        let metrics = impactMetrics.get(userId);
+        let metrics = await impactRepository.findByUser(userId);
 
         if (!metrics) {
             // Generate default metrics for demo
@@ -96,12 +102,12 @@ router.get('/portfolio/:userId', async (req, res) => {
  * GET /api/impact/report/:loanId
  * Generate impact report (metadata for PDF generation)
  */
-router.get('/report/:loanId', async (req, res) => {
+router.get('/report/:loanId', protect, requirePermission('impact:read'), async (req, res) => {
     try {
         const { loanId } = req.params;
 
-        const loan = loans.get(loanId);
-        if (!loan) {
+        const loan = await loanRepository.findById(loanId);
+        if (!canAccessLoan(req.user, loan)) {
             return res.status(404).json({ error: 'Loan not found' });
         }
 
@@ -125,6 +131,10 @@ router.get('/report/:loanId', async (req, res) => {
                 'GRI Standards',
                 'TCFD Recommendations',
             ],
+            // Uploaded evidence, with the hashes anchored on the audit chain
+            evidenceDocuments: (loan.documents || []).map(({ documentId, type, fileName, sha256, uploadedAt, txHash }) => ({
+                documentId, type, fileName, sha256, uploadedAt, txHash,
+            })),
         };
 
         // Record report generation
@@ -6,92 +6,119 @@
  */
 
 import express from 'express';
-import LoanApplication from '../models/LoanApplication.js';
-import BusinessProfile from '../models/BusinessProfile.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { parseUpload } from '../middleware/uploadMiddleware.js';
+import { hasPermission, canAccessLoan, canAccessUser } from '../services/permissionService.js';
 import { recordEvent } from '../services/blockchainService.js';
-import { isDbConnected } from '../config/db.js';
-import { localLoans } from '../services/store.js';
+import { loanRepository, userRepository } from '../repositories/index.js';
+import { generateSchedule, summarizeSchedule } from '../services/amortizationService.js';
+import { DEFAULT_INTEREST_RATE } from '../config/loans.js';
+import { getTotalRepaid, summarizeRepayment, parsePaidAt, postPayment } from '../services/repaymentService.js';
+import { transitionLoan, resolveActor } from '../services/loanStateMachine.js';
+import { refreshDelinquency, summarizeDelinquency, runDelinquencyJob } from '../services/delinquencyService.js';
+import { buildMilestones, submitEvidence, reviewMilestone, releaseTranche, summarizeTranches } from '../services/trancheService.js';
+import { parseCoordinates } from '../services/aiScoringService.js';
+import { normalizeClaim } from '../services/aiExtractionService.js';
+import { validateUpload, buildDocument, verifyContent, presentDocument } from '../services/documentService.js';
+import { getDocumentStore } from '../repositories/documentStore.js';
 
 const router = express.Router();
 
+/**
+ * Plain-object view of a loan (Mongoose document or in-memory object)
+ */
+const toPlainLoan = (loan) => (loan.toObject ? loan.toObject() : loan);
+
+/**
+ * Portfolio summary for a list of loans
+ * totalRepaid is derived from each loan's repayment ledger
+ */
+const buildSummary = (loans) => ({
+    totalDisbursed: loans.reduce((sum, l) =>
+        ['active', 'completed'].includes(l.status) ? sum + (l.loanAmount || 0) : sum, 0),
+    activeLoans: loans.filter(l => l.status === 'active').length,
+    totalRepaid: loans.reduce((sum, l) => sum + getTotalRepaid(l.payments), 0),
+    upcomingPayment: loans.find(l => l.nextPaymentAmount)?.nextPaymentAmount || 0,
+    delinquency: summarizeDelinquency(loans)
+});
 
 /**
  * POST /api/loans
  * Submit a new loan application
  */
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, requirePermission('loans:create'), async (req, res) => {
     try {
         const userId = req.user.id;
         const loanData = req.body;
+        const loanAmount = parseFloat(String(loanData.loanAmount).replace(/,/g, '')) || 0;
+
+        // Optional milestone plan for staged (tranche) disbursement
+        let milestones;
+        if (loanData.milestones?.length) {
+            const plan = buildMilestones(loanData.milestones, loanAmount);
+            if (!plan.valid) {
+                return res.status(plan.httpStatus).json({
+                    success: false,
+                    error: plan.error
+                });
+            }
+            milestones = plan.milestones;
+        }
 
-        if (isDbConnected()) {
-            // Get business profile for snapshot
-            const businessProfile = await BusinessProfile.findOne({ user: userId });
-
-            // Create loan application
-            const loan = await LoanApplication.create({
-                user: userId,
-                // Business snapshot
-                businessName: businessProfile?.businessName || loanData.businessName,
-                businessType: businessProfile?.businessType || loanData.businessType,
-                gstNumber: businessProfile?.gstNumber || loanData.gstNumber,
-                annualTurnover: businessProfile?.annualTurnover || loanData.annualTurnover,
-                yearsInBusiness: businessProfile?.yearsInBusiness || loanData.yearsInBusiness,
-                // Green Objective
-                greenObjective: loanData.greenObjective,
-                projectDescription: loanData.projectDescription,
-                estimatedSavings: parseFloat(String(loanData.estimatedSavings).replace(/,/g, '')) || 0,
-                projectLocation: loanData.projectLocation,
-                // Loan Details
-                loanAmount: parseFloat(String(loanData.loanAmount).replace(/,/g, '')) || 0,
-                tenure: parseInt(loanData.tenure),
-                purpose: loanData.purpose,
-                // Status
-                status: 'pending_verification'
-            });
-
-            // Record on blockchain (simulated)
-            recordEvent({
-                eventType: 'loan_application',
-                loanId: loan.loanId,
-                description: `Loan application submitted: ₹${loan.loanAmount.toLocaleString()} for ${loan.greenObjective}`,
-            });
+        // Get business profile for snapshot
+        const businessProfile = await userRepository.findBusinessProfile(userId);
+
+        // Create loan application
+        const loan = await loanRepository.create({
+            user: userId,
+            // Business snapshot
+            businessName: businessProfile?.businessName || loanData.businessName,
+            businessType: businessProfile?.businessType || loanData.businessType,
+            gstNumber: businessProfile?.gstNumber || loanData.gstNumber,
+            annualTurnover: businessProfile?.annualTurnover || loanData.annualTurnover,
+            yearsInBusiness: businessProfile?.yearsInBusiness || loanData.yearsInBusiness,
+            // Green Objective
+            greenObjective: loanData.greenObjective,
+            projectDescription: loanData.projectDescription,
+            estimatedSavings: parseFloat(String(loanData.estimatedSavings).replace(/,/g, '')) || 0,
+            projectLocation: loanData.projectLocation,
+            locationCoordinates: parseCoordinates(loanData),
+            // Claim extracted from the project description, checked by the greenwashing agent
+            sustainabilityClaim: normalizeClaim(loanData.sustainabilityClaim) || undefined,
+            // Loan Details
+            loanAmount,
+            tenure: parseInt(loanData.tenure),
+            purpose: loanData.purpose,
+            milestones,
+            // Status
+            status: 'pending_verification',
+            statusHistory: [{ from: null, to: 'pending_verification', actor: 'owner', changedBy: String(userId) }]
+        });
 
-            res.status(201).json({
-                success: true,
-                loanId: loan.loanId,
-                message: 'Loan application submitted successfully',
-                loan
-            });
-        } else {
-            // In-Memory Logic
-            const year = new Date().getFullYear();
-            const count = localLoans.length;
-            const loanId = `TL-${year}-${String(count + 1).padStart(3, '0')}`;
-
-            const newLoan = {
-                _id: 'local_loan_' + Date.now(),
-                user: userId,
-                loanId,
-                ...loanData,
-                loanAmount: parseFloat(String(loanData.loanAmount).replace(/,/g, '')) || 0,
-                estimatedSavings: parseFloat(String(loanData.estimatedSavings).replace(/,/g, '')) || 0,
-                status: 'pending_verification',
-                appliedAt: new Date(),
-                repaymentProgress: 0
-            };
-            localLoans.push(newLoan);
-
-            res.status(201).json({
-                success: true,
-                loanId: newLoan.loanId,
-                message: 'Loan application submitted successfully (Demo Mode)',
-                loan: newLoan
-            });
-        }
+        // Record on blockchain (simulated)
+        recordEvent({
+            eventType: 'loan_application',
+            loanId: loan.loanId,
+            description: `Loan application submitted: ₹${loan.loanAmount.toLocaleString()} for ${loan.greenObjective}`,
+        });
+
+        res.status(201).json({
+            success: true,
+            loanId: loan.loanId,
+            message: 'Loan application submitted successfully',
+            loan
+        });
     } catch (error) {
         console.error('[Loans] Create error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                error: messages.join(', ')
+            });
+        }
+
         res.status(500).json({
             success: false,
             error: error.message || 'Failed to create loan application'
@@ -101,36 +128,22 @@ router.post('/', protect, async (req, res) => {
 
 /**
  * GET /api/loans
- * Get all loans for the current user
+ * Get all loans for the current user (the whole portfolio with loans:read_all)
  */
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, requirePermission('loans:read'), async (req, res) => {
     try {
         const userId = req.user.id;
-        const { status } = req.query;
+        const { status, assetClassification } = req.query;
+        const readAll = hasPermission(req.user.role, 'loans:read_all');
 
-        let loans = [];
-
-        if (isDbConnected()) {
-            const filter = { user: userId };
-            if (status) filter.status = status;
-            loans = await LoanApplication.find(filter).sort({ appliedAt: -1 });
-        } else {
-            loans = localLoans.filter(l => l.user === userId);
-            if (status) loans = loans.filter(l => l.status === status);
-        }
+        const loans = await loanRepository.find({
+            user: readAll ? undefined : userId,
+            status,
+            assetClassification,
+        });
 
         // Calculate summary
-        const summary = {
-            totalDisbursed: loans.reduce((sum, l) =>
-                ['active', 'completed'].includes(l.status) ? sum + (l.loanAmount || 0) : sum, 0),
-            activeLoans: loans.filter(l => l.status === 'active').length,
-            totalRepaid: loans.reduce((sum, l) => {
-                if (l.status === 'completed') return sum + l.loanAmount;
-                if (l.status === 'active') return sum + (l.loanAmount * (l.repaymentProgress / 100));
-                return sum;
-            }, 0),
-            upcomingPayment: loans.find(l => l.nextPaymentAmount)?.nextPaymentAmount || 0
-        };
+        const summary = buildSummary(loans);
 
         res.json({
             success: true,
@@ -146,23 +159,46 @@ router.get('/', protect, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/loans/delinquency/run
+ * Run the days-past-due / NPA classification job now (requires delinquency:run).
+ * An asOf before the last run or in the future is previewed, not saved (dryRun: true).
+ */
+router.post('/delinquency/run', protect, requirePermission('delinquency:run'), async (req, res) => {
+    try {
+        const asOf = req.body?.asOf ? new Date(req.body.asOf) : new Date();
+        if (isNaN(asOf)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid asOf date'
+            });
+        }
+
+        const result = await runDelinquencyJob(asOf);
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('[Loans] Delinquency job error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run delinquency job'
+        });
+    }
+});
+
 /**
  * GET /api/loans/:id
  * Get loan details by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', protect, requirePermission('loans:read'), async (req, res) => {
     try {
-        const { id } = req.params;
-
         // Support both MongoDB _id and loanId
-        const loan = await LoanApplication.findOne({
-            $or: [
-                { _id: id.match(/^[0-9a-fA-F]{24}$/) ? id : null },
-                { loanId: id }
-            ]
-        });
+        const loan = await loanRepository.findById(req.params.id);
 
-        if (!loan) {
+        if (!canAccessLoan(req.user, loan)) {
             return res.status(404).json({
                 success: false,
                 error: 'Loan not found'
@@ -186,26 +222,23 @@ router.get('/:id', async (req, res) => {
  * GET /api/loans/user/:userId
  * Get all loans for a specific user (for dashboard compatibility)
  */
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', protect, requirePermission('loans:read'), async (req, res) => {
     try {
         const { userId } = req.params;
         const { role } = req.query;
 
-        const loans = await LoanApplication.find({ user: userId })
-            .sort({ appliedAt: -1 });
+        // Other users' loans are reported as not found rather than forbidden
+        if (!canAccessUser(req.user, userId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const loans = await loanRepository.find({ user: userId });
 
         // Calculate summary
-        const summary = {
-            totalDisbursed: loans.reduce((sum, l) =>
-                ['active', 'completed'].includes(l.status) ? sum + (l.loanAmount || 0) : sum, 0),
-            activeLoans: loans.filter(l => l.status === 'active').length,
-            totalRepaid: loans.reduce((sum, l) => {
-                if (l.status === 'completed') return sum + l.loanAmount;
-                if (l.status === 'active') return sum + (l.loanAmount * (l.repaymentProgress / 100));
-                return sum;
-            }, 0),
-            upcomingPayment: loans.find(l => l.nextPaymentAmount)?.nextPaymentAmount || 0
-        };
+        const summary = buildSummary(loans);
 
         res.json({
             loans,
@@ -222,48 +255,654 @@ router.get('/user/:userId', async (req, res) => {
 });
 
 /**
- * PUT /api/loans/:id/status
- * Update loan status
+ * GET /api/loans/:id/schedule
+ * Get the amortization schedule for a loan.
+ * Loans that are not yet disbursed get a projected schedule from today.
  */
-router.put('/:id/status', protect, async (req, res) => {
+router.get('/:id/schedule', protect, requirePermission('loans:read'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, aiScore, sustainabilityClass } = req.body;
 
-        const loan = await LoanApplication.findOne({
-            $or: [
-                { _id: id.match(/^[0-9a-fA-F]{24}$/) ? id : null },
-                { loanId: id }
-            ]
+        const loan = await loanRepository.findById(id);
+
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        const interestRate = loan.interestRate ?? DEFAULT_INTEREST_RATE;
+        const projected = !loan.repaymentSchedule?.length;
+        const schedule = projected
+            ? generateSchedule({
+                principal: loan.loanAmount,
+                annualRate: interestRate,
+                tenureMonths: parseInt(loan.tenure)
+            })
+            : loan.repaymentSchedule;
+        const { installments, ...repayment } = summarizeRepayment({ ...toPlainLoan(loan), repaymentSchedule: schedule });
+
+        res.json({
+            success: true,
+            loanId: loan.loanId,
+            principal: loan.loanAmount,
+            interestRate,
+            tenure: parseInt(loan.tenure),
+            projected,
+            summary: summarizeSchedule(schedule),
+            repayment,
+            schedule: installments
+        });
+    } catch (error) {
+        console.error('[Loans] Get schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch repayment schedule'
+        });
+    }
+});
+
+/**
+ * GET /api/loans/:id/payments
+ * Get the repayment ledger for a loan
+ */
+router.get('/:id/payments', protect, requirePermission('loans:read'), async (req, res) => {
+    try {
+        const loan = await loanRepository.findById(req.params.id);
+
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        const { installments, ...repayment } = summarizeRepayment(toPlainLoan(loan));
+
+        res.json({
+            success: true,
+            loanId: loan.loanId,
+            payments: loan.payments || [],
+            repayment
+        });
+    } catch (error) {
+        console.error('[Loans] Get payments error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch repayment ledger'
+        });
+    }
+});
+
+/**
+ * POST /api/loans/:id/payments
+ * Post a repayment against the amortization schedule.
+ * Allocated interest-first, then principal, oldest installment first.
+ */
+router.post('/:id/payments', protect, requirePermission('payments:create'), async (req, res) => {
+    try {
+        const { amount, paidAt, method, reference } = req.body || {};
+        const paymentAmount = parseFloat(String(amount).replace(/,/g, ''));
+
+        if (!paymentAmount || paymentAmount <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'A positive payment amount is required'
+            });
+        }
+
+        const loan = await loanRepository.findById(req.params.id);
+
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        if (loan.status !== 'active' || !loan.repaymentSchedule?.length) {
+            return res.status(400).json({
+                success: false,
+                error: `Payments can only be posted to active loans (current status: ${loan.status})`
+            });
+        }
+
+        const received = parsePaidAt(loan, paidAt);
+        if (!received.valid) {
+            return res.status(received.httpStatus).json({
+                success: false,
+                error: received.error
+            });
+        }
+
+        const { totalOutstanding } = summarizeRepayment(toPlainLoan(loan));
+        if (paymentAmount > totalOutstanding) {
+            return res.status(400).json({
+                success: false,
+                error: `Payment exceeds total outstanding of ₹${totalOutstanding.toLocaleString()}`
+            });
+        }
+
+        const entry = postPayment(loan, { amount: paymentAmount, paidAt: received.paidAt, method, reference });
+        refreshDelinquency(loan);
+
+        // Record on blockchain (simulated)
+        const record = recordEvent({
+            eventType: 'payment_received',
+            loanId: loan.loanId,
+            description: `EMI payment received: ₹${paymentAmount.toLocaleString()}`,
+            metadata: {
+                paymentId: entry.paymentId,
+                interest: entry.interestComponent,
+                principal: entry.principalComponent,
+                outstandingBalance: loan.outstandingBalance
+            }
+        });
+        entry.txHash = record.txHash;
+
+        // Close the loan once the schedule is fully repaid
+        const closed = loan.outstandingBalance === 0
+            && transitionLoan(loan, 'completed', { actor: 'system', reason: 'Repayment schedule fully settled' }).valid;
+        if (closed) refreshDelinquency(loan);
+
+        await loanRepository.save(loan);
+
+        if (closed) {
+            recordEvent({
+                eventType: 'loan_completed',
+                loanId: loan.loanId,
+                description: 'Loan fully repaid and closed',
+            });
+        }
+
+        const { installments, ...repayment } = summarizeRepayment(toPlainLoan(loan));
+
+        res.status(201).json({
+            success: true,
+            payment: entry,
+            repayment,
+            loan
+        });
+    } catch (error) {
+        console.error('[Loans] Post payment error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to post payment'
+        });
+    }
+});
+
+/**
+ * Milestone response payload
+ */
+const milestonesPayload = (loan) => ({
+    success: true,
+    loanId: loan.loanId,
+    milestones: loan.milestones || [],
+    tranches: summarizeTranches(loan)
+});
+
+/**
+ * GET /api/loans/:id/milestones
+ * Get disbursement milestones and tranche progress
+ */
+router.get('/:id/milestones', protect, requirePermission('loans:read'), async (req, res) => {
+    try {
+        const loan = await loanRepository.findById(req.params.id);
+
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        res.json(milestonesPayload(loan));
+    } catch (error) {
+        console.error('[Loans] Get milestones error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch milestones'
+        });
+    }
+});
+
+/**
+ * PUT /api/loans/:id/milestones
+ * Define or replace the milestone plan before the loan is activated
+ */
+router.put('/:id/milestones', protect, requirePermission('loans:update', 'loans:manage'), async (req, res) => {
+    try {
+        const loan = await loanRepository.findById(req.params.id);
+
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        if (!['owner', 'admin'].includes(resolveActor(req.user, loan))) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only the borrower or lending operations can change milestones'
+            });
+        }
+
+        if (!['pending', 'pending_verification', 'approved'].includes(loan.status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Milestones cannot be changed once a loan is ${loan.status}`
+            });
+        }
+
+        const plan = buildMilestones(req.body.milestones, loan.loanAmount);
+        if (!plan.valid) {
+            return res.status(plan.httpStatus).json({
+                success: false,
+                error: plan.error
+            });
+        }
+
+        loan.milestones = plan.milestones;
+        await loanRepository.save(loan);
+
+        res.json(milestonesPayload(loan));
+    } catch (error) {
+        console.error('[Loans] Update milestones error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update milestones'
+        });
+    }
+});
+
+/**
+ * POST /api/loans/:id/milestones/:milestoneId/evidence
+ * Submit completion evidence for a milestone (borrower)
+ */
+router.post('/:id/milestones/:milestoneId/evidence', protect, requirePermission('milestones:submit', 'loans:manage'), async (req, res) => {
+    try {
+        const loan = await loanRepository.findById(req.params.id);
+
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        if (!['owner', 'admin'].includes(resolveActor(req.user, loan))) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only the borrower or lending operations can submit evidence'
+            });
+        }
+
+        const result = submitEvidence(loan, req.params.milestoneId, req.body, req.user.id);
+        if (!result.valid) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        await loanRepository.save(loan);
+
+        recordEvent({
+            eventType: 'milestone_evidence_submitted',
+            loanId: loan.loanId,
+            description: `Evidence submitted for milestone: ${result.milestone.name}`,
+            metadata: { milestoneId: result.milestone.milestoneId }
+        });
+
+        res.status(201).json(milestonesPayload(loan));
+    } catch (error) {
+        console.error('[Loans] Submit evidence error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to submit milestone evidence'
+        });
+    }
+});
+
+/**
+ * POST /api/loans/:id/milestones/:milestoneId/review
+ * Approve or reject milestone evidence (requires milestones:review)
+ */
+router.post('/:id/milestones/:milestoneId/review', protect, requirePermission('milestones:review'), async (req, res) => {
+    try {
+        const { decision, comment } = req.body;
+        const loan = await loanRepository.findById(req.params.id);
+
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        const result = reviewMilestone(loan, req.params.milestoneId, {
+            decision,
+            comment,
+            reviewerId: req.user.id
+        });
+        if (!result.valid) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        await loanRepository.save(loan);
+
+        recordEvent({
+            eventType: `milestone_${decision}`,
+            loanId: loan.loanId,
+            description: `Milestone evidence ${decision}: ${result.milestone.name}`,
+            metadata: { milestoneId: result.milestone.milestoneId, comment }
+        });
+
+        res.json(milestonesPayload(loan));
+    } catch (error) {
+        console.error('[Loans] Review milestone error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to review milestone'
+        });
+    }
+});
+
+/**
+ * POST /api/loans/:id/milestones/:milestoneId/release
+ * Release the tranche for an approved milestone (requires disbursements:release)
+ */
+router.post('/:id/milestones/:milestoneId/release', protect, requirePermission('disbursements:release'), async (req, res) => {
+    try {
+        const loan = await loanRepository.findById(req.params.id);
+
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        const result = releaseTranche(loan, req.params.milestoneId);
+        if (!result.valid) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const { milestone } = result;
+        const record = recordEvent({
+            eventType: 'loan_disbursement',
+            loanId: loan.loanId,
+            description: `Tranche disbursed: ₹${milestone.trancheAmount.toLocaleString()} for ${milestone.name}`,
+            metadata: {
+                milestoneId: milestone.milestoneId,
+                trancheAmount: milestone.trancheAmount,
+                disbursedAmount: loan.disbursedAmount,
+                fullyDisbursed: result.fullyDisbursed
+            }
+        });
+        milestone.txHash = record.txHash;
+
+        await loanRepository.save(loan);
+
+        res.json(milestonesPayload(loan));
+    } catch (error) {
+        console.error('[Loans] Release tranche error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to release tranche'
+        });
+    }
+});
+
+/**
+ * Document list response payload
+ */
+const documentsPayload = (loan) => ({
+    success: true,
+    loanId: loan.loanId,
+    documents: (toPlainLoan(loan).documents || []).map(presentDocument)
+});
+
+/**
+ * GET /api/loans/:id/documents
+ * List the evidence documents attached to a loan
+ */
+router.get('/:id/documents', protect, requirePermission('loans:read'), async (req, res) => {
+    try {
+        const loan = await loanRepository.findById(req.params.id);
+
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        res.json(documentsPayload(loan));
+    } catch (error) {
+        console.error('[Loans] List documents error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch documents'
+        });
+    }
+});
+
+/**
+ * POST /api/loans/:id/documents
+ * Upload an evidence document (multipart: file, type, description, milestoneId).
+ * Its SHA-256 is recorded on the audit chain.
+ */
+router.post('/:id/documents', protect, requirePermission('loans:update', 'loans:manage'), parseUpload, async (req, res) => {
+    try {
+        const loan = await loanRepository.findById(req.params.id);
+
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        if (!['owner', 'admin'].includes(resolveActor(req.user, loan))) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only the borrower or lending operations can upload documents'
+            });
+        }
+
+        const input = req.body || {};
+        const validation = validateUpload(req.file, input, loan);
+        if (!validation.valid) {
+            return res.status(validation.httpStatus).json({
+                success: false,
+                error: validation.error
+            });
+        }
+
+        const store = getDocumentStore();
+        const document = buildDocument(loan, req.file, input, { userId: req.user.id, backend: store.backend });
+
+        try {
+            await store.put(document.storageKey, req.file.buffer, { contentType: document.contentType });
+        } catch (error) {
+            console.error('[Loans] Document storage error:', error);
+            return res.status(502).json({
+                success: false,
+                error: 'Failed to store document'
+            });
+        }
+
+        const record = recordEvent({
+            eventType: 'document_uploaded',
+            loanId: loan.loanId,
+            description: `Document uploaded: ${document.type.replace(/_/g, ' ')} (${document.fileName}), SHA-256 ${document.sha256}`,
+            metadata: {
+                documentId: document.documentId,
+                type: document.type,
+                sha256: document.sha256,
+                size: document.size,
+                milestoneId: document.milestoneId
+            }
+        });
+        document.txHash = record.txHash;
+
+        if (!loan.documents) loan.documents = [];
+        loan.documents.push(document);
+        await loanRepository.save(loan);
+
+        res.status(201).json({
+            ...documentsPayload(loan),
+            document: presentDocument(document)
+        });
+    } catch (error) {
+        console.error('[Loans] Upload document error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to upload document'
+        });
+    }
+});
+
+/**
+ * GET /api/loans/:id/documents/:documentId
+ * Download a document; its content is checked against the recorded hash
+ */
+router.get('/:id/documents/:documentId', protect, requirePermission('loans:read'), async (req, res) => {
+    try {
+        const loan = await loanRepository.findById(req.params.id);
+
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        const document = (toPlainLoan(loan).documents || []).find(d => d.documentId === req.params.documentId);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
+        }
+
+        const content = await getDocumentStore(document.storage).get(document.storageKey);
+        const check = verifyContent(document, content);
+
+        if (!check.intact) {
+            console.error(`[Loans] Document ${document.documentId} of ${loan.loanId} fails its hash check`);
+            recordEvent({
+                eventType: 'document_integrity_failed',
+                loanId: loan.loanId,
+                description: `Stored document ${document.documentId} no longer matches its recorded SHA-256`,
+                metadata: { documentId: document.documentId, expected: document.sha256, actual: check.sha256 }
+            });
+            return res.status(409).json({
+                success: false,
+                error: 'Document content does not match the hash recorded at upload'
+            });
+        }
+
+        res.set({
+            'Content-Type': document.contentType,
+            'Content-Disposition': `inline; filename="${document.fileName}"`,
+            'X-Content-SHA256': document.sha256
+        });
+        res.send(content);
+    } catch (error) {
+        console.error('[Loans] Download document error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch document'
         });
+    }
+});
+
+/**
+ * PUT /api/loans/:id/status
+ * Update loan status through the state machine, which limits borrowers to
+ * withdrawing their own application. Scores are only set by verification
+ * (POST /api/verify/green-score).
+ */
+router.put('/:id/status', protect, requirePermission('loans:cancel', 'loans:approve', 'loans:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, reason } = req.body || {};
+
+        if (!status) {
+            return res.status(400).json({
+                success: false,
+                error: 'status is required'
+            });
+        }
 
-        if (!loan) {
+        const loan = await loanRepository.findById(id);
+
+        if (!canAccessLoan(req.user, loan)) {
             return res.status(404).json({
                 success: false,
                 error: 'Loan not found'
             });
         }
 
-        // Update fields
-        if (status) loan.status = status;
-        if (aiScore !== undefined) loan.aiScore = aiScore;
-        if (sustainabilityClass) loan.sustainabilityClass = sustainabilityClass;
+        // Guarded status change via the loan state machine
+        const transition = transitionLoan(loan, status, {
+            actor: resolveActor(req.user, loan),
+            userId: req.user.id,
+            reason
+        });
+
+        if (!transition.valid) {
+            return res.status(transition.httpStatus).json({
+                success: false,
+                error: transition.error,
+                currentStatus: loan.status,
+                allowedNextStates: transition.allowedNextStates,
+                failedPreconditions: transition.failedPreconditions
+            });
+        }
+
+        if (status === 'rejected' && reason) loan.rejectionReason = reason;
 
-        // Set disbursed date if approved
-        if (status === 'active' && !loan.disbursedDate) {
+        // Disburse and build the amortization schedule when the loan goes active.
+        // Milestone loans are disbursed tranche by tranche instead.
+        if (status === 'active' && !loan.disbursedDate && !loan.milestones?.length) {
             loan.disbursedDate = new Date();
-            // Set first payment date (30 days from now)
-            loan.nextPayment = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-            loan.nextPaymentAmount = Math.round(loan.loanAmount / loan.tenure * 1.1); // Simple EMI estimate
+            loan.disbursedAmount = loan.loanAmount;
+            loan.interestRate = loan.interestRate ?? DEFAULT_INTEREST_RATE;
+
+            const schedule = generateSchedule({
+                principal: loan.loanAmount,
+                annualRate: loan.interestRate,
+                tenureMonths: loan.tenure,
+                startDate: loan.disbursedDate
+            });
+
+            loan.repaymentSchedule = schedule;
+            loan.outstandingBalance = loan.loanAmount;
+            loan.emiAmount = schedule[0]?.emi;
+            loan.nextPayment = schedule[0]?.dueDate;
+            loan.nextPaymentAmount = schedule[0]?.emi;
         }
 
-        await loan.save();
+        await loanRepository.save(loan);
 
         // Record status change
         recordEvent({
             eventType: `loan_${status}`,
             loanId: loan.loanId,
             description: `Loan status updated to: ${status}`,
+            metadata: { reason }
         });
 
         res.json({
@@ -0,0 +1,235 @@
+/**
+ * Vendor & Certification Registry Routes
+ *
+ * Admin maintenance of the approved vendors and recognised
+ * certifications that sustainability claims are cross-checked against.
+ * Staff with registry:read can look entries up.
+ * Every change is recorded on the audit chain.
+ */
+
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { recordEvent } from '../services/blockchainService.js';
+import { registryRepository } from '../repositories/index.js';
+import {
+    buildEntry,
+    entryIdFor,
+    applyEntryUpdate,
+    retireEntry,
+    ensureBundledRegistry,
+    entryStanding,
+    getRegistrySource,
+} from '../services/registryService.js';
+import { REGISTRY_TYPES } from '../config/registry.js';
+
+const router = express.Router();
+
+/**
+ * Entry as returned by the API, with whether it is in force today
+ */
+const present = (entry) => ({ ...entry, standing: entryStanding(entry) });
+
+/**
+ * GET /api/registry?type=vendor&status=active
+ * List registry entries, by type then name
+ */
+router.get('/', protect, requirePermission('registry:read'), async (req, res) => {
+    try {
+        const { type, status } = req.query;
+
+        if (type && !REGISTRY_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: `type must be one of: ${REGISTRY_TYPES.join(', ')}`
+            });
+        }
+
+        await ensureBundledRegistry();
+        const entries = await registryRepository.find({
+            type: type || undefined,
+            status: status ? String(status) : undefined,
+        });
+
+        res.json({
+            success: true,
+            count: entries.length,
+            entries: entries.map(present),
+            bundledSource: getRegistrySource()
+        });
+    } catch (error) {
+        console.error('[Registry] List error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch registry'
+        });
+    }
+});
+
+/**
+ * GET /api/registry/:entryId
+ * Get a single registry entry
+ */
+router.get('/:entryId', protect, requirePermission('registry:read'), async (req, res) => {
+    try {
+        await ensureBundledRegistry();
+        const entry = await registryRepository.findById(req.params.entryId);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Registry entry not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            entry: present(entry)
+        });
+    } catch (error) {
+        console.error('[Registry] Fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch registry entry'
+        });
+    }
+});
+
+/**
+ * POST /api/registry
+ * Add a vendor or certification
+ */
+router.post('/', protect, requirePermission('registry:manage'), async (req, res) => {
+    try {
+        const input = req.body || {};
+        await ensureBundledRegistry();
+
+        const result = buildEntry(input, {
+            user: req.user,
+            existing: await registryRepository.findById(entryIdFor(input)),
+        });
+
+        if (!result.valid) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                error: result.error,
+                details: result.details
+            });
+        }
+
+        const entry = await registryRepository.create(result.entry);
+
+        const block = recordEvent({
+            eventType: 'registry_entry_added',
+            description: `Registry ${entry.type} ${entry.name} (${entry.entryId}) added by ${req.user.email}`,
+            metadata: { entryId: entry.entryId, type: entry.type },
+        });
+
+        res.status(201).json({
+            success: true,
+            entry: present(entry),
+            txHash: block.txHash
+        });
+    } catch (error) {
+        console.error('[Registry] Add error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add registry entry'
+        });
+    }
+});
+
+/**
+ * PUT /api/registry/:entryId
+ * Update an entry's names, scope, certificate pattern or validity;
+ * status: 'active' reinstates a retired entry
+ */
+router.put('/:entryId', protect, requirePermission('registry:manage'), async (req, res) => {
+    try {
+        await ensureBundledRegistry();
+        const existing = await registryRepository.findById(req.params.entryId);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Registry entry not found'
+            });
+        }
+
+        const result = applyEntryUpdate(existing, req.body || {}, req.user);
+        if (!result.valid) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                error: result.error,
+                details: result.details
+            });
+        }
+
+        const entry = await registryRepository.save(result.entry);
+
+        const block = recordEvent({
+            eventType: 'registry_entry_updated',
+            description: `Registry ${entry.type} ${entry.name} (${entry.entryId}) updated by ${req.user.email}: ${result.changed.join(', ')}`,
+            metadata: { entryId: entry.entryId, changed: result.changed },
+        });
+
+        res.json({
+            success: true,
+            entry: present(entry),
+            txHash: block.txHash
+        });
+    } catch (error) {
+        console.error('[Registry] Update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update registry entry'
+        });
+    }
+});
+
+/**
+ * DELETE /api/registry/:entryId
+ * Retire an entry; it stays on record so earlier checks remain traceable
+ */
+router.delete('/:entryId', protect, requirePermission('registry:manage'), async (req, res) => {
+    try {
+        await ensureBundledRegistry();
+        const existing = await registryRepository.findById(req.params.entryId);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Registry entry not found'
+            });
+        }
+
+        const result = retireEntry(existing, req.user);
+        if (!result.valid) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const entry = await registryRepository.save(result.entry);
+
+        const block = recordEvent({
+            eventType: 'registry_entry_retired',
+            description: `Registry ${entry.type} ${entry.name} (${entry.entryId}) retired by ${req.user.email}`,
+            metadata: { entryId: entry.entryId, type: entry.type },
+        });
+
+        res.json({
+            success: true,
+            entry: present(entry),
+            txHash: block.txHash
+        });
+    } catch (error) {
+        console.error('[Registry] Retire error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retire registry entry'
+        });
+    }
+});
+
+export default router;
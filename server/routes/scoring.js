@@ -0,0 +1,304 @@
+/**
+ * Scoring Rule Set Routes
+ *
+ * Admin management of the versioned green scoring rules: publish a new
+ * version, backtest it against the book, activate it, and roll back to
+ * the version active before it.
+ * Staff with scoring:read can inspect the rule sets behind a score.
+ * Every change is recorded on the audit chain.
+ */
+
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { recordEvent } from '../services/blockchainService.js';
+import { scoringRuleRepository, loanRepository, verificationRepository } from '../repositories/index.js';
+import {
+    buildRuleSet,
+    planActivation,
+    planRollback,
+} from '../services/scoringRuleService.js';
+import { toScoringInputs } from '../services/scoreSimulatorService.js';
+import { runBacktest, toBacktestCsv } from '../services/backtestService.js';
+
+const router = express.Router();
+
+/**
+ * Store an activation or rollback plan
+ * Switching the active version is a single repository update, so a
+ * failure cannot leave the engine with no active rule set or two.
+ */
+function applyPlan(plan) {
+    const { version, previousVersion, activatedBy, activatedAt } = plan.activated;
+    return scoringRuleRepository.activate({ version, previousVersion, activatedBy, activatedAt });
+}
+
+/**
+ * GET /api/scoring/rulesets
+ * List every published rule set, newest first
+ */
+router.get('/rulesets', protect, requirePermission('scoring:read'), async (req, res) => {
+    try {
+        const ruleSets = await scoringRuleRepository.find();
+
+        res.json({
+            success: true,
+            count: ruleSets.length,
+            activeVersion: ruleSets.find(r => r.active)?.version || null,
+            ruleSets
+        });
+    } catch (error) {
+        console.error('[Scoring] List error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch rule sets'
+        });
+    }
+});
+
+/**
+ * GET /api/scoring/rulesets/active
+ * Get the rule set the engine is evaluating
+ */
+router.get('/rulesets/active', protect, requirePermission('scoring:read'), async (req, res) => {
+    try {
+
+        res.json({
+            success: true,
+            ruleSet: await scoringRuleRepository.findActive()
+        });
+    } catch (error) {
+        console.error('[Scoring] Active fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch active rule set'
+        });
+    }
+});
+
+/**
+ * GET /api/scoring/rulesets/:version
+ * Get a single rule set
+ */
+router.get('/rulesets/:version', protect, requirePermission('scoring:read'), async (req, res) => {
+    try {
+        const ruleSet = await scoringRuleRepository.findByVersion(req.params.version);
+
+        if (!ruleSet) {
+            return res.status(404).json({
+                success: false,
+                error: 'Rule set not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            ruleSet
+        });
+    } catch (error) {
+        console.error('[Scoring] Fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch rule set'
+        });
+    }
+});
+
+/**
+ * POST /api/scoring/rulesets
+ * Publish a new rule set version (inactive until activated)
+ */
+router.post('/rulesets', protect, requirePermission('scoring:manage'), async (req, res) => {
+    try {
+        const input = req.body || {};
+
+        const result = buildRuleSet(input, {
+            user: req.user,
+            existing: typeof input.version === 'string'
+                ? await scoringRuleRepository.findByVersion(input.version.trim())
+                : null,
+        });
+
+        if (!result.valid) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                error: result.error,
+                details: result.details
+            });
+        }
+
+        const ruleSet = await scoringRuleRepository.create(result.ruleSet);
+
+        const block = recordEvent({
+            eventType: 'ruleset_published',
+            description: `Scoring rule set ${ruleSet.version} (${ruleSet.name}) published by ${req.user.email}`,
+            metadata: { version: ruleSet.version, publishedBy: ruleSet.publishedBy },
+        });
+
+        res.status(201).json({
+            success: true,
+            ruleSet,
+            txHash: block.txHash
+        });
+    } catch (error) {
+        console.error('[Scoring] Publish error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to publish rule set'
+        });
+    }
+});
+
+/**
+ * POST /api/scoring/rulesets/rollback
+ * Reactivate the rule set that was active before the current one
+ */
+router.post('/rulesets/rollback', protect, requirePermission('scoring:manage'), async (req, res) => {
+    try {
+        const current = await scoringRuleRepository.findActive();
+        const previous = current?.previousVersion
+            ? await scoringRuleRepository.findByVersion(current.previousVersion)
+            : null;
+
+        const plan = planRollback(current, previous, req.user);
+        if (!plan.valid) {
+            return res.status(plan.httpStatus).json({
+                success: false,
+                error: plan.error
+            });
+        }
+
+        const ruleSet = await applyPlan(plan);
+
+        const block = recordEvent({
+            eventType: 'ruleset_rolled_back',
+            description: `Scoring rules rolled back from ${current.version} to ${ruleSet.version} by ${req.user.email}`,
+            metadata: { from: current.version, to: ruleSet.version },
+        });
+
+        res.json({
+            success: true,
+            ruleSet,
+            rolledBackFrom: current.version,
+            txHash: block.txHash
+        });
+    } catch (error) {
+        console.error('[Scoring] Rollback error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to roll back rule set'
+        });
+    }
+});
+
+/**
+ * POST /api/scoring/rulesets/:version/activate
+ * Make a published rule set the active one
+ */
+router.post('/rulesets/:version/activate', protect, requirePermission('scoring:manage'), async (req, res) => {
+    try {
+        const target = await scoringRuleRepository.findByVersion(req.params.version);
+
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                error: 'Rule set not found'
+            });
+        }
+
+        const current = await scoringRuleRepository.findActive();
+        const plan = planActivation(target, current, req.user);
+        if (!plan.valid) {
+            return res.status(plan.httpStatus).json({
+                success: false,
+                error: plan.error
+            });
+        }
+
+        const ruleSet = await applyPlan(plan);
+
+        const block = recordEvent({
+            eventType: 'ruleset_activated',
+            description: `Scoring rule set ${ruleSet.version} activated by ${req.user.email}`
+                + (current ? ` (replacing ${current.version})` : ''),
+            metadata: { version: ruleSet.version, previousVersion: current?.version },
+        });
+
+        res.json({
+            success: true,
+            ruleSet,
+            txHash: block.txHash
+        });
+    } catch (error) {
+        console.error('[Scoring] Activate error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to activate rule set'
+        });
+    }
+});
+
+/**
+ * GET /api/scoring/backtest?candidate=2.1[&base=2.0][&status=active,completed][&format=csv]
+ * Replay stored loan inputs through two rule set versions (base defaults
+ * to the active one). format=csv downloads the per-loan rows.
+ */
+router.get('/backtest', protect, requirePermission('scoring:manage'), async (req, res) => {
+    try {
+        const { candidate: candidateVersion, base: baseVersion, status, format } = req.query;
+
+        if (!candidateVersion) {
+            return res.status(400).json({
+                success: false,
+                error: 'candidate rule set version is required'
+            });
+        }
+
+        const [baseRuleSet, candidateRuleSet] = await Promise.all([
+            baseVersion ? scoringRuleRepository.findByVersion(String(baseVersion)) : scoringRuleRepository.findActive(),
+            scoringRuleRepository.findByVersion(String(candidateVersion)),
+        ]);
+
+        if (!baseRuleSet || !candidateRuleSet) {
+            return res.status(404).json({
+                success: false,
+                error: `Rule set ${!candidateRuleSet ? candidateVersion : baseVersion} not found`
+            });
+        }
+
+        const loans = await loanRepository.find({
+            status: status ? String(status).split(',').map(s => s.trim()) : undefined,
+        });
+
+        // Replay each loan on the inputs its latest verification was scored on
+        const records = await Promise.all(loans.map(async (loan) => {
+            const run = await verificationRepository.findLatest(loan.loanId);
+            const hasSnapshot = run?.inputs && Object.keys(run.inputs).length > 0;
+            return {
+                loanId: loan.loanId,
+                inputs: hasSnapshot ? run.inputs : toScoringInputs(loan),
+                inputsSource: hasSnapshot ? run.runId : 'application',
+                greenwashingPassed: run?.greenwashingCheck?.passed ?? loan.underwriting?.greenwashingPassed ?? true,
+            };
+        }));
+
+        const report = runBacktest(records, baseRuleSet, candidateRuleSet);
+
+        if (format === 'csv') {
+            res.attachment(`backtest-${baseRuleSet.version}-vs-${candidateRuleSet.version}.csv`);
+            return res.type('text/csv').send(toBacktestCsv(report));
+        }
+
+        res.json({
+            success: true,
+            ...report
+        });
+    } catch (error) {
+        console.error('[Scoring] Backtest error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run backtest'
+        });
+    }
+});
+
+export default router;
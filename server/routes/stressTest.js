@@ -0,0 +1,58 @@
+/**
+ * Climate Stress Test Routes
+ *
+ * Admin-only portfolio stress testing: apply a hazard shock (a preset such
+ * as a Maharashtra drought, or a custom one) to the active book and report
+ * impaired revenue, PD uplift and exposure at risk by state and category.
+ */
+
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { loanRepository } from '../repositories/index.js';
+import { listShocks, resolveShock, runStressTest } from '../services/stressTestService.js';
+import stressTestConfig from '../config/stressTest.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/stress-test/shocks
+ * List the preset shocks
+ */
+router.get('/shocks', protect, requirePermission('stresstest:run'), (req, res) => {
+    res.json({
+        success: true,
+        shocks: listShocks()
+    });
+});
+
+/**
+ * POST /api/stress-test/run
+ * Body: { shock: '<preset key>' | { label, states?, coastal?, hazards } }
+ * Stress every loan in the configured statuses (active by default)
+ */
+router.post('/run', protect, requirePermission('stresstest:run'), async (req, res) => {
+    try {
+        const result = resolveShock((req.body || {}).shock);
+        if (!result.valid) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const loans = await loanRepository.find({ status: stressTestConfig.statuses });
+
+        res.json({
+            success: true,
+            ...runStressTest(loans, result.shock)
+        });
+    } catch (error) {
+        console.error('[StressTest] Run error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run stress test'
+        });
+    }
+});
+
+export default router;
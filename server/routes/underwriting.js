@@ -0,0 +1,152 @@
+/**
+ * Underwriting API Routes
+ *
+ * Review queue and manual decisions for underwriters. Every decision is
+ * recorded on the audit chain together with the AI result it confirms
+ * or overrides.
+ */
+
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { recordEvent } from '../services/blockchainService.js';
+import { loanRepository, approvalRepository } from '../repositories/index.js';
+import { resolveActor } from '../services/loanStateMachine.js';
+import { needsReview, applyDecision } from '../services/underwritingService.js';
+import { requiresMakerChecker } from '../services/approvalService.js';
+
+const router = express.Router();
+
+// Audit descriptions per decision
+const DECISION_LABELS = {
+    approve: 'approved',
+    reject: 'rejected',
+    request_info: 'requested more information',
+};
+
+/**
+ * Queue entry for a loan: application basics, the AI result and any
+ * maker-checker approval awaiting a checker
+ */
+const toQueueItem = (loan, pendingApprovals) => ({
+    _id: loan._id,
+    loanId: loan.loanId,
+    businessName: loan.businessName,
+    greenObjective: loan.greenObjective,
+    projectLocation: loan.projectLocation,
+    loanAmount: loan.loanAmount,
+    tenure: loan.tenure,
+    status: loan.status,
+    aiScore: loan.aiScore,
+    sustainabilityClass: loan.sustainabilityClass,
+    rejectionReason: loan.rejectionReason,
+    underwriting: loan.underwriting,
+    requiresMakerChecker: requiresMakerChecker(loan),
+    pendingApproval: pendingApprovals.find(a => a.loanId === loan.loanId) || null,
+    appliedAt: loan.appliedAt,
+});
+
+/**
+ * GET /api/underwriting/queue
+ * Loans awaiting verification plus borderline AI decisions not yet reviewed
+ */
+router.get('/queue', protect, requirePermission('underwriting:review'), async (req, res) => {
+    try {
+        const loans = await loanRepository.find(
+            { status: ['pending_verification', 'approved', 'rejected'] },
+            { sort: { appliedAt: 1 } }
+        );
+
+        const pendingApprovals = await approvalRepository.find({ status: 'pending' });
+
+        const queue = loans.filter(needsReview).map(loan => toQueueItem(loan, pendingApprovals));
+
+        res.json({
+            success: true,
+            count: queue.length,
+            queue
+        });
+    } catch (error) {
+        console.error('[Underwriting] Queue error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch review queue'
+        });
+    }
+});
+
+/**
+ * POST /api/underwriting/:loanId/decision
+ * Record an underwriter decision (approve, reject or request_info)
+ */
+router.post('/:loanId/decision', protect, requirePermission('underwriting:review'), async (req, res) => {
+    try {
+        const { decision, comment } = req.body || {};
+        const loan = await loanRepository.findById(req.params.loanId);
+
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                error: 'Loan not found'
+            });
+        }
+
+        const aiResult = {
+            recommendation: loan.underwriting?.aiRecommendation,
+            reason: loan.underwriting?.aiReason,
+            greenScore: loan.underwriting?.aiScore ?? loan.aiScore,
+            greenwashingPassed: loan.underwriting?.greenwashingPassed,
+            borderline: loan.underwriting?.borderline,
+        };
+
+        const result = applyDecision(loan, {
+            decision,
+            comment,
+            actor: resolveActor(req.user, loan),
+            userId: req.user.id,
+        });
+
+        if (!result.valid) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const { record, override } = result;
+        const block = recordEvent({
+            eventType: override ? 'underwriter_override' : 'underwriter_decision',
+            loanId: loan.loanId,
+            description: override
+                ? `Underwriter overrode AI ${aiResult.recommendation} → ${record.toStatus}: ${record.comment}`
+                : `Underwriter ${DECISION_LABELS[decision]} (AI: ${aiResult.recommendation || 'not run'}): ${record.comment}`,
+            metadata: {
+                decision,
+                comment: record.comment,
+                underwriter: req.user.email,
+                fromStatus: record.fromStatus,
+                toStatus: record.toStatus,
+                override,
+                aiResult,
+            },
+        });
+        record.txHash = block.txHash;
+
+        await loanRepository.save(loan);
+
+        res.json({
+            success: true,
+            loan,
+            decision: record,
+            override,
+            txHash: block.txHash
+        });
+    } catch (error) {
+        console.error('[Underwriting] Decision error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to record underwriting decision'
+        });
+    }
+});
+
+export default router;
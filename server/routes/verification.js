@@ -1,12 +1,24 @@
 import express from 'express';
-import LoanApplication from '../models/LoanApplication.js';
-import { calculateGreenScore, runGreenwashingCheck, assessClimateRisk } from '../services/aiScoringService.js';
+import {
+    calculateGreenScore,
+    snapshotScoringInputs,
+} from '../services/aiScoringService.js';
+import { runGreenwashingCheck } from '../services/greenwashingService.js';
+import { loadRegistry } from '../services/registryService.js';
+import { SIMILARITY_FIELDS, buildSimilarityIndex, findSimilarClaims, describeMatch } from '../services/similarityService.js';
+import { assessClimateRisk } from '../services/climateRiskService.js';
+import { getActiveRuleSet } from '../services/scoringRuleService.js';
+import { simulateScore } from '../services/scoreSimulatorService.js';
 import { recordEvent } from '../services/blockchainService.js';
-import { isDbConnected } from '../config/db.js';
-import { localLoans } from '../services/store.js';
-
-// In-memory verification storage (fallback/cache)
-export const localVerifications = new Map();
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { canAccessLoan } from '../services/permissionService.js';
+import { loanRepository, verificationRepository } from '../repositories/index.js';
+import { transitionLoan } from '../services/loanStateMachine.js';
+import { priceLoan } from '../services/pricingService.js';
+import { assessAiDecision } from '../services/underwritingService.js';
+import { requiresMakerChecker } from '../services/approvalService.js';
+import underwritingConfig from '../config/underwriting.js';
+import duplicateDetectionConfig from '../config/duplicateDetection.js';
 
 const router = express.Router();
 
@@ -14,89 +26,148 @@ const router = express.Router();
  * POST /api/verify/green-score
  * Initiate AI verification for a loan
  */
-router.post('/green-score', async (req, res) => {
+router.post('/green-score', protect, requirePermission('verification:run'), async (req, res) => {
     try {
         const { loanId } = req.body;
-        let loan = null;
 
-        // 1. Find Loan (MongoDB or Local)
-        if (isDbConnected()) {
-            loan = await LoanApplication.findOne({
-                $or: [{ loanId: loanId }, { _id: loanId.match(/^[0-9a-fA-F]{24}$/) ? loanId : null }]
-            });
-        }
+        // 1. Find Loan (MongoDB or Local), scoped to its owner or staff
+        const loan = loanId ? await loanRepository.findById(String(loanId)) : null;
 
-        if (!loan) {
-            // Check local store
-            loan = localLoans.find(l => l.loanId === loanId || l._id === loanId);
-        }
-
-        if (!loan) {
+        if (!canAccessLoan(req.user, loan)) {
             return res.status(404).json({ error: 'Loan not found' });
         }
 
-        // 2. Calculate Scores
-        const scoreResult = calculateGreenScore(loan);
-        const greenwashingResult = runGreenwashingCheck(loan);
+        // 2. Calculate Scores with the active rule set
+        const ruleSet = await getActiveRuleSet();
+        const scoreResult = calculateGreenScore(loan, ruleSet);
+        const greenwashingResult = runGreenwashingCheck(loan, await loadRegistry());
         const climateRisk = assessClimateRisk({
             city: loan.projectLocation?.split(',')[0] || '',
             state: loan.projectLocation?.split(',')[1] || '',
+            latitude: loan.locationCoordinates?.latitude,
+            longitude: loan.locationCoordinates?.longitude,
         });
+        // Recycled descriptions, sites or evidence across every application
+        const indexed = await loanRepository.find({}, { select: SIMILARITY_FIELDS });
+        const duplicateCheck = findSimilarClaims(buildSimilarityIndex(indexed), loan);
 
-        // 3. Prepare Verification Result
+        // 3. Prepare Verification Result (one run, kept alongside earlier runs)
         const verification = {
             loanId: loan.loanId,
+            methodology: scoreResult.methodology,
+            methodologyVersion: scoreResult.ruleSetVersion,
+            inputs: snapshotScoringInputs(loan),
+            runBy: String(req.user.id),
             completed: true,
             greenScore: scoreResult.greenScore,
             sustainabilityClass: scoreResult.sustainabilityClass,
             reasoning: scoreResult.reasoning,
             greenwashingCheck: greenwashingResult,
             climateRisk,
-            completedAt: new Date().toISOString(),
+            duplicateCheck,
+            completedAt: new Date(),
         };
 
         // 4. Update Loan Status & Save
-        // 4. Update Loan Status & Save
-        let newStatus = 'approved';
-        let rejectionReason = null;
-
-        // Rejection Criteria
-        if (!greenwashingResult.passed) {
-            newStatus = 'rejected';
-            rejectionReason = 'Greenwashing detected: Sustainability claims could not be verified.';
-        } else if (scoreResult.greenScore < 50) {
-            newStatus = 'rejected';
-            rejectionReason = `Green Score too low (${scoreResult.greenScore}/100). Minimum 50 required.`;
+        const aiDecision = assessAiDecision({
+            greenScore: scoreResult.greenScore,
+            greenwashingPassed: greenwashingResult.passed,
+        }, ruleSet);
+        // High-value approvals always go to a maker and a checker
+        const needsMakerChecker = aiDecision.recommendation === 'approved' && requiresMakerChecker(loan);
+        const holdForDuplicates = duplicateCheck.flagged && duplicateDetectionConfig.holdForReview;
+        const holdForReview = (aiDecision.borderline && underwritingConfig.holdBorderline) || needsMakerChecker || holdForDuplicates;
+
+        // Score first: approval is guarded on verification being complete
+        loan.aiScore = scoreResult.greenScore;
+        loan.sustainabilityClass = scoreResult.sustainabilityClass;
+
+        // Keep the AI result next to any underwriter decisions
+        if (!loan.underwriting) loan.underwriting = {};
+        loan.underwriting.aiRecommendation = aiDecision.recommendation;
+        loan.underwriting.aiReason = aiDecision.reason;
+        loan.underwriting.aiScore = scoreResult.greenScore;
+        loan.underwriting.ruleSetVersion = scoreResult.ruleSetVersion;
+        loan.underwriting.greenwashingPassed = greenwashingResult.passed;
+        loan.underwriting.duplicateLoanIds = duplicateCheck.flagged ? duplicateCheck.linkedLoanIds : undefined;
+        loan.underwriting.borderline = aiDecision.borderline;
+
+        // Only loans awaiting verification change status; re-runs just refresh the score.
+        // Held loans stay in pending_verification for an underwriter.
+        if (!holdForReview) {
+            const transition = transitionLoan(loan, aiDecision.recommendation, {
+                actor: 'system',
+                reason: aiDecision.reason,
+            });
+            if (transition.valid && aiDecision.recommendation === 'rejected') loan.rejectionReason = aiDecision.reason;
         }
 
-        if (isDbConnected() && loan.save) {
-            loan.status = newStatus;
-            loan.aiScore = scoreResult.greenScore;
-            loan.sustainabilityClass = scoreResult.sustainabilityClass;
-            if (rejectionReason) loan.rejectionReason = rejectionReason;
-            await loan.save();
-        } else {
-            // Update local object
-            loan.status = newStatus;
-            loan.aiScore = scoreResult.greenScore;
-            loan.sustainabilityClass = scoreResult.sustainabilityClass;
-            if (rejectionReason) loan.rejectionReason = rejectionReason;
-            loan.updatedAt = new Date().toISOString();
+        if (loan.status === 'pending_verification' && loan.underwriting.reviewStatus !== 'queued') {
+            loan.underwriting.reviewStatus = 'queued';
+            loan.underwriting.queuedAt = new Date();
+        } else if (!loan.underwriting.reviewStatus) {
+            loan.underwriting.reviewStatus = 'not_required';
+        }
+
+        verification.status = loan.status;
+        verification.underwriting = {
+            aiRecommendation: aiDecision.recommendation,
+            borderline: aiDecision.borderline,
+            makerCheckerRequired: needsMakerChecker,
+            reviewStatus: loan.underwriting.reviewStatus,
+        };
+
+        // Green-score-linked pricing; terms are fixed once the loan is disbursed
+        if (!loan.repaymentSchedule?.length) {
+            const pricing = priceLoan({
+                greenScore: scoreResult.greenScore,
+                sustainabilityClass: scoreResult.sustainabilityClass,
+                climateRiskLevel: climateRisk.level,
+            });
+            loan.pricing = pricing;
+            loan.interestRate = pricing.finalRate;
         }
+        verification.pricing = loan.pricing;
+        verification.interestRate = loan.interestRate;
 
-        // Store verification result in memory for quick retrieval
-        localVerifications.set(loan.loanId, verification);
+        await loanRepository.save(loan);
 
         // 5. Record Blockchain Event
-        recordEvent({
+        const holdReason = needsMakerChecker ? 'maker-checker approval required'
+            : holdForDuplicates ? 'possible recycled claim' : 'borderline';
+        const block = recordEvent({
             eventType: 'verification_complete',
             loanId: loan.loanId,
-            description: `AI Verification completed: Green Score ${scoreResult.greenScore}`,
+            description: holdForReview
+                ? `AI Verification completed: Green Score ${scoreResult.greenScore} (${holdReason}, referred to underwriter)`
+                : `AI Verification completed: Green Score ${scoreResult.greenScore}`,
+            metadata: {
+                aiRecommendation: aiDecision.recommendation,
+                reason: aiDecision.reason,
+                borderline: aiDecision.borderline,
+                makerCheckerRequired: requiresMakerChecker(loan),
+                methodologyVersion: scoreResult.ruleSetVersion,
+                duplicateLoanIds: duplicateCheck.linkedLoanIds,
+            },
         });
 
+        if (duplicateCheck.flagged) {
+            recordEvent({
+                eventType: 'duplicate_claim_detected',
+                loanId: loan.loanId,
+                description: `Possible recycled claim: ${duplicateCheck.matches.map(describeMatch).join('; ')}`,
+                metadata: {
+                    linkedLoanIds: duplicateCheck.linkedLoanIds,
+                    matches: duplicateCheck.matches,
+                },
+            });
+        }
+
+        const run = await verificationRepository.create({ ...verification, txHash: block.txHash });
+
         res.json({
             success: true,
-            verification,
+            verification: run,
         });
     } catch (error) {
         console.error('Error in verification:', error);
@@ -108,31 +179,29 @@ router.post('/green-score', async (req, res) => {
  * GET /api/verify/status/:loanId
  * Get verification status for a loan
  */
-router.get('/status/:loanId', async (req, res) => {
+router.get('/status/:loanId', protect, requirePermission('verification:read'), async (req, res) => {
     try {
         const { loanId } = req.params;
 
-        // Check local cache first
-        let verification = localVerifications.get(loanId);
+        const loan = await loanRepository.findById(loanId);
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({ error: 'Loan not found' });
+        }
+
+        const verification = await verificationRepository.findLatest(loan.loanId);
 
         if (!verification) {
-            // If checking from DB, we might need to reconstruct or store verification in DB too
-            // For now, simpler to rely on the LoanApplication having the score
-            // But the UI expects the full verification object
-
-            // If we authenticated against DB, we can check if loan has score
-            if (isDbConnected()) {
-                const loan = await LoanApplication.findOne({ loanId });
-                if (loan && loan.aiScore !== undefined) {
-                    // Reconstruct basic verification status if not in cache
-                    return res.json({
-                        loanId,
-                        completed: true,
-                        greenScore: loan.aiScore,
-                        sustainabilityClass: loan.sustainabilityClass,
-                        status: 'completed'
-                    });
-                }
+            // Loans scored before verification runs were stored only carry the score
+            if (loan.aiScore !== undefined && loan.aiScore !== null) {
+                return res.json({
+                    loanId: loan.loanId,
+                    completed: true,
+                    greenScore: loan.aiScore,
+                    sustainabilityClass: loan.sustainabilityClass,
+                    pricing: loan.pricing,
+                    interestRate: loan.interestRate,
+                    status: 'completed'
+                });
             }
 
             return res.json({
@@ -149,10 +218,78 @@ router.get('/status/:loanId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/verify/history/:loanId
+ * List every verification run for a loan, newest first
+ */
+router.get('/history/:loanId', protect, requirePermission('verification:read'), async (req, res) => {
+    try {
+        const loan = await loanRepository.findById(req.params.loanId);
+        if (!canAccessLoan(req.user, loan)) {
+            return res.status(404).json({ success: false, error: 'Loan not found' });
+        }
+
+        const runs = await verificationRepository.findByLoan(loan.loanId);
+
+        res.json({
+            success: true,
+            loanId: loan.loanId,
+            count: runs.length,
+            runs
+        });
+    } catch (error) {
+        console.error('Error fetching verification history:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch verification history' });
+    }
+});
+
+/**
+ * POST /api/verify/simulate
+ * What-if Green Score, scored with the active rule set and not stored
+ * (requires verification:read, also for unsaved applications).
+ *
+ * Body: { loanId } to start from a saved application, or { application }
+ * for an unsaved one, plus optional { changes } to apply in the scenario.
+ * Returns both scores, per-factor deltas and the smallest changes that
+ * would reach each higher class.
+ */
+router.post('/simulate', protect, requirePermission('verification:read'), async (req, res) => {
+    try {
+        const { loanId, application, changes = {} } = req.body || {};
+
+        let baseline = application;
+        if (loanId) {
+            baseline = await loanRepository.findById(String(loanId));
+            if (!canAccessLoan(req.user, baseline)) {
+                return res.status(404).json({ success: false, error: 'Loan not found' });
+            }
+        }
+
+        const isObject = (val) => !!val && typeof val === 'object' && !Array.isArray(val);
+        if (!isObject(baseline) || !isObject(changes)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide a loanId or an application object, and changes as an object'
+            });
+        }
+
+        const simulation = simulateScore(baseline, changes, await getActiveRuleSet());
+
+        res.json({
+            success: true,
+            loanId: loanId ? baseline.loanId : undefined,
+            ...simulation
+        });
+    } catch (error) {
+        console.error('Error simulating green score:', error);
+        res.status(500).json({ success: false, error: 'Failed to simulate green score' });
+    }
+});
+
 /**
  * POST /api/verify/greenwashing
  */
-router.post('/greenwashing', async (req, res) => {
+router.post('/greenwashing', protect, requirePermission('verification:run'), async (req, res) => {
     // Kept simple for now
     res.json({ success: true, message: 'Endpoint deprecated, use green-score' });
 });
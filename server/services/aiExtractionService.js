@@ -39,6 +39,14 @@ FIELDS TO EXTRACT:
 - claimed_impact:
     - co2_saved_tonnes_per_year (number | null)
     - energy_generated_kwh_per_year (number | null)
+- vendor_gstin (15-character GSTIN of the supplier, not the buyer | null)
+- line_items (array | empty array), for quotations and invoices, one per row:
+    - description (string | null)
+    - model (model or part number | null)
+    - quantity (number | null)
+    - unit (e.g. "Nos" | null)
+    - unit_price (number in rupees | null)
+    - amount (line total in rupees | null)
 
 OUTPUT FORMAT (JSON ONLY):
 {
@@ -49,9 +57,115 @@ OUTPUT FORMAT (JSON ONLY):
   "claimed_impact": {
     "co2_saved_tonnes_per_year": null,
     "energy_generated_kwh_per_year": null
-  }
+  },
+  "vendor_gstin": null,
+  "line_items": []
 }`;
 
+// Rows kept from one document
+const MAX_LINE_ITEMS = 50;
+
+const GSTIN_PATTERN = /\b\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/g;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// GSTINs on lines like these belong to the buyer, not the vendor
+const BUYER_LINE = /\b(?:buyer|bill(?:ed)?\s*to|ship(?:ped)?\s*to|consignee|customer|recipient)\b/i;
+
+/**
+ * Check a GSTIN's format and check character (mod-36 checksum over the first 14)
+ * OCR misreads usually fail the checksum.
+ *
+ * @param {string} gstin - GSTIN to check
+ * @returns {boolean}
+ */
+export function isValidGstin(gstin) {
+    if (typeof gstin !== 'string' || !new RegExp(`^${GSTIN_PATTERN.source}$`).test(gstin)) return false;
+
+    const sum = [...gstin.slice(0, 14)].reduce((total, char, i) => {
+        const product = GSTIN_CHARSET.indexOf(char) * (i % 2 === 0 ? 1 : 2);
+        return total + Math.floor(product / 36) + (product % 36);
+    }, 0);
+    return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === gstin[14];
+}
+
+/**
+ * Find the vendor's GSTIN in a quotation or invoice
+ * The first valid GSTIN not on a buyer / bill-to line, which on Indian
+ * invoices is the supplier's in the header.
+ *
+ * @param {string} text - Document text
+ * @returns {string|null}
+ */
+export function extractVendorGstin(text) {
+    for (const line of text.split('\n')) {
+        if (BUYER_LINE.test(line)) continue;
+        const gstin = (line.toUpperCase().match(GSTIN_PATTERN) || []).find(isValidGstin);
+        if (gstin) return gstin;
+    }
+    return null;
+}
+
+// Quantity with a unit ("100 Nos") or a label ("Qty: 100")
+const QUANTITY_PATTERN = /(?:^|\s)(\d+(?:\.\d+)?)\s*(nos?|pcs?|pieces?|units?|sets?|lots?|modules?|panels?|meters?|mtrs?)\.?(?=\s|$)|\bqty\.?\s*:?\s*(\d+(?:\.\d+)?)/i;
+// Rupee amount: digit grouping or paise ("1,85,000", "12500.00"); percentages excluded
+const AMOUNT_PATTERN = /(?:₹|rs\.?|inr)?\s*(\d{1,3}(?:,\d{2,3})+(?:\.\d{1,2})?|\d+\.\d{2})(?![\d%]|\s*%)/gi;
+const LABELLED_MODEL = /\bmodel\s*(?:no\.?)?\s*:?\s*([A-Z0-9][A-Z0-9\-\/.]*[A-Z0-9])/i;
+// Upper-case token mixing letters and digits ("TP-540M", "SG50CX")
+const MODEL_TOKEN = /\b(?=[A-Z0-9\-\/]*\d)(?=[A-Z0-9\-\/]*[A-Z])[A-Z0-9]+(?:[-\/][A-Z0-9]+)*\b/g;
+// Ratings that look like model numbers ("540W", "5KVA")
+const RATING_TOKEN = /^\d+(?:W|WP|KW|KWP|V|A|AH|KVA|KWH)$/;
+
+const toAmount = (value) => Number(value.replace(/,/g, ''));
+
+/**
+ * Pull line items out of quotation or invoice text
+ * A line is an item when it has a quantity followed by at least one
+ * amount; with two or more, the first is the unit price and the last the
+ * line total. Nothing is computed that the document does not state.
+ *
+ * @param {string} text - Document text, one table row per line
+ * @returns {Array<Object>} [{ description, model, quantity, unit, unit_price, amount }]
+ */
+export function extractLineItems(text) {
+    const items = [];
+
+    for (const line of text.split('\n')) {
+        const quantityMatch = line.match(QUANTITY_PATTERN);
+        if (!quantityMatch) continue;
+
+        const afterQuantity = line.slice(quantityMatch.index + quantityMatch[0].length);
+        const amounts = [...afterQuantity.matchAll(AMOUNT_PATTERN)].map(match => toAmount(match[1]));
+        if (amounts.length === 0) continue;
+
+        const quantity = Number(quantityMatch[1] ?? quantityMatch[3]);
+        let description = line.slice(0, quantityMatch.index)
+            .replace(/^\s*\d{1,3}[.)]?\s+/, '') // Serial number
+            .replace(/\b(?:hsn|sac)\s*(?:code)?\s*:?\s*\d{4,8}\b/i, '')
+            .replace(/\bqty\.?\s*:?\s*$/i, '');
+
+        const model = description.match(LABELLED_MODEL)?.[1]
+            || (description.match(MODEL_TOKEN) || []).find(token => token.length >= 4 && !RATING_TOKEN.test(token))
+            || null;
+        if (model) {
+            description = description.replace(LABELLED_MODEL, '').replace(model, '');
+        }
+        description = description.replace(/\s+/g, ' ').replace(/[\s,:;-]+$/, '').trim();
+
+        const single = amounts.length === 1;
+        items.push({
+            description: description || null,
+            model,
+            quantity,
+            unit: quantityMatch[2] || null,
+            // A lone amount is the line total, and also the unit price for a single unit
+            unit_price: single ? (quantity === 1 ? amounts[0] : null) : amounts[0],
+            amount: amounts[amounts.length - 1],
+        });
+        if (items.length === MAX_LINE_ITEMS) break;
+    }
+
+    return items;
+}
+
 /**
  * Check if LLM mode is enabled
  * @returns {boolean} True if LLM API is configured and demo mode is disabled
@@ -188,7 +302,9 @@ export function extractClaimMock(text) {
         claimed_impact: {
             co2_saved_tonnes_per_year,
             energy_generated_kwh_per_year
-        }
+        },
+        vendor_gstin: extractVendorGstin(text),
+        line_items: extractLineItems(text)
     };
 }
 
@@ -221,7 +337,7 @@ export async function extractClaimLLM(text) {
                     { role: 'user', content: `INPUT TEXT:\n${text}` }
                 ],
                 temperature: 0,
-                max_tokens: 500
+                max_tokens: 1500
             })
         });
 
@@ -240,22 +356,58 @@ export async function extractClaimLLM(text) {
         const parsed = JSON.parse(content);
 
         // Validate and normalize the response
-        return {
-            project_type: parsed.project_type || null,
-            capacity_kw: parsed.capacity_kw || null,
-            vendor: parsed.vendor || null,
-            certifications: Array.isArray(parsed.certifications) ? parsed.certifications : [],
-            claimed_impact: {
-                co2_saved_tonnes_per_year: parsed.claimed_impact?.co2_saved_tonnes_per_year || null,
-                energy_generated_kwh_per_year: parsed.claimed_impact?.energy_generated_kwh_per_year || null
-            }
-        };
+        return normalizeClaim(parsed);
     } catch (error) {
         console.error('LLM extraction failed, falling back to mock:', error.message);
         return extractClaimMock(text);
     }
 }
 
+/**
+ * Normalize a claim from the LLM or a client into the standard schema
+ * Unknown fields are dropped; numbers that are not positive, and GSTINs
+ * failing their checksum, become null.
+ * 
+ * @param {Object} input - Claim-shaped object
+ * @returns {Object|null} Claim in standard schema, or null if input is not an object
+ */
+export function normalizeClaim(input) {
+    if (!input || typeof input !== 'object') return null;
+
+    const positive = (val) => {
+        const num = Number(val);
+        return Number.isFinite(num) && num > 0 ? num : null;
+    };
+    const text = (val) => (typeof val === 'string' && val.trim() ? val.trim() : null);
+    const gstin = text(input.vendor_gstin)?.toUpperCase();
+
+    return {
+        project_type: text(input.project_type),
+        capacity_kw: positive(input.capacity_kw),
+        vendor: text(input.vendor),
+        certifications: Array.isArray(input.certifications) ? input.certifications.filter(c => typeof c === 'string') : [],
+        claimed_impact: {
+            co2_saved_tonnes_per_year: positive(input.claimed_impact?.co2_saved_tonnes_per_year),
+            energy_generated_kwh_per_year: positive(input.claimed_impact?.energy_generated_kwh_per_year)
+        },
+        vendor_gstin: isValidGstin(gstin) ? gstin : null,
+        line_items: Array.isArray(input.line_items)
+            ? input.line_items
+                .filter(item => item && typeof item === 'object')
+                .map(item => ({
+                    description: text(item.description),
+                    model: text(item.model),
+                    quantity: positive(item.quantity),
+                    unit: text(item.unit),
+                    unit_price: positive(item.unit_price),
+                    amount: positive(item.amount)
+                }))
+                .filter(item => item.description || item.model)
+                .slice(0, MAX_LINE_ITEMS)
+            : []
+    };
+}
+
 /**
  * Main extraction function - automatically selects mode
  * Uses LLM if configured, otherwise falls back to mock
@@ -273,6 +425,10 @@ export async function extractClaim(text) {
 export default {
     extractClaim,
     extractClaimMock,
+    normalizeClaim,
+    extractLineItems,
+    extractVendorGstin,
+    isValidGstin,
     extractClaimLLM,
     isLLMEnabled,
     LLM_SYSTEM_PROMPT
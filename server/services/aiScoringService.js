@@ -18,21 +18,77 @@
  * ============================================
  */
 
+import { DEFAULT_RULE_SET } from '../config/scoringRules.js';
+import { lookupLocation, findStateByName } from './geoService.js';
+import { assessClimateRisk } from './climateRiskService.js';
+
+// Application fields the scoring, greenwashing and climate checks read
+const SCORING_INPUT_FIELDS = [
+    'greenObjective',
+    'annualTurnover',
+    'yearsInBusiness',
+    'estimatedSavings',
+    'projectLocation',
+    'projectDescription',
+    'loanAmount',
+    'locationCoordinates',
+    'sustainabilityClaim',
+];
+
 /**
- * Calculate Green Score based on project characteristics
- * Uses transparent, weighted rules for explainability
- * 
- * @param {Object} projectData - Project and business information
- * @returns {Object} Score, classification, and reasoning
+ * Snapshot the inputs a verification run was scored on
+ *
+ * @param {Object} projectData - Loan application (document or plain object)
+ * @returns {Object} Copy of the scoring input fields
  */
+export function snapshotScoringInputs(projectData) {
+    const data = projectData.toObject ? projectData.toObject() : projectData;
+    return Object.fromEntries(SCORING_INPUT_FIELDS
+        .filter(field => data[field] !== undefined)
+        .map(field => [field, structuredClone(data[field])]));
+}
+
+// Reasoning entry for a scoring rule
+const describePoints = (points, label) => `${points > 0 ? '+' : ''}${points} pts (${label})`;
+
+/**
+ * Parse an amount that may be formatted (e.g. '₹5,00,000')
+ *
+ * @param {*} val - Number or formatted string
+ * @returns {number} Parsed amount, 0 if missing
+ */
+export function parseAmount(val) {
+    return parseFloat(String(val).replace(/[^0-9.]/g, '')) || 0;
+}
+
+/**
+ * Read project coordinates from an application or the loan form
+ * Accepts { locationCoordinates } or flat latitude/longitude fields.
+ *
+ * @param {Object} data - Application data
+ * @returns {Object|undefined} { latitude, longitude } or undefined if incomplete
+ */
+export function parseCoordinates(data) {
+    const latitude = parseFloat(data.locationCoordinates?.latitude ?? data.latitude);
+    const longitude = parseFloat(data.locationCoordinates?.longitude ?? data.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return undefined;
+    return { latitude, longitude };
+}
+
+// First tier whose minimum the value reaches (tiers are listed highest first)
+const findTier = (tiers = [], value) => tiers.find(tier => value >= tier.min);
+
 /**
  * Calculate Green Score based on project characteristics
  * Uses strict, weighted rules based on Financial, Geographical, and Impact factors.
+ * The weights come from a scoring rule set (see config/scoringRules.js).
  * 
  * @param {Object} projectData - Project and business information
- * @returns {Object} Score, classification, and reasoning
+ * @param {Object} ruleSet - Scoring rule set to evaluate (defaults to the bundled one)
+ * @returns {Object} Score, classification, reasoning, points per factor and section,
+ *                   and the rule set version used
  */
-export function calculateGreenScore(projectData) {
+export function calculateGreenScore(projectData, ruleSet = DEFAULT_RULE_SET) {
     const {
         greenObjective,
         annualTurnover,
@@ -42,205 +98,116 @@ export function calculateGreenScore(projectData) {
         loanAmount,
         locationCoordinates
     } = projectData;
+    const { impact, financial, geo, dataQuality, classCutoffs } = ruleSet;
 
     // Initialize scoring
     let finalScore = 0;
     const reasoning = {};
-    const maxScore = 100;
+    const factors = {};
 
-    // Helper to safely parse numbers
-    const parseNum = (val) => parseFloat(String(val).replace(/[^0-9.]/g, '')) || 0;
+    // Points for one factor, explained in the reasoning
+    const award = (factor, points, label) => {
+        factors[factor] = points;
+        reasoning[factor] = describePoints(points, label);
+        return points;
+    };
 
-    const turnoverVal = parseNum(annualTurnover);
-    const savingsVal = parseNum(estimatedSavings);
-    const loanVal = parseNum(loanAmount) || 100000; // Avoid div by zero
-    const yearsVal = parseNum(yearsInBusiness);
+    const turnoverVal = parseAmount(annualTurnover);
+    const savingsVal = parseAmount(estimatedSavings);
+    const loanVal = parseAmount(loanAmount) || 100000; // Avoid div by zero
+    const yearsVal = parseAmount(yearsInBusiness);
 
     // ============================================
-    // 1. PROJECT IMPACT & CATEGORY (Max 30 Points)
+    // 1. PROJECT IMPACT & CATEGORY
     // ============================================
     let impactScore = 0;
-    const impactScores = {
-        solar: 30,      // Direct renewable generation
-        waste: 30,      // Circular economy
-        wind: 30,
-        energy_efficiency: 25, // Demand reduction
-        ev: 25,         // Emission displacement
-        water: 25,      // Resource conservation
-        agriculture: 20 // Sustainable practice
-    };
 
     // Normalize category key
     const catKey = (greenObjective || '').toLowerCase().replace(/ /g, '_');
-    const baseImpact = impactScores[catKey] || 20;
+    const baseImpact = impact.categories[catKey] ?? impact.defaultPoints;
 
-    impactScore += baseImpact;
-    reasoning.category_impact = `+${baseImpact} pts (${greenObjective || 'Standard'} Category)`;
+    impactScore += award('category_impact', baseImpact, `${greenObjective || 'Standard'} Category`);
 
-    // Transformative Bonus: If savings > 50% of turnover (High impact on business model)
-    if (turnoverVal > 0 && savingsVal > (turnoverVal * 0.5)) {
-        impactScore += 5; // Cap handling needed per section? Let's allow section overflow but cap total
-        reasoning.transformative_bonus = '+5 pts (High Savings relative to Turnover)';
+    // Transformative Bonus: savings large relative to turnover (high impact on business model)
+    const bonus = impact.transformativeBonus;
+    if (bonus && turnoverVal > 0 && savingsVal > (turnoverVal * bonus.minSavingsToTurnover)) {
+        impactScore += award('transformative_bonus', bonus.points, bonus.label);
     }
 
-    // Cap section at 30
-    impactScore = Math.min(30, impactScore);
+    impactScore = Math.min(impact.max, impactScore);
     finalScore += impactScore;
 
 
     // ============================================
-    // 2. FINANCIAL VIABILITY (Max 30 Points)
+    // 2. FINANCIAL VIABILITY
     // ============================================
     let financialScore = 0;
 
-    // A. ROI Potential (Savings / Loan Amount) - Max 15
-    const roiRatio = savingsVal / loanVal;
-    if (roiRatio >= 0.5) {
-        financialScore += 15;
-        reasoning.roi_potential = '+15 pts (Excellent ROI > 50%)';
-    } else if (roiRatio >= 0.25) {
-        financialScore += 10;
-        reasoning.roi_potential = '+10 pts (Strong ROI > 25%)';
-    } else if (roiRatio >= 0.1) {
-        financialScore += 5;
-        reasoning.roi_potential = '+5 pts (Moderate ROI)';
-    } else {
-        reasoning.roi_potential = '0 pts (Low ROI < 10%)';
-    }
+    // A. ROI Potential (Savings / Loan Amount)
+    const roiTier = findTier(financial.roiTiers, savingsVal / loanVal) || financial.roiFallback;
+    if (roiTier) financialScore += award('roi_potential', roiTier.points, roiTier.label);
 
-    // B. Business Stability - Max 15
-    // Turnover
-    if (turnoverVal >= 5000000) { // 50L
-        financialScore += 10;
-        reasoning.turnover_stability = '+10 pts (Turnover > ₹50L)';
-    } else if (turnoverVal >= 1000000) { // 10L
-        financialScore += 5;
-        reasoning.turnover_stability = '+5 pts (Turnover > ₹10L)';
-    } else {
-        reasoning.turnover_stability = '+0 pts (Low Turnover)';
-    }
+    // B. Business Stability: turnover and years in business
+    const turnoverTier = findTier(financial.turnoverTiers, turnoverVal) || financial.turnoverFallback;
+    if (turnoverTier) financialScore += award('turnover_stability', turnoverTier.points, turnoverTier.label);
 
-    // Years
-    if (yearsVal >= 3) {
-        financialScore += 5;
-        reasoning.business_age = '+5 pts (> 3 Years Vintage)';
-    } else if (yearsVal >= 1) {
-        financialScore += 2;
-        reasoning.business_age = '+2 pts (1-3 Years Vintage)';
-    }
+    const vintageTier = findTier(financial.vintageTiers, yearsVal) || financial.vintageFallback;
+    if (vintageTier) financialScore += award('business_age', vintageTier.points, vintageTier.label);
 
-    // Cap section at 30
-    financialScore = Math.min(30, financialScore);
+    financialScore = Math.min(financial.max, financialScore);
     finalScore += financialScore;
 
 
     // ============================================
-    // 3. GEOGRAPHICAL SUITABILITY (Max 30 Points)
+    // 3. GEOGRAPHICAL SUITABILITY
     // ============================================
     let geoScore = 0;
 
-    // Derive State
+    // Derive State: from the boundary lookup when coordinates resolve, else the typed location
     let state = projectLocation || 'Unknown';
-    if (locationCoordinates?.latitude && locationCoordinates?.longitude) {
-        const derived = getStateFromCoordinates(locationCoordinates.latitude, locationCoordinates.longitude);
-        if (derived !== 'Unknown') state = derived;
-    }
+    const resolved = lookupLocation(locationCoordinates?.latitude, locationCoordinates?.longitude);
+    if (resolved) state = resolved.state;
     state = state.toLowerCase();
 
-    // A. Suitability Rules (20 pts)
+    // A. Suitability: first category rule whose keyword matches, then its first matching state band
     const category = (greenObjective || '').toLowerCase();
+    const categoryRule = geo.stateBands.find(rule => rule.keywords.some(k => category.includes(k)));
+    const band = categoryRule
+        ? categoryRule.bands.find(b => b.states.some(s => state.includes(s))) || categoryRule.fallback
+        : geo.defaultBand;
 
-    // Solar
-    if (category.includes('solar')) {
-        if (['rajasthan', 'gujarat', 'maharashtra', 'karnataka', 'tamil nadu', 'telangana', 'andhra pradesh'].some(s => state.includes(s))) {
-            geoScore += 20;
-            reasoning.geo_suitability = '+20 pts (High Solar Irradiance Zone)';
-        } else if (['kerala', 'west bengal', 'odisha'].some(s => state.includes(s))) {
-            geoScore += 10;
-            reasoning.geo_suitability = '+10 pts (Moderate Solar Potential)';
-        } else {
-            geoScore += 5;
-            reasoning.geo_suitability = '+5 pts (Standard Solar Potential)';
-        }
-    }
-    // Wind
-    else if (category.includes('wind')) {
-        if (['tamil nadu', 'gujarat', 'maharashtra', 'karnataka'].some(s => state.includes(s))) {
-            geoScore += 20;
-            reasoning.geo_suitability = '+20 pts (High Wind Corridor)';
-        } else {
-            geoScore += 5;
-            reasoning.geo_suitability = '+5 pts (Low Wind Potential)';
-        }
-    }
-    // EV / Efficiency (Urban Focus)
-    else if (category.includes('ev') || category.includes('efficiency')) {
-        if (['delhi', 'maharashtra', 'karnataka', 'telangana', 'tamil nadu'].some(s => state.includes(s))) {
-            geoScore += 20;
-            reasoning.geo_suitability = '+20 pts (High Urban Adoption Rate)';
-        } else {
-            geoScore += 10;
-            reasoning.geo_suitability = '+10 pts (Growing Adoption Zone)';
-        }
-    }
-    // Agriculture / Water (Resource Scarcity Focus)
-    else if (category.includes('agriculture') || category.includes('water')) {
-        if (['punjab', 'haryana', 'uttar pradesh', 'madhya pradesh'].some(s => state.includes(s))) {
-            geoScore += 20;
-            reasoning.geo_suitability = '+20 pts (Process Optimization Zone)';
-        } else if (['rajasthan', 'maharashtra', 'gujarat'].some(s => state.includes(s))) {
-            geoScore += 20;
-            reasoning.geo_suitability = '+20 pts (Critical Resource Impact Zone)';
-        } else {
-            geoScore += 10;
-            reasoning.geo_suitability = '+10 pts (Standard Impact Zone)';
-        }
-    }
-    // Waste
-    else if (category.includes('waste')) {
-        geoScore += 20; // Universally applicable
-        reasoning.geo_suitability = '+20 pts (Universal Need)';
-    }
-    else {
-        geoScore += 10;
-        reasoning.geo_suitability = '+10 pts (General Applicability)';
-    }
+    geoScore += award('geo_suitability', band.points, band.label);
 
-    // B. Climate Risk Resilience (10 pts)
+    // B. Climate Risk Resilience
     // Invert risk: Low risk = high score
-    const riskAssessment = assessClimateRisk({ state });
-    if (riskAssessment.level === 'low') {
-        geoScore += 10;
-        reasoning.climate_resilience = '+10 pts (Low Climate Risk)';
-    } else if (riskAssessment.level === 'medium') {
-        geoScore += 5;
-        reasoning.climate_resilience = '+5 pts (Moderate Climate Risk)';
-    } else {
-        reasoning.climate_resilience = '0 pts (High Climate Risk detected)';
-    }
+    const riskAssessment = assessClimateRisk({
+        state,
+        latitude: locationCoordinates?.latitude,
+        longitude: locationCoordinates?.longitude,
+    });
+    const resilience = geo.climateResilience[riskAssessment.level];
+    if (resilience) geoScore += award('climate_resilience', resilience.points, resilience.label);
 
-    // Cap section at 30
-    geoScore = Math.min(30, geoScore);
+    geoScore = Math.min(geo.max, geoScore);
     finalScore += geoScore;
 
 
     // ============================================
-    // 4. DATA INTEGRITY & VALIDATION (Max 10 Points)
+    // 4. DATA INTEGRITY & VALIDATION
     // ============================================
     let dataScore = 0;
 
     // Granular Location Bonus
     if (locationCoordinates?.latitude) {
-        dataScore += 5;
-        reasoning.data_quality = '+5 pts (Precise Geolocation Verified)';
+        dataScore += award('data_quality', dataQuality.geolocation.points, dataQuality.geolocation.label);
     }
 
     // Completeness Bonus (Turnover & Savings present)
     if (turnoverVal > 0 && savingsVal > 0) {
-        dataScore += 5;
-        reasoning.data_completeness = '+5 pts (Full Financial Disclosure)';
+        dataScore += award('data_completeness', dataQuality.financialDisclosure.points, dataQuality.financialDisclosure.label);
     }
 
+    dataScore = Math.min(dataQuality.max, dataScore);
     finalScore += dataScore;
 
     // ============================================
@@ -252,199 +219,50 @@ export function calculateGreenScore(projectData) {
 
     // Determine Class
     let sustainabilityClass = 'low';
-    if (finalScore >= 80) sustainabilityClass = 'high'; // Stricter threshold
-    else if (finalScore >= 50) sustainabilityClass = 'medium';
+    if (finalScore >= classCutoffs.high) sustainabilityClass = 'high';
+    else if (finalScore >= classCutoffs.medium) sustainabilityClass = 'medium';
 
     return {
         greenScore: finalScore,
         sustainabilityClass,
         reasoning,
+        factors,
+        // Section totals after their caps
+        sections: {
+            impact: impactScore,
+            financial: financialScore,
+            geo: geoScore,
+            dataQuality: dataScore,
+        },
         timestamp: new Date().toISOString(),
-        methodology: 'TerraLend Enhanced AI v2.0',
+        methodology: `${ruleSet.name} v${ruleSet.version}`,
+        ruleSetVersion: ruleSet.version,
     };
 }
 
 /**
- * Run greenwashing prevention checks
- * Simulates cross-verification with government databases
- * 
- * @param {Object} projectData - Project information
- * @returns {Object} Greenwashing check results
+ * Get State/Region from Coordinates
+ * Point-in-polygon lookup against the bundled state boundaries
  */
-export function runGreenwashingCheck(projectData) {
-    // Simulate verification checks
-    const checks = [
-        { name: 'MNRE Registration', status: 'verified', confidence: 95 },
-        { name: 'BEE Compliance', status: 'verified', confidence: 92 },
-        { name: 'GRI Standards', status: 'verified', confidence: 88 },
-        { name: 'Project Documentation', status: 'verified', confidence: 90 },
-    ];
-
-    // Calculate overall confidence
-    const avgConfidence = checks.reduce((sum, c) => sum + c.confidence, 0) / checks.length;
-
-    // Determine if passed (all checks verified and confidence > 80%)
-    const passed = checks.every(c => c.status === 'verified') && avgConfidence >= 80;
-
-    return {
-        passed,
-        confidenceScore: Math.round(avgConfidence),
-        checks,
-        flags: [], // In production, would contain any inconsistencies found
-        verifiedAt: new Date().toISOString(),
-        verifiedBy: 'Greenwashing Prevention Agent (Simulated)',
-    };
+export function getStateFromCoordinates(lat, long) {
+    return lookupLocation(lat, long)?.state || 'Unknown';
 }
 
 /**
- * Assess climate risks for project location
- * 
- * @param {Object} location - Location details
- * @returns {Object} Climate risk assessment
+ * Representative coordinates for a location named in free text
+ *
+ * @param {string} location - e.g. 'Jaipur, Rajasthan'
+ * @returns {Object|null} { latitude, longitude } inside the named state, or null if unknown
  */
-export function assessClimateRisk(location) {
-    // Simulated climate risk data
-    // In production, would integrate with climate APIs
-
-    const risks = [];
-    const locationStr = (location.city || location.state || '').toLowerCase();
-
-    // Drought risk (Central/Western India)
-    if (['maharashtra', 'karnataka', 'rajasthan', 'telangana'].some(s => locationStr.includes(s))) {
-        risks.push({
-            type: 'drought',
-            level: 'medium',
-            description: 'Moderate drought risk during summer months. May affect water-dependent operations.',
-            recommendation: 'Consider water storage and backup systems.',
-        });
-    }
-
-    // Flood risk (Coastal/Eastern regions)
-    if (['mumbai', 'chennai', 'kolkata', 'assam', 'kerala'].some(s => locationStr.includes(s))) {
-        risks.push({
-            type: 'flood',
-            level: 'high',
-            description: 'Higher flood risk during monsoon season.',
-            recommendation: 'Ensure adequate flood insurance and elevated installations.',
-        });
-    }
-
-    // Heat stress (Northern plains)
-    if (['delhi', 'uttar pradesh', 'bihar', 'punjab'].some(s => locationStr.includes(s))) {
-        risks.push({
-            type: 'heatwave',
-            level: 'medium',
-            description: 'Extreme heat events may impact equipment efficiency.',
-            recommendation: 'Plan for cooling systems and shade structures.',
-        });
-    }
-
-    // Determine overall risk level
-    let overallLevel = 'low';
-    if (risks.some(r => r.level === 'high')) {
-        overallLevel = 'high';
-    } else if (risks.some(r => r.level === 'medium')) {
-        overallLevel = 'medium';
-    }
-
-    return {
-        level: overallLevel,
-        risks,
-        notes: risks.length > 0
-            ? `${risks.length} climate risk(s) identified for this location.`
-            : 'No significant climate risks identified.',
-        assessedAt: new Date().toISOString(),
-    };
+export function getStateCentroid(location) {
+    return findStateByName(location)?.center || null;
 }
 
 export default {
+    snapshotScoringInputs,
+    parseAmount,
+    parseCoordinates,
     calculateGreenScore,
-    runGreenwashingCheck,
-    assessClimateRisk,
     getStateFromCoordinates,
-    calculateSuitabilityScore
+    getStateCentroid,
 };
-
-/**
- * Get State/Region from Coordinates (Simulated Reverse Geocoding)
- * Uses approximate centroids for major Indian states
- */
-export function getStateFromCoordinates(lat, long) {
-    if (!lat || !long) return 'Unknown';
-
-    // Simplified centroids for demo
-    const locations = [
-        { state: 'Maharashtra', lat: 19.75, long: 75.71 },
-        { state: 'Karnataka', lat: 15.31, long: 75.71 },
-        { state: 'Rajasthan', lat: 27.02, long: 74.21 },
-        { state: 'Tamil Nadu', lat: 11.12, long: 78.65 },
-        { state: 'Gujarat', lat: 22.25, long: 71.19 },
-        { state: 'Assam', lat: 26.20, long: 92.93 },
-        { state: 'Delhi', lat: 28.70, long: 77.10 },
-        { state: 'Telangana', lat: 18.11, long: 79.01 }
-    ];
-
-    // Find nearest neighbor
-    let minDist = Number.MAX_VALUE;
-    let nearestState = 'Unknown';
-
-    locations.forEach(loc => {
-        const dist = Math.sqrt(Math.pow(loc.lat - lat, 2) + Math.pow(loc.long - long, 2));
-        if (dist < minDist) {
-            minDist = dist;
-            nearestState = loc.state;
-        }
-    });
-
-    // If too far from any centroid (> 5 degrees ~ 500km), keep unknown or nearest
-    return nearestState;
-}
-
-/**
- * Calculate Suitability Score (Category vs Location)
- * Rewards high-potential matches and penalizes risky ones
- */
-export function calculateSuitabilityScore(category, locationState) {
-    if (!category || !locationState) return { score: 0, reason: 'Insufficient data' };
-
-    const state = locationState.toLowerCase();
-    const cat = category.toLowerCase();
-    let score = 0;
-    let reason = 'Neutral match';
-
-    // Rules Engine
-
-    // Solar Rules
-    if (cat.includes('solar')) {
-        if (['rajasthan', 'gujarat', 'maharashtra', 'karnataka', 'tamil nadu'].some(s => state.includes(s))) {
-            score = 10;
-            reason = 'High solar irradiance region (+10)';
-        } else if (['assam', 'meghalaya'].some(s => state.includes(s))) {
-            score = -5;
-            reason = 'Low solar potential region (-5)';
-        }
-    }
-
-    // Agriculture / Water Rules
-    if (cat.includes('agriculture') || cat.includes('water')) {
-        if (['rajasthan', 'gujarat'].some(s => state.includes(s))) {
-            // Needed most here, but risky if water not available? 
-            // Let's reward solution providers in scarce areas
-            score = 10;
-            reason = 'Critical solution for water-scarce region (+10)';
-        } else if (['punjab', 'haryana'].some(s => state.includes(s))) {
-            score = 5;
-            reason = 'Supports sustainable farming in high-yield zone (+5)';
-        }
-    }
-
-    // Wind (Simulated if added later) / EV
-    if (cat.includes('ev')) {
-        if (['delhi', 'maharashtra', 'karnataka'].some(s => state.includes(s))) {
-            score = 10;
-            reason = 'High EV adoption potential (+10)';
-        }
-    }
-
-    return { score, reason };
-}
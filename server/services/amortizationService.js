@@ -0,0 +1,127 @@
+/**
+ * Amortization Service
+ *
+ * Reducing-balance EMI calculation and month-by-month repayment
+ * schedules for green loans.
+ *
+ * All amounts are in INR and rounded to the nearest rupee. Rounding
+ * drift is absorbed by the final installment so the schedule always
+ * closes at a zero balance.
+ */
+
+import { DEFAULT_INTEREST_RATE } from '../config/loans.js';
+
+export { DEFAULT_INTEREST_RATE };
+
+const round = (val) => Math.round(val);
+
+/**
+ * Add calendar months to a date, clamping to the last day of the month
+ * (e.g. 31 Jan + 1 month = 28/29 Feb)
+ *
+ * @param {Date|string} date - Start date
+ * @param {number} months - Number of months to add
+ * @returns {Date} New date
+ */
+export function addMonths(date, months) {
+    const d = new Date(date);
+    const day = d.getDate();
+    d.setDate(1);
+    d.setMonth(d.getMonth() + months);
+    const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+    d.setDate(Math.min(day, lastDay));
+    return d;
+}
+
+/**
+ * Calculate the Equated Monthly Installment (reducing balance)
+ * EMI = P * r * (1 + r)^n / ((1 + r)^n - 1), where r is the monthly rate
+ *
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Interest rate in % per annum
+ * @param {number} tenureMonths - Tenure in months
+ * @returns {number} EMI rounded to the nearest rupee
+ */
+export function calculateEmi(principal, annualRate, tenureMonths) {
+    if (!principal || !tenureMonths) return 0;
+
+    const r = annualRate / 12 / 100;
+    if (r === 0) return round(principal / tenureMonths);
+
+    const factor = Math.pow(1 + r, tenureMonths);
+    return round(principal * r * factor / (factor - 1));
+}
+
+/**
+ * Generate the full month-by-month repayment schedule
+ *
+ * @param {Object} params - Schedule parameters
+ * @param {number} params.principal - Loan amount
+ * @param {number} params.annualRate - Interest rate in % per annum
+ * @param {number} params.tenureMonths - Tenure in months
+ * @param {Date|string} params.startDate - Disbursement date (first EMI falls one month later)
+ * @returns {Array} Installments with principal, interest and outstanding balance
+ */
+export function generateSchedule({ principal, annualRate = DEFAULT_INTEREST_RATE, tenureMonths, startDate = new Date() }) {
+    const emi = calculateEmi(principal, annualRate, tenureMonths);
+    const r = annualRate / 12 / 100;
+    const schedule = [];
+    let balance = principal;
+
+    for (let n = 1; n <= tenureMonths; n++) {
+        const interest = round(balance * r);
+        let principalComponent = emi - interest;
+        let installment = emi;
+
+        // Final installment clears whatever rounding left behind
+        if (n === tenureMonths) {
+            principalComponent = balance;
+            installment = principalComponent + interest;
+        }
+
+        const closingBalance = Math.max(0, balance - principalComponent);
+
+        schedule.push({
+            installmentNumber: n,
+            dueDate: addMonths(startDate, n),
+            emi: installment,
+            principal: principalComponent,
+            interest,
+            openingBalance: balance,
+            closingBalance,
+        });
+
+        balance = closingBalance;
+    }
+
+    return schedule;
+}
+
+/**
+ * Summarize a repayment schedule
+ *
+ * @param {Array} schedule - Installments from generateSchedule
+ * @returns {Object} Totals for principal, interest and amount payable
+ */
+export function summarizeSchedule(schedule = []) {
+    const totalPrincipal = schedule.reduce((sum, i) => sum + i.principal, 0);
+    const totalInterest = schedule.reduce((sum, i) => sum + i.interest, 0);
+
+    return {
+        installments: schedule.length,
+        emi: schedule[0]?.emi || 0,
+        totalPrincipal,
+        totalInterest,
+        totalPayable: totalPrincipal + totalInterest,
+        firstDueDate: schedule[0]?.dueDate || null,
+        lastDueDate: schedule[schedule.length - 1]?.dueDate || null,
+    };
+}
+
+export default {
+    DEFAULT_INTEREST_RATE,
+    addMonths,
+    calculateEmi,
+    generateSchedule,
+    summarizeSchedule,
+};
@@ -0,0 +1,121 @@
+/**
+ * Maker-Checker Approval Service
+ *
+ * High-value loans (above underwritingConfig.makerCheckerThreshold) need
+ * two distinct authorised users to approve them:
+ *
+ *   maker   - proposes the approval with a comment (pending)
+ *   checker - a different user who confirms or declines it
+ *
+ * This module only builds approval requests and signatures; the caller
+ * stores them, applies the loan transition and records each signature on
+ * the audit chain.
+ */
+
+import crypto from 'crypto';
+import underwritingConfig from '../config/underwriting.js';
+import { APPROVAL_STATUSES } from '../config/loans.js';
+
+export { APPROVAL_STATUSES };
+
+// Loan statuses from which an approval can be proposed
+const PROPOSABLE_STATUSES = ['pending_verification', 'rejected'];
+
+const fail = (httpStatus, error) => ({ valid: false, httpStatus, error });
+
+/**
+ * Check whether a loan needs maker-checker approval
+ *
+ * @param {Object} loan - Loan application
+ * @param {Object} config - Underwriting configuration
+ * @returns {boolean} True if the loan amount is above the threshold
+ */
+export function requiresMakerChecker(loan, config = underwritingConfig) {
+    return (loan.loanAmount || 0) > config.makerCheckerThreshold;
+}
+
+/**
+ * Build a signature block for a maker or checker
+ */
+const sign = (user, comment) => ({
+    userId: String(user.id || user._id),
+    email: user.email,
+    role: user.role,
+    comment: String(comment).trim(),
+    signedAt: new Date(),
+});
+
+/**
+ * Propose approval of a high-value loan (maker signature)
+ *
+ * @param {Object} loan - Loan to approve
+ * @param {Object} input - { user, comment, pendingApproval }
+ * @returns {Object} { valid, approval } or { valid: false, httpStatus, error }
+ */
+export function proposeApproval(loan, { user, comment, pendingApproval }) {
+    if (!requiresMakerChecker(loan)) {
+        return fail(400, `Maker-checker applies only to loans above ₹${underwritingConfig.makerCheckerThreshold.toLocaleString('en-IN')}`);
+    }
+    if (!comment || !String(comment).trim()) {
+        return fail(400, 'A comment is required to propose an approval');
+    }
+    if (!PROPOSABLE_STATUSES.includes(loan.status)) {
+        return fail(409, `Approval cannot be proposed for a loan that is ${loan.status}`);
+    }
+    // Set only by a verification run (see isVerificationComplete in loanStateMachine)
+    if (!loan.underwriting?.ruleSetVersion) {
+        return fail(409, 'AI verification must be completed first');
+    }
+    if (pendingApproval) {
+        return fail(409, `Approval ${pendingApproval.approvalId} is already awaiting a checker`);
+    }
+
+    return {
+        valid: true,
+        approval: {
+            approvalId: `APR-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+            loanId: loan.loanId,
+            loanAmount: loan.loanAmount,
+            status: 'pending',
+            maker: sign(user, comment),
+            createdAt: new Date(),
+        },
+    };
+}
+
+/**
+ * Validate and build a checker signature for a pending approval
+ * Does not mutate the approval, so the caller can apply the loan decision
+ * first and only then store the signature.
+ *
+ * @param {Object} approval - Pending approval request
+ * @param {Object} input - { user, comment, decision: 'confirm' | 'decline' }
+ * @returns {Object} { valid, checker, status } or { valid: false, httpStatus, error }
+ */
+export function signAsChecker(approval, { user, comment, decision }) {
+    if (!['confirm', 'decline'].includes(decision)) {
+        return fail(400, 'Decision must be confirm or decline');
+    }
+    if (approval.status !== 'pending') {
+        return fail(409, `Approval is already ${approval.status}`);
+    }
+    if (String(user.id || user._id) === approval.maker.userId) {
+        return fail(403, 'The checker must be a different user from the maker');
+    }
+    if (!comment || !String(comment).trim()) {
+        return fail(400, 'A comment is required to sign as checker');
+    }
+
+    return {
+        valid: true,
+        checker: sign(user, comment),
+        status: decision === 'confirm' ? 'confirmed' : 'declined',
+    };
+}
+
+export default {
+    APPROVAL_STATUSES,
+    requiresMakerChecker,
+    proposeApproval,
+    signAsChecker,
+};
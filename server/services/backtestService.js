@@ -0,0 +1,203 @@
+/**
+ * Score Backtesting Service
+ *
+ * Replays the book through two scoring rule sets to show what a rule
+ * change would have done: class migrations, the change in the AI
+ * approval rate, and score shifts per state and per green category.
+ *
+ * Each loan is replayed on the inputs its latest verification run was
+ * scored on, or on the application itself if it was never verified, so
+ * later edits to a loan do not distort the comparison. Nothing is stored.
+ */
+
+import { calculateGreenScore, getStateFromCoordinates } from './aiScoringService.js';
+import { assessAiDecision } from './underwritingService.js';
+
+// Columns of the per-loan CSV export
+const CSV_COLUMNS = [
+    'loanId',
+    'state',
+    'category',
+    'inputsSource',
+    'baseScore',
+    'candidateScore',
+    'scoreChange',
+    'baseClass',
+    'candidateClass',
+    'baseDecision',
+    'candidateDecision',
+];
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+const average = (values) => (values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0);
+const percentage = (count, total) => (total ? round((count / total) * 100) : 0);
+
+/**
+ * State a loan is grouped under: from its coordinates when they resolve,
+ * otherwise the last part of its 'City, State' location
+ */
+function stateOf(inputs) {
+    const { latitude, longitude } = inputs.locationCoordinates || {};
+    const derived = latitude && longitude ? getStateFromCoordinates(latitude, longitude) : 'Unknown';
+    if (derived !== 'Unknown') return derived;
+
+    const parts = String(inputs.projectLocation || '').split(',').map(p => p.trim()).filter(Boolean);
+    return parts[parts.length - 1] || 'Unknown';
+}
+
+/**
+ * Score one loan under a rule set
+ */
+function scoreUnder(inputs, ruleSet, greenwashingPassed) {
+    const result = calculateGreenScore(inputs, ruleSet);
+    const decision = assessAiDecision({ greenScore: result.greenScore, greenwashingPassed }, ruleSet);
+    return {
+        greenScore: result.greenScore,
+        sustainabilityClass: result.sustainabilityClass,
+        decision: decision.recommendation,
+    };
+}
+
+/**
+ * Aggregate replayed loans into one row per group
+ */
+function summarizeGroups(rows, keyOf) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+
+    return [...groups.entries()]
+        .map(([key, group]) => {
+            const baseAverage = average(group.map(r => r.base.greenScore));
+            const candidateAverage = average(group.map(r => r.candidate.greenScore));
+            const baseApprovalRate = percentage(group.filter(r => r.base.decision === 'approved').length, group.length);
+            const candidateApprovalRate = percentage(group.filter(r => r.candidate.decision === 'approved').length, group.length);
+            return {
+                key,
+                loans: group.length,
+                baseAverage,
+                candidateAverage,
+                averageShift: round(candidateAverage - baseAverage),
+                baseApprovalRate,
+                candidateApprovalRate,
+                approvalRateChange: round(candidateApprovalRate - baseApprovalRate),
+                classChanges: group.filter(r => r.base.sustainabilityClass !== r.candidate.sustainabilityClass).length,
+            };
+        })
+        .sort((a, b) => Math.abs(b.averageShift) - Math.abs(a.averageShift) || b.loans - a.loans);
+}
+
+/**
+ * Headline figures for one side of the comparison
+ */
+function summarizeSide(rows, side, ruleSet) {
+    const classCounts = { high: 0, medium: 0, low: 0 };
+    rows.forEach(r => { classCounts[r[side].sustainabilityClass] += 1; });
+    return {
+        version: ruleSet.version,
+        name: ruleSet.name,
+        averageScore: average(rows.map(r => r[side].greenScore)),
+        approvalRate: percentage(rows.filter(r => r[side].decision === 'approved').length, rows.length),
+        classCounts,
+    };
+}
+
+/**
+ * Replay loans through a base and a candidate rule set
+ *
+ * @param {Array<Object>} records - { loanId, inputs, inputsSource, greenwashingPassed } per loan
+ * @param {Object} baseRuleSet - Rule set to compare against (usually the active one)
+ * @param {Object} candidateRuleSet - Rule set under evaluation
+ * @returns {Object} { summary, classMigrations, byState, byCategory, loans }
+ */
+export function runBacktest(records, baseRuleSet, candidateRuleSet) {
+    const loans = records.map(({ loanId, inputs, inputsSource, greenwashingPassed = true }) => {
+        const base = scoreUnder(inputs, baseRuleSet, greenwashingPassed);
+        const candidate = scoreUnder(inputs, candidateRuleSet, greenwashingPassed);
+        return {
+            loanId,
+            state: stateOf(inputs),
+            category: inputs.greenObjective || 'unspecified',
+            inputsSource,
+            base,
+            candidate,
+            scoreChange: candidate.greenScore - base.greenScore,
+        };
+    });
+
+    // Count of loans moving between each pair of classes (unchanged pairs included)
+    const migrationCounts = {};
+    loans.forEach(({ base, candidate }) => {
+        const key = `${base.sustainabilityClass}>${candidate.sustainabilityClass}`;
+        migrationCounts[key] = (migrationCounts[key] || 0) + 1;
+    });
+    const classMigrations = Object.entries(migrationCounts).map(([key, count]) => {
+        const [from, to] = key.split('>');
+        return { from, to, count };
+    });
+
+    const base = summarizeSide(loans, 'base', baseRuleSet);
+    const candidate = summarizeSide(loans, 'candidate', candidateRuleSet);
+
+    return {
+        summary: {
+            loans: loans.length,
+            base,
+            candidate,
+            averageScoreChange: round(candidate.averageScore - base.averageScore),
+            approvalRateChange: round(candidate.approvalRate - base.approvalRate),
+            classChanges: loans.filter(l => l.base.sustainabilityClass !== l.candidate.sustainabilityClass).length,
+            decisionChanges: loans.filter(l => l.base.decision !== l.candidate.decision).length,
+        },
+        classMigrations,
+        byState: summarizeGroups(loans, l => l.state).map(({ key, ...row }) => ({ state: key, ...row })),
+        byCategory: summarizeGroups(loans, l => l.category).map(({ key, ...row }) => ({ category: key, ...row })),
+        loans,
+    };
+}
+
+// Leading characters spreadsheets read as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field if it contains a separator, quote or newline
+ * Text that a spreadsheet would evaluate as a formula is prefixed with '
+ * (numbers are left as they are, so negative changes stay numeric).
+ */
+const csvField = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Per-loan backtest rows as CSV
+ *
+ * @param {Object} report - runBacktest result
+ * @returns {string} CSV with a header row
+ */
+export function toBacktestCsv(report) {
+    const rows = report.loans.map(loan => [
+        loan.loanId,
+        loan.state,
+        loan.category,
+        loan.inputsSource,
+        loan.base.greenScore,
+        loan.candidate.greenScore,
+        loan.scoreChange,
+        loan.base.sustainabilityClass,
+        loan.candidate.sustainabilityClass,
+        loan.base.decision,
+        loan.candidate.decision,
+    ]);
+
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+export default {
+    runBacktest,
+    toBacktestCsv,
+};
@@ -18,12 +18,13 @@
  */
 
 import crypto from 'crypto';
+import { auditRepository, memoryAuditRepository } from '../repositories/auditRepository.js';
 
 // ============================================
-// IN-MEMORY AUDIT LOG STORAGE
+// AUDIT LOG STORAGE
+// Records are kept by the audit repository (MongoDB or in-memory)
 // ⚠️ DEMO ONLY - Use actual blockchain in production
 // ============================================
-const auditLogs = [];
 let blockNumber = 18234500;
 
 /**
@@ -48,6 +49,24 @@ function generateTxHash(data) {
  * @returns {Object} Recorded transaction details
  */
 export function recordEvent(event) {
+    const record = createRecord(event);
+
+    // Persist in the background (would be on-chain in production)
+    auditRepository.append(record)
+        .catch(err => console.error(`[Blockchain] Failed to store ${record.eventType} for ${record.loanId}:`, err.message));
+
+    console.log(`[Blockchain] Recorded: ${record.eventType} for ${record.loanId}`);
+
+    return record;
+}
+
+/**
+ * Build a transaction record for an event
+ *
+ * @param {Object} event - Event details
+ * @returns {Object} Transaction record
+ */
+function createRecord(event) {
     const {
         eventType,
         loanId,
@@ -73,11 +92,6 @@ export function recordEvent(event) {
         gasUsed: Math.floor(Math.random() * 50000) + 21000, // Simulated gas
     };
 
-    // Store in memory (would be on-chain in production)
-    auditLogs.unshift(record); // Add to beginning for reverse chronological order
-
-    console.log(`[Blockchain] Recorded: ${eventType} for ${loanId}`);
-
     return record;
 }
 
@@ -94,6 +108,11 @@ function getVerifierForEvent(eventType) {
         impact_update: 'Impact Analytics Agent',
         payment_received: 'Payment Gateway',
         loan_completed: 'TerraLend Core',
+        underwriter_decision: 'Underwriting Desk',
+        underwriter_override: 'Underwriting Desk',
+        approval_proposed: 'Maker-Checker Desk',
+        approval_confirmed: 'Maker-Checker Desk',
+        approval_declined: 'Maker-Checker Desk',
     };
     return verifiers[eventType] || 'TerraLend System';
 }
@@ -102,54 +121,37 @@ function getVerifierForEvent(eventType) {
  * Get audit logs with optional filtering
  * 
  * @param {Object} options - Filter options
- * @returns {Array} Filtered audit logs
+ * @returns {Promise<Array>} Filtered audit logs
  */
-export function getAuditLogs(options = {}) {
-    let logs = [...auditLogs];
-
-    // Filter by loan ID
-    if (options.loanId) {
-        logs = logs.filter(log => log.loanId === options.loanId);
-    }
-
-    // Filter by event type
-    if (options.eventType) {
-        logs = logs.filter(log => log.eventType === options.eventType);
-    }
-
-    // Filter by date range
-    if (options.startDate) {
-        const startDate = new Date(options.startDate);
-        logs = logs.filter(log => new Date(log.timestamp) >= startDate);
-    }
-
-    if (options.endDate) {
-        const endDate = new Date(options.endDate);
-        logs = logs.filter(log => new Date(log.timestamp) <= endDate);
-    }
-
-    // Limit results
-    const limit = options.limit || 50;
-    logs = logs.slice(0, limit);
-
-    return logs;
+export async function getAuditLogs(options = {}) {
+    return auditRepository.find({
+        loanId: options.loanId,
+        eventType: options.eventType,
+        startDate: options.startDate,
+        endDate: options.endDate,
+        limit: options.limit || 50,
+    });
 }
 
 /**
  * Verify a transaction hash exists
+ * Only proof of the record is returned: descriptions and metadata can
+ * name borrowers, makers and checkers, and stay behind audit:read.
  * 
  * @param {string} txHash - Transaction hash to verify
- * @returns {Object|null} Transaction record or null
+ * @returns {Promise<Object|null>} { txHash, eventType, timestamp, verified, verificationTimestamp } or null
  */
-export function verifyTransaction(txHash) {
-    const record = auditLogs.find(log => log.txHash === txHash);
+export async function verifyTransaction(txHash) {
+    const record = await auditRepository.findByTxHash(txHash);
 
     if (!record) {
         return null;
     }
 
     return {
-        ...record,
+        txHash: record.txHash,
+        eventType: record.eventType,
+        timestamp: record.timestamp,
         verified: true,
         verificationTimestamp: new Date().toISOString(),
     };
@@ -158,11 +160,11 @@ export function verifyTransaction(txHash) {
 /**
  * Get blockchain statistics
  * 
- * @returns {Object} Blockchain stats
+ * @returns {Promise<Object>} Blockchain stats
  */
-export function getBlockchainStats() {
+export async function getBlockchainStats() {
     return {
-        totalRecords: auditLogs.length,
+        totalRecords: await auditRepository.count(),
         latestBlock: blockNumber,
         chainName: 'TerraLend Demo Chain',
         networkId: 'demo-001',
@@ -173,7 +175,7 @@ export function getBlockchainStats() {
 }
 
 /**
- * Seed initial demo data
+ * Seed initial demo data (called by initStorage in demo-capable modes)
  */
 export function seedDemoData() {
     const demoEvents = [
@@ -204,15 +206,13 @@ export function seedDemoData() {
         },
     ];
 
+    // Demo events only go to the in-memory trail, never to MongoDB
     demoEvents.forEach((event, index) => {
         // Stagger timestamps for realism
-        setTimeout(() => recordEvent(event), index * 100);
+        setTimeout(() => memoryAuditRepository.append(createRecord(event)), index * 100);
     });
 }
 
-// Seed demo data on module load
-seedDemoData();
-
 export default {
     recordEvent,
     getAuditLogs,
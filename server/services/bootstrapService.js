@@ -0,0 +1,38 @@
+/**
+ * Bootstrap Service
+ *
+ * One-off setup run when the server starts, once storage is open.
+ */
+
+import { userRepository } from '../repositories/userRepository.js';
+
+/**
+ * Create the first admin from ADMIN_EMAIL and ADMIN_PASSWORD
+ * Only while no admin exists, and never by promoting an account that
+ * signed up under that email, since nothing proves its owner controls
+ * the address. The admin then assigns staff roles through
+ * PUT /api/auth/users/:id/role.
+ *
+ * @param {Object} credentials - { email, password } (defaults from the environment)
+ * @returns {Promise<Object|null>} The created admin, or null if none was created
+ */
+export async function seedAdmin({ email = process.env.ADMIN_EMAIL, password = process.env.ADMIN_PASSWORD } = {}) {
+    if (!email || await userRepository.hasRole('admin')) return null;
+
+    if (!password) {
+        console.warn('[Bootstrap] ADMIN_EMAIL is set without ADMIN_PASSWORD; no admin created');
+        return null;
+    }
+    if (await userRepository.findByEmail(email)) {
+        console.warn(`[Bootstrap] ${email} is already registered; it is not promoted to admin`);
+        return null;
+    }
+
+    const admin = await userRepository.create({ email, password, role: 'admin' });
+    console.log(`[Bootstrap] Created admin ${admin.email}`);
+    return admin;
+}
+
+export default {
+    seedAdmin,
+};
@@ -0,0 +1,245 @@
+/**
+ * Climate Risk Service
+ *
+ * Scores a project location against the bundled multi-hazard dataset (see
+ * config/climateHazards.js): flood, cyclone, drought, extreme heat,
+ * landslide and sea-level rise, each from 0 to 1, plus an aggregate index.
+ *
+ * The location resolves to a district from coordinates first, then from
+ * the names in the typed location. Districts without their own scores use
+ * their state's.
+ *
+ * Scenario projections scale today's scores by per-hazard multipliers for
+ * the baseline, SSP2-4.5 and SSP5-8.5 pathways to trace the risk over a
+ * loan's tenure.
+ */
+
+import { CLIMATE_HAZARDS, CLIMATE_SCENARIOS } from '../config/climateHazards.js';
+import { lookupLocation, findStateByName, findDistrictByName } from './geoService.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+const fail = (httpStatus, error) => ({ valid: false, httpStatus, error });
+
+// Longest tenure a projection covers (30 years, the last scenario horizon)
+const MAX_TENURE_MONTHS = 360;
+
+/**
+ * Band a 0-1 score or index into low / medium / high
+ */
+function levelOf(value, levels = CLIMATE_HAZARDS.levels) {
+    if (value >= levels.high) return 'high';
+    if (value >= levels.medium) return 'medium';
+    return 'low';
+}
+
+/**
+ * Resolve a location to state code and district
+ * Coordinates win; otherwise the district and state are read from the text.
+ */
+function resolveLocation({ latitude, longitude, city, district, state } = {}) {
+    const fromCoordinates = lookupLocation(latitude, longitude);
+    if (fromCoordinates) return fromCoordinates;
+
+    const text = [district, city, state].filter(Boolean).join(', ');
+    const namedState = findStateByName(text);
+    const namedDistrict = findDistrictByName(text, namedState?.code);
+    if (!namedState && !namedDistrict) return null;
+
+    return {
+        state: namedState?.name || namedDistrict.state,
+        stateCode: namedState?.code || namedDistrict.stateCode,
+        district: namedDistrict?.name || null,
+        match: 'name',
+    };
+}
+
+/**
+ * Hazard scores for a resolved location, and whether they are district-level
+ */
+function scoresFor(location) {
+    const districtScores = location.district && CLIMATE_HAZARDS.districts[`${location.stateCode}:${location.district}`];
+    if (districtScores) return { scores: districtScores, resolution: 'district' };
+    const stateScores = CLIMATE_HAZARDS.states[location.stateCode];
+    return stateScores ? { scores: stateScores, resolution: 'state' } : null;
+}
+
+/**
+ * Aggregate index: the worst hazard blended with the weighted mean, so one
+ * severe hazard is not averaged away by several absent ones
+ *
+ * @param {Array<Object>} hazards - { score, weight } per hazard
+ * @returns {number} 0 to 1
+ */
+export function aggregateIndex(hazards) {
+    const { peakWeight } = CLIMATE_HAZARDS.aggregation;
+    const totalWeight = hazards.reduce((sum, h) => sum + h.weight, 0) || 1;
+    const weightedMean = hazards.reduce((sum, h) => sum + h.score * h.weight, 0) / totalWeight;
+    const peak = Math.max(0, ...hazards.map(h => h.score));
+    return round(peakWeight * peak + (1 - peakWeight) * weightedMean);
+}
+
+/**
+ * Assess climate risk for a location
+ *
+ * @param {Object} location - { latitude, longitude } and/or { city, district, state }
+ * @returns {Object} { level, index, hazards, risks, notes, location, resolution, source,
+ *   vintage, assessedAt }. hazards has every hazard's 0-1 score; risks lists the
+ *   medium and high ones with a recommendation. An unrecognised location has no
+ *   hazard data and is reported as low risk with resolution 'none'.
+ */
+export function assessClimateRisk(location = {}) {
+    const { source, vintage } = CLIMATE_HAZARDS;
+    const resolved = resolveLocation(location);
+    const found = resolved && scoresFor(resolved);
+
+    if (!found) {
+        return {
+            level: 'low',
+            index: null,
+            hazards: [],
+            risks: [],
+            notes: 'Location not recognised; no hazard data available.',
+            location: null,
+            resolution: 'none',
+            source,
+            vintage,
+            assessedAt: new Date().toISOString(),
+        };
+    }
+
+    const hazards = CLIMATE_HAZARDS.hazards.map((hazard, i) => ({
+        hazard: hazard.key,
+        label: hazard.label,
+        weight: hazard.weight,
+        score: found.scores[i],
+        level: levelOf(found.scores[i]),
+    }));
+    const index = aggregateIndex(hazards);
+
+    const risks = CLIMATE_HAZARDS.hazards
+        .map((hazard, i) => ({ ...hazard, ...hazards[i] }))
+        .filter(h => h.level !== 'low')
+        .sort((a, b) => b.score - a.score)
+        .map(({ key, level, score, description, recommendation }) => ({
+            type: key,
+            level,
+            score,
+            description,
+            recommendation,
+        }));
+
+    const place = [resolved.district, resolved.state].filter(Boolean).join(', ');
+
+    return {
+        level: levelOf(index),
+        index,
+        hazards,
+        risks,
+        notes: risks.length > 0
+            ? `${risks.length} material climate hazard(s) for ${place}; aggregate index ${index}.`
+            : `No material climate hazards for ${place}.`,
+        location: resolved,
+        resolution: found.resolution,
+        source,
+        vintage,
+        assessedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Multiplier for a hazard some years ahead, interpolated between horizons
+ */
+function multiplierAt(scenario, hazard, years) {
+    const horizons = CLIMATE_SCENARIOS.horizonsYears;
+    const values = scenario.multipliers[hazard];
+    if (!values) return 1;
+
+    const next = horizons.findIndex(h => h >= years);
+    if (next === -1) return values[values.length - 1];
+    if (next === 0) return values[0];
+
+    const share = (years - horizons[next - 1]) / (horizons[next] - horizons[next - 1]);
+    return values[next - 1] + share * (values[next] - values[next - 1]);
+}
+
+/**
+ * Months along the tenure to project: yearly, plus the final month
+ */
+function projectionMonths(tenureMonths) {
+    const months = [];
+    for (let month = 0; month < tenureMonths; month += 12) months.push(month);
+    months.push(tenureMonths);
+    return months;
+}
+
+/**
+ * Project a location's climate risk across a loan tenure under a scenario
+ *
+ * @param {Object} location - As for assessClimateRisk
+ * @param {Object} options - { scenario: 'baseline' | 'ssp245' | 'ssp585', tenureMonths }
+ * @returns {Object} { valid, projection } or { valid: false, httpStatus, error }. The
+ *   projection has today's assessment, one trajectory point per year of the
+ *   tenure plus its last month ({ month, yearsAhead, index, level, scores }),
+ *   the peak point and the scenario list for a picker.
+ */
+export function projectClimateRisk(location = {}, { scenario: scenarioKey = 'baseline', tenureMonths = 60 } = {}) {
+    const scenario = CLIMATE_SCENARIOS.scenarios.find(s => s.key === scenarioKey);
+    if (!scenario) {
+        return fail(400, `Unknown scenario '${scenarioKey}'; use one of ${CLIMATE_SCENARIOS.scenarios.map(s => s.key).join(', ')}`);
+    }
+
+    const tenure = Number(tenureMonths);
+    if (!Number.isInteger(tenure) || tenure < 1 || tenure > MAX_TENURE_MONTHS) {
+        return fail(400, `tenureMonths must be a whole number from 1 to ${MAX_TENURE_MONTHS}`);
+    }
+
+    const current = assessClimateRisk(location);
+    const trajectory = current.hazards.length === 0 ? [] : projectionMonths(tenure).map(month => {
+        const yearsAhead = month / 12;
+        const hazards = current.hazards.map(h => ({
+            ...h,
+            score: round(Math.min(1, h.score * multiplierAt(scenario, h.hazard, yearsAhead))),
+        }));
+        const index = aggregateIndex(hazards);
+        return {
+            month,
+            yearsAhead: round(yearsAhead),
+            index,
+            level: levelOf(index),
+            scores: Object.fromEntries(hazards.map(h => [h.hazard, h.score])),
+        };
+    });
+
+    const peak = trajectory.reduce((worst, point) => (!worst || point.index > worst.index ? point : worst), null);
+
+    return {
+        valid: true,
+        projection: {
+            scenario: { key: scenario.key, label: scenario.label, description: scenario.description },
+            tenureMonths: tenure,
+            current,
+            trajectory,
+            peak: peak && { month: peak.month, index: peak.index, level: peak.level },
+            endOfTenure: trajectory[trajectory.length - 1] || null,
+            scenarios: CLIMATE_SCENARIOS.scenarios.map(({ key, label }) => ({ key, label })),
+            scenarioSource: { source: CLIMATE_SCENARIOS.source, vintage: CLIMATE_SCENARIOS.vintage },
+        },
+    };
+}
+
+/**
+ * Where the bundled hazard scores come from
+ *
+ * @returns {Object} { name, source, vintage }
+ */
+export function getHazardSource() {
+    const { name, source, vintage } = CLIMATE_HAZARDS;
+    return { name, source, vintage };
+}
+
+export default {
+    assessClimateRisk,
+    projectClimateRisk,
+    aggregateIndex,
+    getHazardSource,
+};
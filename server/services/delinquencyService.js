@@ -0,0 +1,194 @@
+/**
+ * Delinquency Service
+ *
+ * Computes days-past-due (DPD) for active loans from the amortization
+ * schedule and repayment ledger, and classifies each loan into RBI-style
+ * asset buckets:
+ *
+ *   standard  - no overdue installment
+ *   SMA-0     - 1 to 30 days past due
+ *   SMA-1     - 31 to 60 days past due
+ *   SMA-2     - 61 to 90 days past due
+ *   NPA       - more than 90 days past due
+ *
+ * A daily job refreshes every active loan; payments refresh their own
+ * loan immediately so a cure is visible without waiting for the job.
+ * The job only saves a run dated between the last run and now; other
+ * dates are previewed without changing any loan.
+ */
+
+import { ASSET_CLASSIFICATIONS } from '../config/loans.js';
+import { loanRepository } from '../repositories/loanRepository.js';
+import { getInstallmentStatus } from './repaymentService.js';
+
+export { ASSET_CLASSIFICATIONS };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_INTERVAL_MS = DAY_MS;
+
+/**
+ * Classify a DPD count into an RBI-style bucket
+ *
+ * @param {number} dpd - Days past due
+ * @returns {string} Asset classification
+ */
+export function classifyDpd(dpd) {
+    if (dpd > 90) return 'NPA';
+    if (dpd > 60) return 'SMA-2';
+    if (dpd > 30) return 'SMA-1';
+    if (dpd > 0) return 'SMA-0';
+    return 'standard';
+}
+
+/**
+ * Compute days past due for a loan
+ * DPD is counted from the due date of the oldest installment still unpaid
+ * on the evaluation date, so only payments received by then count.
+ *
+ * @param {Object} loan - Loan with repaymentSchedule and payments
+ * @param {Date} asOf - Evaluation date
+ * @returns {Object} { daysPastDue, overdueAmount, overdueInstallments }
+ */
+export function computeDaysPastDue(loan, asOf = new Date()) {
+    const received = (loan.payments || []).filter(p => !p.paidAt || new Date(p.paidAt) <= asOf);
+    const installments = getInstallmentStatus(loan.repaymentSchedule, received);
+    const overdue = installments.filter(i => i.amountDue > 0 && new Date(i.dueDate) < asOf);
+
+    if (overdue.length === 0) {
+        return { daysPastDue: 0, overdueAmount: 0, overdueInstallments: 0 };
+    }
+
+    return {
+        daysPastDue: Math.floor((asOf - new Date(overdue[0].dueDate)) / DAY_MS),
+        overdueAmount: overdue.reduce((sum, i) => sum + i.amountDue, 0),
+        overdueInstallments: overdue.length,
+    };
+}
+
+/**
+ * Refresh DPD and asset classification on a loan
+ * Mutates the loan; appends to delinquencyHistory when the bucket changes.
+ *
+ * @param {Object} loan - Loan to refresh
+ * @param {Date} asOf - Evaluation date
+ * @returns {Object} { changed, previous, classification, daysPastDue, overdueAmount }
+ */
+export function refreshDelinquency(loan, asOf = new Date()) {
+    const previous = loan.assetClassification || 'standard';
+    const result = loan.status === 'active'
+        ? computeDaysPastDue(loan, asOf)
+        : { daysPastDue: 0, overdueAmount: 0, overdueInstallments: 0 };
+    const classification = classifyDpd(result.daysPastDue);
+
+    loan.daysPastDue = result.daysPastDue;
+    loan.overdueAmount = result.overdueAmount;
+    loan.assetClassification = classification;
+    loan.delinquencyAsOf = asOf;
+
+    const changed = classification !== previous;
+    if (changed) {
+        if (!loan.delinquencyHistory) loan.delinquencyHistory = [];
+        loan.delinquencyHistory.push({
+            from: previous,
+            to: classification,
+            daysPastDue: result.daysPastDue,
+            changedAt: asOf,
+        });
+    }
+
+    return { changed, previous, classification, ...result };
+}
+
+/**
+ * Count loans per asset bucket
+ *
+ * @param {Array} loans - Loans with assetClassification
+ * @returns {Object} Counts per bucket plus total overdue amount
+ */
+export function summarizeDelinquency(loans = []) {
+    const buckets = Object.fromEntries(ASSET_CLASSIFICATIONS.map(c => [c, 0]));
+
+    loans
+        .filter(l => l.status === 'active')
+        .forEach(l => { buckets[l.assetClassification || 'standard'] += 1; });
+
+    return {
+        buckets,
+        overdueAmount: loans.reduce((sum, l) => sum + (l.overdueAmount || 0), 0),
+        maxDaysPastDue: loans.reduce((max, l) => Math.max(max, l.daysPastDue || 0), 0),
+    };
+}
+
+/**
+ * Latest date any of the loans was classified as of
+ *
+ * @param {Array} loans - Loans with delinquencyAsOf
+ * @returns {Date|null}
+ */
+export function lastClassifiedAt(loans = []) {
+    const dates = loans.filter(l => l.delinquencyAsOf).map(l => new Date(l.delinquencyAsOf).getTime());
+    return dates.length ? new Date(Math.max(...dates)) : null;
+}
+
+/**
+ * Run the delinquency job over every active loan
+ * A run dated before the last one or in the future is a dry run: it
+ * reports what would change but classifies copies, so loan history only
+ * ever moves forward.
+ *
+ * @param {Date} asOf - Evaluation date
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Job summary { asOf, dryRun, lastRunAsOf, processed, transitions }
+ */
+export async function runDelinquencyJob(asOf = new Date(), now = new Date()) {
+    const loans = await loanRepository.find({ status: 'active' });
+    const lastRun = lastClassifiedAt(loans);
+    const dryRun = asOf > now || (!!lastRun && asOf < lastRun);
+
+    const transitions = [];
+
+    for (const stored of loans) {
+        const loan = dryRun ? structuredClone(stored.toObject ? stored.toObject() : stored) : stored;
+        const result = refreshDelinquency(loan, asOf);
+        if (!dryRun) await loanRepository.save(loan);
+        if (result.changed) {
+            transitions.push({ loanId: loan.loanId, from: result.previous, to: result.classification, daysPastDue: result.daysPastDue });
+        }
+    }
+
+    console.log(`[Delinquency] ${dryRun ? 'Previewed' : 'Processed'} ${loans.length} active loan(s), ${transitions.length} reclassified`);
+
+    return {
+        asOf: asOf.toISOString(),
+        dryRun,
+        lastRunAsOf: lastRun ? lastRun.toISOString() : null,
+        processed: loans.length,
+        transitions,
+    };
+}
+
+/**
+ * Schedule the delinquency job to run once a day
+ *
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export function startDelinquencyScheduler() {
+    const run = () => runDelinquencyJob().catch(err => console.error('[Delinquency] Job failed:', err));
+
+    // Give the database connection a moment before the first run
+    setTimeout(run, 10000).unref();
+    const handle = setInterval(run, JOB_INTERVAL_MS);
+    handle.unref();
+    return handle;
+}
+
+export default {
+    ASSET_CLASSIFICATIONS,
+    classifyDpd,
+    computeDaysPastDue,
+    refreshDelinquency,
+    summarizeDelinquency,
+    lastClassifiedAt,
+    runDelinquencyJob,
+    startDelinquencyScheduler,
+};
@@ -0,0 +1,190 @@
+/**
+ * Document Parsing Service
+ *
+ * Offline text extraction from quotations and invoices, so they can go
+ * through the claim extractor (aiExtractionService) like typed text:
+ *
+ *   PDF   - the text layer, rebuilt into lines so table rows stay together;
+ *           pages without one (scans) are rendered and OCR'd, up to a
+ *           few per document
+ *   image - OCR (JPEG, PNG, WebP)
+ *
+ * OCR runs on tesseract.js with the English model bundled in
+ * node_modules (@tesseract.js-data/eng); nothing is fetched at runtime.
+ */
+
+import { createRequire } from 'module';
+import { createWorker } from 'tesseract.js';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const require = createRequire(import.meta.url);
+// { code, langPath, gzip } of the bundled model
+const OCR_MODEL = require('@tesseract.js-data/eng');
+
+const PDF = 'application/pdf';
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+export const PARSEABLE_CONTENT_TYPES = [PDF, ...IMAGE_TYPES];
+
+// Longer documents are read up to this page
+const MAX_PDF_PAGES = 20;
+// Scanned pages OCR'd per document; OCR is the expensive step, so later scans are skipped
+const MAX_OCR_PAGES = 3;
+// A page with less text than this is treated as a scan
+const MIN_PAGE_TEXT_CHARS = 20;
+// Scale at which scanned pages are rendered for OCR (2 = 144 dpi)
+const OCR_RENDER_SCALE = 2;
+// Text items this close vertically (PDF units) are on the same line
+const LINE_TOLERANCE = 2;
+
+const fail = (httpStatus, error) => ({ valid: false, httpStatus, error });
+
+/**
+ * Rebuild the lines of a PDF page from its positioned text items
+ * Items are grouped by baseline and ordered left to right, so each row of
+ * an invoice table comes out as one line.
+ */
+function pageLines(items) {
+    const rows = [];
+    items.filter(item => item.str?.trim()).forEach(item => {
+        const [, , , , x, y] = item.transform;
+        let row = rows.find(r => Math.abs(r.y - y) <= LINE_TOLERANCE);
+        if (!row) {
+            row = { y, cells: [] };
+            rows.push(row);
+        }
+        row.cells.push({ x, text: item.str.trim() });
+    });
+
+    return rows
+        .sort((a, b) => b.y - a.y)
+        .map(row => row.cells.sort((a, b) => a.x - b.x).map(cell => cell.text).join(' '));
+}
+
+/**
+ * OCR engine, started on first use for a document
+ */
+function lazyOcr() {
+    let worker;
+    return {
+        recognize: async (image) => {
+            // OEM 1: LSTM only, the model the bundled data is trained for
+            worker ??= createWorker(OCR_MODEL.code, 1, {
+                langPath: OCR_MODEL.langPath,
+                gzip: OCR_MODEL.gzip,
+                cacheMethod: 'none',
+            });
+            const { data } = await (await worker).recognize(image);
+            return { text: data.text.trim(), confidence: data.confidence };
+        },
+        terminate: async () => {
+            if (worker) await (await worker).terminate();
+        },
+    };
+}
+
+/**
+ * Render a PDF page to PNG for OCR
+ * Needs the optional canvas package pdfjs-dist installs; returns null without it.
+ */
+async function renderPage(pdf, page) {
+    try {
+        const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+        const { canvas, context } = pdf.canvasFactory.create(viewport.width, viewport.height);
+        await page.render({ canvasContext: context, canvas, viewport }).promise;
+        return canvas.toBuffer('image/png');
+    } catch (error) {
+        console.warn('[Parsing] Cannot render scanned PDF page for OCR:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Text of a PDF, OCR'ing any pages that have no text layer
+ */
+async function parsePdf(content, ocr) {
+    let pdf;
+    try {
+        pdf = await getDocument({ data: new Uint8Array(content), verbosity: 0, isEvalSupported: false }).promise;
+    } catch (error) {
+        return fail(422, `PDF could not be read: ${error.message}`);
+    }
+
+    try {
+        const pageCount = Math.min(pdf.numPages, MAX_PDF_PAGES);
+        const pages = [];
+        const confidences = [];
+        let ocrSkippedPages = 0;
+
+        for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const text = pageLines((await page.getTextContent()).items).join('\n');
+
+            if (text.replace(/\s/g, '').length >= MIN_PAGE_TEXT_CHARS) {
+                pages.push(text);
+            } else if (confidences.length >= MAX_OCR_PAGES) {
+                ocrSkippedPages += 1;
+            } else {
+                const image = await renderPage(pdf, page);
+                if (image) {
+                    const result = await ocr.recognize(image);
+                    pages.push(result.text);
+                    confidences.push(result.confidence);
+                }
+            }
+            page.cleanup();
+        }
+
+        return {
+            valid: true,
+            text: pages.filter(Boolean).join('\n\n'),
+            method: confidences.length === 0 ? 'text_layer' : confidences.length === pageCount ? 'ocr' : 'mixed',
+            pages: pageCount,
+            totalPages: pdf.numPages,
+            ocrPages: confidences.length,
+            ocrSkippedPages,
+            ocrConfidence: confidences.length
+                ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length)
+                : null,
+        };
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+/**
+ * Extract the text of a quotation, invoice or other document
+ *
+ * @param {Buffer} content - File content
+ * @param {string} contentType - One of PARSEABLE_CONTENT_TYPES
+ * @returns {Promise<Object>} { valid: true, text, method ('text_layer' | 'ocr' | 'mixed'),
+ *   pages, totalPages, ocrPages, ocrSkippedPages, ocrConfidence } or { valid: false, httpStatus, error }
+ */
+export async function extractDocumentText(content, contentType) {
+    if (!PARSEABLE_CONTENT_TYPES.includes(contentType)) {
+        return fail(415, `Document must be one of: ${PARSEABLE_CONTENT_TYPES.join(', ')} (got ${contentType})`);
+    }
+
+    const ocr = lazyOcr();
+    try {
+        let result;
+        if (contentType === PDF) {
+            result = await parsePdf(content, ocr);
+        } else {
+            const { text, confidence } = await ocr.recognize(content);
+            result = { valid: true, text, method: 'ocr', pages: 1, totalPages: 1, ocrPages: 1, ocrSkippedPages: 0, ocrConfidence: Math.round(confidence) };
+        }
+
+        if (result.valid && !result.text.trim()) {
+            return fail(422, 'No text could be read from the document');
+        }
+        return result;
+    } finally {
+        await ocr.terminate();
+    }
+}
+
+export default {
+    PARSEABLE_CONTENT_TYPES,
+    extractDocumentText,
+};
@@ -0,0 +1,126 @@
+/**
+ * Evidence Document Service
+ *
+ * Validation and records for documents attached to a loan (invoices,
+ * commissioning certificates, site photos, bank statements). Each
+ * document is identified by the SHA-256 of its content, which is
+ * recorded on the audit chain at upload and re-checked on download, so
+ * a file altered in storage is detected.
+ *
+ * The route stores the bytes (repositories/documentStore.js) and the
+ * record on the loan.
+ */
+
+import crypto from 'crypto';
+import { DOCUMENT_TYPES } from '../config/documents.js';
+
+const fail = (httpStatus, error) => ({ valid: false, httpStatus, error });
+
+/**
+ * SHA-256 of a document's content (lower-case hex)
+ */
+export const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Leading bytes of the binary formats accepted, so a renamed file is not taken at its word
+const SIGNATURES = {
+    'application/pdf': (buf) => buf.subarray(0, 5).toString('latin1') === '%PDF-',
+    'image/png': (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/jpeg': (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+    'image/webp': (buf) => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP',
+    // Text: no NUL bytes in the first kilobyte
+    'text/csv': (buf) => !buf.subarray(0, 1024).includes(0),
+};
+
+/**
+ * Whether content starts the way its declared content type should
+ *
+ * @param {Buffer} content - File content
+ * @param {string} contentType - Declared content type
+ * @returns {boolean}
+ */
+export const hasValidSignature = (content, contentType) => !!SIGNATURES[contentType]?.(content);
+
+/**
+ * Validate an uploaded file against its document type
+ *
+ * @param {Object} file - { originalname, mimetype, size, buffer } from the multipart parser
+ * @param {Object} input - { type, description, milestoneId }
+ * @param {Object} loan - Loan the document is attached to
+ * @returns {Object} { valid: true } or { valid: false, httpStatus, error }
+ */
+export function validateUpload(file, input, loan) {
+    if (!file?.buffer?.length) {
+        return fail(400, 'A non-empty file is required (multipart field "file")');
+    }
+
+    const docType = DOCUMENT_TYPES[input.type];
+    if (!docType) {
+        return fail(400, `type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+    }
+    if (!docType.contentTypes.includes(file.mimetype)) {
+        return fail(415, `${docType.label} must be one of: ${docType.contentTypes.join(', ')} (got ${file.mimetype})`);
+    }
+    if (!hasValidSignature(file.buffer, file.mimetype)) {
+        return fail(415, `File content is not a valid ${file.mimetype} document`);
+    }
+    if (input.milestoneId && !(loan.milestones || []).some(m => m.milestoneId === input.milestoneId)) {
+        return fail(404, 'Milestone not found');
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Build the record kept on the loan for an uploaded document
+ *
+ * @param {Object} loan - Loan the document is attached to
+ * @param {Object} file - Uploaded file
+ * @param {Object} input - { type, description, milestoneId }
+ * @param {Object} context - { userId, backend }
+ * @returns {Object} Document record (storageKey is where the content goes)
+ */
+export function buildDocument(loan, file, input, { userId, backend }) {
+    const documentId = `DOC-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+    return {
+        documentId,
+        type: input.type,
+        description: input.description ? String(input.description).trim().slice(0, 500) : undefined,
+        milestoneId: input.milestoneId || undefined,
+        // Only the base name, with anything unsafe for a header replaced
+        fileName: String(file.originalname || documentId).split(/[\\/]/).pop().replace(/[^\w.\- ]/g, '_').slice(0, 200),
+        contentType: file.mimetype,
+        size: file.size ?? file.buffer.length,
+        sha256: hashContent(file.buffer),
+        storage: backend,
+        storageKey: `${loan.loanId}/${documentId}`,
+        uploadedBy: userId ? String(userId) : undefined,
+        uploadedAt: new Date(),
+    };
+}
+
+/**
+ * Check downloaded content against the hash recorded at upload
+ *
+ * @param {Object} document - Document record
+ * @param {Buffer} content - Content read from storage
+ * @returns {Object} { intact, sha256 } where sha256 is the hash of the content read
+ */
+export function verifyContent(document, content) {
+    const sha256 = hashContent(content);
+    return { intact: sha256 === document.sha256, sha256 };
+}
+
+/**
+ * Document record as returned by the API (storage location omitted)
+ */
+export const presentDocument = ({ storageKey, ...document }) => document;
+
+export default {
+    hashContent,
+    hasValidSignature,
+    validateUpload,
+    buildDocument,
+    verifyContent,
+    presentDocument,
+};
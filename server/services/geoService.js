@@ -0,0 +1,179 @@
+/**
+ * Geospatial Service
+ *
+ * Offline reverse geocoding against the bundled boundary polygons (see
+ * config/geo.js). A point resolves to the smallest state polygon that
+ * contains it, so enclaves such as Delhi or Chandigarh win over the state
+ * around them, and then to the smallest district of that state.
+ *
+ * Points just outside every polygon (on the coast, or in a gap left by
+ * simplification) snap to the nearest state within SNAP_DISTANCE_DEG.
+ * Outside the bundled major districts, district is null and the pincode
+ * region is the state's.
+ */
+
+import { INDIA_BOUNDARIES } from '../config/geo.js';
+
+// ~15 km: covers coastal and border slivers lost to simplification
+const SNAP_DISTANCE_DEG = 0.15;
+
+/**
+ * Bounding box and area of an area's polygons, computed once
+ */
+function prepare(area) {
+    let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+    let area2 = 0;
+    area.polygons.forEach(ring => {
+        ring.forEach(([lng, lat], i) => {
+            minLng = Math.min(minLng, lng); maxLng = Math.max(maxLng, lng);
+            minLat = Math.min(minLat, lat); maxLat = Math.max(maxLat, lat);
+            const [nextLng, nextLat] = ring[(i + 1) % ring.length];
+            area2 += lng * nextLat - nextLng * lat;
+        });
+    });
+    return { ...area, bbox: [minLng, minLat, maxLng, maxLat], area: Math.abs(area2) / 2 };
+}
+
+const STATES = INDIA_BOUNDARIES.states.map(prepare);
+const DISTRICTS = INDIA_BOUNDARIES.districts.map(prepare);
+
+/**
+ * Ray-casting test for one ring
+ */
+function ringContains(ring, lng, lat) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a point lies inside any polygon of an area
+ */
+function contains(area, lng, lat) {
+    const [minLng, minLat, maxLng, maxLat] = area.bbox;
+    if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+    return area.polygons.some(ring => ringContains(ring, lng, lat));
+}
+
+/**
+ * Distance in degrees from a point to the nearest edge of an area
+ */
+function distanceTo(area, lng, lat) {
+    let best = Infinity;
+    area.polygons.forEach(ring => {
+        ring.forEach(([x1, y1], i) => {
+            const [x2, y2] = ring[(i + 1) % ring.length];
+            const dx = x2 - x1;
+            const dy = y2 - y1;
+            const t = dx || dy
+                ? Math.max(0, Math.min(1, ((lng - x1) * dx + (lat - y1) * dy) / (dx * dx + dy * dy)))
+                : 0;
+            best = Math.min(best, Math.hypot(lng - (x1 + t * dx), lat - (y1 + t * dy)));
+        });
+    });
+    return best;
+}
+
+const smallest = (areas) => areas.sort((a, b) => a.area - b.area)[0];
+
+/**
+ * Resolve coordinates to state, district and pincode region
+ *
+ * @param {number|string} latitude - Decimal degrees
+ * @param {number|string} longitude - Decimal degrees
+ * @returns {Object|null} { state, stateCode, district, pincodeRegion, match } where match is
+ *   'inside' or 'nearest'; null if the point is not in India or not a coordinate
+ */
+export function lookupLocation(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    let match = 'inside';
+    let state = smallest(STATES.filter(s => contains(s, lng, lat)));
+
+    if (!state) {
+        const nearest = STATES
+            .map(s => ({ s, distance: distanceTo(s, lng, lat) }))
+            .sort((a, b) => a.distance - b.distance)[0];
+        if (nearest.distance > SNAP_DISTANCE_DEG) return null;
+        state = nearest.s;
+        match = 'nearest';
+    }
+
+    const district = smallest(DISTRICTS.filter(d => d.state === state.code && contains(d, lng, lat)));
+
+    return {
+        state: state.name,
+        stateCode: state.code,
+        district: district?.name || null,
+        pincodeRegion: district?.pincodeRegion || state.pincodeRegion,
+        match,
+    };
+}
+
+/**
+ * Find the state named in free text such as 'Kochi, Kerala'
+ * The longest matching name wins.
+ *
+ * @param {string} text - Location text
+ * @returns {Object|null} { name, code, center: { latitude, longitude } }
+ */
+export function findStateByName(text) {
+    const lower = String(text || '').toLowerCase();
+    const state = [...STATES]
+        .sort((a, b) => b.name.length - a.name.length)
+        .find(s => lower.includes(s.name.toLowerCase()));
+    if (!state) return null;
+
+    const [longitude, latitude] = state.center;
+    return { name: state.name, code: state.code, center: { latitude, longitude } };
+}
+
+/**
+ * Find the district named in free text such as 'Jaipur' or 'Alappuzha, Kerala'
+ * The longest matching name wins.
+ *
+ * @param {string} text - Location text
+ * @param {string} [stateCode] - Only consider districts of this state
+ * @returns {Object|null} { name, state, stateCode, pincodeRegion }
+ */
+export function findDistrictByName(text, stateCode) {
+    const lower = String(text || '').toLowerCase();
+    const district = DISTRICTS
+        .filter(d => !stateCode || d.state === stateCode)
+        .sort((a, b) => b.name.length - a.name.length)
+        // Whole words only: short names such as Leh or Diu occur inside other words
+        .find(d => new RegExp(`\\b${d.name.toLowerCase()}\\b`).test(lower));
+    if (!district) return null;
+
+    return {
+        name: district.name,
+        state: STATES.find(s => s.code === district.state)?.name,
+        stateCode: district.state,
+        pincodeRegion: district.pincodeRegion,
+    };
+}
+
+/**
+ * Where the bundled boundaries come from and what they cover
+ *
+ * @returns {Object} { name, source, vintage, coverage }
+ */
+export function getBoundarySource() {
+    const { name, source, vintage, coverage } = INDIA_BOUNDARIES;
+    return { name, source, vintage, coverage };
+}
+
+export default {
+    lookupLocation,
+    findStateByName,
+    findDistrictByName,
+    getBoundarySource,
+};
@@ -0,0 +1,404 @@
+/**
+ * Greenwashing Prevention Service
+ *
+ * Rule-based plausibility checks on a loan's sustainability claim (see
+ * aiExtractionService for its schema): claimed generation against the
+ * capacity and the regional solar yield, claimed CO2 savings against the
+ * grid emission factor, and claimed cost savings against electricity
+ * tariffs. Reference values live in config/greenwashing.js. The claimed
+ * vendor and certifications are cross-checked against the registry (see
+ * registryService).
+ *
+ * Implausible figures and lapsed or retired registry entries raise
+ * high-severity flags, which fail the check. Names missing from the
+ * registry and certificates without a checkable number raise medium
+ * flags: they cannot be verified, but are not evidence of greenwashing.
+ *
+ * The project description is always re-extracted deterministically; a
+ * claim extracted at application time (e.g. from an uploaded quotation)
+ * is combined with it, and figures the two disagree on are flagged.
+ */
+
+import greenwashingConfig from '../config/greenwashing.js';
+import { extractClaimMock } from './aiExtractionService.js';
+import { lookupLocation, findStateByName } from './geoService.js';
+import { parseAmount } from './aiScoringService.js';
+import { findEntry, entryStanding } from './registryService.js';
+
+const formatNumber = (value) => Math.round(value).toLocaleString('en-IN');
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+// Claimed figures the application's claim and the description are compared on
+const CLAIM_FIGURES = [
+    { field: 'capacity_kw', label: 'capacity', unit: 'kW', read: (claim) => claim.capacity_kw },
+    { field: 'energy_generated_kwh_per_year', label: 'annual generation', unit: 'kWh/year',
+        read: (claim) => claim.claimed_impact?.energy_generated_kwh_per_year },
+    { field: 'co2_saved_tonnes_per_year', label: 'CO₂ saving', unit: 'tCO₂/year',
+        read: (claim) => claim.claimed_impact?.co2_saved_tonnes_per_year },
+];
+
+/**
+ * Whether a claim states anything checkable
+ * An unset nested claim on a stored loan reads as an empty object.
+ */
+const statesSomething = (claim) => !!claim && !!(claim.project_type || CLAIM_FIGURES.some(f => positive(f.read(claim))));
+
+/**
+ * Claim to check, where it came from, and where its sources disagree
+ *
+ * The description is always re-extracted on the server, so a claim sent
+ * with the application cannot stand in for inflated figures in the text.
+ * When both state something they are combined strictly: the smaller
+ * capacity (the basis the yield is judged on) and the larger impact
+ * figures, and every figure they disagree on is reported.
+ *
+ * @returns {Object} { claim, claimSource: 'application' | 'description' | 'combined' | 'none',
+ *   mismatches: [{ field, label, unit, application, description }] }
+ */
+function claimOf(projectData, config) {
+    const stored = projectData.sustainabilityClaim;
+    const application = statesSomething(stored) ? stored : null;
+    const extracted = projectData.projectDescription ? extractClaimMock(projectData.projectDescription) : null;
+    const described = statesSomething(extracted) ? extracted : null;
+
+    if (!application || !described) {
+        const claim = application || described || null;
+        return {
+            claim,
+            claimSource: application ? 'application' : described ? 'description' : 'none',
+            mismatches: [],
+        };
+    }
+
+    const mismatches = [];
+    if (application.project_type && described.project_type && application.project_type !== described.project_type) {
+        mismatches.push({ field: 'project_type', label: 'project type', unit: null,
+            application: application.project_type, description: described.project_type });
+    }
+
+    const figures = {};
+    CLAIM_FIGURES.forEach(figure => {
+        const stated = positive(figure.read(application));
+        const written = positive(figure.read(described));
+        if (stated && written && Math.abs(stated - written) > config.claimMismatchTolerance * Math.max(stated, written)) {
+            mismatches.push({ field: figure.field, label: figure.label, unit: figure.unit, application: stated, description: written });
+        }
+        const values = [stated, written].filter(Boolean);
+        figures[figure.field] = values.length
+            ? (figure.field === 'capacity_kw' ? Math.min(...values) : Math.max(...values))
+            : null;
+    });
+
+    return {
+        claim: {
+            project_type: application.project_type || described.project_type,
+            capacity_kw: figures.capacity_kw,
+            vendor: application.vendor || described.vendor,
+            certifications: [...new Set([...(application.certifications || []), ...(described.certifications || [])])],
+            claimed_impact: {
+                co2_saved_tonnes_per_year: figures.co2_saved_tonnes_per_year,
+                energy_generated_kwh_per_year: figures.energy_generated_kwh_per_year,
+            },
+            vendor_gstin: application.vendor_gstin || null,
+        },
+        claimSource: 'combined',
+        mismatches,
+    };
+}
+
+/**
+ * Project state from coordinates, else the typed location
+ */
+function stateOf(projectData) {
+    const { latitude, longitude } = projectData.locationCoordinates || {};
+    const resolved = lookupLocation(latitude, longitude);
+    if (resolved) return { code: resolved.stateCode, name: resolved.state };
+
+    const named = findStateByName(projectData.projectLocation);
+    return named ? { code: named.code, name: named.name } : null;
+}
+
+const positive = (value) => (typeof value === 'number' && value > 0 ? value : null);
+
+/**
+ * Verdict for a claim against the most the reference allows
+ * Confidence grows with the distance from the limit: a claim at 3x the
+ * limit fails with more certainty than one just over it.
+ */
+function judge(claimed, reference, tolerance, penalty = 0) {
+    const limit = reference * (1 + tolerance);
+    const distance = Math.abs(claimed - limit) / limit;
+    return {
+        status: claimed <= limit ? 'pass' : 'fail',
+        confidence: Math.max(50, Math.min(99, Math.round(55 + 90 * distance)) - penalty),
+        ratio: Math.round((claimed / reference) * 100) / 100,
+    };
+}
+
+const skipped = (id, name, detail) => ({ id, name, status: 'skipped', confidence: null, detail });
+
+// Why an entry that is not in force fails, by its standing
+const LAPSE_REASONS = {
+    retired: () => 'has been retired from the registry',
+    expired: (entry) => `expired on ${formatDate(entry.validUntil)}`,
+    not_yet_valid: (entry) => `is not in force until ${formatDate(entry.validFrom)}`,
+};
+
+/**
+ * Cross-check the claimed vendor against the registry
+ *
+ * @returns {Object} { check, flag } where flag is null when the vendor checks out
+ */
+function checkVendor(vendor, projectType, registry, config) {
+    const id = 'vendor_registry';
+    const name = 'Vendor registry';
+    const entry = findEntry(registry, 'vendor', vendor);
+    const standing = entry && entryStanding(entry);
+    const result = (status, code, severity, message, detail) => ({
+        check: { id, name, status, confidence: config.registryConfidence[status], claimed: vendor,
+            expected: entry?.name ?? null, unit: null, detail },
+        flag: code ? { check: id, code, severity, message } : null,
+    });
+
+    if (!entry) {
+        return result('unverified', 'vendor_unknown', 'medium',
+            `Vendor "${vendor}" is not in the approved vendor registry`,
+            'No registry entry under this name or its aliases');
+    }
+    if (standing !== 'in_force') {
+        const reason = LAPSE_REASONS[standing](entry);
+        return result('fail', `vendor_${standing}`, 'high',
+            `Registry listing for vendor ${entry.name} ${reason}`, `${entry.authority || 'Registry listing'} ${reason}`);
+    }
+    if (entry.categories?.length && projectType && !entry.categories.includes(projectType)) {
+        return result('unverified', 'vendor_category_mismatch', 'medium',
+            `Vendor ${entry.name} is approved for ${entry.categories.join(', ')} projects, not ${projectType}`,
+            `${entry.authority || 'Registry listing'} covers ${entry.categories.join(', ')}`);
+    }
+    return result('pass', null, null, null,
+        [entry.authority || 'Listed in the registry', entry.validUntil && `until ${formatDate(entry.validUntil)}`]
+            .filter(Boolean).join(', '));
+}
+
+/**
+ * Cross-check one claimed certification against the registry
+ * Entries with a certificate pattern also need a matching certificate
+ * number somewhere in the application text.
+ *
+ * @returns {Object} { check, flag } where flag is null when the certification checks out
+ */
+function checkCertification(certification, text, registry, config) {
+    const entry = findEntry(registry, 'certification', certification);
+    const standing = entry && entryStanding(entry);
+    const id = `certification:${entry?.entryId || certification}`;
+    const name = `Certification: ${certification}`;
+    const result = (status, code, severity, message, detail, claimed = certification) => ({
+        check: { id, name, status, confidence: config.registryConfidence[status], claimed,
+            expected: entry?.name ?? null, unit: null, detail },
+        flag: code ? { check: id, code, severity, message } : null,
+    });
+
+    if (!entry) {
+        return result('unverified', 'certification_unknown', 'medium',
+            `"${certification}" is not a recognised certification, so it cannot be verified`,
+            'No registry entry under this name or its aliases');
+    }
+    if (standing !== 'in_force') {
+        const reason = LAPSE_REASONS[standing](entry);
+        return result('fail', `certification_${standing}`, 'high',
+            `Registry recognition of ${entry.name} ${reason}`, `${entry.authority || 'Registry recognition'} ${reason}`);
+    }
+    if (entry.certificatePattern) {
+        const number = text.match(new RegExp(entry.certificatePattern, 'i'))?.[0];
+        const format = entry.certificateFormat || 'certificate number';
+        if (!number) {
+            return result('unverified', 'certificate_number_missing', 'medium',
+                `No ${format} given for ${entry.name}, so the certificate cannot be verified`,
+                `${entry.authority || 'Issuer'} certificates carry a ${format}`);
+        }
+        return result('pass', null, null, null, `${format} ${number} matches the ${entry.authority || 'issuer'} format`, number);
+    }
+    return result('pass', null, null, null, `Recognised: ${entry.authority || 'listed in the registry'}`);
+}
+
+/**
+ * Run greenwashing plausibility checks
+ *
+ * @param {Object} projectData - Loan application (claim, location, savings, objective)
+ * @param {Array<Object>|null} registry - Registry entries (null skips the registry checks)
+ * @param {Object} config - Reference values and tolerances
+ * @returns {Object} { passed, confidenceScore, checks, flags, claim, claimSource, verifiedAt,
+ *   verifiedBy }. Each check is { id, name, status: 'pass' | 'fail' | 'unverified' | 'skipped',
+ *   confidence, claimed, expected, unit, detail }; each failed or unverified check adds a
+ *   flag, and the result passes unless a flag is high-severity.
+ */
+export function runGreenwashingCheck(projectData, registry = null, config = greenwashingConfig) {
+    const { claim, claimSource, mismatches } = claimOf(projectData, config);
+    const state = stateOf(projectData);
+    const isSolar = claim?.project_type === 'solar' || projectData.greenObjective === 'solar';
+
+    const capacityKw = positive(claim?.capacity_kw);
+    const claimedKwh = positive(claim?.claimed_impact?.energy_generated_kwh_per_year);
+    const claimedCo2 = positive(claim?.claimed_impact?.co2_saved_tonnes_per_year);
+    const claimedSavings = positive(parseAmount(projectData.estimatedSavings));
+
+    const regionalYield = config.solarYieldKwhPerKw[state?.code];
+    const solarYield = regionalYield || config.defaultSolarYieldKwhPerKw;
+    const yieldPenalty = regionalYield ? 0 : config.fallbackConfidencePenalty;
+    const region = regionalYield ? state.name : 'India (state unknown)';
+
+    // Energy the CO2 and savings checks are based on: what a solar plant's capacity can
+    // yield (so an inflated generation claim cannot carry them), else the claimed energy
+    const solarPotentialKwh = isSolar && capacityKw ? capacityKw * solarYield : null;
+    const energyBasisKwh = solarPotentialKwh || claimedKwh;
+    const energyBasis = solarPotentialKwh ? `${capacityKw} kW at the ${region} solar yield` : 'claimed energy';
+    const basisPenalty = solarPotentialKwh ? yieldPenalty : 0;
+
+    const checks = [];
+    const flags = [];
+    const fail = (check, code, message) => flags.push({ check: check.id, code, severity: 'high', message });
+
+    // 1. Generation vs capacity x regional solar yield
+    if (!isSolar) {
+        checks.push(skipped('solar_yield', 'Solar yield plausibility', 'Not a solar project'));
+    } else if (!capacityKw || !claimedKwh) {
+        checks.push(skipped('solar_yield', 'Solar yield plausibility', 'Needs both capacity (kW) and annual generation (kWh)'));
+    } else {
+        const verdict = judge(claimedKwh, solarPotentialKwh, config.tolerance.yield, yieldPenalty);
+        const check = {
+            id: 'solar_yield',
+            name: 'Solar yield plausibility',
+            status: verdict.status,
+            confidence: verdict.confidence,
+            claimed: claimedKwh,
+            expected: Math.round(solarPotentialKwh),
+            unit: 'kWh/year',
+            detail: `${capacityKw} kW at ${solarYield} kWh/kW/year in ${region} yields about ${formatNumber(solarPotentialKwh)} kWh/year`,
+        };
+        checks.push(check);
+        if (verdict.status === 'fail') {
+            fail(check, 'generation_exceeds_solar_yield',
+                `Claimed ${formatNumber(claimedKwh)} kWh/year is ${verdict.ratio}x what ${capacityKw} kW can generate in ${region} (${formatNumber(solarPotentialKwh)} kWh/year)`);
+        }
+    }
+
+    // 2. CO2 savings vs grid emission factor
+    if (!claimedCo2) {
+        checks.push(skipped('co2_emission_factor', 'CO₂ vs grid emission factor', 'No CO₂ saving claimed'));
+    } else if (!energyBasisKwh) {
+        checks.push(skipped('co2_emission_factor', 'CO₂ vs grid emission factor', 'No energy claim or solar capacity to compare the CO₂ claim against'));
+    } else {
+        const expectedCo2 = energyBasisKwh * config.gridEmissionFactor;
+        const verdict = judge(claimedCo2, expectedCo2, config.tolerance.emissions, basisPenalty);
+        const check = {
+            id: 'co2_emission_factor',
+            name: 'CO₂ vs grid emission factor',
+            status: verdict.status,
+            confidence: verdict.confidence,
+            claimed: claimedCo2,
+            expected: Math.round(expectedCo2 * 10) / 10,
+            unit: 'tCO₂/year',
+            detail: `${formatNumber(energyBasisKwh)} kWh/year (${energyBasis}) displaces about ${expectedCo2.toFixed(1)} tCO₂ at ${(config.gridEmissionFactor * 1000).toFixed(3)} t/MWh`,
+        };
+        checks.push(check);
+        if (verdict.status === 'fail') {
+            fail(check, 'co2_exceeds_grid_factor',
+                `Claimed ${claimedCo2} tCO₂/year is ${verdict.ratio}x the ${expectedCo2.toFixed(1)} tCO₂ that ${formatNumber(energyBasisKwh)} kWh/year displaces on the Indian grid`);
+        }
+    }
+
+    // 3. Cost savings vs energy value at the highest tariff
+    if (!claimedSavings) {
+        checks.push(skipped('savings_vs_tariff', 'Savings vs electricity tariff', 'No annual savings stated'));
+    } else if (!energyBasisKwh) {
+        checks.push(skipped('savings_vs_tariff', 'Savings vs electricity tariff', 'No energy figure to value the savings against'));
+    } else {
+        const maxSavings = energyBasisKwh * config.maxTariffPerKwh;
+        const verdict = judge(claimedSavings, maxSavings, config.tolerance.savings, basisPenalty);
+        const check = {
+            id: 'savings_vs_tariff',
+            name: 'Savings vs electricity tariff',
+            status: verdict.status,
+            confidence: verdict.confidence,
+            claimed: claimedSavings,
+            expected: Math.round(maxSavings),
+            unit: '₹/year',
+            detail: `${formatNumber(energyBasisKwh)} kWh/year (${energyBasis}) is worth at most ₹${formatNumber(maxSavings)} at ₹${config.maxTariffPerKwh}/kWh`,
+        };
+        checks.push(check);
+        if (verdict.status === 'fail') {
+            fail(check, 'savings_exceed_energy_value',
+                `Claimed savings of ₹${formatNumber(claimedSavings)}/year are ${verdict.ratio}x the ₹${formatNumber(maxSavings)} value of ${formatNumber(energyBasisKwh)} kWh/year`);
+        }
+    }
+
+    // 4. Vendor against the registry
+    if (!registry) {
+        checks.push(skipped('vendor_registry', 'Vendor registry', 'Registry not available'));
+    } else if (!claim?.vendor) {
+        checks.push(skipped('vendor_registry', 'Vendor registry', 'No vendor named'));
+    } else {
+        const { check, flag } = checkVendor(claim.vendor, claim.project_type || projectData.greenObjective, registry, config);
+        checks.push(check);
+        if (flag) flags.push(flag);
+    }
+
+    // 5. Certifications against the registry
+    const certifications = [...new Set(claim?.certifications || [])];
+    if (!registry) {
+        checks.push(skipped('certifications', 'Certification registry', 'Registry not available'));
+    } else if (!certifications.length) {
+        checks.push(skipped('certifications', 'Certification registry', 'No certifications claimed'));
+    } else {
+        certifications.forEach(certification => {
+            const { check, flag } = checkCertification(certification, projectData.projectDescription || '', registry, config);
+            checks.push(check);
+            if (flag) flags.push(flag);
+        });
+    }
+
+    // 6. Application claim against the description
+    if (claimSource !== 'combined') {
+        checks.push(skipped('claim_consistency', 'Claim vs description', 'Only one source states a claim'));
+    } else {
+        checks.push({
+            id: 'claim_consistency',
+            name: 'Claim vs description',
+            status: mismatches.length ? 'unverified' : 'pass',
+            confidence: config.claimConsistencyConfidence[mismatches.length ? 'unverified' : 'pass'],
+            claimed: null,
+            expected: null,
+            unit: null,
+            detail: mismatches.length
+                ? `Differs on ${mismatches.map(m => m.label).join(', ')}; the stricter figure was checked`
+                : 'The application claim agrees with the project description',
+        });
+        mismatches.forEach(m => flags.push({
+            check: 'claim_consistency',
+            code: 'claim_description_mismatch',
+            severity: 'medium',
+            message: `Application claims ${m.label} of ${m.application}${m.unit ? ` ${m.unit}` : ''} but the description states ${m.description}${m.unit ? ` ${m.unit}` : ''}`,
+        }));
+    }
+
+    // Nothing checkable leaves the claim unverified rather than failed
+    const applied = checks.filter(c => c.status !== 'skipped');
+    const confidenceScore = applied.length > 0
+        ? Math.round(applied.reduce((sum, c) => sum + c.confidence, 0) / applied.length)
+        : 50;
+
+    return {
+        passed: flags.every(flag => flag.severity !== 'high'),
+        confidenceScore,
+        checks,
+        flags,
+        claim,
+        claimSource,
+        verifiedAt: new Date().toISOString(),
+        verifiedBy: 'Greenwashing Prevention Agent (rule-based)',
+    };
+}
+
+export default {
+    runGreenwashingCheck,
+};
@@ -0,0 +1,208 @@
+/**
+ * Loan State Machine
+ *
+ * Formal lifecycle for LoanApplication.status. Every status change goes
+ * through here so that transitions are guarded by:
+ * - an allowed from → to edge
+ * - the actor performing it (loan owner, admin, or the system itself)
+ * - preconditions on the loan (e.g. verification complete before approval)
+ *
+ * Each accepted change is appended to loan.statusHistory.
+ */
+
+import { requiresMakerChecker } from './approvalService.js';
+import { hasPermission } from './permissionService.js';
+import { LOAN_STATUSES, ACTORS } from '../config/loans.js';
+
+// Statuses and actors are defined in config/loans.js
+export { LOAN_STATUSES, ACTORS };
+
+/**
+ * Whether a verification run has scored the loan
+ * Keyed on the rule set version, which only POST /api/verify/green-score
+ * writes; aiScore alone is not proof of a run.
+ *
+ * @param {Object} loan - Loan application
+ * @returns {boolean}
+ */
+export const isVerificationComplete = (loan) => !!loan.underwriting?.ruleSetVersion;
+
+// Preconditions, keyed by name so failures can be reported
+const PRECONDITIONS = {
+    verificationComplete: {
+        message: 'AI verification must be completed first',
+        check: (loan) => isVerificationComplete(loan),
+    },
+    reasonProvided: {
+        message: 'A reason is required',
+        check: (loan, context) => !!(context.reason || loan.rejectionReason),
+    },
+    repaymentScheduleBuildable: {
+        message: 'Loan amount and tenure are required to build a repayment schedule',
+        check: (loan) => loan.loanAmount > 0 && parseInt(loan.tenure) > 0,
+    },
+    makerCheckerApproved: {
+        message: 'High-value loans need maker-checker approval',
+        check: (loan, context) => !requiresMakerChecker(loan) || !!context.makerCheckerApproved,
+    },
+    fullyRepaid: {
+        message: 'Loan still has an outstanding balance',
+        check: (loan) => loan.outstandingBalance === 0,
+    },
+};
+
+/**
+ * Transition table: from → to → { actors, preconditions }
+ * cancelled and completed are terminal. Until disbursement, an underwriter
+ * (or admin) can override an approve/reject decision or send the loan back
+ * for more information.
+ */
+export const TRANSITIONS = {
+    pending: {
+        pending_verification: { actors: ['owner', 'admin', 'system'] },
+        cancelled: { actors: ['owner', 'admin'] },
+    },
+    pending_verification: {
+        approved: { actors: ['admin', 'underwriter', 'system'], preconditions: ['verificationComplete', 'makerCheckerApproved'] },
+        rejected: { actors: ['admin', 'underwriter', 'system'], preconditions: ['reasonProvided'] },
+        cancelled: { actors: ['owner', 'admin'] },
+    },
+    approved: {
+        active: { actors: ['admin'], preconditions: ['verificationComplete', 'repaymentScheduleBuildable'] },
+        rejected: { actors: ['admin', 'underwriter'], preconditions: ['reasonProvided'] },
+        pending_verification: { actors: ['admin', 'underwriter'], preconditions: ['reasonProvided'] },
+        cancelled: { actors: ['owner', 'admin'] },
+    },
+    rejected: {
+        approved: { actors: ['admin', 'underwriter'], preconditions: ['verificationComplete', 'reasonProvided', 'makerCheckerApproved'] },
+        pending_verification: { actors: ['admin', 'underwriter'], preconditions: ['reasonProvided'] },
+    },
+    cancelled: {},
+    active: {
+        completed: { actors: ['admin', 'system'], preconditions: ['fullyRepaid'] },
+    },
+    completed: {},
+};
+
+/**
+ * Resolve which actor a user is with respect to a loan
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} loan - Loan being changed
+ * @returns {string|null} 'admin', 'underwriter', 'owner' or null
+ */
+export function resolveActor(user, loan) {
+    if (!user) return null;
+    if (hasPermission(user.role, 'loans:manage')) return 'admin';
+    if (hasPermission(user.role, 'underwriting:review')) return 'underwriter';
+    const userId = String(user.id || user._id);
+    if (loan.user && String(loan.user) === userId) return 'owner';
+    return null;
+}
+
+/**
+ * Get the statuses reachable from the current one
+ *
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+export function getAllowedTransitions(status) {
+    return Object.keys(TRANSITIONS[status] || {});
+}
+
+/**
+ * Validate a status transition without applying it
+ *
+ * @param {Object} loan - Loan being changed
+ * @param {string} to - Target status
+ * @param {Object} context - { actor, reason, makerCheckerApproved }
+ * @returns {Object} { valid, httpStatus, error, allowedNextStates, failedPreconditions }
+ */
+export function validateTransition(loan, to, context = {}) {
+    const from = loan.status;
+    const allowedNextStates = getAllowedTransitions(from);
+
+    if (!LOAN_STATUSES.includes(to)) {
+        return {
+            valid: false,
+            httpStatus: 400,
+            error: `Unknown status: ${to}`,
+            allowedNextStates,
+        };
+    }
+
+    const rule = TRANSITIONS[from]?.[to];
+    if (!rule) {
+        return {
+            valid: false,
+            httpStatus: 409,
+            error: `Invalid transition from ${from} to ${to}`,
+            allowedNextStates,
+        };
+    }
+
+    if (!rule.actors.includes(context.actor)) {
+        return {
+            valid: false,
+            httpStatus: 403,
+            error: `Transition from ${from} to ${to} requires one of: ${rule.actors.join(', ')}`,
+            allowedNextStates,
+        };
+    }
+
+    const failedPreconditions = (rule.preconditions || [])
+        .filter(name => !PRECONDITIONS[name].check(loan, context))
+        .map(name => ({ name, message: PRECONDITIONS[name].message }));
+
+    if (failedPreconditions.length > 0) {
+        return {
+            valid: false,
+            httpStatus: 409,
+            error: `Preconditions not met for ${to}: ${failedPreconditions.map(p => p.message).join('; ')}`,
+            allowedNextStates,
+            failedPreconditions,
+        };
+    }
+
+    return { valid: true, allowedNextStates };
+}
+
+/**
+ * Validate and apply a status transition
+ * Mutates the loan (status + statusHistory); the caller persists it.
+ *
+ * @param {Object} loan - Loan being changed
+ * @param {string} to - Target status
+ * @param {Object} context - { actor, userId, reason, makerCheckerApproved }
+ * @returns {Object} Validation result (see validateTransition)
+ */
+export function transitionLoan(loan, to, context = {}) {
+    const result = validateTransition(loan, to, context);
+    if (!result.valid) return result;
+
+    const from = loan.status;
+    loan.status = to;
+
+    if (!loan.statusHistory) loan.statusHistory = [];
+    loan.statusHistory.push({
+        from,
+        to,
+        actor: context.actor,
+        changedBy: context.userId ? String(context.userId) : undefined,
+        reason: context.reason,
+        changedAt: new Date(),
+    });
+
+    return result;
+}
+
+export default {
+    LOAN_STATUSES,
+    ACTORS,
+    TRANSITIONS,
+    isVerificationComplete,
+    resolveActor,
+    getAllowedTransitions,
+    validateTransition,
+    transitionLoan,
+};
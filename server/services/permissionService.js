@@ -0,0 +1,93 @@
+/**
+ * Permission Service
+ *
+ * Resolves roles to permissions using the matrix in config/permissions.js.
+ */
+
+import { ROLES, LEGACY_ROLES, ROLE_PERMISSIONS } from '../config/permissions.js';
+
+/**
+ * Map a stored role onto the current role set
+ *
+ * @param {string} role - Role as stored on the user
+ * @returns {string|null} Current role name, or null if unknown
+ */
+export function normalizeRole(role) {
+    const mapped = LEGACY_ROLES[role] || role;
+    return ROLES.includes(mapped) ? mapped : null;
+}
+
+/**
+ * List the permissions granted to a role
+ *
+ * @param {string} role - User role
+ * @returns {Array<string>} Permissions ('*' for full access)
+ */
+export function getPermissions(role) {
+    return ROLE_PERMISSIONS[normalizeRole(role)] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ *
+ * @param {string} role - User role
+ * @param {string} permission - Permission such as 'loans:approve'
+ * @returns {boolean} True if granted
+ */
+export function hasPermission(role, permission) {
+    const permissions = getPermissions(role);
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+const idOf = (user) => String(user?.id || user?._id || '');
+
+/**
+ * Check whether a user may see another user's resources
+ * Users always see their own; staff with loans:read_all see everyone's.
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} userId - Owner of the resource
+ * @returns {boolean} True if access is allowed
+ */
+export function canAccessUser(user, userId) {
+    if (!user) return false;
+    return idOf(user) === String(userId) || hasPermission(user.role, 'loans:read_all');
+}
+
+/**
+ * Check whether a user may access a loan and anything scoped to it
+ * (payments, milestones, verification, impact)
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} loan - Loan document, in-memory loan or demo loan
+ * @returns {boolean} True if access is allowed
+ */
+export function canAccessLoan(user, loan) {
+    if (!loan) return false;
+    return canAccessUser(user, loan.user ?? loan.userId);
+}
+
+/**
+ * Public view of a user for auth responses
+ *
+ * @param {Object} user - User document or in-memory user
+ * @returns {Object} { id, email, role, permissions }
+ */
+export function toAuthUser(user) {
+    const role = normalizeRole(user.role) || user.role;
+    return {
+        id: user._id || user.id,
+        email: user.email,
+        role,
+        permissions: getPermissions(role),
+    };
+}
+
+export default {
+    normalizeRole,
+    getPermissions,
+    hasPermission,
+    canAccessUser,
+    canAccessLoan,
+    toAuthUser,
+};
@@ -0,0 +1,84 @@
+/**
+ * Green Pricing Service
+ *
+ * Maps a loan's Green Score, sustainability class and climate risk level
+ * to an interest rate discount over the configured base rate. Every
+ * component is returned with a reason so the rate is explainable to the
+ * borrower and the lender.
+ */
+
+import pricingConfig from '../config/pricing.js';
+
+export const PRICING_METHODOLOGY = 'TerraLend Green Pricing v1.0';
+
+const round2 = (val) => Math.round(val * 100) / 100;
+
+/**
+ * Price a loan from its verification outcome
+ *
+ * @param {Object} inputs - { greenScore, sustainabilityClass, climateRiskLevel }
+ * @param {Object} config - Pricing configuration (defaults to config/pricing.js)
+ * @returns {Object} Base rate, components, final rate and explanation
+ */
+export function priceLoan({ greenScore = 0, sustainabilityClass = 'low', climateRiskLevel = 'low' }, config = pricingConfig) {
+    const components = [];
+
+    // 1. Green Score band
+    const band = config.greenScoreBands.find(b => greenScore >= b.minScore);
+    components.push({
+        factor: 'green_score',
+        adjustment: band ? -band.discount : 0,
+        reason: band
+            ? `-${band.discount}% (Green Score ${greenScore} ≥ ${band.minScore})`
+            : `0% (Green Score ${greenScore} below discount bands)`,
+    });
+
+    // 2. Sustainability class
+    const classDiscount = config.classDiscounts[sustainabilityClass] || 0;
+    components.push({
+        factor: 'sustainability_class',
+        adjustment: -classDiscount,
+        reason: classDiscount
+            ? `-${classDiscount}% (${sustainabilityClass} sustainability class)`
+            : `0% (${sustainabilityClass} sustainability class)`,
+    });
+
+    // 3. Climate risk premium
+    const riskPremium = config.climateRiskPremiums[climateRiskLevel] || 0;
+    components.push({
+        factor: 'climate_risk',
+        adjustment: riskPremium,
+        reason: riskPremium
+            ? `+${riskPremium}% (${climateRiskLevel} climate risk)`
+            : `0% (${climateRiskLevel} climate risk)`,
+    });
+
+    const totalAdjustment = round2(components.reduce((sum, c) => sum + c.adjustment, 0));
+    const uncappedRate = round2(config.baseRate + totalAdjustment);
+    const finalRate = Math.max(config.floorRate, uncappedRate);
+    const floorApplied = finalRate > uncappedRate;
+
+    const explanation = [
+        `Base rate ${config.baseRate}% p.a.`,
+        ...components.filter(c => c.adjustment !== 0).map(c => c.reason),
+        floorApplied ? `floored at ${config.floorRate}%` : null,
+        `final rate ${finalRate}% p.a.`,
+    ].filter(Boolean).join('; ');
+
+    return {
+        baseRate: config.baseRate,
+        totalDiscount: round2(config.baseRate - finalRate),
+        finalRate,
+        floorApplied,
+        components,
+        inputs: { greenScore, sustainabilityClass, climateRiskLevel },
+        explanation,
+        methodology: PRICING_METHODOLOGY,
+        pricedAt: new Date().toISOString(),
+    };
+}
+
+export default {
+    PRICING_METHODOLOGY,
+    priceLoan,
+};
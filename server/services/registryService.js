@@ -0,0 +1,287 @@
+/**
+ * Registry Service
+ *
+ * Maintenance of the vendor and certification registry (see
+ * config/registry.js) and the lookups the greenwashing agent runs
+ * against it:
+ *
+ *   add    - validate a new entry and store it
+ *   update - change an entry's names, scope, pattern or validity
+ *   retire - take an entry out of use (entries are never deleted)
+ *
+ * Until an entry has been added the bundled registry is seeded.
+ */
+
+import { BUNDLED_REGISTRY, REGISTRY_TYPES } from '../config/registry.js';
+import { registryRepository } from '../repositories/index.js';
+
+const ENTRY_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const GREEN_OBJECTIVES = ['solar', 'ev', 'waste', 'water', 'agriculture', 'efficiency'];
+
+// Fields an admin may set; entryId and type are fixed once added
+const EDITABLE_FIELDS = ['name', 'aliases', 'categories', 'authority', 'certificatePattern',
+    'certificateFormat', 'validFrom', 'validUntil', 'notes'];
+
+const fail = (httpStatus, error, details) => ({ valid: false, httpStatus, error, ...(details && { details }) });
+
+const isText = (val) => typeof val === 'string' && val.trim().length > 0;
+const isTextList = (val) => Array.isArray(val) && val.every(isText);
+const isDate = (val) => (typeof val === 'string' || val instanceof Date) && !Number.isNaN(new Date(val).getTime());
+
+/**
+ * Lower-case alphanumerics, so "Waaree Energies Ltd." style variants compare equal
+ */
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const slugify = (name) => String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 64);
+
+const userId = (user) => (user ? String(user.id || user._id) : 'system');
+
+/**
+ * Validate registry entry fields
+ * Only the fields present are checked, so updates can be partial.
+ *
+ * @param {Object} input - Entry fields
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateEntry(input) {
+    const errors = [];
+    const check = (ok, message) => { if (!ok) errors.push(message); };
+    // Names and scope can be changed but not cleared; the other fields are optional
+    const has = (field) => input[field] !== undefined && input[field] !== null;
+
+    if (input.name !== undefined) check(isText(input.name), 'name must be a non-empty string');
+    if (input.aliases !== undefined) check(isTextList(input.aliases), 'aliases must be a list of names');
+    if (input.categories !== undefined) {
+        check(isTextList(input.categories) && input.categories.every(c => GREEN_OBJECTIVES.includes(c)),
+            `categories must be a list of: ${GREEN_OBJECTIVES.join(', ')}`);
+    }
+    ['authority', 'certificateFormat', 'notes'].forEach(field => {
+        if (has(field)) check(typeof input[field] === 'string', `${field} must be a string`);
+    });
+    if (has('certificatePattern')) {
+        let compiles = typeof input.certificatePattern === 'string';
+        try {
+            if (compiles) new RegExp(input.certificatePattern, 'i');
+        } catch (error) {
+            compiles = false;
+        }
+        check(compiles, 'certificatePattern must be a valid regular expression');
+    }
+    ['validFrom', 'validUntil'].forEach(field => {
+        if (has(field)) check(isDate(input[field]), `${field} must be a date`);
+    });
+    if (has('validFrom') && has('validUntil') && isDate(input.validFrom) && isDate(input.validUntil)) {
+        check(new Date(input.validFrom) < new Date(input.validUntil), 'validFrom must be before validUntil');
+    }
+
+    return errors;
+}
+
+/**
+ * Copy the editable fields of an input, trimming names and parsing dates
+ * null clears an optional field (stored as null so updates clear it too).
+ */
+function editableFields(input) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+        let value = input[field];
+        if (value === undefined) return;
+        if (value !== null && (field === 'validFrom' || field === 'validUntil')) value = new Date(value);
+        if (field === 'name') value = value.trim();
+        if (field === 'aliases') value = value.map(a => a.trim());
+        fields[field] = value;
+    });
+    return fields;
+}
+
+/**
+ * Validate and build a new registry entry
+ *
+ * @param {Object} input - { entryId?, type, name, aliases, categories, authority, certificatePattern,
+ *   certificateFormat, validFrom, validUntil, notes }
+ * @param {Object} context - { user, existing } where existing is any stored entry with that entryId
+ * @returns {Object} { valid, entry } or { valid: false, httpStatus, error, details }
+ */
+export function buildEntry(input, { user, existing }) {
+    const errors = validateEntry(input);
+    if (!REGISTRY_TYPES.includes(input.type)) errors.unshift(`type must be one of: ${REGISTRY_TYPES.join(', ')}`);
+    if (input.name === undefined) errors.unshift('name is required');
+    if (input.entryId !== undefined && !(typeof input.entryId === 'string' && ENTRY_ID_PATTERN.test(input.entryId))) {
+        errors.push('entryId must be 1-64 lower-case letters, digits or dashes');
+    }
+    if (errors.length) {
+        return fail(400, 'Invalid registry entry', errors);
+    }
+
+    const entryId = input.entryId || slugify(input.name);
+    if (!entryId) {
+        return fail(400, 'Invalid registry entry', ['entryId is required when the name has no letters or digits']);
+    }
+    if (existing) {
+        return fail(409, `Registry entry ${entryId} already exists`);
+    }
+
+    return {
+        valid: true,
+        entry: {
+            entryId,
+            type: input.type,
+            aliases: [],
+            categories: [],
+            ...editableFields(input),
+            status: 'active',
+            createdBy: userId(user),
+            createdAt: new Date(),
+        },
+    };
+}
+
+/**
+ * Entry ID a new entry will be stored under
+ */
+export const entryIdFor = (input) => (typeof input?.entryId === 'string' ? input.entryId : slugify(input?.name || ''));
+
+/**
+ * Validate and apply an update to a stored entry
+ * status: 'active' reinstates a retired entry.
+ *
+ * @param {Object} existing - Stored entry
+ * @param {Object} input - Fields to change
+ * @param {Object} user - Admin making the change
+ * @returns {Object} { valid, entry, changed } or { valid: false, httpStatus, error, details }
+ */
+export function applyEntryUpdate(existing, input, user) {
+    const errors = validateEntry(input);
+    ['entryId', 'type'].forEach(field => {
+        if (input[field] !== undefined && input[field] !== existing[field]) errors.push(`${field} cannot be changed`);
+    });
+    if (input.status !== undefined && input.status !== 'active') {
+        errors.push("status can only be set to 'active'; retire an entry with DELETE");
+    }
+    if (errors.length) {
+        return fail(400, 'Invalid registry entry', errors);
+    }
+
+    // Validity is checked again against the stored dates the update keeps
+    const fields = editableFields(input);
+    const merged = { ...existing, ...fields };
+    if (merged.validFrom && merged.validUntil && merged.validFrom >= merged.validUntil) {
+        return fail(400, 'Invalid registry entry', ['validFrom must be before validUntil']);
+    }
+
+    const changed = Object.keys(fields);
+    const reinstated = input.status === 'active' && existing.status === 'retired';
+    if (!changed.length && !reinstated) {
+        return fail(400, 'No registry fields to update');
+    }
+
+    return {
+        valid: true,
+        changed: reinstated ? [...changed, 'status'] : changed,
+        entry: {
+            ...merged,
+            ...(reinstated && { status: 'active', retiredBy: null, retiredAt: null }),
+            updatedBy: userId(user),
+            updatedAt: new Date(),
+        },
+    };
+}
+
+/**
+ * Plan retiring an entry
+ *
+ * @param {Object} existing - Stored entry
+ * @param {Object} user - Admin retiring it
+ * @returns {Object} { valid, entry } or { valid: false, httpStatus, error }
+ */
+export function retireEntry(existing, user) {
+    if (existing.status === 'retired') {
+        return fail(409, `Registry entry ${existing.entryId} is already retired`);
+    }
+
+    return {
+        valid: true,
+        entry: {
+            ...existing,
+            status: 'retired',
+            retiredBy: userId(user),
+            retiredAt: new Date(),
+        },
+    };
+}
+
+/**
+ * Store the bundled registry if no entry has been added
+ *
+ * @returns {Promise<void>}
+ */
+export async function ensureBundledRegistry() {
+    if ((await registryRepository.find()).length) return;
+
+    for (const seed of BUNDLED_REGISTRY.entries) {
+        const { entry } = buildEntry(seed, { user: null, existing: null });
+        await registryRepository.create(entry);
+    }
+}
+
+/**
+ * Find the entry of a type that a claimed name refers to
+ * Matches the entry name or any alias, ignoring case and punctuation;
+ * retired entries are returned too, so callers can report them.
+ *
+ * @param {Array<Object>} entries - Registry entries
+ * @param {string} type - 'vendor' or 'certification'
+ * @param {string} name - Name as claimed
+ * @returns {Object|null} Matching entry (active ones first)
+ */
+export function findEntry(entries, type, name) {
+    const wanted = normalizeName(name);
+    if (!wanted) return null;
+
+    const candidates = entries.filter(entry => entry.type === type
+        && [entry.name, ...(entry.aliases || [])].some(n => normalizeName(n) === wanted));
+    return candidates.find(entry => entry.status !== 'retired') || candidates[0] || null;
+}
+
+/**
+ * Whether an entry is in force on a date
+ *
+ * @param {Object} entry - Registry entry
+ * @param {Date} asOf - Date to check
+ * @returns {string} 'in_force', 'retired', 'expired' or 'not_yet_valid'
+ */
+export function entryStanding(entry, asOf = new Date()) {
+    if (entry.status === 'retired') return 'retired';
+    if (entry.validUntil && new Date(entry.validUntil) < asOf) return 'expired';
+    if (entry.validFrom && new Date(entry.validFrom) > asOf) return 'not_yet_valid';
+    return 'in_force';
+}
+
+/**
+ * Registry entries the greenwashing agent checks against
+ *
+ * @returns {Promise<Array<Object>>} Every entry, retired ones included
+ */
+export async function loadRegistry() {
+    await ensureBundledRegistry();
+    return registryRepository.find();
+}
+
+/**
+ * Provenance of the bundled registry
+ */
+export const getRegistrySource = () => ({ source: BUNDLED_REGISTRY.source, vintage: BUNDLED_REGISTRY.vintage });
+
+export default {
+    validateEntry,
+    buildEntry,
+    entryIdFor,
+    applyEntryUpdate,
+    retireEntry,
+    ensureBundledRegistry,
+    findEntry,
+    entryStanding,
+    loadRegistry,
+    getRegistrySource,
+};
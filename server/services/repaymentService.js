@@ -0,0 +1,184 @@
+/**
+ * Repayment Ledger Service
+ *
+ * Posts borrower payments against a loan's amortization schedule and
+ * derives repayment state (outstanding balance, progress, next due
+ * installment) from the ledger.
+ *
+ * Allocation rule: payments settle installments in order, and within
+ * each installment interest is cleared before principal. Because the
+ * rule is deterministic, the state of every installment can be rebuilt
+ * from the ledger alone.
+ */
+
+import crypto from 'crypto';
+
+const toPlain = (doc) => (doc?.toObject ? doc.toObject() : doc);
+const fail = (httpStatus, error) => ({ valid: false, httpStatus, error });
+
+/**
+ * Total cash received on a loan
+ *
+ * @param {Array} payments - Ledger entries
+ * @returns {number} Sum of payment amounts
+ */
+export function getTotalRepaid(payments = []) {
+    return payments.reduce((sum, p) => sum + (p.amount || 0), 0);
+}
+
+/**
+ * Rebuild per-installment repayment state from the ledger
+ *
+ * @param {Array} schedule - Amortization schedule
+ * @param {Array} payments - Ledger entries
+ * @returns {Array} Installments annotated with interestPaid, principalPaid, amountDue and status
+ */
+export function getInstallmentStatus(schedule = [], payments = []) {
+    let remaining = getTotalRepaid(payments);
+
+    return schedule.map((row) => {
+        const installment = toPlain(row);
+
+        const interestPaid = Math.min(installment.interest, remaining);
+        remaining -= interestPaid;
+        const principalPaid = Math.min(installment.principal, remaining);
+        remaining -= principalPaid;
+
+        const amountDue = installment.interest + installment.principal - interestPaid - principalPaid;
+        let status = 'due';
+        if (amountDue === 0) status = 'paid';
+        else if (interestPaid + principalPaid > 0) status = 'partial';
+
+        return { ...installment, interestPaid, principalPaid, amountDue, status };
+    });
+}
+
+/**
+ * Summarize repayment state for a loan
+ *
+ * @param {Object} loan - Loan with repaymentSchedule and payments
+ * @returns {Object} Repayment totals, progress and next due installment
+ */
+export function summarizeRepayment(loan) {
+    const installments = getInstallmentStatus(loan.repaymentSchedule, loan.payments);
+
+    const interestRepaid = installments.reduce((sum, i) => sum + i.interestPaid, 0);
+    const principalRepaid = installments.reduce((sum, i) => sum + i.principalPaid, 0);
+    const totalOutstanding = installments.reduce((sum, i) => sum + i.amountDue, 0);
+    const outstandingPrincipal = Math.max(0, (loan.loanAmount || 0) - principalRepaid);
+    const nextInstallment = installments.find(i => i.status !== 'paid') || null;
+
+    return {
+        totalRepaid: getTotalRepaid(loan.payments),
+        interestRepaid,
+        principalRepaid,
+        outstandingPrincipal,
+        totalOutstanding,
+        repaymentProgress: loan.loanAmount
+            ? Math.round((principalRepaid / loan.loanAmount) * 10000) / 100
+            : 0,
+        installmentsPaid: installments.filter(i => i.status === 'paid').length,
+        nextInstallment,
+        installments,
+    };
+}
+
+/**
+ * Parse the date a payment was received
+ * Defaults to now. Dates before disbursement or in the future are
+ * rejected, since days-past-due is counted from them.
+ *
+ * @param {Object} loan - Loan the payment is for
+ * @param {*} paidAt - Date from the request, if any
+ * @param {Date} now - Current time
+ * @returns {Object} { valid: true, paidAt } or { valid: false, httpStatus, error }
+ */
+export function parsePaidAt(loan, paidAt, now = new Date()) {
+    if (paidAt === undefined || paidAt === null || paidAt === '') {
+        return { valid: true, paidAt: now };
+    }
+
+    const date = new Date(paidAt);
+    if (Number.isNaN(date.getTime())) {
+        return fail(400, 'paidAt must be a valid date');
+    }
+    if (date > now) {
+        return fail(400, 'paidAt cannot be in the future');
+    }
+    if (loan.disbursedDate && date < new Date(loan.disbursedDate)) {
+        return fail(400, 'paidAt cannot be before the loan was disbursed');
+    }
+
+    return { valid: true, paidAt: date };
+}
+
+/**
+ * Post a payment to the loan ledger
+ * Mutates the loan: appends the ledger entry and refreshes the derived
+ * repayment fields. The caller is responsible for persisting the loan.
+ *
+ * @param {Object} loan - Active loan with a repayment schedule
+ * @param {Object} payment - { amount, paidAt (see parsePaidAt), method, reference }
+ * @returns {Object} The stored ledger entry with its allocation breakdown
+ */
+export function postPayment(loan, payment) {
+    const before = getInstallmentStatus(loan.repaymentSchedule, loan.payments);
+    const after = getInstallmentStatus(loan.repaymentSchedule, [...(loan.payments || []), payment]);
+
+    // Allocation = change in paid amounts per installment
+    const allocations = after
+        .map((row, idx) => ({
+            installmentNumber: row.installmentNumber,
+            interest: row.interestPaid - before[idx].interestPaid,
+            principal: row.principalPaid - before[idx].principalPaid,
+        }))
+        .filter(a => a.interest > 0 || a.principal > 0);
+
+    const interestComponent = allocations.reduce((sum, a) => sum + a.interest, 0);
+    const principalComponent = allocations.reduce((sum, a) => sum + a.principal, 0);
+
+    const entry = {
+        paymentId: `PAY-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        amount: payment.amount,
+        paidAt: payment.paidAt ? new Date(payment.paidAt) : new Date(),
+        method: payment.method || 'bank_transfer',
+        reference: payment.reference,
+        interestComponent,
+        principalComponent,
+        allocations,
+    };
+
+    if (!loan.payments) loan.payments = [];
+    loan.payments.push(entry);
+
+    applyRepaymentState(loan);
+
+    // Return the stored element so callers can annotate it (e.g. with a txHash)
+    return loan.payments[loan.payments.length - 1];
+}
+
+/**
+ * Refresh the derived repayment fields on a loan from its ledger
+ *
+ * @param {Object} loan - Loan with repaymentSchedule and payments
+ * @returns {Object} Repayment summary used for the update
+ */
+export function applyRepaymentState(loan) {
+    const summary = summarizeRepayment(loan);
+
+    loan.outstandingBalance = summary.outstandingPrincipal;
+    loan.repaymentProgress = Math.min(100, summary.repaymentProgress);
+    loan.nextPayment = summary.nextInstallment?.dueDate || null;
+    loan.nextPaymentAmount = summary.nextInstallment?.amountDue || null;
+
+    return summary;
+}
+
+export default {
+    getTotalRepaid,
+    getInstallmentStatus,
+    summarizeRepayment,
+    parsePaidAt,
+    postPayment,
+    applyRepaymentState,
+};
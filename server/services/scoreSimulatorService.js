@@ -0,0 +1,226 @@
+/**
+ * Score Simulator Service
+ *
+ * What-if Green Scores for borrowers. A scenario is the current
+ * application with some fields changed; it is scored with the same
+ * engine and rule set as a real verification, and nothing is stored.
+ *
+ * Suggestions are found by trying the changes a borrower can actually
+ * make (adding geolocation, disclosing or raising savings and turnover,
+ * borrowing less) one at a time, then in pairs, and keeping the smallest
+ * combination that reaches each class cut-off.
+ */
+
+import {
+    calculateGreenScore,
+    snapshotScoringInputs,
+    parseAmount,
+    parseCoordinates,
+    getStateCentroid,
+} from './aiScoringService.js';
+
+// Fallback loan amount the engine uses when none is given
+const DEFAULT_LOAN_AMOUNT = 100000;
+
+const formatRupees = (amount) => `₹${Math.round(amount).toLocaleString('en-IN')}`;
+
+/**
+ * Normalize an application or loan form into scoring inputs
+ *
+ * @param {Object} data - Loan, loan form or partial application
+ * @returns {Object} Scoring input fields only
+ */
+export function toScoringInputs(data = {}) {
+    const inputs = snapshotScoringInputs(data);
+    const coordinates = parseCoordinates(data);
+    if (coordinates) inputs.locationCoordinates = coordinates;
+    else delete inputs.locationCoordinates;
+    return inputs;
+}
+
+/**
+ * Score summary used in simulator responses
+ */
+const summarize = (result) => ({
+    greenScore: result.greenScore,
+    sustainabilityClass: result.sustainabilityClass,
+    factors: result.factors,
+    sections: result.sections,
+    reasoning: result.reasoning,
+});
+
+/**
+ * Per-factor point changes between two scores
+ *
+ * @param {Object} current - calculateGreenScore result for the application
+ * @param {Object} simulated - calculateGreenScore result for the scenario
+ * @returns {Array<Object>} { factor, current, simulated, delta } for every factor
+ */
+export function diffFactors(current, simulated) {
+    const factors = [...new Set([...Object.keys(current.factors), ...Object.keys(simulated.factors)])];
+    return factors.map(factor => {
+        const before = current.factors[factor] ?? 0;
+        const after = simulated.factors[factor] ?? 0;
+        return { factor, current: before, simulated: after, delta: after - before };
+    });
+}
+
+/**
+ * Single-field changes worth trying for an application
+ * Each has a cost: the relative size of the change (0 for adding data).
+ *
+ * @param {Object} inputs - Scoring inputs
+ * @param {Object} ruleSet - Rule set whose tiers define the useful values
+ * @returns {Array<Object>} { field, value, description, cost }
+ */
+export function candidateChanges(inputs, ruleSet) {
+    const candidates = [];
+    const savings = parseAmount(inputs.estimatedSavings);
+    const turnover = parseAmount(inputs.annualTurnover);
+    const loanAmount = parseAmount(inputs.loanAmount);
+    const ratioBase = loanAmount || DEFAULT_LOAN_AMOUNT;
+    const relative = (from, to) => Math.abs(to - from) / Math.max(from, 1);
+
+    if (!inputs.locationCoordinates?.latitude) {
+        const centroid = getStateCentroid(inputs.projectLocation);
+        if (centroid) {
+            candidates.push({
+                field: 'locationCoordinates',
+                value: centroid,
+                description: 'Add precise project geolocation',
+                cost: 0,
+            });
+        }
+    }
+
+    // Savings high enough for each ROI tier and the transformative bonus
+    const savingsTargets = ruleSet.financial.roiTiers.map(tier => Math.floor(tier.min * ratioBase) + 1);
+    const bonus = ruleSet.impact.transformativeBonus;
+    if (bonus && turnover > 0) savingsTargets.push(Math.floor(turnover * bonus.minSavingsToTurnover) + 1);
+    [...new Set(savingsTargets)].filter(target => target > savings).forEach(target => {
+        candidates.push({
+            field: 'estimatedSavings',
+            value: target,
+            description: savings > 0
+                ? `Raise estimated annual savings to ${formatRupees(target)}`
+                : `Disclose estimated annual savings of at least ${formatRupees(target)}`,
+            cost: relative(savings, target),
+        });
+    });
+
+    // Borrowing less raises the ROI ratio (only once an amount has been entered)
+    if (loanAmount > 0 && savings > 0) {
+        ruleSet.financial.roiTiers
+            .map(tier => Math.floor(savings / tier.min))
+            .filter(target => target > 0 && target < loanAmount)
+            .forEach(target => {
+                candidates.push({
+                    field: 'loanAmount',
+                    value: target,
+                    description: `Reduce the loan amount to ${formatRupees(target)}`,
+                    cost: relative(loanAmount, target),
+                });
+            });
+    }
+
+    // Turnover is a fact about the business, so only suggest disclosing it
+    if (turnover === 0) {
+        ruleSet.financial.turnoverTiers.forEach(tier => {
+            candidates.push({
+                field: 'annualTurnover',
+                value: tier.min,
+                description: `Disclose annual turnover (${formatRupees(tier.min)} or more)`,
+                cost: 1,
+            });
+        });
+    }
+
+    return candidates;
+}
+
+/**
+ * Smallest changes that reach each class cut-off above the current score
+ *
+ * @param {Object} inputs - Scoring inputs of the scenario
+ * @param {Object} ruleSet - Rule set to score with
+ * @returns {Array<Object>} One entry per higher class:
+ *   { targetClass, threshold, reachable, changes, projectedScore, pointsGained }
+ */
+export function suggestChanges(inputs, ruleSet) {
+    const baseScore = calculateGreenScore(inputs, ruleSet).greenScore;
+    const candidates = candidateChanges(inputs, ruleSet);
+
+    // Single changes, then pairs of changes to different fields
+    const combos = candidates.map(c => [c]);
+    candidates.forEach((a, i) => candidates.slice(i + 1).forEach(b => {
+        if (a.field !== b.field) combos.push([a, b]);
+    }));
+
+    const scored = combos.map(changes => {
+        const scenario = { ...inputs, ...Object.fromEntries(changes.map(c => [c.field, c.value])) };
+        return {
+            changes,
+            cost: changes.reduce((sum, c) => sum + c.cost, 0),
+            projectedScore: calculateGreenScore(scenario, ruleSet).greenScore,
+        };
+    });
+
+    return Object.entries(ruleSet.classCutoffs)
+        .sort(([, a], [, b]) => a - b)
+        .filter(([, threshold]) => baseScore < threshold)
+        .map(([targetClass, threshold]) => {
+            const best = scored
+                .filter(s => s.projectedScore >= threshold)
+                .sort((a, b) => a.changes.length - b.changes.length || a.cost - b.cost)[0];
+
+            if (!best) {
+                return { targetClass, threshold, reachable: false, changes: [] };
+            }
+
+            return {
+                targetClass,
+                threshold,
+                reachable: true,
+                changes: best.changes.map(({ field, value, description }) => ({ field, value, description })),
+                projectedScore: best.projectedScore,
+                pointsGained: best.projectedScore - baseScore,
+            };
+        });
+}
+
+/**
+ * Score an application and a what-if scenario side by side
+ *
+ * @param {Object} application - Current application (scoring inputs)
+ * @param {Object} changes - Fields to change in the scenario
+ * @param {Object} ruleSet - Rule set to score with
+ * @returns {Object} { ruleSetVersion, current, simulated, delta, deltas, suggestions }
+ */
+export function simulateScore(application, changes, ruleSet) {
+    const baseline = toScoringInputs(application);
+    const scenario = { ...baseline, ...toScoringInputs(changes) };
+    // Blanking the coordinates in the scenario removes them
+    if (['latitude', 'longitude', 'locationCoordinates'].some(key => key in changes) && !parseCoordinates(changes)) {
+        delete scenario.locationCoordinates;
+    }
+
+    const current = calculateGreenScore(baseline, ruleSet);
+    const simulated = calculateGreenScore(scenario, ruleSet);
+
+    return {
+        ruleSetVersion: simulated.ruleSetVersion,
+        current: summarize(current),
+        simulated: summarize(simulated),
+        delta: simulated.greenScore - current.greenScore,
+        deltas: diffFactors(current, simulated),
+        suggestions: suggestChanges(scenario, ruleSet),
+    };
+}
+
+export default {
+    toScoringInputs,
+    diffFactors,
+    candidateChanges,
+    suggestChanges,
+    simulateScore,
+};
@@ -0,0 +1,239 @@
+/**
+ * Scoring Rule Service
+ *
+ * Lifecycle of green scoring rule sets (see config/scoringRules.js):
+ *
+ *   publish  - validate a new version and store it (inactive)
+ *   activate - make a published version the one the engine evaluates
+ *   rollback - restore the version that was active before the current one
+ *
+ * Published versions are never edited, so every stored score can be
+ * traced to the exact rules that produced it. Until a rule set has been
+ * published the bundled default is active.
+ */
+
+import { DEFAULT_RULE_SET, RULE_SET_SECTIONS } from '../config/scoringRules.js';
+import { scoringRuleRepository } from '../repositories/index.js';
+
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,31}$/;
+
+const fail = (httpStatus, error, details) => ({ valid: false, httpStatus, error, ...(details && { details }) });
+
+const isNumber = (val) => typeof val === 'number' && Number.isFinite(val);
+const isText = (val) => typeof val === 'string' && val.trim().length > 0;
+const isObject = (val) => !!val && typeof val === 'object' && !Array.isArray(val);
+
+/**
+ * Validate the rule sections of a rule set
+ *
+ * @param {Object} ruleSet - Candidate rule set
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateRuleSet(ruleSet) {
+    const errors = [];
+    const check = (ok, message) => { if (!ok) errors.push(message); };
+
+    // { points, label } pairs used for tiers, bands and bonuses
+    const checkAward = (award, path) => {
+        check(isObject(award), `${path} must be an object`);
+        if (!isObject(award)) return;
+        check(isNumber(award.points) && award.points >= 0, `${path}.points must be a non-negative number`);
+        check(isText(award.label), `${path}.label is required`);
+    };
+
+    // Tiers are evaluated top-down, so minimums must be strictly descending
+    const checkTiers = (tiers, path) => {
+        check(Array.isArray(tiers), `${path} must be an array`);
+        if (!Array.isArray(tiers)) return;
+        tiers.forEach((tier, i) => {
+            checkAward(tier, `${path}[${i}]`);
+            check(isNumber(tier?.min), `${path}[${i}].min must be a number`);
+            if (i > 0 && isNumber(tier?.min) && isNumber(tiers[i - 1]?.min)) {
+                check(tier.min < tiers[i - 1].min, `${path} must be ordered by min, highest first`);
+            }
+        });
+    };
+
+    const checkMax = (section, path) =>
+        check(isNumber(section.max) && section.max >= 0 && section.max <= 100, `${path}.max must be between 0 and 100`);
+
+    check(isText(ruleSet?.version) && VERSION_PATTERN.test(ruleSet.version),
+        'version must be 1-32 letters, digits, dots, dashes or underscores');
+    check(isText(ruleSet?.name), 'name is required');
+
+    RULE_SET_SECTIONS.forEach(section => check(isObject(ruleSet?.[section]), `${section} section is required`));
+    if (errors.some(e => e.endsWith('section is required'))) return errors;
+
+    const { impact, financial, geo, dataQuality, classCutoffs } = ruleSet;
+
+    checkMax(impact, 'impact');
+    check(isObject(impact.categories) && Object.values(impact.categories).every(isNumber),
+        'impact.categories must map category keys to points');
+    check(isNumber(impact.defaultPoints), 'impact.defaultPoints must be a number');
+    if (impact.transformativeBonus !== undefined) {
+        checkAward(impact.transformativeBonus, 'impact.transformativeBonus');
+        check(isNumber(impact.transformativeBonus?.minSavingsToTurnover),
+            'impact.transformativeBonus.minSavingsToTurnover must be a number');
+    }
+
+    checkMax(financial, 'financial');
+    ['roiTiers', 'turnoverTiers', 'vintageTiers'].forEach(key => checkTiers(financial[key], `financial.${key}`));
+    ['roiFallback', 'turnoverFallback', 'vintageFallback'].forEach(key => {
+        if (financial[key] !== undefined) checkAward(financial[key], `financial.${key}`);
+    });
+
+    checkMax(geo, 'geo');
+    check(Array.isArray(geo.stateBands), 'geo.stateBands must be an array');
+    (Array.isArray(geo.stateBands) ? geo.stateBands : []).forEach((rule, i) => {
+        const path = `geo.stateBands[${i}]`;
+        check(Array.isArray(rule?.keywords) && rule.keywords.length > 0 && rule.keywords.every(isText),
+            `${path}.keywords must list at least one category keyword`);
+        check(Array.isArray(rule?.bands), `${path}.bands must be an array`);
+        (Array.isArray(rule?.bands) ? rule.bands : []).forEach((band, j) => {
+            checkAward(band, `${path}.bands[${j}]`);
+            check(Array.isArray(band?.states) && band.states.length > 0 && band.states.every(isText),
+                `${path}.bands[${j}].states must list at least one state`);
+        });
+        checkAward(rule?.fallback, `${path}.fallback`);
+    });
+    checkAward(geo.defaultBand, 'geo.defaultBand');
+    check(isObject(geo.climateResilience), 'geo.climateResilience must be an object');
+    ['low', 'medium', 'high'].forEach(level =>
+        checkAward(geo.climateResilience?.[level], `geo.climateResilience.${level}`));
+
+    checkMax(dataQuality, 'dataQuality');
+    checkAward(dataQuality.geolocation, 'dataQuality.geolocation');
+    checkAward(dataQuality.financialDisclosure, 'dataQuality.financialDisclosure');
+
+    check(isNumber(classCutoffs.high) && isNumber(classCutoffs.medium)
+        && classCutoffs.medium > 0 && classCutoffs.medium < classCutoffs.high && classCutoffs.high <= 100,
+        'classCutoffs must satisfy 0 < medium < high <= 100');
+
+    return errors;
+}
+
+/**
+ * Validate and build a rule set for publishing
+ * Only the rule sections are taken from the input; states and keywords
+ * are lower-cased to match how the engine compares them.
+ *
+ * @param {Object} input - { version, name, description, ...sections }
+ * @param {Object} context - { user, existing } where existing is any stored rule set with that version
+ * @returns {Object} { valid, ruleSet } or { valid: false, httpStatus, error, details }
+ */
+export function buildRuleSet(input, { user, existing }) {
+    const errors = validateRuleSet(input);
+    if (errors.length) {
+        return fail(400, 'Invalid rule set', errors);
+    }
+    if (existing) {
+        return fail(409, `Rule set version ${input.version} already exists; publish a new version instead`);
+    }
+
+    const rules = structuredClone(Object.fromEntries(RULE_SET_SECTIONS.map(section => [section, input[section]])));
+    rules.geo.stateBands.forEach(rule => {
+        rule.keywords = rule.keywords.map(k => k.toLowerCase());
+        rule.bands.forEach(band => { band.states = band.states.map(s => s.toLowerCase()); });
+    });
+
+    return {
+        valid: true,
+        ruleSet: {
+            version: input.version.trim(),
+            name: input.name.trim(),
+            description: input.description ? String(input.description) : undefined,
+            ...rules,
+            active: false,
+            publishedBy: user ? String(user.id || user._id) : 'system',
+            publishedAt: new Date(),
+        },
+    };
+}
+
+/**
+ * Plan the activation of a published rule set
+ *
+ * @param {Object} target - Rule set to activate
+ * @param {Object|null} current - Currently active rule set
+ * @param {Object} user - Admin activating it
+ * @returns {Object} { valid, activated, deactivated } or { valid: false, httpStatus, error }
+ */
+export function planActivation(target, current, user) {
+    if (target.active) {
+        return fail(409, `Rule set ${target.version} is already active`);
+    }
+
+    return {
+        valid: true,
+        activated: {
+            ...target,
+            active: true,
+            previousVersion: current?.version,
+            activatedBy: String(user.id || user._id),
+            activatedAt: new Date(),
+        },
+        deactivated: current ? { ...current, active: false } : null,
+    };
+}
+
+/**
+ * Plan a rollback to the version active before the current one
+ * The restored version keeps its own previousVersion, so repeated
+ * rollbacks keep walking back through the activation history.
+ *
+ * @param {Object|null} current - Currently active rule set
+ * @param {Object|null} previous - Rule set named by current.previousVersion
+ * @param {Object} user - Admin rolling back
+ * @returns {Object} { valid, activated, deactivated } or { valid: false, httpStatus, error }
+ */
+export function planRollback(current, previous, user) {
+    if (!current?.previousVersion) {
+        return fail(409, 'No earlier rule set to roll back to');
+    }
+    if (!previous) {
+        return fail(404, `Rule set ${current.previousVersion} not found`);
+    }
+
+    return {
+        valid: true,
+        activated: {
+            ...previous,
+            active: true,
+            activatedBy: String(user.id || user._id),
+            activatedAt: new Date(),
+        },
+        deactivated: { ...current, active: false },
+    };
+}
+
+/**
+ * Store the bundled rule set as the active version if none has been published
+ * Runs once at startup, after storage is open and before requests are
+ * served, so concurrent first requests cannot seed it twice.
+ *
+ * @returns {Promise<void>}
+ */
+export async function ensureBundledRuleSet() {
+    if ((await scoringRuleRepository.find()).length) return;
+
+    const { ruleSet } = buildRuleSet(DEFAULT_RULE_SET, {});
+    await scoringRuleRepository.create({ ...ruleSet, active: true, activatedBy: 'system', activatedAt: new Date() });
+}
+
+/**
+ * Rule set the engine should evaluate now
+ *
+ * @returns {Promise<Object>} Active rule set, or the bundled default
+ */
+export async function getActiveRuleSet() {
+    return (await scoringRuleRepository.findActive()) || DEFAULT_RULE_SET;
+}
+
+export default {
+    validateRuleSet,
+    buildRuleSet,
+    planActivation,
+    planRollback,
+    ensureBundledRuleSet,
+    getActiveRuleSet,
+};
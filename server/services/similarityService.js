@@ -0,0 +1,248 @@
+/**
+ * Claim Similarity Service
+ *
+ * Detects recycled claims: the same project description, site or
+ * evidence document reused across loans. An index is built over every
+ * loan's description (word shingles), site coordinates (grid cells at
+ * least the match radius wide) and evidence fingerprints (document SHA-256,
+ * else the document URL), so a lookup only compares the loans that
+ * share something with the one being verified.
+ *
+ * Thresholds live in config/duplicateDetection.js.
+ */
+
+import duplicateDetectionConfig from '../config/duplicateDetection.js';
+
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE = 111320;
+
+// Loan fields the index reads, so callers can load only these
+export const SIMILARITY_FIELDS = [
+    'loanId',
+    'user',
+    'projectDescription',
+    'locationCoordinates',
+    'milestones.evidence.sha256',
+    'milestones.evidence.documentUrl',
+    'documents.sha256',
+].join(' ');
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Lower-case words of a description, punctuation removed
+ */
+const wordsOf = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+/**
+ * Overlapping word n-grams of a description
+ *
+ * @param {string} text - Project description
+ * @param {Object} config - { shingleSize, minDescriptionWords }
+ * @returns {Set<string>} Shingles (empty if the text is too short to compare)
+ */
+export function shinglesOf(text, config = duplicateDetectionConfig) {
+    const words = wordsOf(text);
+    const shingles = new Set();
+    if (words.length < config.minDescriptionWords) return shingles;
+
+    for (let i = 0; i + config.shingleSize <= words.length; i++) {
+        shingles.add(words.slice(i, i + config.shingleSize).join(' '));
+    }
+    return shingles;
+}
+
+/**
+ * Jaccard similarity of two shingle sets
+ */
+export function jaccard(a, b) {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    a.forEach(shingle => { if (b.has(shingle)) shared += 1; });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Great-circle distance between two points (metres)
+ */
+export function distanceMeters(a, b) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLng = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Site coordinates of a loan, or null if it has none
+ */
+function coordinatesOf(loan) {
+    const { latitude, longitude } = loan.locationCoordinates || {};
+    return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+}
+
+/**
+ * Fingerprints of a loan's evidence documents
+ * The SHA-256 of the document when known, else its normalised URL.
+ * Documents uploaded to the loan are always hashed.
+ *
+ * @param {Object} loan - Loan with milestones and documents
+ * @returns {Array<string>} e.g. ['sha256:9f86…', 'url:example.com/invoice.pdf']
+ */
+export function evidenceFingerprints(loan) {
+    const fingerprints = new Set();
+    (loan.milestones || []).forEach(milestone => (milestone.evidence || []).forEach(evidence => {
+        if (evidence.sha256) {
+            fingerprints.add(`sha256:${evidence.sha256.toLowerCase()}`);
+        } else if (evidence.documentUrl) {
+            fingerprints.add(`url:${evidence.documentUrl.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/+$/, '')}`);
+        }
+    }));
+    (loan.documents || []).forEach(document => fingerprints.add(`sha256:${document.sha256}`));
+    return [...fingerprints];
+}
+
+/**
+ * Grid cell of a point
+ */
+const cellOf = ({ latitude, longitude }, cellDegrees) =>
+    [Math.floor(latitude / cellDegrees), Math.floor(longitude / cellDegrees)];
+
+const addTo = (map, key, loanId) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(loanId);
+};
+
+/**
+ * Index loans for similarity lookups
+ *
+ * @param {Array<Object>} loans - Loans to index
+ * @param {Object} config - Detection thresholds
+ * @returns {Object} Index for findSimilarClaims
+ */
+export function buildSimilarityIndex(loans, config = duplicateDetectionConfig) {
+    // Cells must span the radius in both axes or neighbours two cells away are missed;
+    // a degree of longitude is at least half a degree of latitude up to 60° latitude
+    const cellDegrees = (2 * config.coordinateRadiusMeters) / METERS_PER_DEGREE;
+    const index = {
+        config,
+        cellDegrees,
+        entries: new Map(),
+        byShingle: new Map(),
+        byCell: new Map(),
+        byFingerprint: new Map(),
+    };
+
+    loans.forEach(loan => {
+        if (!loan.loanId) return;
+        const entry = {
+            loanId: loan.loanId,
+            user: loan.user ? String(loan.user) : null,
+            shingles: shinglesOf(loan.projectDescription, config),
+            coordinates: coordinatesOf(loan),
+            fingerprints: evidenceFingerprints(loan),
+        };
+        index.entries.set(loan.loanId, entry);
+
+        entry.shingles.forEach(shingle => addTo(index.byShingle, shingle, loan.loanId));
+        if (entry.coordinates) addTo(index.byCell, cellOf(entry.coordinates, cellDegrees).join(':'), loan.loanId);
+        entry.fingerprints.forEach(fingerprint => addTo(index.byFingerprint, fingerprint, loan.loanId));
+    });
+
+    return index;
+}
+
+/**
+ * Find loans whose claims recycle this loan's description, site or evidence
+ *
+ * @param {Object} index - From buildSimilarityIndex
+ * @param {Object} loan - Loan being verified
+ * @returns {Object} { flagged, linkedLoanIds, matches, loansCompared, checkedAt }. Each match is
+ *   { loanId, sameBorrower, signals } with signals of type 'description' (similarity),
+ *   'coordinates' (distanceMeters) or 'evidence' (fingerprint).
+ */
+export function findSimilarClaims(index, loan) {
+    const { config, cellDegrees } = index;
+    const shingles = shinglesOf(loan.projectDescription, config);
+    const coordinates = coordinatesOf(loan);
+    const fingerprints = evidenceFingerprints(loan);
+    const user = loan.user ? String(loan.user) : null;
+
+    const signals = new Map();
+    const signal = (loanId, found) => {
+        if (loanId === loan.loanId) return;
+        if (!signals.has(loanId)) signals.set(loanId, []);
+        signals.get(loanId).push(found);
+    };
+
+    // Descriptions: only loans sharing a shingle can be similar
+    const candidates = new Set();
+    shingles.forEach(shingle => index.byShingle.get(shingle)?.forEach(id => candidates.add(id)));
+    candidates.forEach(loanId => {
+        const similarity = jaccard(shingles, index.entries.get(loanId).shingles);
+        if (similarity >= config.descriptionSimilarity) {
+            signal(loanId, { type: 'description', similarity: round(similarity, 2) });
+        }
+    });
+
+    // Coordinates: the loan's cell and its neighbours cover the match radius
+    if (coordinates) {
+        const [row, col] = cellOf(coordinates, cellDegrees);
+        for (let dRow = -1; dRow <= 1; dRow++) {
+            for (let dCol = -1; dCol <= 1; dCol++) {
+                index.byCell.get(`${row + dRow}:${col + dCol}`)?.forEach(loanId => {
+                    const distance = distanceMeters(coordinates, index.entries.get(loanId).coordinates);
+                    if (distance <= config.coordinateRadiusMeters) {
+                        signal(loanId, { type: 'coordinates', distanceMeters: Math.round(distance) });
+                    }
+                });
+            }
+        }
+    }
+
+    // Evidence: identical documents
+    fingerprints.forEach(fingerprint => index.byFingerprint.get(fingerprint)?.forEach(loanId =>
+        signal(loanId, { type: 'evidence', fingerprint })));
+
+    // Strongest matches first: most signals, then highest description similarity
+    const matches = [...signals.entries()]
+        .map(([loanId, found]) => ({
+            loanId,
+            sameBorrower: !!user && index.entries.get(loanId).user === user,
+            signals: found,
+        }))
+        .sort((a, b) => b.signals.length - a.signals.length
+            || (b.signals.find(s => s.similarity)?.similarity || 0) - (a.signals.find(s => s.similarity)?.similarity || 0));
+
+    return {
+        flagged: matches.length > 0,
+        linkedLoanIds: matches.map(m => m.loanId),
+        matches,
+        loansCompared: index.entries.has(loan.loanId) ? index.entries.size - 1 : index.entries.size,
+        checkedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * One-line summary of a match, for audit descriptions and flags
+ */
+export function describeMatch(match) {
+    const parts = match.signals.map(s => {
+        if (s.type === 'description') return `${Math.round(s.similarity * 100)}% similar description`;
+        if (s.type === 'coordinates') return `site ${s.distanceMeters} m away`;
+        return 'identical evidence document';
+    });
+    return `${match.loanId}${match.sameBorrower ? ' (same borrower)' : ''}: ${parts.join(', ')}`;
+}
+
+export default {
+    SIMILARITY_FIELDS,
+    shinglesOf,
+    jaccard,
+    distanceMeters,
+    evidenceFingerprints,
+    buildSimilarityIndex,
+    findSimilarClaims,
+    describeMatch,
+};
@@ -0,0 +1,239 @@
+/**
+ * Climate Stress Test Service
+ *
+ * Applies a hazard shock to a set of loans: each loan's hazard scores come
+ * from assessClimateRisk for its location, the shock raises them for loans
+ * in scope, and the increase is turned into lost revenue (by green
+ * category) and a higher probability of default. Results are summarised
+ * for the book, per state and per category. Nothing is stored.
+ *
+ * PDs in the results are annual percentages; uplifts are percentage points.
+ */
+
+import stressTestConfig from '../config/stressTest.js';
+import { CLIMATE_HAZARDS } from '../config/climateHazards.js';
+import { assessClimateRisk, getHazardSource } from './climateRiskService.js';
+
+const fail = (httpStatus, error) => ({ valid: false, httpStatus, error });
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+const sum = (rows, key) => rows.reduce((total, row) => total + (row[key] || 0), 0);
+const percentage = (part, whole) => (whole ? round((part / whole) * 100, 1) : 0);
+
+const HAZARD_KEYS = CLIMATE_HAZARDS.hazards.map(h => h.key);
+
+/**
+ * Preset shocks for a picker
+ *
+ * @param {Object} config - Stress test configuration
+ * @returns {Array<Object>} { key, label, description, states, coastal, hazards }
+ */
+export function listShocks(config = stressTestConfig) {
+    return config.shocks.map(({ key, label, description, states = [], coastal = false, hazards }) => ({
+        key,
+        label,
+        description,
+        states,
+        coastal,
+        hazards,
+    }));
+}
+
+/**
+ * Resolve a shock from a preset key or a custom definition
+ * { label, states?, coastal?, hazards: { <hazard>: 0-1 increase } }
+ *
+ * @returns {Object} { valid, shock } or { valid: false, httpStatus, error }
+ */
+export function resolveShock(input, config = stressTestConfig) {
+    if (typeof input === 'string') {
+        const preset = config.shocks.find(s => s.key === input);
+        return preset
+            ? { valid: true, shock: { states: [], coastal: false, ...preset } }
+            : fail(400, `Unknown shock '${input}'; use one of ${config.shocks.map(s => s.key).join(', ')}`);
+    }
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return fail(400, 'shock must be a preset key or a shock definition');
+    }
+
+    const { label, states = [], coastal = false, hazards } = input;
+    if (typeof label !== 'string' || !label.trim()) {
+        return fail(400, 'A custom shock needs a label');
+    }
+    if (!Array.isArray(states) || states.some(s => typeof s !== 'string')) {
+        return fail(400, 'states must be a list of state codes');
+    }
+    if (!hazards || typeof hazards !== 'object' || Object.keys(hazards).length === 0) {
+        return fail(400, 'A custom shock needs at least one hazard increase');
+    }
+
+    for (const [hazard, increase] of Object.entries(hazards)) {
+        if (!HAZARD_KEYS.includes(hazard)) {
+            return fail(400, `Unknown hazard '${hazard}'; use ${HAZARD_KEYS.join(', ')}`);
+        }
+        if (typeof increase !== 'number' || !(increase > 0 && increase <= 1)) {
+            return fail(400, `${hazard} increase must be a number above 0 and at most 1`);
+        }
+    }
+
+    return {
+        valid: true,
+        shock: {
+            key: 'custom',
+            label: label.trim(),
+            description: typeof input.description === 'string' ? input.description : '',
+            states: states.map(s => s.trim().toUpperCase()),
+            coastal: coastal === true,
+            hazards,
+        },
+    };
+}
+
+/**
+ * Location fields assessClimateRisk reads, from a loan
+ */
+function locationOf(loan) {
+    const [city, state] = String(loan.projectLocation || '').split(',').map(part => part.trim());
+    return {
+        city,
+        state,
+        latitude: loan.locationCoordinates?.latitude,
+        longitude: loan.locationCoordinates?.longitude,
+    };
+}
+
+/**
+ * Whether a shock reaches a location
+ */
+function inScope(shock, stateCode, scores) {
+    if (shock.states.length > 0) return shock.states.includes(stateCode);
+    if (shock.coastal) return (scores.seaLevelRise || 0) > 0;
+    return true;
+}
+
+/**
+ * Stress one loan
+ *
+ * @param {Object} loan - Loan application
+ * @param {Object} shock - Resolved shock
+ * @param {Object} config - Stress test configuration
+ * @returns {Object} Per-loan result
+ */
+export function stressLoan(loan, shock, config = stressTestConfig) {
+    const assessment = assessClimateRisk(locationOf(loan));
+    const scores = Object.fromEntries(assessment.hazards.map(h => [h.hazard, h.score]));
+    const reached = assessment.hazards.length > 0 && inScope(shock, assessment.location?.stateCode, scores);
+
+    // Rise in each hazard score under the shock
+    const increases = Object.fromEntries(HAZARD_KEYS.map(hazard => {
+        const before = scores[hazard] || 0;
+        const after = reached ? Math.min(1, before + (shock.hazards[hazard] || 0)) : before;
+        return [hazard, round(after - before)];
+    }));
+
+    const sensitivity = config.revenueSensitivity[loan.greenObjective] || config.defaultSensitivity;
+    const impairmentShare = Math.min(1, HAZARD_KEYS.reduce((total, h) => total + (sensitivity[h] || 0) * increases[h], 0));
+
+    const basePd = config.basePd[assessment.level] ?? config.basePd.low;
+    const stressedPd = Math.min(config.maxPd, basePd * (1 + config.pdElasticity * impairmentShare));
+    const exposure = Number(loan.outstandingBalance ?? loan.disbursedAmount ?? loan.loanAmount) || 0;
+    const revenue = Number(loan.annualTurnover) || 0;
+
+    return {
+        loanId: loan.loanId,
+        state: assessment.location?.state || 'Unknown',
+        district: assessment.location?.district || null,
+        category: loan.greenObjective || 'unspecified',
+        climateLevel: assessment.level,
+        inScope: reached,
+        hazardIncreases: increases,
+        exposure,
+        revenue,
+        impairmentShare: round(impairmentShare, 3),
+        impairedRevenue: Math.round(revenue * impairmentShare),
+        basePd: round(basePd * 100),
+        stressedPd: round(stressedPd * 100),
+        pdUplift: round((stressedPd - basePd) * 100),
+        expectedLossUplift: Math.round(exposure * config.lgd * (stressedPd - basePd)),
+        atRisk: impairmentShare >= config.materialImpairment,
+    };
+}
+
+/**
+ * Totals for a group of stressed loans
+ */
+function summarize(rows) {
+    const exposure = sum(rows, 'exposure');
+    const exposureAtRisk = sum(rows.filter(r => r.atRisk), 'exposure');
+    // Exposure-weighted PDs so large loans count for more
+    const weightedPd = (key) => (exposure
+        ? round(rows.reduce((total, r) => total + r[key] * r.exposure, 0) / exposure)
+        : 0);
+
+    return {
+        loans: rows.length,
+        loansInScope: rows.filter(r => r.inScope).length,
+        loansAtRisk: rows.filter(r => r.atRisk).length,
+        exposure,
+        exposureAtRisk,
+        exposureAtRiskPct: percentage(exposureAtRisk, exposure),
+        impairedRevenue: sum(rows, 'impairedRevenue'),
+        basePd: weightedPd('basePd'),
+        stressedPd: weightedPd('stressedPd'),
+        pdUplift: round(weightedPd('stressedPd') - weightedPd('basePd')),
+        expectedLossUplift: sum(rows, 'expectedLossUplift'),
+    };
+}
+
+/**
+ * One summary row per group, largest exposure at risk first
+ */
+function summarizeGroups(rows, keyOf) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+
+    return [...groups.entries()]
+        .map(([key, group]) => ({ key, ...summarize(group) }))
+        .sort((a, b) => b.exposureAtRisk - a.exposureAtRisk || b.exposure - a.exposure);
+}
+
+/**
+ * Run a climate stress test over a set of loans
+ *
+ * @param {Array<Object>} loans - Loans to stress (usually the active book)
+ * @param {Object} shock - Resolved shock (see resolveShock)
+ * @param {Object} config - Stress test configuration
+ * @returns {Object} { shock, summary, byState, byCategory, loans, assumptions, hazardSource }
+ */
+export function runStressTest(loans, shock, config = stressTestConfig) {
+    const rows = loans.map(loan => stressLoan(loan, shock, config));
+
+    return {
+        shock,
+        summary: summarize(rows),
+        byState: summarizeGroups(rows, r => r.state).map(({ key, ...row }) => ({ state: key, ...row })),
+        byCategory: summarizeGroups(rows, r => r.category).map(({ key, ...row }) => ({ category: key, ...row })),
+        loans: rows.sort((a, b) => b.expectedLossUplift - a.expectedLossUplift),
+        assumptions: {
+            statuses: config.statuses,
+            basePd: config.basePd,
+            pdElasticity: config.pdElasticity,
+            maxPd: config.maxPd,
+            lgd: config.lgd,
+            materialImpairment: config.materialImpairment,
+        },
+        hazardSource: getHazardSource(),
+    };
+}
+
+export default {
+    listShocks,
+    resolveShock,
+    stressLoan,
+    runStressTest,
+};
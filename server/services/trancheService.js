@@ -0,0 +1,250 @@
+/**
+ * Tranche Disbursement Service
+ *
+ * Milestone-based disbursement for staged green projects (e.g. a rooftop
+ * solar plant paid for at equipment purchase, installation and
+ * commissioning). Each milestone carries a tranche; a tranche is only
+ * released after the borrower's evidence for that milestone is approved.
+ *
+ * Milestone lifecycle:
+ *   pending → evidence_submitted → approved → disbursed
+ *                              ↘ rejected → evidence_submitted (resubmission)
+ *
+ * Repayment starts once the final tranche is released: the amortization
+ * schedule is built on the full disbursed amount from that date.
+ */
+
+import crypto from 'crypto';
+import { MILESTONE_TYPES, MILESTONE_STATUSES, DEFAULT_INTEREST_RATE } from '../config/loans.js';
+import { generateSchedule } from './amortizationService.js';
+
+export { MILESTONE_TYPES, MILESTONE_STATUSES };
+
+// Default plan offered to solar-style projects
+export const DEFAULT_MILESTONE_PLAN = [
+    { name: 'Equipment Purchase', type: 'equipment_purchase', percent: 50 },
+    { name: 'Installation', type: 'installation', percent: 30 },
+    { name: 'Commissioning', type: 'commissioning', percent: 20 },
+];
+
+const fail = (httpStatus, error) => ({ valid: false, httpStatus, error });
+
+/**
+ * Validate and normalize milestone definitions for a loan
+ * Each milestone supplies either an absolute `amount` or a `percent` of
+ * the loan; tranche amounts must add up to the loan amount.
+ *
+ * @param {Array} input - Milestone definitions from the application
+ * @param {number} loanAmount - Sanctioned loan amount
+ * @returns {Object} { valid, milestones } or { valid: false, httpStatus, error }
+ */
+export function buildMilestones(input, loanAmount) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return fail(400, 'At least one milestone is required');
+    }
+
+    const milestones = [];
+    for (const [idx, m] of input.entries()) {
+        if (!m.name) return fail(400, `Milestone ${idx + 1} needs a name`);
+
+        const type = m.type || 'other';
+        if (!MILESTONE_TYPES.includes(type)) {
+            return fail(400, `Milestone ${idx + 1} has unknown type: ${type}`);
+        }
+
+        const amount = m.amount !== undefined
+            ? parseFloat(String(m.amount).replace(/,/g, ''))
+            : Math.round(loanAmount * (parseFloat(m.percent) || 0) / 100);
+
+        if (!amount || amount <= 0) {
+            return fail(400, `Milestone ${idx + 1} needs a positive tranche amount or percent`);
+        }
+
+        milestones.push({
+            milestoneId: `MS-${idx + 1}-${crypto.randomBytes(3).toString('hex')}`,
+            sequence: idx + 1,
+            name: m.name,
+            type,
+            description: m.description,
+            trancheAmount: amount,
+            status: 'pending',
+            evidence: [],
+        });
+    }
+
+    // Absorb percent rounding into the last tranche
+    const total = milestones.reduce((sum, m) => sum + m.trancheAmount, 0);
+    const drift = loanAmount - total;
+    if (Math.abs(drift) <= milestones.length) {
+        milestones[milestones.length - 1].trancheAmount += drift;
+    } else {
+        return fail(400, `Tranche amounts (₹${total.toLocaleString()}) must add up to the loan amount (₹${loanAmount.toLocaleString()})`);
+    }
+
+    return { valid: true, milestones };
+}
+
+/**
+ * Find a milestone on a loan
+ */
+const findMilestone = (loan, milestoneId) =>
+    (loan.milestones || []).find(m => m.milestoneId === milestoneId);
+
+/**
+ * Attach evidence to a milestone and mark it for review
+ *
+ * @param {Object} loan - Loan with milestones
+ * @param {string} milestoneId - Milestone to update
+ * @param {Object} evidence - { description, documentId } for an uploaded document,
+ *   or { description, documentUrl, documentType, sha256 }
+ * @param {string} userId - Submitting user
+ * @returns {Object} { valid, milestone } or failure
+ */
+export function submitEvidence(loan, milestoneId, evidence, userId) {
+    const milestone = findMilestone(loan, milestoneId);
+    if (!milestone) return fail(404, 'Milestone not found');
+
+    if (!['pending', 'rejected', 'evidence_submitted'].includes(milestone.status)) {
+        return fail(409, `Evidence cannot be submitted for a milestone that is ${milestone.status}`);
+    }
+    if (!evidence?.description) {
+        return fail(400, 'Evidence description is required');
+    }
+    // Document hash, used to spot the same document submitted for other loans
+    if (evidence.sha256 !== undefined && !/^[a-f0-9]{64}$/i.test(String(evidence.sha256))) {
+        return fail(400, 'sha256 must be a 64-character hex digest');
+    }
+
+    // An uploaded document supplies its own link, type and hash
+    let document;
+    if (evidence.documentId) {
+        document = (loan.documents || []).find(d => d.documentId === evidence.documentId);
+        if (!document) return fail(404, 'Document not found');
+    }
+
+    milestone.evidence.push({
+        description: evidence.description,
+        documentUrl: document ? `/api/loans/${loan.loanId}/documents/${document.documentId}` : evidence.documentUrl,
+        documentType: document ? document.type : evidence.documentType,
+        documentId: document?.documentId,
+        sha256: document ? document.sha256 : evidence.sha256?.toLowerCase(),
+        submittedBy: userId ? String(userId) : undefined,
+        submittedAt: new Date(),
+    });
+    milestone.status = 'evidence_submitted';
+
+    return { valid: true, milestone };
+}
+
+/**
+ * Approve or reject a milestone's evidence
+ *
+ * @param {Object} loan - Loan with milestones
+ * @param {string} milestoneId - Milestone to review
+ * @param {Object} review - { decision: 'approved' | 'rejected', comment, reviewerId }
+ * @returns {Object} { valid, milestone } or failure
+ */
+export function reviewMilestone(loan, milestoneId, { decision, comment, reviewerId }) {
+    const milestone = findMilestone(loan, milestoneId);
+    if (!milestone) return fail(404, 'Milestone not found');
+
+    if (!['approved', 'rejected'].includes(decision)) {
+        return fail(400, 'Decision must be approved or rejected');
+    }
+    if (milestone.status !== 'evidence_submitted') {
+        return fail(409, `Only milestones with submitted evidence can be reviewed (current: ${milestone.status})`);
+    }
+    if (decision === 'rejected' && !comment) {
+        return fail(400, 'A comment is required when rejecting evidence');
+    }
+
+    milestone.status = decision;
+    milestone.reviewedBy = reviewerId ? String(reviewerId) : undefined;
+    milestone.reviewedAt = new Date();
+    milestone.reviewComment = comment;
+
+    return { valid: true, milestone };
+}
+
+/**
+ * Release the tranche for an approved milestone
+ * Tranches are released in sequence. Releasing the final tranche builds
+ * the repayment schedule on the full disbursed amount.
+ *
+ * @param {Object} loan - Active loan with milestones
+ * @param {string} milestoneId - Milestone whose tranche to release
+ * @returns {Object} { valid, milestone, fullyDisbursed } or failure
+ */
+export function releaseTranche(loan, milestoneId) {
+    const milestone = findMilestone(loan, milestoneId);
+    if (!milestone) return fail(404, 'Milestone not found');
+
+    if (loan.status !== 'active') {
+        return fail(409, `Tranches can only be released on active loans (current: ${loan.status})`);
+    }
+    if (milestone.status !== 'approved') {
+        return fail(409, `Milestone evidence must be approved before release (current: ${milestone.status})`);
+    }
+
+    const blocking = loan.milestones.find(m => m.sequence < milestone.sequence && m.status !== 'disbursed');
+    if (blocking) {
+        return fail(409, `Milestone "${blocking.name}" must be disbursed first`);
+    }
+
+    const now = new Date();
+    milestone.status = 'disbursed';
+    milestone.disbursedAt = now;
+
+    loan.disbursedAmount = (loan.disbursedAmount || 0) + milestone.trancheAmount;
+    if (!loan.disbursedDate) loan.disbursedDate = now;
+
+    const fullyDisbursed = loan.milestones.every(m => m.status === 'disbursed');
+    if (fullyDisbursed) {
+        const schedule = generateSchedule({
+            principal: loan.disbursedAmount,
+            annualRate: loan.interestRate ?? DEFAULT_INTEREST_RATE,
+            tenureMonths: parseInt(loan.tenure),
+            startDate: now,
+        });
+
+        loan.repaymentSchedule = schedule;
+        loan.outstandingBalance = loan.disbursedAmount;
+        loan.emiAmount = schedule[0]?.emi;
+        loan.nextPayment = schedule[0]?.dueDate;
+        loan.nextPaymentAmount = schedule[0]?.emi;
+    }
+
+    return { valid: true, milestone, fullyDisbursed };
+}
+
+/**
+ * Summarize tranche progress for a loan
+ *
+ * @param {Object} loan - Loan with milestones
+ * @returns {Object} Counts and amounts by status
+ */
+export function summarizeTranches(loan) {
+    const milestones = loan.milestones || [];
+    const disbursed = milestones.filter(m => m.status === 'disbursed');
+
+    return {
+        total: milestones.length,
+        disbursed: disbursed.length,
+        disbursedAmount: disbursed.reduce((sum, m) => sum + m.trancheAmount, 0),
+        pendingAmount: milestones
+            .filter(m => m.status !== 'disbursed')
+            .reduce((sum, m) => sum + m.trancheAmount, 0),
+        nextMilestone: milestones.find(m => m.status !== 'disbursed') || null,
+    };
+}
+
+export default {
+    MILESTONE_TYPES,
+    MILESTONE_STATUSES,
+    DEFAULT_MILESTONE_PLAN,
+    buildMilestones,
+    submitEvidence,
+    reviewMilestone,
+    releaseTranche,
+    summarizeTranches,
+};
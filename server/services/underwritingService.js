@@ -0,0 +1,174 @@
+/**
+ * Underwriting Service
+ *
+ * Puts a human in the loop on AI verification. The AI result is kept as
+ * a recommendation on loan.underwriting; borderline scores are held in
+ * pending_verification for an underwriter, and any AI decision can be
+ * overridden by an underwriter with a mandatory comment.
+ *
+ * Underwriter decisions:
+ *   approve      → approved
+ *   reject       → rejected
+ *   request_info → pending_verification (borrower must supply more detail)
+ */
+
+import underwritingConfig from '../config/underwriting.js';
+import { DEFAULT_RULE_SET } from '../config/scoringRules.js';
+import { UNDERWRITING_DECISIONS, REVIEW_STATUSES } from '../config/loans.js';
+import { transitionLoan } from './loanStateMachine.js';
+
+export { UNDERWRITING_DECISIONS, REVIEW_STATUSES };
+
+const DECISION_TARGETS = {
+    approve: 'approved',
+    reject: 'rejected',
+    request_info: 'pending_verification',
+};
+
+// Statuses an underwriter can still act on (nothing disbursed yet)
+const REVIEWABLE_STATUSES = ['pending_verification', 'approved', 'rejected'];
+
+const fail = (httpStatus, error) => ({ valid: false, httpStatus, error });
+
+/**
+ * Minimum Green Score for approval under a rule set
+ * A loan must reach the medium sustainability class.
+ *
+ * @param {Object} ruleSet - Scoring rule set the score was calculated with
+ * @returns {number} Approval cut-off
+ */
+export function getApprovalCutoff(ruleSet = DEFAULT_RULE_SET) {
+    return ruleSet.classCutoffs.medium;
+}
+
+/**
+ * Check whether a Green Score sits close to the approval cut-off
+ *
+ * @param {number} greenScore - AI Green Score
+ * @param {number} cutoff - Approval cut-off
+ * @param {Object} config - Underwriting configuration
+ * @returns {boolean} True if the score needs a human decision
+ */
+export function isBorderline(greenScore, cutoff, config = underwritingConfig) {
+    return Math.abs(greenScore - cutoff) <= config.borderlineMargin;
+}
+
+/**
+ * Derive the AI recommendation from verification results
+ * Greenwashing is always a rejection; otherwise the Green Score decides.
+ *
+ * @param {Object} result - { greenScore, greenwashingPassed }
+ * @param {Object} ruleSet - Scoring rule set the score was calculated with
+ * @param {Object} config - Underwriting configuration
+ * @returns {Object} { recommendation, reason, borderline }
+ */
+export function assessAiDecision({ greenScore, greenwashingPassed }, ruleSet = DEFAULT_RULE_SET, config = underwritingConfig) {
+    if (!greenwashingPassed) {
+        return {
+            recommendation: 'rejected',
+            reason: 'Greenwashing detected: Sustainability claims could not be verified.',
+            borderline: false,
+        };
+    }
+
+    const cutoff = getApprovalCutoff(ruleSet);
+    const borderline = isBorderline(greenScore, cutoff, config);
+
+    if (greenScore < cutoff) {
+        return {
+            recommendation: 'rejected',
+            reason: `Green Score too low (${greenScore}/100). Minimum ${cutoff} required.`,
+            borderline,
+        };
+    }
+
+    return {
+        recommendation: 'approved',
+        reason: `AI Green Score ${greenScore}/100`,
+        borderline,
+    };
+}
+
+/**
+ * Check whether a loan belongs in the underwriter review queue
+ * Loans awaiting verification are always queued; borderline loans the AI
+ * decided on its own stay queued until an underwriter has looked at them.
+ *
+ * @param {Object} loan - Loan application
+ * @returns {boolean} True if the loan needs review
+ */
+export function needsReview(loan) {
+    if (loan.status === 'pending_verification') return true;
+
+    const underwriting = loan.underwriting || {};
+    return REVIEWABLE_STATUSES.includes(loan.status)
+        && !!underwriting.borderline
+        && underwriting.reviewStatus !== 'decided';
+}
+
+/**
+ * Apply an underwriter decision to a loan
+ * Mutates the loan (status, underwriting.decisions); the caller persists it
+ * and records the decision on the audit chain.
+ *
+ * @param {Object} loan - Loan under review
+ * @param {Object} input - { decision, comment, actor, userId, makerCheckerApproved }
+ * @returns {Object} { valid, record, override } or { valid: false, httpStatus, error }
+ */
+export function applyDecision(loan, { decision, comment, actor, userId, makerCheckerApproved }) {
+    if (!UNDERWRITING_DECISIONS.includes(decision)) {
+        return fail(400, `Decision must be one of: ${UNDERWRITING_DECISIONS.join(', ')}`);
+    }
+    if (!comment || !String(comment).trim()) {
+        return fail(400, 'A comment is required for every underwriting decision');
+    }
+    if (!REVIEWABLE_STATUSES.includes(loan.status)) {
+        return fail(409, `Loans that are ${loan.status} can no longer be underwritten`);
+    }
+
+    const fromStatus = loan.status;
+    const toStatus = DECISION_TARGETS[decision];
+    const reason = String(comment).trim();
+
+    // Confirming the current status needs no transition
+    if (toStatus !== fromStatus) {
+        const transition = transitionLoan(loan, toStatus, { actor, userId, reason, makerCheckerApproved });
+        if (!transition.valid) return fail(transition.httpStatus, transition.error);
+    }
+
+    if (decision === 'reject') loan.rejectionReason = reason;
+    if (decision === 'approve') loan.rejectionReason = undefined;
+
+    if (!loan.underwriting) loan.underwriting = {};
+    const aiRecommendation = loan.underwriting.aiRecommendation;
+    const override = decision !== 'request_info'
+        && !!aiRecommendation
+        && aiRecommendation !== toStatus;
+
+    if (!loan.underwriting.decisions) loan.underwriting.decisions = [];
+    loan.underwriting.decisions.push({
+        decision,
+        comment: reason,
+        decidedBy: userId ? String(userId) : undefined,
+        fromStatus,
+        toStatus,
+        aiRecommendation,
+        override,
+        decidedAt: new Date(),
+    });
+    loan.underwriting.reviewStatus = decision === 'request_info' ? 'info_requested' : 'decided';
+
+    // Return the stored element so callers can annotate it (e.g. with a txHash)
+    const record = loan.underwriting.decisions[loan.underwriting.decisions.length - 1];
+    return { valid: true, record, override };
+}
+
+export default {
+    UNDERWRITING_DECISIONS,
+    REVIEW_STATUSES,
+    getApprovalCutoff,
+    isBorderline,
+    assessAiDecision,
+    needsReview,
+    applyDecision,
+};
@@ -0,0 +1,186 @@
+/**
+ * Borrower data isolation
+ *
+ * Runs the app on the in-memory store. Every borrower-scoped route is
+ * checked for the owning borrower, another borrower (404, so ids cannot
+ * be probed) and staff.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.JWT_SECRET = 'test_secret';
+process.env.ADMIN_EMAIL = 'admin@terralend.test';
+process.env.ADMIN_PASSWORD = 'Adm1nPassw0rd';
+
+const PASSWORD = 'Passw0rd!x';
+
+const LOAN = {
+    greenObjective: 'solar',
+    loanAmount: 500000,
+    tenure: 24,
+    businessName: 'Sunrise Fabrics',
+    annualTurnover: '5000000',
+    yearsInBusiness: 4,
+    projectDescription: '50kW rooftop solar installation for a textile unit',
+    projectLocation: 'Pune, Maharashtra',
+    milestones: [{ name: 'Installation', percent: 100 }],
+};
+
+let app;
+
+const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+/**
+ * Sign up a user, optionally giving them a staff role as the admin
+ */
+async function signUp(email, role, admin) {
+    const res = await request(app).post('/api/auth/register').send({ email, password: PASSWORD });
+    assert.equal(res.status, 201);
+    const user = { id: res.body.user.id, token: res.body.token };
+
+    if (role) {
+        const assigned = await request(app).put(`/api/auth/users/${user.id}/role`).set(auth(admin)).send({ role });
+        assert.equal(assigned.status, 200);
+    }
+    return user;
+}
+
+async function logIn(email, password) {
+    const res = await request(app).post('/api/auth/login').send({ email, password });
+    assert.equal(res.status, 200);
+    return { id: res.body.user.id, token: res.body.token };
+}
+
+async function applyForLoan(borrower) {
+    const res = await request(app).post('/api/loans').set(auth(borrower)).send(LOAN);
+    assert.equal(res.status, 201);
+    return res.body.loanId;
+}
+
+describe('borrower-scoped routes', () => {
+    let owner;
+    let otherBorrower;
+    let staff;
+    let loanId;
+
+    before(async () => {
+        ({ default: app } = await import('../app.js'));
+        const { initStorage } = await import('../repositories/storage.js');
+        const { seedAdmin } = await import('../services/bootstrapService.js');
+        await initStorage();
+        await seedAdmin();
+
+        const admin = await logIn(process.env.ADMIN_EMAIL, process.env.ADMIN_PASSWORD);
+        owner = await signUp('owner@terralend.test');
+        otherBorrower = await signUp('other@terralend.test');
+        staff = await signUp('underwriter@terralend.test', 'underwriter', admin);
+        loanId = await applyForLoan(owner);
+    });
+
+    describe('GET /api/loans/:id', () => {
+        it('returns the loan to its owner', async () => {
+            const res = await request(app).get(`/api/loans/${loanId}`).set(auth(owner));
+            assert.equal(res.status, 200);
+            assert.equal(res.body.loan.loanId, loanId);
+        });
+
+        it('hides the loan from another borrower', async () => {
+            const res = await request(app).get(`/api/loans/${loanId}`).set(auth(otherBorrower));
+            assert.equal(res.status, 404);
+        });
+
+        it('returns the loan to staff', async () => {
+            const res = await request(app).get(`/api/loans/${loanId}`).set(auth(staff));
+            assert.equal(res.status, 200);
+            assert.equal(res.body.loan.loanId, loanId);
+        });
+    });
+
+    describe('GET /api/loans/user/:userId', () => {
+        it('lists the loans of their owner', async () => {
+            const res = await request(app).get(`/api/loans/user/${owner.id}`).set(auth(owner));
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.loans.map(loan => loan.loanId), [loanId]);
+        });
+
+        it('hides them from another borrower', async () => {
+            const res = await request(app).get(`/api/loans/user/${owner.id}`).set(auth(otherBorrower));
+            assert.equal(res.status, 404);
+        });
+
+        it('lists them for staff', async () => {
+            const res = await request(app).get(`/api/loans/user/${owner.id}`).set(auth(staff));
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.loans.map(loan => loan.loanId), [loanId]);
+        });
+    });
+
+    describe('GET /api/impact/portfolio/:userId', () => {
+        it('returns the portfolio to its owner', async () => {
+            const res = await request(app).get(`/api/impact/portfolio/${owner.id}`).set(auth(owner));
+            assert.equal(res.status, 200);
+            assert.equal(res.body.userId, owner.id);
+        });
+
+        it('hides the portfolio from another borrower', async () => {
+            const res = await request(app).get(`/api/impact/portfolio/${owner.id}`).set(auth(otherBorrower));
+            assert.equal(res.status, 404);
+        });
+
+        it('returns the portfolio to staff', async () => {
+            const res = await request(app).get(`/api/impact/portfolio/${owner.id}`).set(auth(staff));
+            assert.equal(res.status, 200);
+            assert.equal(res.body.userId, owner.id);
+        });
+    });
+
+    // Each run moves the loan on, so every case verifies a fresh application
+    describe('POST /api/verify/green-score', () => {
+        it('verifies a loan for its owner', async () => {
+            const target = await applyForLoan(owner);
+            const res = await request(app).post('/api/verify/green-score').set(auth(owner)).send({ loanId: target });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.verification.loanId, target);
+        });
+
+        it('does not verify another borrower\'s loan', async () => {
+            const target = await applyForLoan(owner);
+            const res = await request(app).post('/api/verify/green-score').set(auth(otherBorrower)).send({ loanId: target });
+            assert.equal(res.status, 404);
+
+            const history = await request(app).get(`/api/verify/history/${target}`).set(auth(owner));
+            assert.equal(history.status, 200);
+            assert.equal(history.body.runs.length, 0);
+        });
+
+        it('verifies a loan for staff', async () => {
+            const target = await applyForLoan(owner);
+            const res = await request(app).post('/api/verify/green-score').set(auth(staff)).send({ loanId: target });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.verification.loanId, target);
+        });
+    });
+
+    describe('POST /api/verify/simulate', () => {
+        const application = { greenObjective: 'solar', annualTurnover: '5000000', loanAmount: '500000' };
+
+        it('needs an account, even for an unsaved application', async () => {
+            const res = await request(app).post('/api/verify/simulate').send({ application });
+            assert.equal(res.status, 401);
+        });
+
+        it('simulates an unsaved application for a signed-in borrower', async () => {
+            const res = await request(app).post('/api/verify/simulate').set(auth(otherBorrower)).send({ application });
+            assert.equal(res.status, 200);
+            assert.equal(typeof res.body.simulated.greenScore, 'number');
+        });
+
+        it('hides another borrower\'s saved loan', async () => {
+            const res = await request(app).post('/api/verify/simulate').set(auth(otherBorrower)).send({ loanId });
+            assert.equal(res.status, 404);
+        });
+    });
+});
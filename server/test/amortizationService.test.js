@@ -0,0 +1,94 @@
+/**
+ * EMI and repayment schedule generation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    addMonths,
+    calculateEmi,
+    generateSchedule,
+    summarizeSchedule,
+} from '../services/amortizationService.js';
+
+const sum = (schedule, field) => schedule.reduce((total, i) => total + i[field], 0);
+
+describe('calculateEmi', () => {
+    it('uses the reducing-balance formula, rounded to the rupee', () => {
+        assert.equal(calculateEmi(100000, 12, 12), 8885);
+    });
+
+    it('splits the principal evenly at a zero rate', () => {
+        assert.equal(calculateEmi(120000, 0, 12), 10000);
+        assert.equal(calculateEmi(100000, 0, 3), 33333);
+    });
+
+    it('charges one month of interest over a one-month tenure', () => {
+        assert.equal(calculateEmi(50000, 12, 1), 50500);
+    });
+
+    it('is zero without a principal or tenure', () => {
+        assert.equal(calculateEmi(0, 12, 12), 0);
+        assert.equal(calculateEmi(100000, 12, 0), 0);
+    });
+});
+
+describe('generateSchedule', () => {
+    it('absorbs rounding drift in the last installment and closes at zero', () => {
+        const schedule = generateSchedule({ principal: 100000, annualRate: 12, tenureMonths: 12, startDate: new Date(2025, 0, 15) });
+        const last = schedule[schedule.length - 1];
+
+        assert.equal(schedule.length, 12);
+        assert.ok(schedule.slice(0, -1).every(i => i.emi === 8885));
+        assert.equal(last.emi, 8884);
+        assert.equal(last.principal, last.openingBalance);
+        assert.equal(last.closingBalance, 0);
+        assert.equal(sum(schedule, 'principal'), 100000);
+    });
+
+    it('chains each closing balance into the next opening balance', () => {
+        const schedule = generateSchedule({ principal: 250000, annualRate: 9.5, tenureMonths: 24, startDate: new Date(2025, 0, 15) });
+        schedule.slice(1).forEach((installment, index) => {
+            assert.equal(installment.openingBalance, schedule[index].closingBalance);
+        });
+        schedule.forEach(i => assert.equal(i.emi, i.principal + i.interest));
+    });
+
+    it('charges no interest at a zero rate, with the remainder in the last installment', () => {
+        const schedule = generateSchedule({ principal: 100000, annualRate: 0, tenureMonths: 3, startDate: new Date(2025, 0, 15) });
+        assert.deepEqual(schedule.map(i => [i.emi, i.interest]), [[33333, 0], [33333, 0], [33334, 0]]);
+        assert.equal(schedule[2].closingBalance, 0);
+    });
+
+    it('repays everything in one installment over a one-month tenure', () => {
+        const schedule = generateSchedule({ principal: 50000, annualRate: 12, tenureMonths: 1, startDate: new Date(2025, 0, 15) });
+        assert.equal(schedule.length, 1);
+        assert.deepEqual(
+            { emi: schedule[0].emi, principal: schedule[0].principal, interest: schedule[0].interest, closingBalance: schedule[0].closingBalance },
+            { emi: 50500, principal: 50000, interest: 500, closingBalance: 0 }
+        );
+    });
+
+    it('falls due monthly from the start date, clamped to the end of short months', () => {
+        const schedule = generateSchedule({ principal: 30000, annualRate: 12, tenureMonths: 3, startDate: new Date(2025, 0, 31) });
+        assert.deepEqual(schedule.map(i => i.dueDate.getDate()), [28, 31, 30]);
+    });
+});
+
+describe('addMonths', () => {
+    it('clamps to the last day of a leap-year February', () => {
+        assert.equal(addMonths(new Date(2024, 0, 31), 1).getDate(), 29);
+    });
+});
+
+describe('summarizeSchedule', () => {
+    it('totals principal and interest', () => {
+        const schedule = generateSchedule({ principal: 100000, annualRate: 12, tenureMonths: 12, startDate: new Date(2025, 0, 15) });
+        const summary = summarizeSchedule(schedule);
+
+        assert.equal(summary.installments, 12);
+        assert.equal(summary.emi, 8885);
+        assert.equal(summary.totalPrincipal, 100000);
+        assert.equal(summary.totalPayable, 100000 + sum(schedule, 'interest'));
+    });
+});
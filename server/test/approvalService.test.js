@@ -0,0 +1,194 @@
+/**
+ * Maker-checker approval of high-value loans
+ *
+ * The signature rules are checked on their own, then the propose,
+ * confirm and decline flow through the routes on the in-memory store.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.JWT_SECRET = 'test_secret';
+process.env.ADMIN_EMAIL = 'admin@terralend.test';
+process.env.ADMIN_PASSWORD = 'Adm1nPassw0rd';
+process.env.MAKER_CHECKER_THRESHOLD = '1000000';
+
+const { requiresMakerChecker, proposeApproval, signAsChecker } = await import('../services/approvalService.js');
+
+const PASSWORD = 'Passw0rd!x';
+const MAKER = { id: 'maker-id', email: 'maker@terralend.test', role: 'underwriter' };
+const CHECKER = { id: 'checker-id', email: 'checker@terralend.test', role: 'credit_manager' };
+
+const verifiedLoan = (changes = {}) => ({
+    loanId: 'TL-2025-001',
+    loanAmount: 2000000,
+    status: 'pending_verification',
+    underwriting: { ruleSetVersion: '2.0' },
+    ...changes,
+});
+
+const proposed = () => proposeApproval(verifiedLoan(), { user: MAKER, comment: 'Strong green case' }).approval;
+
+describe('proposeApproval', () => {
+    it('applies only above the threshold', () => {
+        assert.equal(requiresMakerChecker({ loanAmount: 1000000 }), false);
+        assert.equal(requiresMakerChecker({ loanAmount: 1000001 }), true);
+        assert.equal(proposeApproval(verifiedLoan({ loanAmount: 500000 }), { user: MAKER, comment: 'Ok' }).httpStatus, 400);
+    });
+
+    it('records the maker signature on a pending approval', () => {
+        const approval = proposed();
+        assert.equal(approval.status, 'pending');
+        assert.equal(approval.maker.userId, 'maker-id');
+        assert.equal(approval.maker.comment, 'Strong green case');
+    });
+
+    it('needs a comment, a verified loan that can still be approved, and no pending approval', () => {
+        const propose = (loan, input = {}) => proposeApproval(loan, { user: MAKER, comment: 'Ok', ...input }).httpStatus;
+
+        assert.equal(propose(verifiedLoan(), { comment: '  ' }), 400);
+        assert.equal(propose(verifiedLoan({ status: 'active' })), 409);
+        assert.equal(propose(verifiedLoan({ underwriting: {} })), 409);
+        assert.equal(propose(verifiedLoan(), { pendingApproval: proposed() }), 409);
+    });
+});
+
+describe('signAsChecker', () => {
+    it('refuses the maker as checker', () => {
+        const result = signAsChecker(proposed(), { user: { ...MAKER, role: 'admin' }, comment: 'Looks fine', decision: 'confirm' });
+        assert.equal(result.httpStatus, 403);
+    });
+
+    it('confirms or declines with a different user', () => {
+        assert.equal(signAsChecker(proposed(), { user: CHECKER, comment: 'Agreed', decision: 'confirm' }).status, 'confirmed');
+        assert.equal(signAsChecker(proposed(), { user: CHECKER, comment: 'Too risky', decision: 'decline' }).status, 'declined');
+    });
+
+    it('does not change the approval itself', () => {
+        const approval = proposed();
+        signAsChecker(approval, { user: CHECKER, comment: 'Agreed', decision: 'confirm' });
+        assert.equal(approval.status, 'pending');
+        assert.equal(approval.checker, undefined);
+    });
+
+    it('needs a decision, a comment and a pending approval', () => {
+        const sign = (approval, input) => signAsChecker(approval, { user: CHECKER, comment: 'Ok', decision: 'confirm', ...input }).httpStatus;
+
+        assert.equal(sign(proposed(), { decision: 'maybe' }), 400);
+        assert.equal(sign(proposed(), { comment: '' }), 400);
+        assert.equal(sign({ ...proposed(), status: 'confirmed' }), 409);
+    });
+});
+
+describe('maker-checker routes', () => {
+    let app;
+    let maker;
+    let checker;
+    let borrower;
+
+    const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+    async function signUp(email, role, admin) {
+        const res = await request(app).post('/api/auth/register').send({ email, password: PASSWORD });
+        const user = { id: res.body.user.id, token: res.body.token };
+        if (role) {
+            await request(app).put(`/api/auth/users/${user.id}/role`).set(auth(admin)).send({ role });
+        }
+        return user;
+    }
+
+    // A verified loan above the threshold, held for maker-checker approval
+    async function heldLoan() {
+        const created = await request(app).post('/api/loans').set(auth(borrower)).send({
+            greenObjective: 'solar',
+            loanAmount: 2000000,
+            tenure: 36,
+            businessName: 'Sunrise Fabrics',
+            annualTurnover: '50000000',
+            yearsInBusiness: 6,
+            projectDescription: '200kW rooftop solar installation for a textile unit',
+            projectLocation: 'Pune, Maharashtra',
+        });
+        const verified = await request(app).post('/api/verify/green-score').set(auth(maker)).send({ loanId: created.body.loanId });
+        assert.equal(verified.status, 200);
+        return created.body.loanId;
+    }
+
+    async function propose(loanId) {
+        const res = await request(app).post('/api/approvals').set(auth(maker)).send({ loanId, comment: 'Strong green case' });
+        assert.equal(res.status, 201);
+        return res.body.approval;
+    }
+
+    const loanStatus = async (loanId) => (await request(app).get(`/api/loans/${loanId}`).set(auth(maker))).body.loan.status;
+
+    before(async () => {
+        ({ default: app } = await import('../app.js'));
+        const { initStorage } = await import('../repositories/storage.js');
+        const { seedAdmin } = await import('../services/bootstrapService.js');
+        await initStorage();
+        await seedAdmin();
+
+        const login = await request(app).post('/api/auth/login')
+            .send({ email: process.env.ADMIN_EMAIL, password: process.env.ADMIN_PASSWORD });
+        const admin = { token: login.body.token };
+        maker = await signUp('maker@terralend.test', 'underwriter', admin);
+        checker = await signUp('checker@terralend.test', 'credit_manager', admin);
+        borrower = await signUp('borrower@terralend.test');
+    });
+
+    it('holds a high-value loan until a checker confirms the maker\'s approval', async () => {
+        const loanId = await heldLoan();
+        assert.equal(await loanStatus(loanId), 'pending_verification');
+
+        const approval = await propose(loanId);
+        const duplicate = await request(app).post('/api/approvals').set(auth(checker)).send({ loanId, comment: 'Again' });
+        assert.equal(duplicate.status, 409);
+
+        const selfCheck = await request(app).post(`/api/approvals/${approval.approvalId}/confirm`).set(auth(maker)).send({ comment: 'Fine' });
+        assert.equal(selfCheck.status, 403);
+        assert.equal(await loanStatus(loanId), 'pending_verification');
+
+        const res = await request(app).post(`/api/approvals/${approval.approvalId}/confirm`).set(auth(checker)).send({ comment: 'Agreed' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.approval.status, 'confirmed');
+        assert.equal(await loanStatus(loanId), 'approved');
+
+        const again = await request(app).post(`/api/approvals/${approval.approvalId}/decline`).set(auth(checker)).send({ comment: 'Changed my mind' });
+        assert.equal(again.status, 409);
+    });
+
+    it('returns a declined loan to the review queue without approving it', async () => {
+        const loanId = await heldLoan();
+        const approval = await propose(loanId);
+
+        const res = await request(app).post(`/api/approvals/${approval.approvalId}/decline`).set(auth(checker)).send({ comment: 'Too risky' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.approval.status, 'declined');
+        assert.equal(res.body.loan.underwriting.reviewStatus, 'queued');
+        assert.equal(await loanStatus(loanId), 'pending_verification');
+
+        // A new proposal is possible once the last one is resolved
+        await propose(loanId);
+    });
+
+    it('keeps borrowers out of approvals', async () => {
+        const res = await request(app).get('/api/approvals').set(auth(borrower));
+        assert.equal(res.status, 403);
+    });
+
+    it('publicly verifies an approval by hash without its signers or comments', async () => {
+        const loanId = await heldLoan();
+        const approval = await propose(loanId);
+
+        const res = await request(app).get(`/api/blockchain/verify/${approval.maker.txHash}`);
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(Object.keys(res.body).sort(), ['eventType', 'timestamp', 'txHash', 'verificationTimestamp', 'verified']);
+        assert.equal(res.body.eventType, 'approval_proposed');
+        assert.doesNotMatch(JSON.stringify(res.body), /terralend\.test|Strong green case/);
+    });
+});
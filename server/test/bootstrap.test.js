@@ -0,0 +1,69 @@
+/**
+ * First admin bootstrap
+ *
+ * Signing up never grants admin; the admin is seeded from the
+ * environment, once, and never by promoting an existing account.
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.JWT_SECRET = 'test_secret';
+
+const PASSWORD = 'Passw0rd!x';
+
+let app;
+let collections;
+let seedAdmin;
+
+describe('seedAdmin', () => {
+    before(async () => {
+        ({ default: app } = await import('../app.js'));
+        ({ collections } = await import('../repositories/memoryStore.js'));
+        ({ seedAdmin } = await import('../services/bootstrapService.js'));
+    });
+
+    beforeEach(() => {
+        collections.users.length = 0;
+    });
+
+    it('creates the admin when there is none', async () => {
+        const admin = await seedAdmin({ email: 'root@terralend.test', password: PASSWORD });
+        assert.equal(admin.role, 'admin');
+
+        const res = await request(app).post('/api/auth/login').send({ email: 'root@terralend.test', password: PASSWORD });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.user.role, 'admin');
+    });
+
+    it('does nothing once an admin exists', async () => {
+        await seedAdmin({ email: 'root@terralend.test', password: PASSWORD });
+        assert.equal(await seedAdmin({ email: 'second@terralend.test', password: PASSWORD }), null);
+        assert.equal(collections.users.length, 1);
+    });
+
+    it('does not promote an account that signed up under the admin email', async () => {
+        const signup = await request(app).post('/api/auth/register').send({ email: 'root@terralend.test', password: PASSWORD });
+        assert.equal(signup.status, 201);
+        assert.equal(signup.body.user.role, 'borrower');
+
+        assert.equal(await seedAdmin({ email: 'root@terralend.test', password: PASSWORD }), null);
+        assert.equal(collections.users[0].role, 'borrower');
+    });
+
+    it('needs a password', async () => {
+        assert.equal(await seedAdmin({ email: 'root@terralend.test' }), null);
+        assert.equal(collections.users.length, 0);
+    });
+});
+
+describe('POST /api/auth/register', () => {
+    it('signs up the configured admin email as a borrower', async () => {
+        process.env.ADMIN_EMAIL = 'boss@terralend.test';
+        const res = await request(app).post('/api/auth/register').send({ email: 'boss@terralend.test', password: PASSWORD });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.user.role, 'borrower');
+    });
+});
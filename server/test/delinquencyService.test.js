@@ -0,0 +1,177 @@
+/**
+ * Days-past-due and RBI-style asset buckets
+ */
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    classifyDpd,
+    computeDaysPastDue,
+    refreshDelinquency,
+    summarizeDelinquency,
+} from '../services/delinquencyService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIRST_DUE = new Date('2025-02-15T00:00:00Z');
+const daysAfterDue = (days) => new Date(FIRST_DUE.getTime() + days * DAY_MS);
+
+// Two monthly installments of 1,100
+const activeLoan = (payments = []) => ({
+    status: 'active',
+    assetClassification: 'standard',
+    repaymentSchedule: [
+        { installmentNumber: 1, dueDate: FIRST_DUE, emi: 1100, principal: 1000, interest: 100, openingBalance: 2050, closingBalance: 1050 },
+        { installmentNumber: 2, dueDate: new Date('2025-03-15T00:00:00Z'), emi: 1100, principal: 1050, interest: 50, openingBalance: 1050, closingBalance: 0 },
+    ],
+    payments,
+});
+
+describe('classifyDpd', () => {
+    [
+        [0, 'standard'],
+        [1, 'SMA-0'],
+        [30, 'SMA-0'],
+        [31, 'SMA-1'],
+        [60, 'SMA-1'],
+        [61, 'SMA-2'],
+        [90, 'SMA-2'],
+        [91, 'NPA'],
+    ].forEach(([dpd, bucket]) => {
+        it(`classifies ${dpd} days past due as ${bucket}`, () => {
+            assert.equal(classifyDpd(dpd), bucket);
+        });
+    });
+});
+
+describe('computeDaysPastDue', () => {
+    it('is zero on the due date itself', () => {
+        assert.equal(computeDaysPastDue(activeLoan(), FIRST_DUE).daysPastDue, 0);
+    });
+
+    it('counts from the oldest unpaid installment', () => {
+        const result = computeDaysPastDue(activeLoan(), daysAfterDue(45));
+        assert.deepEqual(result, { daysPastDue: 45, overdueAmount: 2200, overdueInstallments: 2 });
+    });
+
+    it('moves to the next installment once the oldest is paid', () => {
+        const loan = activeLoan([{ amount: 1100, paidAt: daysAfterDue(5) }]);
+        assert.equal(computeDaysPastDue(loan, daysAfterDue(45)).daysPastDue, 17);
+    });
+
+    it('keeps a partly paid installment overdue', () => {
+        const loan = activeLoan([{ amount: 500, paidAt: daysAfterDue(5) }]);
+        const result = computeDaysPastDue(loan, daysAfterDue(20));
+        assert.deepEqual(result, { daysPastDue: 20, overdueAmount: 600, overdueInstallments: 1 });
+    });
+
+    it('ignores payments received after the evaluation date', () => {
+        const loan = activeLoan([{ amount: 2200, paidAt: daysAfterDue(40) }]);
+        assert.equal(computeDaysPastDue(loan, daysAfterDue(35)).daysPastDue, 35);
+        assert.equal(computeDaysPastDue(loan, daysAfterDue(40)).daysPastDue, 0);
+    });
+});
+
+describe('refreshDelinquency', () => {
+    [
+        [30, 'SMA-0'],
+        [31, 'SMA-1'],
+        [60, 'SMA-1'],
+        [61, 'SMA-2'],
+        [90, 'SMA-2'],
+        [91, 'NPA'],
+    ].forEach(([days, bucket]) => {
+        it(`moves an unpaid loan to ${bucket} at ${days} days`, () => {
+            const loan = activeLoan();
+            const result = refreshDelinquency(loan, daysAfterDue(days));
+
+            assert.equal(result.classification, bucket);
+            assert.equal(loan.assetClassification, bucket);
+            assert.equal(loan.daysPastDue, days);
+            assert.equal(loan.delinquencyHistory.at(-1).to, bucket);
+        });
+    });
+
+    it('records only changes of bucket', () => {
+        const loan = activeLoan();
+        refreshDelinquency(loan, daysAfterDue(10));
+        refreshDelinquency(loan, daysAfterDue(20));
+        assert.deepEqual(loan.delinquencyHistory.map(h => [h.from, h.to]), [['standard', 'SMA-0']]);
+    });
+
+    it('cures back to standard when the arrears are paid', () => {
+        const loan = activeLoan();
+        refreshDelinquency(loan, daysAfterDue(95));
+        loan.payments.push({ amount: 2200, paidAt: daysAfterDue(95) });
+
+        const result = refreshDelinquency(loan, daysAfterDue(95));
+        assert.deepEqual([result.previous, result.classification], ['NPA', 'standard']);
+    });
+
+    it('treats loans that are not active as standard', () => {
+        const loan = { ...activeLoan(), status: 'completed', assetClassification: 'SMA-1' };
+        assert.equal(refreshDelinquency(loan, daysAfterDue(200)).classification, 'standard');
+    });
+});
+
+describe('summarizeDelinquency', () => {
+    it('counts active loans per bucket', () => {
+        const summary = summarizeDelinquency([
+            { status: 'active', assetClassification: 'NPA', overdueAmount: 5000, daysPastDue: 120 },
+            { status: 'active', assetClassification: 'SMA-0', overdueAmount: 1000, daysPastDue: 10 },
+            { status: 'active' },
+            { status: 'completed', assetClassification: 'standard' },
+        ]);
+
+        assert.deepEqual(summary.buckets, { standard: 1, 'SMA-0': 1, 'SMA-1': 0, 'SMA-2': 0, NPA: 1 });
+        assert.equal(summary.overdueAmount, 6000);
+        assert.equal(summary.maxDaysPastDue, 120);
+    });
+});
+
+describe('runDelinquencyJob', () => {
+    const now = daysAfterDue(40);
+    let collections;
+    let runDelinquencyJob;
+
+    before(async () => {
+        ({ collections } = await import('../repositories/memoryStore.js'));
+        ({ runDelinquencyJob } = await import('../services/delinquencyService.js'));
+    });
+
+    beforeEach(() => {
+        collections.loans.length = 0;
+        collections.loans.push({
+            ...activeLoan(),
+            loanId: 'TL-2025-001',
+            user: '665f1c2e8a1b2c3d4e5f6a7b',
+            loanAmount: 100000,
+            tenure: 12,
+            greenObjective: 'solar',
+            delinquencyAsOf: daysAfterDue(35),
+        });
+    });
+
+    it('saves a run dated after the last one', async () => {
+        const result = await runDelinquencyJob(now, now);
+        assert.equal(result.dryRun, false);
+        assert.equal(collections.loans[0].daysPastDue, 40);
+        assert.equal(collections.loans[0].assetClassification, 'SMA-1');
+    });
+
+    it('previews a back-dated run without changing the loan', async () => {
+        const result = await runDelinquencyJob(daysAfterDue(10), now);
+
+        assert.equal(result.dryRun, true);
+        assert.equal(result.lastRunAsOf, daysAfterDue(35).toISOString());
+        assert.deepEqual(result.transitions, [{ loanId: 'TL-2025-001', from: 'standard', to: 'SMA-0', daysPastDue: 10 }]);
+        assert.equal(collections.loans[0].assetClassification, 'standard');
+        assert.equal(collections.loans[0].delinquencyHistory, undefined);
+    });
+
+    it('previews a future run', async () => {
+        const result = await runDelinquencyJob(daysAfterDue(100), now);
+        assert.equal(result.dryRun, true);
+        assert.equal(result.transitions[0].to, 'NPA');
+        assert.equal(collections.loans[0].assetClassification, 'standard');
+    });
+});
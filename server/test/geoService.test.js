@@ -0,0 +1,86 @@
+/**
+ * Offline reverse geocoding against the bundled boundaries
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { INDIA_BOUNDARIES } from '../config/geo.js';
+import { lookupLocation, findStateByName, findDistrictByName, getBoundarySource } from '../services/geoService.js';
+
+const placeOf = (lat, lng) => {
+    const location = lookupLocation(lat, lng);
+    return location && [location.state, location.district];
+};
+
+describe('lookupLocation', () => {
+    [
+        ['Kochi', 9.93, 76.27, ['Kerala', 'Ernakulam']],
+        ['Jaipur', 26.91, 75.79, ['Rajasthan', 'Jaipur']],
+        ['Mumbai', 19.07, 72.88, ['Maharashtra', 'Mumbai']],
+        ['Kolkata', 22.57, 88.36, ['West Bengal', 'Kolkata']],
+        ['Bhubaneswar', 20.30, 85.82, ['Odisha', 'Khordha']],
+    ].forEach(([city, lat, lng, place]) => {
+        it(`places ${city} in its state and district`, () => {
+            assert.deepEqual(placeOf(lat, lng), place);
+        });
+    });
+
+    it('prefers an enclave to the state around it', () => {
+        assert.deepEqual(placeOf(28.61, 77.21), ['Delhi', 'New Delhi']);
+        assert.deepEqual(placeOf(30.73, 76.78), ['Chandigarh', 'Chandigarh']);
+        assert.deepEqual(placeOf(28.46, 77.03), ['Haryana', 'Gurugram']);
+    });
+
+    it('falls back to the state outside the bundled districts', () => {
+        // Puri, Odisha: not one of the major districts in the file
+        assert.deepEqual(lookupLocation(19.81, 85.83), {
+            state: 'Odisha',
+            stateCode: 'OR',
+            district: null,
+            pincodeRegion: '75-77',
+            match: 'inside',
+        });
+    });
+
+    it('snaps a point just off the coast to the nearest state', () => {
+        const location = lookupLocation(13.08, 80.5);
+        assert.equal(location.state, 'Tamil Nadu');
+        assert.equal(location.match, 'nearest');
+        assert.equal(lookupLocation(13.08, 80.7), null);
+    });
+
+    it('returns null outside India or for non-coordinates', () => {
+        assert.equal(lookupLocation(27.7, 85.3), null);
+        assert.equal(lookupLocation(51.5, -0.12), null);
+        assert.equal(lookupLocation('north', 'east'), null);
+    });
+
+    it('accepts coordinates as strings', () => {
+        assert.deepEqual(placeOf('9.93', '76.27'), ['Kerala', 'Ernakulam']);
+    });
+});
+
+describe('findStateByName', () => {
+    it('finds the state named in location text', () => {
+        assert.deepEqual(findStateByName('Kochi, Kerala'), { name: 'Kerala', code: 'KL', center: { latitude: 8.52, longitude: 76.94 } });
+        assert.equal(findStateByName('Somewhere'), null);
+    });
+});
+
+describe('findDistrictByName', () => {
+    it('finds a bundled district by whole word', () => {
+        assert.equal(findDistrictByName('Alappuzha, Kerala').stateCode, 'KL');
+        assert.equal(findDistrictByName('Bhubaneswar, Khordha').name, 'Khordha');
+    });
+
+    it('finds nothing for a district outside the bundled set', () => {
+        assert.equal(findDistrictByName('Near Puri, Odisha'), null);
+    });
+});
+
+describe('getBoundarySource', () => {
+    it('states the district coverage', () => {
+        const { coverage } = getBoundarySource();
+        assert.match(coverage, new RegExp(`${INDIA_BOUNDARIES.districts.length} major districts`));
+    });
+});
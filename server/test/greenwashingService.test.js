@@ -0,0 +1,191 @@
+/**
+ * Greenwashing plausibility and registry checks
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runGreenwashingCheck } from '../services/greenwashingService.js';
+
+const PAST = '2020-01-01T00:00:00Z';
+const FUTURE = '2099-01-01T00:00:00Z';
+
+const REGISTRY = [
+    { entryId: 'tata-power-solar', type: 'vendor', name: 'Tata Power Solar', aliases: ['Tata Solar'], categories: ['solar'], status: 'active' },
+    { entryId: 'lapsed-solar', type: 'vendor', name: 'Lapsed Solar', categories: [], status: 'active', validUntil: PAST },
+    { entryId: 'retired-solar', type: 'vendor', name: 'Retired Solar', categories: [], status: 'retired' },
+    { entryId: 'ather-energy', type: 'vendor', name: 'Ather Energy', categories: ['ev'], status: 'active' },
+    { entryId: 'bee-star', type: 'certification', name: 'BEE Star Rated', categories: [], status: 'active',
+        certificatePattern: 'BEE-\\d{6}', certificateFormat: 'BEE registration number', validUntil: FUTURE },
+    { entryId: 'mnre', type: 'certification', name: 'MNRE Approved', categories: [], status: 'active' },
+];
+
+// 50 kW in Rajasthan (1,650 kWh/kW/year) can generate about 82,500 kWh/year
+const solarProject = (description, changes = {}) => ({
+    greenObjective: 'solar',
+    projectLocation: 'Jaipur, Rajasthan',
+    projectDescription: description,
+    ...changes,
+});
+
+const PLAUSIBLE = 'Installing 50kW solar panels from Tata Power Solar to generate 75,000 kWh annually and save 50 tonnes of CO2 per year';
+const INFLATED = 'Installing 50kW solar panels from Tata Power Solar to generate 300,000 kWh annually and save 200 tonnes of CO2 per year';
+
+const checkOf = (result, id) => result.checks.find(c => c.id === id);
+const codesOf = (result) => result.flags.map(f => f.code);
+
+describe('plausibility checks', () => {
+    it('passes a claim within the regional solar yield, grid factor and tariff', () => {
+        const result = runGreenwashingCheck(solarProject(PLAUSIBLE, { estimatedSavings: '500000' }), REGISTRY);
+
+        assert.equal(result.passed, true);
+        assert.deepEqual(result.flags, []);
+        assert.equal(checkOf(result, 'solar_yield').expected, 82500);
+        assert.equal(checkOf(result, 'co2_emission_factor').status, 'pass');
+        assert.equal(checkOf(result, 'savings_vs_tariff').status, 'pass');
+    });
+
+    it('fails generation beyond what the capacity can yield', () => {
+        const result = runGreenwashingCheck(solarProject(INFLATED), REGISTRY);
+
+        assert.equal(result.passed, false);
+        assert.equal(checkOf(result, 'solar_yield').status, 'fail');
+        assert.ok(codesOf(result).includes('generation_exceeds_solar_yield'));
+    });
+
+    it('judges CO2 against what the capacity can yield, not the claimed generation', () => {
+        const result = runGreenwashingCheck(solarProject(INFLATED), REGISTRY);
+        const co2 = checkOf(result, 'co2_emission_factor');
+
+        assert.equal(co2.status, 'fail');
+        assert.equal(co2.expected, 59.1);
+        assert.ok(codesOf(result).includes('co2_exceeds_grid_factor'));
+    });
+
+    it('fails savings worth more than the energy at the highest tariff', () => {
+        const result = runGreenwashingCheck(solarProject(PLAUSIBLE, { estimatedSavings: '20,00,000' }), REGISTRY);
+
+        assert.equal(checkOf(result, 'savings_vs_tariff').expected, 907500);
+        assert.ok(codesOf(result).includes('savings_exceed_energy_value'));
+    });
+
+    it('uses the national yield, with less confidence, when the state is unknown', () => {
+        const known = runGreenwashingCheck(solarProject(PLAUSIBLE), REGISTRY);
+        const unknown = runGreenwashingCheck(solarProject(PLAUSIBLE, { projectLocation: 'Our factory' }), REGISTRY);
+        const check = checkOf(unknown, 'solar_yield');
+
+        assert.equal(check.expected, 72500);
+        assert.match(check.detail, /India \(state unknown\)/);
+        assert.ok(check.confidence < checkOf(known, 'solar_yield').confidence);
+    });
+
+    it('skips the solar yield check for other projects', () => {
+        const result = runGreenwashingCheck({ greenObjective: 'ev', projectDescription: 'Replacing diesel delivery vans with EVs' }, REGISTRY);
+        assert.equal(checkOf(result, 'solar_yield').status, 'skipped');
+        assert.equal(result.passed, true);
+    });
+
+    it('leaves a project with nothing to check unverified, not failed', () => {
+        const result = runGreenwashingCheck({ greenObjective: 'water' }, REGISTRY);
+        assert.equal(result.claimSource, 'none');
+        assert.equal(result.confidenceScore, 50);
+        assert.equal(result.passed, true);
+    });
+});
+
+describe('claim source', () => {
+    it('still checks the description when the application sends its own claim', () => {
+        // A bare claim must not stand in for the inflated figures in the text
+        const result = runGreenwashingCheck(solarProject(INFLATED, { sustainabilityClaim: { project_type: 'solar' } }), REGISTRY);
+
+        assert.equal(result.claimSource, 'combined');
+        assert.equal(result.passed, false);
+        assert.ok(codesOf(result).includes('generation_exceeds_solar_yield'));
+    });
+
+    it('checks the stricter figures and flags where the sources disagree', () => {
+        const claim = {
+            project_type: 'solar',
+            capacity_kw: 500,
+            vendor: 'Tata Power Solar',
+            claimed_impact: { energy_generated_kwh_per_year: 300000, co2_saved_tonnes_per_year: 50 },
+        };
+        const result = runGreenwashingCheck(solarProject(PLAUSIBLE, { sustainabilityClaim: claim }), REGISTRY);
+
+        assert.equal(result.claim.capacity_kw, 50);
+        assert.equal(result.claim.claimed_impact.energy_generated_kwh_per_year, 300000);
+        assert.equal(checkOf(result, 'solar_yield').status, 'fail');
+        assert.equal(checkOf(result, 'claim_consistency').status, 'unverified');
+        assert.deepEqual(
+            result.flags.filter(f => f.code === 'claim_description_mismatch').map(f => f.severity),
+            ['medium', 'medium']
+        );
+    });
+
+    it('passes the consistency check when both sources agree', () => {
+        const result = runGreenwashingCheck(solarProject(PLAUSIBLE, { sustainabilityClaim: { project_type: 'solar', capacity_kw: 50 } }), REGISTRY);
+        assert.equal(checkOf(result, 'claim_consistency').status, 'pass');
+        assert.equal(result.passed, true);
+    });
+
+    it('uses the application claim when the description states nothing', () => {
+        const claim = { project_type: 'solar', capacity_kw: 10, claimed_impact: { energy_generated_kwh_per_year: 90000 } };
+        const result = runGreenwashingCheck({ greenObjective: 'solar', projectLocation: 'Jaipur, Rajasthan', sustainabilityClaim: claim }, REGISTRY);
+
+        assert.equal(result.claimSource, 'application');
+        assert.equal(checkOf(result, 'claim_consistency').status, 'skipped');
+        assert.ok(codesOf(result).includes('generation_exceeds_solar_yield'));
+    });
+});
+
+describe('registry checks', () => {
+    const vendorCheck = (vendor, objective = 'solar') => {
+        const claim = { project_type: objective, vendor };
+        return runGreenwashingCheck({ greenObjective: objective, sustainabilityClaim: claim }, REGISTRY);
+    };
+
+    it('passes a listed vendor, found by alias', () => {
+        const result = vendorCheck('Tata Solar');
+        assert.equal(checkOf(result, 'vendor_registry').status, 'pass');
+        assert.equal(checkOf(result, 'vendor_registry').expected, 'Tata Power Solar');
+    });
+
+    it('leaves an unknown vendor unverified without failing', () => {
+        const result = vendorCheck('Fly By Night Solar');
+        assert.equal(checkOf(result, 'vendor_registry').status, 'unverified');
+        assert.deepEqual(result.flags.map(f => [f.code, f.severity]), [['vendor_unknown', 'medium']]);
+        assert.equal(result.passed, true);
+    });
+
+    it('fails a lapsed or retired vendor', () => {
+        assert.deepEqual(codesOf(vendorCheck('Lapsed Solar')), ['vendor_expired']);
+        assert.deepEqual(codesOf(vendorCheck('Retired Solar')), ['vendor_retired']);
+        assert.equal(vendorCheck('Retired Solar').passed, false);
+    });
+
+    it('flags a vendor listed for another category', () => {
+        assert.deepEqual(codesOf(vendorCheck('Ather Energy', 'solar')), ['vendor_category_mismatch']);
+        assert.deepEqual(codesOf(vendorCheck('Ather Energy', 'ev')), []);
+    });
+
+    it('needs a certificate number in the expected format', () => {
+        const missing = runGreenwashingCheck(solarProject(`${PLAUSIBLE}. BEE star rated inverters`), REGISTRY);
+        assert.ok(codesOf(missing).includes('certificate_number_missing'));
+
+        const given = runGreenwashingCheck(solarProject(`${PLAUSIBLE}. BEE star rated inverters, BEE-123456`), REGISTRY);
+        const check = given.checks.find(c => c.id === 'certification:bee-star');
+        assert.equal(check.status, 'pass');
+        assert.equal(check.claimed, 'BEE-123456');
+    });
+
+    it('leaves an unrecognised certification unverified', () => {
+        const claim = { project_type: 'solar', certifications: ['Green Guru Gold'] };
+        const result = runGreenwashingCheck({ greenObjective: 'solar', sustainabilityClaim: claim }, REGISTRY);
+        assert.deepEqual(codesOf(result), ['certification_unknown']);
+    });
+
+    it('skips the registry checks without a registry', () => {
+        const result = runGreenwashingCheck(solarProject(PLAUSIBLE));
+        assert.equal(checkOf(result, 'vendor_registry').status, 'skipped');
+        assert.equal(checkOf(result, 'certifications').status, 'skipped');
+    });
+});
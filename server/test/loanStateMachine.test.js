@@ -0,0 +1,182 @@
+/**
+ * Loan lifecycle: allowed edges, actors and preconditions
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    LOAN_STATUSES,
+    ACTORS,
+    isVerificationComplete,
+    resolveActor,
+    validateTransition,
+    transitionLoan,
+} from '../services/loanStateMachine.js';
+import underwritingConfig from '../config/underwriting.js';
+
+// Every edge of the lifecycle and who may take it; anything else is refused
+const EDGES = {
+    'pending → pending_verification': ['owner', 'admin', 'system'],
+    'pending → cancelled': ['owner', 'admin'],
+    'pending_verification → approved': ['admin', 'underwriter', 'system'],
+    'pending_verification → rejected': ['admin', 'underwriter', 'system'],
+    'pending_verification → cancelled': ['owner', 'admin'],
+    'approved → active': ['admin'],
+    'approved → rejected': ['admin', 'underwriter'],
+    'approved → pending_verification': ['admin', 'underwriter'],
+    'approved → cancelled': ['owner', 'admin'],
+    'rejected → approved': ['admin', 'underwriter'],
+    'rejected → pending_verification': ['admin', 'underwriter'],
+    'active → completed': ['admin', 'system'],
+};
+
+// A loan meeting every precondition: verified, buildable, repaid, below the maker-checker threshold
+const readyLoan = (status) => ({
+    status,
+    loanAmount: 500000,
+    tenure: 24,
+    outstandingBalance: 0,
+    underwriting: { ruleSetVersion: '1.0.0' },
+});
+
+describe('transition table', () => {
+    LOAN_STATUSES.forEach(from => LOAN_STATUSES.forEach(to => {
+        if (from === to) return;
+        const allowed = EDGES[`${from} → ${to}`] || [];
+
+        it(`${from} → ${to}: ${allowed.length ? allowed.join(', ') : 'refused'}`, () => {
+            ACTORS.forEach(actor => {
+                const result = validateTransition(readyLoan(from), to, { actor, reason: 'Reviewed' });
+                if (allowed.includes(actor)) {
+                    assert.equal(result.valid, true, `${actor} should be allowed`);
+                } else {
+                    assert.equal(result.valid, false, `${actor} should be refused`);
+                    assert.equal(result.httpStatus, allowed.length ? 403 : 409);
+                }
+            });
+        });
+    }));
+
+    it('rejects an unknown status', () => {
+        const result = validateTransition(readyLoan('pending'), 'archived', { actor: 'admin' });
+        assert.equal(result.httpStatus, 400);
+        assert.deepEqual(result.allowedNextStates, ['pending_verification', 'cancelled']);
+    });
+
+    it('treats cancelled and completed as terminal', () => {
+        ['cancelled', 'completed'].forEach(status => {
+            assert.deepEqual(validateTransition(readyLoan(status), 'pending', { actor: 'admin' }).allowedNextStates, []);
+        });
+    });
+});
+
+describe('preconditions', () => {
+    const failedOf = (result) => (result.failedPreconditions || []).map(p => p.name);
+
+    describe('verificationComplete', () => {
+        it('needs a verification run, not just a score', () => {
+            const loan = { ...readyLoan('pending_verification'), underwriting: undefined, aiScore: 90 };
+            assert.equal(isVerificationComplete(loan), false);
+
+            const result = validateTransition(loan, 'approved', { actor: 'system' });
+            assert.equal(result.httpStatus, 409);
+            assert.deepEqual(failedOf(result), ['verificationComplete']);
+        });
+
+        it('guards disbursement and overriding a rejection', () => {
+            const unverified = (status) => ({ ...readyLoan(status), underwriting: {} });
+            assert.deepEqual(failedOf(validateTransition(unverified('approved'), 'active', { actor: 'admin' })), ['verificationComplete']);
+            assert.deepEqual(failedOf(validateTransition(unverified('rejected'), 'approved', { actor: 'underwriter', reason: 'Override' })), ['verificationComplete']);
+        });
+    });
+
+    describe('reasonProvided', () => {
+        it('needs a reason to reject', () => {
+            const result = validateTransition(readyLoan('pending_verification'), 'rejected', { actor: 'underwriter' });
+            assert.deepEqual(failedOf(result), ['reasonProvided']);
+        });
+
+        it('accepts a rejection reason already on the loan', () => {
+            const loan = { ...readyLoan('pending_verification'), rejectionReason: 'Greenwashing flags' };
+            assert.equal(validateTransition(loan, 'rejected', { actor: 'system' }).valid, true);
+        });
+    });
+
+    describe('makerCheckerApproved', () => {
+        const highValue = (status) => ({ ...readyLoan(status), loanAmount: underwritingConfig.makerCheckerThreshold + 1 });
+
+        it('holds high-value approvals without maker-checker sign-off', () => {
+            const result = validateTransition(highValue('pending_verification'), 'approved', { actor: 'underwriter' });
+            assert.deepEqual(failedOf(result), ['makerCheckerApproved']);
+        });
+
+        it('approves high-value loans once maker and checker have signed off', () => {
+            const context = { actor: 'underwriter', reason: 'Override', makerCheckerApproved: true };
+            assert.equal(validateTransition(highValue('pending_verification'), 'approved', context).valid, true);
+            assert.equal(validateTransition(highValue('rejected'), 'approved', context).valid, true);
+        });
+
+        it('does not apply at the threshold itself', () => {
+            const loan = { ...readyLoan('pending_verification'), loanAmount: underwritingConfig.makerCheckerThreshold };
+            assert.equal(validateTransition(loan, 'approved', { actor: 'underwriter' }).valid, true);
+        });
+    });
+
+    describe('repaymentScheduleBuildable', () => {
+        it('needs an amount and tenure to disburse', () => {
+            const loan = { ...readyLoan('approved'), tenure: 0 };
+            assert.deepEqual(failedOf(validateTransition(loan, 'active', { actor: 'admin' })), ['repaymentScheduleBuildable']);
+        });
+    });
+
+    describe('fullyRepaid', () => {
+        it('keeps a loan with an outstanding balance active', () => {
+            const loan = { ...readyLoan('active'), outstandingBalance: 1 };
+            assert.deepEqual(failedOf(validateTransition(loan, 'completed', { actor: 'system' })), ['fullyRepaid']);
+        });
+
+        it('needs the balance to be known', () => {
+            const loan = { ...readyLoan('active'), outstandingBalance: undefined };
+            assert.equal(validateTransition(loan, 'completed', { actor: 'system' }).valid, false);
+        });
+    });
+});
+
+describe('transitionLoan', () => {
+    it('applies the change and appends it to the status history', () => {
+        const loan = readyLoan('pending_verification');
+        const result = transitionLoan(loan, 'rejected', { actor: 'underwriter', userId: 'u1', reason: 'Low score' });
+
+        assert.equal(result.valid, true);
+        assert.equal(loan.status, 'rejected');
+        assert.equal(loan.statusHistory.length, 1);
+        assert.deepEqual(
+            { ...loan.statusHistory[0], changedAt: undefined },
+            { from: 'pending_verification', to: 'rejected', actor: 'underwriter', changedBy: 'u1', reason: 'Low score', changedAt: undefined }
+        );
+    });
+
+    it('leaves the loan untouched when refused', () => {
+        const loan = readyLoan('pending');
+        assert.equal(transitionLoan(loan, 'active', { actor: 'admin' }).valid, false);
+        assert.equal(loan.status, 'pending');
+        assert.equal(loan.statusHistory, undefined);
+    });
+});
+
+describe('resolveActor', () => {
+    const loan = { user: 'owner-id' };
+
+    it('maps roles and ownership onto actors', () => {
+        assert.equal(resolveActor({ id: 'x', role: 'admin' }, loan), 'admin');
+        assert.equal(resolveActor({ id: 'x', role: 'credit_manager' }, loan), 'admin');
+        assert.equal(resolveActor({ id: 'x', role: 'underwriter' }, loan), 'underwriter');
+        assert.equal(resolveActor({ id: 'owner-id', role: 'borrower' }, loan), 'owner');
+    });
+
+    it('gives other borrowers and read-only staff no actor', () => {
+        assert.equal(resolveActor({ id: 'someone-else', role: 'borrower' }, loan), null);
+        assert.equal(resolveActor({ id: 'x', role: 'auditor' }, loan), null);
+        assert.equal(resolveActor(null, loan), null);
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Vendor and certification registry: entries, lookups and standing
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildEntry,
+    applyEntryUpdate,
+    retireEntry,
+    findEntry,
+    entryStanding,
+} from '../services/registryService.js';
+
+const ADMIN = { id: 'admin-id' };
+const AS_OF = new Date('2025-06-01T00:00:00Z');
+
+const vendor = (changes = {}) => ({
+    entryId: 'waaree-energies',
+    type: 'vendor',
+    name: 'Waaree Energies',
+    aliases: ['Waaree Energies Ltd.'],
+    categories: ['solar'],
+    status: 'active',
+    ...changes,
+});
+
+describe('findEntry', () => {
+    it('matches the name or an alias, ignoring case and punctuation', () => {
+        const entries = [vendor()];
+        assert.equal(findEntry(entries, 'vendor', 'WAAREE ENERGIES LTD')?.entryId, 'waaree-energies');
+        assert.equal(findEntry(entries, 'vendor', 'waaree-energies')?.entryId, 'waaree-energies');
+    });
+
+    it('only matches entries of the requested type', () => {
+        assert.equal(findEntry([vendor()], 'certification', 'Waaree Energies'), null);
+        assert.equal(findEntry([vendor()], 'vendor', ''), null);
+    });
+
+    it('prefers an active entry to a retired one of the same name', () => {
+        const entries = [vendor({ entryId: 'waaree-old', status: 'retired' }), vendor()];
+        assert.equal(findEntry(entries, 'vendor', 'Waaree Energies').entryId, 'waaree-energies');
+        assert.equal(findEntry([entries[0]], 'vendor', 'Waaree Energies').status, 'retired');
+    });
+});
+
+describe('entryStanding', () => {
+    it('is in force without dates or within them', () => {
+        assert.equal(entryStanding(vendor(), AS_OF), 'in_force');
+        assert.equal(entryStanding(vendor({ validFrom: '2025-01-01', validUntil: '2025-12-31' }), AS_OF), 'in_force');
+    });
+
+    it('reports retired, expired and not yet valid entries', () => {
+        assert.equal(entryStanding(vendor({ status: 'retired' }), AS_OF), 'retired');
+        assert.equal(entryStanding(vendor({ validUntil: '2025-05-31' }), AS_OF), 'expired');
+        assert.equal(entryStanding(vendor({ validFrom: '2025-06-02' }), AS_OF), 'not_yet_valid');
+    });
+});
+
+describe('buildEntry', () => {
+    it('derives the entry ID from the name and starts active', () => {
+        const result = buildEntry({ type: 'vendor', name: ' Vikram Solar ', categories: ['solar'] }, { user: ADMIN });
+
+        assert.equal(result.valid, true);
+        assert.equal(result.entry.entryId, 'vikram-solar');
+        assert.equal(result.entry.name, 'Vikram Solar');
+        assert.equal(result.entry.status, 'active');
+        assert.equal(result.entry.createdBy, 'admin-id');
+    });
+
+    it('lists every problem with an invalid entry', () => {
+        const result = buildEntry({
+            type: 'supplier',
+            name: 'Acme',
+            categories: ['nuclear'],
+            certificatePattern: '([',
+            validFrom: '2025-06-01',
+            validUntil: '2025-01-01',
+        }, {});
+
+        assert.equal(result.httpStatus, 400);
+        assert.deepEqual(result.details, [
+            'type must be one of: vendor, certification',
+            'categories must be a list of: solar, ev, waste, water, agriculture, efficiency',
+            'certificatePattern must be a valid regular expression',
+            'validFrom must be before validUntil',
+        ]);
+    });
+
+    it('refuses an entry ID already in use', () => {
+        assert.equal(buildEntry({ type: 'vendor', name: 'Waaree Energies' }, { existing: vendor() }).httpStatus, 409);
+    });
+});
+
+describe('applyEntryUpdate', () => {
+    it('changes editable fields and lists them', () => {
+        const result = applyEntryUpdate(vendor(), { aliases: [' Waaree '], validUntil: '2026-03-31' }, ADMIN);
+
+        assert.deepEqual(result.changed, ['aliases', 'validUntil']);
+        assert.deepEqual(result.entry.aliases, ['Waaree']);
+        assert.equal(result.entry.validUntil.toISOString(), '2026-03-31T00:00:00.000Z');
+    });
+
+    it('keeps the entry ID and type fixed', () => {
+        const result = applyEntryUpdate(vendor(), { type: 'certification', entryId: 'other' }, ADMIN);
+        assert.deepEqual(result.details, ['entryId cannot be changed', 'type cannot be changed']);
+    });
+
+    it('checks new dates against the stored ones', () => {
+        const result = applyEntryUpdate(vendor({ validFrom: new Date('2025-06-01') }), { validUntil: '2025-01-01' }, ADMIN);
+        assert.deepEqual(result.details, ['validFrom must be before validUntil']);
+    });
+
+    it('reinstates a retired entry', () => {
+        const result = applyEntryUpdate(vendor({ status: 'retired', retiredBy: 'admin-id' }), { status: 'active' }, ADMIN);
+        assert.deepEqual(result.changed, ['status']);
+        assert.equal(result.entry.status, 'active');
+        assert.equal(result.entry.retiredBy, null);
+    });
+
+    it('needs something to change', () => {
+        assert.equal(applyEntryUpdate(vendor(), {}, ADMIN).httpStatus, 400);
+        assert.equal(applyEntryUpdate(vendor(), { status: 'retired' }, ADMIN).httpStatus, 400);
+    });
+});
+
+describe('retireEntry', () => {
+    it('retires an entry once', () => {
+        const result = retireEntry(vendor(), ADMIN);
+        assert.equal(result.entry.status, 'retired');
+        assert.equal(result.entry.retiredBy, 'admin-id');
+        assert.equal(retireEntry(result.entry, ADMIN).httpStatus, 409);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Repayment ledger allocation and payment dates
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getInstallmentStatus,
+    summarizeRepayment,
+    parsePaidAt,
+    postPayment,
+} from '../services/repaymentService.js';
+
+// Three installments of 1,100 (interest 100, 80, 60)
+const SCHEDULE = [
+    { installmentNumber: 1, dueDate: new Date('2025-02-15'), emi: 1100, principal: 1000, interest: 100, openingBalance: 3000, closingBalance: 2000 },
+    { installmentNumber: 2, dueDate: new Date('2025-03-15'), emi: 1100, principal: 1020, interest: 80, openingBalance: 2000, closingBalance: 980 },
+    { installmentNumber: 3, dueDate: new Date('2025-04-15'), emi: 1040, principal: 980, interest: 60, openingBalance: 980, closingBalance: 0 },
+];
+
+const activeLoan = (payments = []) => ({
+    loanAmount: 3000,
+    status: 'active',
+    disbursedDate: new Date('2025-01-15'),
+    repaymentSchedule: SCHEDULE,
+    payments,
+});
+
+describe('getInstallmentStatus', () => {
+    it('clears interest before principal within an installment', () => {
+        const [first] = getInstallmentStatus(SCHEDULE, [{ amount: 150 }]);
+        assert.equal(first.interestPaid, 100);
+        assert.equal(first.principalPaid, 50);
+        assert.equal(first.amountDue, 950);
+        assert.equal(first.status, 'partial');
+    });
+
+    it('settles installments in order', () => {
+        const installments = getInstallmentStatus(SCHEDULE, [{ amount: 1100 }, { amount: 50 }]);
+        assert.deepEqual(installments.map(i => i.status), ['paid', 'partial', 'due']);
+        assert.equal(installments[1].interestPaid, 50);
+        assert.equal(installments[1].principalPaid, 0);
+    });
+
+    it('leaves everything due without payments', () => {
+        assert.ok(getInstallmentStatus(SCHEDULE, []).every(i => i.status === 'due' && i.amountDue === i.emi));
+    });
+});
+
+describe('postPayment', () => {
+    it('records how a partial payment was allocated', () => {
+        const loan = activeLoan();
+        const entry = postPayment(loan, { amount: 600, paidAt: new Date('2025-02-10') });
+
+        assert.equal(entry.interestComponent, 100);
+        assert.equal(entry.principalComponent, 500);
+        assert.deepEqual(entry.allocations, [{ installmentNumber: 1, interest: 100, principal: 500 }]);
+        assert.equal(loan.outstandingBalance, 2500);
+        assert.equal(loan.nextPaymentAmount, 500);
+    });
+
+    it('splits a payment across installments', () => {
+        const loan = activeLoan([{ amount: 600 }]);
+        const entry = postPayment(loan, { amount: 700, paidAt: new Date('2025-03-10') });
+
+        assert.deepEqual(entry.allocations, [
+            { installmentNumber: 1, interest: 0, principal: 500 },
+            { installmentNumber: 2, interest: 80, principal: 120 },
+        ]);
+        assert.equal(loan.nextPayment.getTime(), SCHEDULE[1].dueDate.getTime());
+    });
+
+    it('allocates no more than is outstanding on an over-payment', () => {
+        const loan = activeLoan();
+        const entry = postPayment(loan, { amount: 5000, paidAt: new Date('2025-02-10') });
+
+        assert.equal(entry.amount, 5000);
+        assert.equal(entry.interestComponent + entry.principalComponent, 3240);
+        assert.equal(loan.repaymentProgress, 100);
+        assert.equal(loan.outstandingBalance, 0);
+        assert.equal(loan.nextPayment, null);
+        assert.equal(summarizeRepayment(loan).totalOutstanding, 0);
+    });
+});
+
+describe('parsePaidAt', () => {
+    const now = new Date('2025-03-01T12:00:00Z');
+    const loan = activeLoan();
+
+    it('defaults to now', () => {
+        assert.deepEqual(parsePaidAt(loan, undefined, now), { valid: true, paidAt: now });
+        assert.deepEqual(parsePaidAt(loan, '', now), { valid: true, paidAt: now });
+    });
+
+    it('accepts a date between disbursement and now', () => {
+        const result = parsePaidAt(loan, '2025-02-14', now);
+        assert.equal(result.valid, true);
+        assert.equal(result.paidAt.toISOString(), '2025-02-14T00:00:00.000Z');
+    });
+
+    it('rejects an invalid date', () => {
+        assert.deepEqual(parsePaidAt(loan, 'yesterday-ish', now), { valid: false, httpStatus: 400, error: 'paidAt must be a valid date' });
+    });
+
+    it('rejects a future date', () => {
+        assert.equal(parsePaidAt(loan, '2025-03-02', now).httpStatus, 400);
+    });
+
+    it('rejects a date before disbursement', () => {
+        assert.equal(parsePaidAt(loan, '2025-01-14', now).httpStatus, 400);
+        assert.equal(parsePaidAt(loan, '2025-01-15', now).valid, true);
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * Scoring rule sets: publish, activate and roll back
+ *
+ * The planning functions are checked on their own, then the routes on
+ * the in-memory store, where exactly one version must be active after
+ * every change.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { DEFAULT_RULE_SET } from '../config/scoringRules.js';
+import { buildRuleSet, planActivation, planRollback, ensureBundledRuleSet } from '../services/scoringRuleService.js';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.JWT_SECRET = 'test_secret';
+process.env.ADMIN_EMAIL = 'admin@terralend.test';
+process.env.ADMIN_PASSWORD = 'Adm1nPassw0rd';
+
+const ADMIN = { id: 'admin-id' };
+
+const candidate = (version, changes = {}) => ({
+    ...structuredClone(DEFAULT_RULE_SET),
+    version,
+    name: `Rules ${version}`,
+    ...changes,
+});
+
+describe('buildRuleSet', () => {
+    it('stores a valid rule set inactive, with lower-cased states and keywords', () => {
+        const input = candidate('2.1');
+        input.geo.stateBands[0].keywords = ['SOLAR'];
+        input.geo.stateBands[0].bands[0].states = ['Rajasthan'];
+
+        const result = buildRuleSet(input, { user: ADMIN });
+
+        assert.equal(result.valid, true);
+        assert.equal(result.ruleSet.active, false);
+        assert.equal(result.ruleSet.publishedBy, 'admin-id');
+        assert.deepEqual(result.ruleSet.geo.stateBands[0].keywords, ['solar']);
+        assert.deepEqual(result.ruleSet.geo.stateBands[0].bands[0].states, ['rajasthan']);
+    });
+
+    it('lists every problem with an invalid rule set', () => {
+        const result = buildRuleSet(candidate('2.1', { classCutoffs: { high: 40, medium: 60 } }), {});
+        assert.equal(result.httpStatus, 400);
+        assert.deepEqual(result.details, ['classCutoffs must satisfy 0 < medium < high <= 100']);
+    });
+
+    it('refuses to overwrite a published version', () => {
+        const result = buildRuleSet(candidate('2.0'), { existing: DEFAULT_RULE_SET });
+        assert.equal(result.httpStatus, 409);
+    });
+});
+
+describe('planActivation', () => {
+    it('activates the target and remembers the version it replaces', () => {
+        const plan = planActivation({ version: '2.1', active: false }, { version: '2.0', active: true }, ADMIN);
+
+        assert.equal(plan.activated.active, true);
+        assert.equal(plan.activated.previousVersion, '2.0');
+        assert.equal(plan.activated.activatedBy, 'admin-id');
+        assert.deepEqual(plan.deactivated, { version: '2.0', active: false });
+    });
+
+    it('refuses a version that is already active', () => {
+        assert.equal(planActivation({ version: '2.0', active: true }, { version: '2.0', active: true }, ADMIN).httpStatus, 409);
+    });
+});
+
+describe('planRollback', () => {
+    it('restores the previous version, keeping its own history', () => {
+        const current = { version: '2.2', active: true, previousVersion: '2.1' };
+        const previous = { version: '2.1', active: false, previousVersion: '2.0' };
+        const plan = planRollback(current, previous, ADMIN);
+
+        assert.equal(plan.activated.version, '2.1');
+        assert.equal(plan.activated.previousVersion, '2.0');
+        assert.equal(plan.deactivated.active, false);
+    });
+
+    it('needs an earlier version that still exists', () => {
+        assert.equal(planRollback({ version: '2.0', active: true }, null, ADMIN).httpStatus, 409);
+        assert.equal(planRollback({ version: '2.1', active: true, previousVersion: '2.0' }, null, ADMIN).httpStatus, 404);
+    });
+});
+
+describe('/api/scoring/rulesets', () => {
+    let app;
+    let admin;
+
+    const auth = () => ({ Authorization: `Bearer ${admin.token}` });
+    const list = async () => (await request(app).get('/api/scoring/rulesets').set(auth())).body;
+    const activeVersions = async () => (await list()).ruleSets.filter(r => r.active).map(r => r.version);
+
+    before(async () => {
+        ({ default: app } = await import('../app.js'));
+        const { initStorage } = await import('../repositories/storage.js');
+        const { seedAdmin } = await import('../services/bootstrapService.js');
+        await initStorage();
+        await seedAdmin();
+        await ensureBundledRuleSet();
+
+        const res = await request(app).post('/api/auth/login')
+            .send({ email: process.env.ADMIN_EMAIL, password: process.env.ADMIN_PASSWORD });
+        admin = { token: res.body.token };
+    });
+
+    it('starts with the bundled rule set active', async () => {
+        assert.deepEqual(await activeVersions(), [DEFAULT_RULE_SET.version]);
+    });
+
+    it('seeds the bundled rule set only once', async () => {
+        await ensureBundledRuleSet();
+        assert.equal((await list()).count, 1);
+    });
+
+    it('publishes a new version without activating it', async () => {
+        const res = await request(app).post('/api/scoring/rulesets').set(auth()).send(candidate('2.1'));
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.ruleSet.active, false);
+        assert.deepEqual(await activeVersions(), [DEFAULT_RULE_SET.version]);
+    });
+
+    it('refuses to publish the same version twice', async () => {
+        const res = await request(app).post('/api/scoring/rulesets').set(auth()).send(candidate('2.1'));
+        assert.equal(res.status, 409);
+    });
+
+    it('activates a published version and deactivates the current one', async () => {
+        const res = await request(app).post('/api/scoring/rulesets/2.1/activate').set(auth());
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.ruleSet.previousVersion, DEFAULT_RULE_SET.version);
+        assert.deepEqual(await activeVersions(), ['2.1']);
+    });
+
+    it('refuses to activate an unknown or already active version', async () => {
+        assert.equal((await request(app).post('/api/scoring/rulesets/9.9/activate').set(auth())).status, 404);
+        assert.equal((await request(app).post('/api/scoring/rulesets/2.1/activate').set(auth())).status, 409);
+    });
+
+    it('rolls back to the version active before', async () => {
+        const res = await request(app).post('/api/scoring/rulesets/rollback').set(auth());
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.rolledBackFrom, '2.1');
+        assert.equal(res.body.ruleSet.version, DEFAULT_RULE_SET.version);
+        assert.deepEqual(await activeVersions(), [DEFAULT_RULE_SET.version]);
+    });
+
+    it('has nothing to roll back to from the bundled rule set', async () => {
+        const res = await request(app).post('/api/scoring/rulesets/rollback').set(auth());
+        assert.equal(res.status, 409);
+    });
+
+    it('needs scoring:manage to change rule sets', async () => {
+        const signup = await request(app).post('/api/auth/register')
+            .send({ email: 'borrower@terralend.test', password: 'Passw0rd!x' });
+        const res = await request(app).post('/api/scoring/rulesets/2.1/activate')
+            .set({ Authorization: `Bearer ${signup.body.token}` });
+        assert.equal(res.status, 403);
+    });
+});
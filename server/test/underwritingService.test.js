@@ -0,0 +1,34 @@
+/**
+ * AI recommendation against the active rule set's approval cut-off
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RULE_SET } from '../config/scoringRules.js';
+import { assessAiDecision, getApprovalCutoff } from '../services/underwritingService.js';
+
+const withCutoffs = (high, medium) => ({ ...DEFAULT_RULE_SET, classCutoffs: { high, medium } });
+
+describe('assessAiDecision', () => {
+    it('approves from the medium class cut-off of the rule set', () => {
+        assert.equal(getApprovalCutoff(), DEFAULT_RULE_SET.classCutoffs.medium);
+        assert.equal(assessAiDecision({ greenScore: 60, greenwashingPassed: true }, withCutoffs(80, 60)).recommendation, 'approved');
+        assert.equal(assessAiDecision({ greenScore: 59, greenwashingPassed: true }, withCutoffs(80, 60)).recommendation, 'rejected');
+    });
+
+    it('follows a rule set that lowers the cut-off', () => {
+        const decision = assessAiDecision({ greenScore: 45, greenwashingPassed: true }, withCutoffs(70, 40));
+        assert.equal(decision.recommendation, 'approved');
+        assert.equal(decision.borderline, true);
+    });
+
+    it('names the cut-off when rejecting', () => {
+        const decision = assessAiDecision({ greenScore: 20, greenwashingPassed: true }, withCutoffs(90, 65));
+        assert.equal(decision.reason, 'Green Score too low (20/100). Minimum 65 required.');
+        assert.equal(decision.borderline, false);
+    });
+
+    it('rejects greenwashing whatever the score', () => {
+        assert.equal(assessAiDecision({ greenScore: 95, greenwashingPassed: false }).recommendation, 'rejected');
+    });
+});
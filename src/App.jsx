@@ -7,6 +7,8 @@ import AIVerificationPage from './pages/AIVerificationPage'
 import DashboardPage from './pages/DashboardPage'
 import ImpactPage from './pages/ImpactPage'
 import AuditLogPage from './pages/AuditLogPage'
+import UnderwritingQueuePage from './pages/UnderwritingQueuePage'
+import StressTestPage from './pages/StressTestPage'
 import LoginPage from './pages/LoginPage'
 import SignupPage from './pages/SignupPage'
 
@@ -24,7 +26,7 @@ function App() {
                     <Route
                         path="/apply"
                         element={
-                            <RequireAuth>
+                            <RequireAuth permission="loans:create">
                                 <LoanInitiationPage />
                             </RequireAuth>
                         }
@@ -32,7 +34,7 @@ function App() {
                     <Route
                         path="/verification/:loanId"
                         element={
-                            <RequireAuth>
+                            <RequireAuth permission="verification:read">
                                 <AIVerificationPage />
                             </RequireAuth>
                         }
@@ -40,7 +42,7 @@ function App() {
                     <Route
                         path="/dashboard"
                         element={
-                            <RequireAuth>
+                            <RequireAuth permission="loans:read">
                                 <DashboardPage />
                             </RequireAuth>
                         }
@@ -48,7 +50,7 @@ function App() {
                     <Route
                         path="/impact"
                         element={
-                            <RequireAuth>
+                            <RequireAuth permission="impact:read">
                                 <ImpactPage />
                             </RequireAuth>
                         }
@@ -56,11 +58,27 @@ function App() {
                     <Route
                         path="/audit"
                         element={
-                            <RequireAuth>
+                            <RequireAuth permission="audit:read">
                                 <AuditLogPage />
                             </RequireAuth>
                         }
                     />
+                    <Route
+                        path="/underwriting"
+                        element={
+                            <RequireAuth permission="underwriting:review">
+                                <UnderwritingQueuePage />
+                            </RequireAuth>
+                        }
+                    />
+                    <Route
+                        path="/stress-test"
+                        element={
+                            <RequireAuth permission="stresstest:run">
+                                <StressTestPage />
+                            </RequireAuth>
+                        }
+                    />
                 </Routes>
             </main>
             <Footer />
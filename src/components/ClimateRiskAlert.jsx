@@ -1,18 +1,36 @@
-import { AlertTriangle, CloudRain, Thermometer, Waves, Wind } from 'lucide-react';
+import { AlertTriangle, CloudRain, Droplets, Mountain, Thermometer, TrendingUp, Waves, Wind } from 'lucide-react';
 import './ClimateRiskAlert.css';
 
+// Labels for hazard keys from the climate risk API
+const HAZARD_LABELS = {
+    heat: 'Extreme heat',
+    seaLevelRise: 'Sea-level rise',
+};
+
 /**
  * ClimateRiskAlert Component
- * Displays climate risk warnings and alerts for loan projects
+ * Displays climate risk warnings and alerts for loan projects, and the
+ * projected risk over the loan tenure with a scenario toggle when a
+ * projection (POST /api/climate/scenario) is supplied
  */
-function ClimateRiskAlert({ alerts = [], loading = false }) {
+function ClimateRiskAlert({
+    alerts = [],
+    loading = false,
+    projection = null,
+    scenario = 'baseline',
+    onScenarioChange,
+    projecting = false,
+}) {
     const getRiskIcon = (type) => {
         const icons = {
             drought: Thermometer,
             flood: Waves,
             storm: Wind,
             heatwave: Thermometer,
+            heat: Thermometer,
             cyclone: CloudRain,
+            landslide: Mountain,
+            seaLevelRise: Droplets,
             default: AlertTriangle,
         };
         const Icon = icons[type] || icons.default;
@@ -38,7 +56,60 @@ function ClimateRiskAlert({ alerts = [], loading = false }) {
         );
     }
 
-    if (!alerts || alerts.length === 0) {
+    const trajectory = projection?.trajectory || [];
+
+    const scenarioPanel = projection && (
+        <div className="scenario-projection">
+            <div className="scenario-header">
+                <span className="scenario-title">
+                    <TrendingUp size={16} />
+                    Over {projection.tenureMonths}-month tenure
+                </span>
+                <div className="scenario-toggle" role="group" aria-label="Climate scenario">
+                    {(projection.scenarios || []).map(option => (
+                        <button
+                            key={option.key}
+                            type="button"
+                            className={option.key === scenario ? 'active' : ''}
+                            onClick={() => onScenarioChange?.(option.key)}
+                            disabled={projecting}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {trajectory.length > 0 ? (
+                <>
+                    <div className={`scenario-trajectory ${projecting ? 'updating' : ''}`}>
+                        {trajectory.map(point => (
+                            <div key={point.month} className="trajectory-point" title={`Index ${point.index}`}>
+                                <div className="trajectory-bar-track">
+                                    <div
+                                        className={`trajectory-bar ${point.level}`}
+                                        style={{ height: `${Math.max(4, point.index * 100)}%` }}
+                                    />
+                                </div>
+                                <span className="trajectory-month">
+                                    {point.month === 0 ? 'Now' : `M${point.month}`}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                    <p className="scenario-summary">
+                        {projection.scenario.description}. Risk index {trajectory[0].index} today
+                        {' → '}{projection.endOfTenure.index} at month {projection.endOfTenure.month}
+                        {' '}({getRiskLevel(projection.endOfTenure.level).label.toLowerCase()}).
+                    </p>
+                </>
+            ) : (
+                <p className="scenario-summary">No hazard data for this location.</p>
+            )}
+        </div>
+    );
+
+    if ((!alerts || alerts.length === 0) && !scenarioPanel) {
         return (
             <div className="climate-risk-panel empty">
                 <div className="empty-state">
@@ -64,6 +135,8 @@ function ClimateRiskAlert({ alerts = [], loading = false }) {
                 <span className="alert-count">{alerts.length} Active</span>
             </div>
 
+            {scenarioPanel}
+
             <div className="alerts-list">
                 {alerts.map((alert, index) => {
                     const riskInfo = getRiskLevel(alert.level);
@@ -77,7 +150,7 @@ function ClimateRiskAlert({ alerts = [], loading = false }) {
                             </div>
                             <div className="alert-content">
                                 <div className="alert-header">
-                                    <span className="alert-type">{alert.type}</span>
+                                    <span className="alert-type">{HAZARD_LABELS[alert.type] || alert.type}</span>
                                     <span className={`alert-level ${riskInfo.className}`}>
                                         {riskInfo.label}
                                     </span>
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { Menu, X, Leaf, LogOut, User } from 'lucide-react';
-import { isAuthenticated, logout, getCurrentUser } from '../services/api';
+import { isAuthenticated, logout, getCurrentUser, hasPermission } from '../services/api';
 import './Navbar.css';
 
 /**
@@ -25,13 +25,18 @@ function Navbar() {
         navigate('/login');
     };
 
+    // Logged-in users see the links their role has permission for; staff links stay hidden otherwise
     const navLinks = [
         { path: '/', label: 'Home' },
-        { path: '/apply', label: 'Apply for Loan' },
-        { path: '/dashboard', label: 'Dashboard' },
-        { path: '/impact', label: 'Impact' },
-        { path: '/audit', label: 'Audit Trail' },
-    ];
+        { path: '/apply', label: 'Apply for Loan', permission: 'loans:create' },
+        { path: '/dashboard', label: 'Dashboard', permission: 'loans:read' },
+        { path: '/impact', label: 'Impact', permission: 'impact:read' },
+        { path: '/audit', label: 'Audit Trail', permission: 'audit:read' },
+        { path: '/underwriting', label: 'Underwriting', permission: 'underwriting:review', staffOnly: true },
+        { path: '/stress-test', label: 'Stress Test', permission: 'stresstest:run', staffOnly: true },
+    ].filter(link => (isLoggedIn
+        ? !link.permission || hasPermission(link.permission)
+        : !link.staffOnly));
 
     const isActive = (path) => location.pathname === path;
 
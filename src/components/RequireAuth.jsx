@@ -1,13 +1,14 @@
 import { useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { isAuthenticated } from '../services/api';
+import { isAuthenticated, hasPermission } from '../services/api';
 
 /**
  * RequireAuth Component
  * Protects routes from unauthenticated access.
  * Redirects to /login if user is not logged in.
+ * With a `permission` prop, users whose role lacks it see an access notice.
  */
-const RequireAuth = ({ children }) => {
+const RequireAuth = ({ children, permission }) => {
     const navigate = useNavigate();
     const location = useLocation();
 
@@ -22,6 +23,16 @@ const RequireAuth = ({ children }) => {
         return null; // Or a loading spinner
     }
 
+    if (permission && !hasPermission(permission)) {
+        return (
+            <div className="container section">
+                <div className="alert alert-error">
+                    You do not have access to this page. Ask an administrator if you need it.
+                </div>
+            </div>
+        );
+    }
+
     return children;
 };
 
@@ -9,9 +9,12 @@ import {
     Loader,
     ArrowRight,
     Clock,
-    Database
+    Database,
+    Percent,
+    UserCheck,
+    History
 } from 'lucide-react';
-import { initiateVerification, getVerificationStatus } from '../services/api';
+import { initiateVerification, getVerificationStatus, getVerificationHistory } from '../services/api';
 import GreenScoreCard from '../components/GreenScoreCard';
 import './AIVerificationPage.css';
 
@@ -26,6 +29,7 @@ function AIVerificationPage() {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [verificationData, setVerificationData] = useState(null);
+    const [history, setHistory] = useState([]);
     const [currentAgent, setCurrentAgent] = useState(0);
 
     const aiAgents = [
@@ -82,6 +86,10 @@ function AIVerificationPage() {
                     if (status.completed) {
                         setVerificationData(status);
                         setLoading(false);
+                        // Earlier runs are informational; ignore failures
+                        getVerificationHistory(loanId)
+                            .then(response => setHistory(response.runs || []))
+                            .catch(() => setHistory([]));
                     } else {
                         // Poll again after delay
                         setTimeout(pollStatus, 2000);
@@ -111,6 +119,13 @@ function AIVerificationPage() {
         navigate('/dashboard');
     };
 
+    // What a matching application shares with this one
+    const describeSignal = (signal) => {
+        if (signal.type === 'description') return `${Math.round(signal.similarity * 100)}% similar description`;
+        if (signal.type === 'coordinates') return `site ${signal.distanceMeters} m away`;
+        return 'identical evidence document';
+    };
+
     return (
         <div className="verification-page">
             <div className="container">
@@ -231,7 +246,11 @@ function AIVerificationPage() {
                                         {verificationData.greenwashingCheck?.passed ? (
                                             <>
                                                 <CheckCircle size={24} />
-                                                <span>Passed - No inconsistencies detected</span>
+                                                <span>
+                                                    {verificationData.greenwashingCheck.flags?.length > 0
+                                                        ? `Passed - ${verificationData.greenwashingCheck.flags.length} item(s) could not be verified`
+                                                        : 'Passed - No inconsistencies detected'}
+                                                </span>
                                             </>
                                         ) : (
                                             <>
@@ -240,9 +259,45 @@ function AIVerificationPage() {
                                             </>
                                         )}
                                     </div>
+                                    {verificationData.greenwashingCheck?.flags?.length > 0 && (
+                                        <ul className="greenwashing-flags">
+                                            {verificationData.greenwashingCheck.flags.map(flag => (
+                                                <li key={`${flag.check}-${flag.code}`} className={flag.severity}>{flag.message}</li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                    {verificationData.greenwashingCheck?.checks?.length > 0 && (
+                                        <ul className="plausibility-checks">
+                                            {verificationData.greenwashingCheck.checks.map(check => (
+                                                <li key={check.id || check.name} className={check.status}>
+                                                    <span className="check-name">{check.name}</span>
+                                                    <span className="check-status">
+                                                        {check.status}
+                                                        {check.confidence !== null && check.confidence !== undefined && ` · ${check.confidence}%`}
+                                                    </span>
+                                                    {check.detail && <p>{check.detail}</p>}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                    {verificationData.duplicateCheck?.flagged && (
+                                        <div className="duplicate-matches">
+                                            <strong>Possible recycled claim</strong>
+                                            <ul>
+                                                {verificationData.duplicateCheck.matches.map(match => (
+                                                    <li key={match.loanId}>
+                                                        <span className="match-loan">
+                                                            {match.loanId}{match.sameBorrower && ' (same borrower)'}
+                                                        </span>
+                                                        <span>{match.signals.map(describeSignal).join(' · ')}</span>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </div>
+                                    )}
                                     <div className="confidence-score">
                                         <span>Authenticity Confidence Score</span>
-                                        <strong>{verificationData.greenwashingCheck?.confidenceScore || 95}%</strong>
+                                        <strong>{verificationData.greenwashingCheck?.confidenceScore ?? '—'}%</strong>
                                     </div>
                                 </div>
 
@@ -261,6 +316,65 @@ function AIVerificationPage() {
                                     )}
                                 </div>
 
+                                {/* Green-Linked Pricing */}
+                                {verificationData.pricing && (
+                                    <div className="verification-result">
+                                        <div className="result-header">
+                                            <Percent size={20} />
+                                            <h3>Green-Linked Interest Rate</h3>
+                                        </div>
+                                        <div className="pricing-rate">
+                                            <span className="pricing-final">{verificationData.pricing.finalRate}% p.a.</span>
+                                            {verificationData.pricing.totalDiscount > 0 && (
+                                                <span className="pricing-discount">
+                                                    {verificationData.pricing.totalDiscount}% below base rate of {verificationData.pricing.baseRate}%
+                                                </span>
+                                            )}
+                                        </div>
+                                        <ul className="pricing-components">
+                                            {verificationData.pricing.components?.map(component => (
+                                                <li key={component.factor}>{component.reason}</li>
+                                            ))}
+                                        </ul>
+                                        <p className="risk-notes">{verificationData.pricing.explanation}</p>
+                                    </div>
+                                )}
+
+                                {/* Underwriter Referral */}
+                                {verificationData.underwriting?.reviewStatus === 'queued' && (
+                                    <div className="verification-result">
+                                        <div className="result-header">
+                                            <UserCheck size={20} />
+                                            <h3>Underwriter Review</h3>
+                                        </div>
+                                        <p className="risk-notes">
+                                            {verificationData.underwriting.makerCheckerRequired
+                                                ? 'High-value loans are approved by two underwriters (maker and checker) before a final decision is made.'
+                                                : 'Your Green Score is close to the approval threshold, so an underwriter will review this application before a final decision is made.'}
+                                        </p>
+                                    </div>
+                                )}
+
+                                {/* Earlier Runs */}
+                                {history.length > 1 && (
+                                    <div className="verification-result">
+                                        <div className="result-header">
+                                            <History size={20} />
+                                            <h3>Verification History</h3>
+                                        </div>
+                                        <ul className="history-list">
+                                            {history.map(run => (
+                                                <li key={run.runId}>
+                                                    <span className="history-run">Run {run.runNumber}</span>
+                                                    <span>{new Date(run.completedAt).toLocaleDateString('en-IN')}</span>
+                                                    <strong>Green Score {run.greenScore}</strong>
+                                                    <span className="history-method">Methodology v{run.methodologyVersion}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+
                                 {/* Action Buttons */}
                                 <div className="results-actions">
                                     <button className="btn btn-primary btn-lg" onClick={handleContinue}>
@@ -109,6 +109,14 @@ function AuditLogPage() {
         impact_update: { label: 'Impact Update', color: 'teal' },
         payment_received: { label: 'Payment', color: 'accent' },
         loan_application: { label: 'Application', color: 'neutral' },
+        underwriter_decision: { label: 'Underwriting', color: 'blue' },
+        underwriter_override: { label: 'AI Override', color: 'accent' },
+        approval_proposed: { label: 'Maker Signature', color: 'teal' },
+        approval_confirmed: { label: 'Checker Signature', color: 'green' },
+        approval_declined: { label: 'Checker Declined', color: 'neutral' },
+        duplicate_claim_detected: { label: 'Recycled Claim', color: 'purple' },
+        document_uploaded: { label: 'Document Uploaded', color: 'blue' },
+        document_integrity_failed: { label: 'Document Tampered', color: 'purple' },
     };
 
     const filteredLogs = (auditLogs || demoAuditLogs).filter(log => {
@@ -192,8 +200,14 @@ function AuditLogPage() {
                             <option value="loan_disbursement">Disbursements</option>
                             <option value="verification_complete">Verifications</option>
                             <option value="greenwashing_check">Greenwashing Checks</option>
+                            <option value="duplicate_claim_detected">Recycled Claims</option>
+                            <option value="document_uploaded">Documents</option>
                             <option value="impact_update">Impact Updates</option>
                             <option value="payment_received">Payments</option>
+                            <option value="underwriter_decision">Underwriter Decisions</option>
+                            <option value="underwriter_override">AI Overrides</option>
+                            <option value="approval_proposed">Maker Signatures</option>
+                            <option value="approval_confirmed">Checker Signatures</option>
                         </select>
                     </div>
                 </div>
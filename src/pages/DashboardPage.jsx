@@ -12,14 +12,27 @@ import {
     RefreshCw,
     FileText,
     Wallet,
-    Activity
+    Activity,
+    Upload
 } from 'lucide-react';
-import { getLoans, getPortfolioImpact } from '../services/api';
+import {
+    getLoans, getPortfolioImpact, getLoanSchedule, getLoanMilestones, getClimateScenario,
+    getLoanDocuments, uploadLoanDocument, downloadLoanDocument
+} from '../services/api';
 import GreenScoreCard from '../components/GreenScoreCard'; // Keep for other uses if needed
 import CreditScoreCard from '../components/CreditScoreCard';
 import ClimateRiskAlert from '../components/ClimateRiskAlert';
 import './DashboardPage.css';
 
+// Evidence document types accepted by the server (config/documents.js)
+const DOCUMENT_TYPES = {
+    invoice: 'Invoice',
+    commissioning_certificate: 'Commissioning certificate',
+    site_photo: 'Site photo',
+    bank_statement: 'Bank statement',
+    other: 'Other'
+};
+
 /**
  * DashboardPage Component
  * Unified borrower dashboard with Green Score, climate risks, and loan status
@@ -29,11 +42,40 @@ function DashboardPage() {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [dashboardData, setDashboardData] = useState(null);
+    const [climateScenario, setClimateScenario] = useState('baseline');
+    const [climateProjection, setClimateProjection] = useState(null);
+    const [projecting, setProjecting] = useState(false);
 
     useEffect(() => {
         fetchDashboardData();
     }, []);
 
+    // Climate risk trajectory for the latest loan under the selected scenario
+    const latestLoan = dashboardData?.loans?.[0];
+    useEffect(() => {
+        if (!latestLoan?.projectLocation && !latestLoan?.locationCoordinates?.latitude) {
+            setClimateProjection(null);
+            return;
+        }
+
+        const [city, state] = (latestLoan.projectLocation || '').split(',').map(part => part.trim());
+        let cancelled = false;
+        setProjecting(true);
+        getClimateScenario(
+            { city, state, ...latestLoan.locationCoordinates },
+            climateScenario,
+            Number(latestLoan.tenure) || 60
+        )
+            .then(projection => { if (!cancelled) setClimateProjection(projection); })
+            .catch(err => {
+                console.warn('Climate projection failed', err);
+                if (!cancelled) setClimateProjection(null);
+            })
+            .finally(() => { if (!cancelled) setProjecting(false); });
+
+        return () => { cancelled = true; };
+    }, [latestLoan, climateScenario]);
+
     const fetchDashboardData = async () => {
         setLoading(true);
         setError(null);
@@ -111,21 +153,6 @@ function DashboardPage() {
                 ['active', 'pending', 'pending_verification', 'approved'].includes(l.status)
             ).length;
 
-            // Generate climate alerts based on location (mock logic or from loan)
-            // In a real app, this would come from the /api/climate/risk endpoint we built
-            const climateAlerts = [];
-            const latestLoan = transformedLoans.length > 0 ? transformedLoans[0] : null;
-            if (latestLoan?.projectLocation) {
-                // Simple mock to show alerts based on the location we just added
-                const loc = latestLoan.projectLocation.toLowerCase();
-                if (loc.includes('rajasthan') || loc.includes('gujarat')) {
-                    climateAlerts.push({ type: 'drought', level: 'medium', message: 'Water scarcity risk in region' });
-                }
-                if (loc.includes('mumbai') || loc.includes('kerala')) {
-                    climateAlerts.push({ type: 'flood', level: 'high', message: 'Heavy rainfall/flood risk' });
-                }
-            }
-
             setDashboardData({
                 loans: transformedLoans,
                 summary: {
@@ -134,8 +161,7 @@ function DashboardPage() {
                 },
                 impact: impactResponse,
                 creditScore: finalCreditScore,
-                creditBreakdown: breakdown,
-                climateAlerts: climateAlerts
+                creditBreakdown: breakdown
             });
         } catch (err) {
             setError(err.message || 'Failed to load dashboard data');
@@ -165,7 +191,6 @@ function DashboardPage() {
         greenScore: 0,
         sustainabilityClass: 'Not Rated',
         reasoning: {},
-        climateAlerts: [],
         loans: [],
         summary: {
             totalDisbursed: 0,
@@ -176,6 +201,72 @@ function DashboardPage() {
     };
 
     const [selectedLoan, setSelectedLoan] = useState(null);
+    const [schedule, setSchedule] = useState(null);
+    const [scheduleLoading, setScheduleLoading] = useState(false);
+    const [milestones, setMilestones] = useState(null);
+    const [documents, setDocuments] = useState(null);
+    const [documentType, setDocumentType] = useState('invoice');
+    const [documentFile, setDocumentFile] = useState(null);
+    const [uploading, setUploading] = useState(false);
+    const [documentError, setDocumentError] = useState(null);
+
+    // Load the amortization schedule whenever a statement is opened
+    useEffect(() => {
+        setDocumentFile(null);
+        setDocumentError(null);
+
+        if (!selectedLoan) {
+            setSchedule(null);
+            setMilestones(null);
+            setDocuments(null);
+            return;
+        }
+
+        getLoanDocuments(selectedLoan.id)
+            .then(data => setDocuments(data.documents))
+            .catch(err => console.warn('Documents fetch failed', err));
+
+        if (selectedLoan.milestones?.length) {
+            getLoanMilestones(selectedLoan.id)
+                .then(setMilestones)
+                .catch(err => console.warn('Milestones fetch failed', err));
+        }
+
+        setScheduleLoading(true);
+        getLoanSchedule(selectedLoan.id)
+            .then(setSchedule)
+            .catch(err => console.warn('Schedule fetch failed', err))
+            .finally(() => setScheduleLoading(false));
+    }, [selectedLoan]);
+
+    const handleUploadDocument = async (e) => {
+        e.preventDefault();
+        if (!documentFile) return;
+
+        setUploading(true);
+        setDocumentError(null);
+        try {
+            const data = await uploadLoanDocument(selectedLoan.id, documentFile, { type: documentType });
+            setDocuments(data.documents);
+            setDocumentFile(null);
+            e.target.reset();
+        } catch (err) {
+            setDocumentError(err.message);
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const handleOpenDocument = async (doc) => {
+        try {
+            const blob = await downloadLoanDocument(selectedLoan.id, doc.documentId);
+            const url = URL.createObjectURL(blob);
+            window.open(url, '_blank', 'noopener');
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (err) {
+            setDocumentError(err.message);
+        }
+    };
 
     return (
         <div className="dashboard-page">
@@ -320,6 +411,13 @@ function DashboardPage() {
                                                         <span>Disbursed:</span>
                                                         <strong>{loan.disbursedDate}</strong>
                                                     </div>
+                                                    {loan.daysPastDue > 0 && (
+                                                        <div className="detail-item overdue">
+                                                            <AlertCircle size={16} />
+                                                            <span>Overdue:</span>
+                                                            <strong>{loan.daysPastDue} days ({loan.assetClassification})</strong>
+                                                        </div>
+                                                    )}
                                                     {loan.nextPayment && (
                                                         <div className="detail-item highlight">
                                                             <Clock size={16} />
@@ -386,8 +484,12 @@ function DashboardPage() {
 
                         {/* Climate Risk Alerts */}
                         <ClimateRiskAlert
-                            alerts={displayData.climateAlerts}
+                            alerts={climateProjection?.current?.risks || []}
                             loading={loading}
+                            projection={climateProjection}
+                            scenario={climateScenario}
+                            onScenarioChange={setClimateScenario}
+                            projecting={projecting}
                         />
 
                         {/* Quick Actions */}
@@ -451,18 +553,143 @@ function DashboardPage() {
                                 </div>
                                 <div className="statement-item">
                                     <label>Interest Rate</label>
-                                    <span>8.5% p.a. (Subsidized)</span>
+                                    <span>{schedule?.interestRate ?? selectedLoan.interestRate ?? 8.5}% p.a.</span>
+                                </div>
+                                <div className="statement-item">
+                                    <label>Monthly EMI</label>
+                                    <span>₹{(schedule?.summary?.emi || 0).toLocaleString()}</span>
+                                </div>
+                                <div className="statement-item">
+                                    <label>Total Interest</label>
+                                    <span>₹{(schedule?.summary?.totalInterest || 0).toLocaleString()}</span>
                                 </div>
                             </div>
 
+                            {/* Tranche Disbursement */}
+                            {milestones?.milestones?.length > 0 && (
+                                <div className="schedule-section">
+                                    <div className="schedule-header">
+                                        <h4>Disbursement Milestones</h4>
+                                        <span className="schedule-note">
+                                            {milestones.tranches.disbursed}/{milestones.tranches.total} tranches released
+                                        </span>
+                                    </div>
+                                    <ul className="milestone-list">
+                                        {milestones.milestones.map(m => (
+                                            <li key={m.milestoneId}>
+                                                <span>{m.sequence}. {m.name}</span>
+                                                <span>₹{m.trancheAmount.toLocaleString()}</span>
+                                                <span className={`installment-status ${m.status === 'disbursed' ? 'paid' : m.status === 'approved' ? 'partial' : ''}`}>
+                                                    {m.status.replace('_', ' ')}
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
+                            {/* Evidence Documents */}
+                            {documents && (
+                                <div className="schedule-section">
+                                    <div className="schedule-header">
+                                        <h4>Evidence Documents</h4>
+                                        <span className="schedule-note">SHA-256 recorded on the audit trail</span>
+                                    </div>
+                                    {documents.length > 0 && (
+                                        <ul className="document-list">
+                                            {documents.map(doc => (
+                                                <li key={doc.documentId}>
+                                                    <button type="button" className="document-link" onClick={() => handleOpenDocument(doc)}>
+                                                        <FileText size={14} />
+                                                        {doc.fileName}
+                                                    </button>
+                                                    <span>{DOCUMENT_TYPES[doc.type] || doc.type}</span>
+                                                    <code title={doc.sha256}>{doc.sha256.slice(0, 12)}…</code>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                    <form className="document-upload" onSubmit={handleUploadDocument}>
+                                        <select
+                                            className="form-input form-select"
+                                            value={documentType}
+                                            onChange={(e) => setDocumentType(e.target.value)}
+                                        >
+                                            {Object.entries(DOCUMENT_TYPES).map(([value, label]) => (
+                                                <option key={value} value={value}>{label}</option>
+                                            ))}
+                                        </select>
+                                        <input
+                                            type="file"
+                                            className="form-input"
+                                            accept=".pdf,.jpg,.jpeg,.png,.webp,.csv"
+                                            onChange={(e) => setDocumentFile(e.target.files[0] || null)}
+                                        />
+                                        <button type="submit" className="btn btn-primary btn-sm" disabled={!documentFile || uploading}>
+                                            <Upload size={14} />
+                                            {uploading ? 'Uploading...' : 'Upload'}
+                                        </button>
+                                    </form>
+                                    {documentError && <div className="alert alert-error">{documentError}</div>}
+                                </div>
+                            )}
+
+                            {/* Amortization Schedule */}
+                            <div className="schedule-section">
+                                <div className="schedule-header">
+                                    <h4>Repayment Schedule</h4>
+                                    {schedule?.projected && (
+                                        <span className="schedule-note">Projected — starts on disbursement</span>
+                                    )}
+                                </div>
+                                {scheduleLoading ? (
+                                    <div className="skeleton" style={{ height: 120 }}></div>
+                                ) : schedule?.schedule?.length > 0 ? (
+                                    <div className="schedule-table-wrapper">
+                                        <table className="schedule-table">
+                                            <thead>
+                                                <tr>
+                                                    <th>#</th>
+                                                    <th>Due Date</th>
+                                                    <th>EMI</th>
+                                                    <th>Principal</th>
+                                                    <th>Interest</th>
+                                                    <th>Balance</th>
+                                                    <th>Status</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {schedule.schedule.map(row => (
+                                                    <tr key={row.installmentNumber}>
+                                                        <td>{row.installmentNumber}</td>
+                                                        <td>{new Date(row.dueDate).toLocaleDateString()}</td>
+                                                        <td>₹{row.emi.toLocaleString()}</td>
+                                                        <td>₹{row.principal.toLocaleString()}</td>
+                                                        <td>₹{row.interest.toLocaleString()}</td>
+                                                        <td>₹{row.closingBalance.toLocaleString()}</td>
+                                                        <td className={`installment-status ${row.status}`}>{row.status}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                ) : (
+                                    <p className="schedule-note">Schedule unavailable for this loan.</p>
+                                )}
+                            </div>
+
                             <div className="statement-summary">
                                 <div className="summary-row">
                                     <span>Total Paid</span>
-                                    <span>₹{((selectedLoan.amount * selectedLoan.progress) / 100).toLocaleString()}</span>
+                                    <span>₹{(schedule?.repayment?.totalRepaid || 0).toLocaleString()}</span>
+                                </div>
+                                <div className="summary-row">
+                                    <span>Interest Paid</span>
+                                    <span>₹{(schedule?.repayment?.interestRepaid || 0).toLocaleString()}</span>
                                 </div>
                                 <div className="summary-row">
                                     <span>Outstanding Balance</span>
-                                    <span>₹{(selectedLoan.amount - ((selectedLoan.amount * selectedLoan.progress) / 100)).toLocaleString()}</span>
+                                    <span>₹{(schedule?.repayment?.outstandingPrincipal ?? selectedLoan.amount).toLocaleString()}</span>
                                 </div>
                             </div>
                         </div>
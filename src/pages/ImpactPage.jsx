@@ -14,7 +14,7 @@ import {
 } from 'lucide-react';
 import { Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement } from 'chart.js';
 import { Doughnut, Bar } from 'react-chartjs-2';
-import { getPortfolioImpact } from '../services/api';
+import { getPortfolioImpact, getStoredUser } from '../services/api';
 import ImpactMetric from '../components/ImpactMetric';
 import './ImpactPage.css';
 
@@ -40,7 +40,7 @@ function ImpactPage() {
     const fetchImpactData = async () => {
         setLoading(true);
         try {
-            const data = await getPortfolioImpact('demo-user-001');
+            const data = await getPortfolioImpact(getStoredUser()?.id);
             setImpactData(data);
         } catch (err) {
             // Use demo data if API fails
@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
     Building2,
@@ -18,11 +18,42 @@ import {
     Zap,
     RefreshCw,
     Sparkles,
-    Info
+    Info,
+    Gauge,
+    TrendingUp,
+    MapPin,
+    FileText
 } from 'lucide-react';
-import { submitLoanApplication, fetchGSTData, verifyKYC, register, isAuthenticated, initiateVerification, extractSustainabilityClaim } from '../services/api';
+import { submitLoanApplication, fetchGSTData, verifyKYC, register, isAuthenticated, initiateVerification, extractSustainabilityClaim, extractClaimFromDocument, simulateGreenScore, reverseGeocode } from '../services/api';
 import './LoanInitiationPage.css';
 
+// Form fields the Green Score simulator scores
+const SIMULATOR_FIELDS = [
+    'greenObjective',
+    'annualTurnover',
+    'yearsInBusiness',
+    'estimatedSavings',
+    'projectLocation',
+    'projectDescription',
+    'loanAmount',
+    'latitude',
+    'longitude',
+];
+
+const simulatorInputs = (data) => Object.fromEntries(SIMULATOR_FIELDS.map(field => [field, data[field]]));
+
+const FACTOR_LABELS = {
+    category_impact: 'Project category',
+    transformative_bonus: 'Transformative savings',
+    roi_potential: 'ROI potential',
+    turnover_stability: 'Turnover',
+    business_age: 'Business vintage',
+    geo_suitability: 'Location suitability',
+    climate_resilience: 'Climate resilience',
+    data_quality: 'Precise geolocation',
+    data_completeness: 'Financial disclosure',
+};
+
 /**
  * LoanInitiationPage Component
  * Multi-step loan application form with GST/KYC auto-fetch simulation
@@ -41,6 +72,17 @@ function LoanInitiationPage() {
     const [aiExtracting, setAiExtracting] = useState(false);
     const [aiExtractedData, setAiExtractedData] = useState(null);
     const [aiConfidence, setAiConfidence] = useState(null);
+    // Quotation / invoice the claim was read from, and how (text layer or OCR)
+    const [aiSourceDocument, setAiSourceDocument] = useState(null);
+
+    // What-if Green Score simulator
+    const [simulation, setSimulation] = useState(null);
+    // Application as it stood when the applicant reached the green objective step
+    const [scoreBaseline, setScoreBaseline] = useState(null);
+
+    // District and state resolved from the project coordinates
+    const [resolvedLocation, setResolvedLocation] = useState(null);
+    const autoFilledLocation = useRef('');
 
     const [formData, setFormData] = useState({
         // Step 1: Business Details
@@ -73,8 +115,74 @@ function LoanInitiationPage() {
         loanAmount: '',
         tenure: '',
         purpose: '',
+        stagedDisbursement: false,
+        milestones: [
+            { name: 'Equipment Purchase', type: 'equipment_purchase', percent: 50 },
+            { name: 'Installation', type: 'installation', percent: 30 },
+            { name: 'Commissioning', type: 'commissioning', percent: 20 },
+        ],
     });
 
+    // Live Green Score while the green objective step is edited; deltas are
+    // against the application as it stood when the applicant reached the step.
+    // Scoring runs on the server and needs an account.
+    const simulatorKey = JSON.stringify(simulatorInputs(formData));
+    useEffect(() => {
+        const inputs = JSON.parse(simulatorKey);
+        if (currentStep !== 3 || !inputs.greenObjective || !isAuthenticated()) return undefined;
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const result = await simulateGreenScore({
+                    application: scoreBaseline || inputs,
+                    changes: inputs,
+                });
+                if (cancelled) return;
+                setSimulation(result);
+            } catch (err) {
+                console.error('Score simulation failed:', err);
+            }
+        }, 400);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [currentStep, simulatorKey, scoreBaseline]);
+
+    // Resolve typed or detected coordinates to district and state, and fill
+    // the location text unless the applicant has written their own
+    useEffect(() => {
+        if (currentStep !== 3 || !formData.latitude || !formData.longitude) {
+            setResolvedLocation(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const { location } = await reverseGeocode(formData.latitude, formData.longitude);
+                if (cancelled) return;
+                const label = [location.district, location.state].filter(Boolean).join(', ');
+                setResolvedLocation({ ...location, label });
+                setFormData(prev => {
+                    if (prev.projectLocation && prev.projectLocation !== autoFilledLocation.current) return prev;
+                    autoFilledLocation.current = label;
+                    return { ...prev, projectLocation: label };
+                });
+            } catch (err) {
+                // 404 when the point is outside the bundled boundaries
+                if (!cancelled) setResolvedLocation(err.status === 404 ? { outside: true } : null);
+            }
+        }, 400);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [currentStep, formData.latitude, formData.longitude]);
+
     const steps = [
         { id: 1, title: 'Business Details', icon: Building2 },
         { id: 2, title: 'KYC Verification', icon: User },
@@ -186,7 +294,6 @@ function LoanInitiationPage() {
                     latitude: position.coords.latitude.toFixed(6),
                     longitude: position.coords.longitude.toFixed(6)
                 }));
-                // Optional: You could call a reverse geocoding API here to fill projectLocation
                 setLoading(false);
             },
             (err) => {
@@ -196,6 +303,14 @@ function LoanInitiationPage() {
         );
     };
 
+    const applySuggestion = (change) => {
+        if (change.field === 'locationCoordinates') {
+            handleLocationDetect();
+            return;
+        }
+        setFormData(prev => ({ ...prev, [change.field]: String(change.value) }));
+    };
+
     const validateStep = () => {
         switch (currentStep) {
             case 1:
@@ -221,24 +336,31 @@ function LoanInitiationPage() {
                     setError('Please enter loan amount and tenure');
                     return false;
                 }
+                if (formData.stagedDisbursement) {
+                    const totalPercent = formData.milestones.reduce((sum, m) => sum + (Number(m.percent) || 0), 0);
+                    if (totalPercent !== 100) {
+                        setError(`Milestone tranches must add up to 100% (currently ${totalPercent}%)`);
+                        return false;
+                    }
+                }
                 return true;
             default:
                 return true;
         }
     };
 
-    const handleNext = () => {
-        if (validateStep()) {
-            setCurrentStep(prev => prev + 1);
-            setError(null);
-        }
+    const goToStep = (step) => {
+        if (step === 3) setScoreBaseline(simulatorInputs(formData));
+        setCurrentStep(step);
+        setError(null);
     };
 
-    const handleBack = () => {
-        setCurrentStep(prev => prev - 1);
-        setError(null);
+    const handleNext = () => {
+        if (validateStep()) goToStep(currentStep + 1);
     };
 
+    const handleBack = () => goToStep(currentStep - 1);
+
 
 
     // ... (existing code matches until handleSubmit)
@@ -267,7 +389,11 @@ function LoanInitiationPage() {
             }
 
             console.log('Submitting loan application...', formData); // Debug log
-            const response = await submitLoanApplication(formData);
+            const { stagedDisbursement, milestones, ...applicationData } = formData;
+            const response = await submitLoanApplication({
+                ...applicationData,
+                milestones: stagedDisbursement ? milestones : undefined,
+            });
             console.log('Loan submission successful', response); // Debug log
 
             // Initiate AI Verification
@@ -291,6 +417,15 @@ function LoanInitiationPage() {
         }
     };
 
+    const handleMilestonePercentChange = (index, value) => {
+        const percent = value.replace(/[^0-9]/g, '').slice(0, 3);
+        setFormData(prev => ({
+            ...prev,
+            milestones: prev.milestones.map((m, i) => i === index ? { ...m, percent: percent === '' ? '' : Number(percent) } : m),
+        }));
+        setError(null);
+    };
+
     const selectGreenObjective = (objectiveId) => {
         setFormData(prev => ({ ...prev, greenObjective: objectiveId }));
         setError(null);
@@ -307,40 +442,7 @@ function LoanInitiationPage() {
         setError(null);
 
         try {
-            const result = await extractSustainabilityClaim(formData.projectDescription);
-
-            if (result.success && result.extracted_claim) {
-                const claim = result.extracted_claim;
-
-                // Map extracted project_type to our greenObjective ids
-                let mappedObjective = formData.greenObjective;
-                if (claim.project_type) {
-                    const typeMap = {
-                        'solar': 'solar',
-                        'ev': 'ev',
-                        'waste': 'waste',
-                        'energy_efficiency': 'efficiency',
-                        'water': 'water'
-                    };
-                    mappedObjective = typeMap[claim.project_type] || formData.greenObjective;
-                }
-
-                // Store AI extracted data for display
-                setAiExtractedData(claim);
-                setAiConfidence(result.extraction_confidence);
-
-                // Auto-fill form fields from extracted data
-                setFormData(prev => ({
-                    ...prev,
-                    greenObjective: mappedObjective || prev.greenObjective,
-                    // Store extracted fields in formData for submission
-                    aiExtractedVendor: claim.vendor,
-                    aiExtractedCapacity: claim.capacity_kw,
-                    aiExtractedCO2: claim.claimed_impact?.co2_saved_tonnes_per_year,
-                    aiExtractedEnergy: claim.claimed_impact?.energy_generated_kwh_per_year,
-                    aiExtractedCertifications: claim.certifications,
-                }));
-            }
+            applyExtraction(await extractSustainabilityClaim(formData.projectDescription));
         } catch (err) {
             console.error('AI extraction error:', err);
             setError('AI extraction failed. Please fill in the details manually.');
@@ -349,6 +451,64 @@ function LoanInitiationPage() {
         }
     };
 
+    // Extraction from an uploaded quotation or invoice
+    const handleDocumentExtraction = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setAiExtracting(true);
+        setError(null);
+
+        try {
+            applyExtraction(await extractClaimFromDocument(file));
+        } catch (err) {
+            console.error('Document extraction error:', err);
+            setError(`Could not read ${file.name}: ${err.message}`);
+        } finally {
+            setAiExtracting(false);
+        }
+    };
+
+    // Show an extraction result and carry the claim into the application
+    const applyExtraction = (result) => {
+        if (result.success && result.extracted_claim) {
+            const claim = result.extracted_claim;
+
+            // Map extracted project_type to our greenObjective ids
+            let mappedObjective = formData.greenObjective;
+            if (claim.project_type) {
+                const typeMap = {
+                    'solar': 'solar',
+                    'ev': 'ev',
+                    'waste': 'waste',
+                    'energy_efficiency': 'efficiency',
+                    'water': 'water'
+                };
+                mappedObjective = typeMap[claim.project_type] || formData.greenObjective;
+            }
+
+            // Store AI extracted data for display
+            setAiExtractedData(claim);
+            setAiConfidence(result.extraction_confidence);
+            setAiSourceDocument(result.document || null);
+
+            // Auto-fill form fields from extracted data
+            setFormData(prev => ({
+                ...prev,
+                greenObjective: mappedObjective || prev.greenObjective,
+                // Store extracted fields in formData for submission
+                aiExtractedVendor: claim.vendor,
+                aiExtractedCapacity: claim.capacity_kw,
+                aiExtractedCO2: claim.claimed_impact?.co2_saved_tonnes_per_year,
+                aiExtractedEnergy: claim.claimed_impact?.energy_generated_kwh_per_year,
+                aiExtractedCertifications: claim.certifications,
+                // Whole claim, checked by the greenwashing agent at verification
+                sustainabilityClaim: claim,
+            }));
+        }
+    };
+
     // Get confidence color for display
     const getConfidenceColor = (confidence) => {
         if (confidence >= 0.85) return '#22c55e';
@@ -701,6 +861,22 @@ function LoanInitiationPage() {
                                         {aiExtracting ? <Loader className="spinner" size={16} /> : <Sparkles size={16} />}
                                         {aiExtracting ? 'Extracting...' : 'Extract project details (AI-assisted)'}
                                     </button>
+                                    {/* Documents are OCR'd on the server, which needs an account */}
+                                    <label
+                                        className="btn btn-secondary"
+                                        title={isAuthenticated() ? undefined : 'Sign in to read quotations and invoices'}
+                                        style={{ marginTop: '0.75rem', marginLeft: '0.5rem', opacity: aiExtracting || !isAuthenticated() ? 0.6 : 1, cursor: aiExtracting || !isAuthenticated() ? 'not-allowed' : 'pointer' }}
+                                    >
+                                        <FileText size={16} />
+                                        Read from quotation / invoice
+                                        <input
+                                            type="file"
+                                            accept=".pdf,.jpg,.jpeg,.png,.webp"
+                                            onChange={handleDocumentExtraction}
+                                            disabled={aiExtracting || !isAuthenticated()}
+                                            hidden
+                                        />
+                                    </label>
                                 </div>
 
                                 {/* AI Extraction Results */}
@@ -725,6 +901,17 @@ function LoanInitiationPage() {
                                             </div>
                                         </div>
 
+                                        {aiSourceDocument && (
+                                            <p style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginBottom: '0.75rem' }}>
+                                                Read from {aiSourceDocument.file_name}
+                                                {aiSourceDocument.method === 'text_layer'
+                                                    ? ' (PDF text)'
+                                                    : ` (OCR, ${aiSourceDocument.ocr_confidence}% recognition confidence — please check the figures)`}
+                                                {aiSourceDocument.total_pages > aiSourceDocument.pages && `, first ${aiSourceDocument.pages} of ${aiSourceDocument.total_pages} pages`}
+                                                {aiSourceDocument.ocr_skipped_pages > 0 && `; ${aiSourceDocument.ocr_skipped_pages} further scanned page(s) not read`}
+                                            </p>
+                                        )}
+
                                         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '0.75rem', fontSize: '0.9rem' }}>
                                             <div>
                                                 <span style={{ color: 'var(--text-secondary)' }}>Project Type:</span>
@@ -768,8 +955,41 @@ function LoanInitiationPage() {
                                                     </span>
                                                 </div>
                                             )}
+                                            {aiExtractedData.vendor_gstin && (
+                                                <div style={{ gridColumn: 'span 2' }}>
+                                                    <span style={{ color: 'var(--text-secondary)' }}>Vendor GSTIN:</span>
+                                                    <span style={{ marginLeft: '0.5rem', fontWeight: '500' }}>
+                                                        {aiExtractedData.vendor_gstin}
+                                                    </span>
+                                                </div>
+                                            )}
                                         </div>
 
+                                        {aiExtractedData.line_items?.length > 0 && (
+                                            <table style={{ width: '100%', marginTop: '0.75rem', fontSize: '0.8rem', borderCollapse: 'collapse' }}>
+                                                <thead>
+                                                    <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                                                        <th>Item</th>
+                                                        <th>Model</th>
+                                                        <th style={{ textAlign: 'right' }}>Qty</th>
+                                                        <th style={{ textAlign: 'right' }}>Unit Price</th>
+                                                        <th style={{ textAlign: 'right' }}>Amount</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {aiExtractedData.line_items.map((item, i) => (
+                                                        <tr key={i}>
+                                                            <td>{item.description || '—'}</td>
+                                                            <td>{item.model || '—'}</td>
+                                                            <td style={{ textAlign: 'right' }}>{item.quantity ?? '—'} {item.unit || ''}</td>
+                                                            <td style={{ textAlign: 'right' }}>{item.unit_price != null ? `₹${item.unit_price.toLocaleString('en-IN')}` : '—'}</td>
+                                                            <td style={{ textAlign: 'right' }}>{item.amount != null ? `₹${item.amount.toLocaleString('en-IN')}` : '—'}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        )}
+
                                         {aiConfidence.signals?.length > 0 && (
                                             <div style={{ marginTop: '0.75rem', padding: '0.5rem', background: 'rgba(234, 179, 8, 0.1)', borderRadius: '8px', fontSize: '0.8rem' }}>
                                                 <Info size={14} style={{ display: 'inline', marginRight: '0.5rem', color: '#eab308', verticalAlign: 'middle' }} />
@@ -827,6 +1047,14 @@ function LoanInitiationPage() {
                                                 />
                                             </div>
                                         </div>
+                                        {resolvedLocation && (
+                                            <p className={`location-resolved ${resolvedLocation.outside ? 'outside' : ''}`}>
+                                                <MapPin size={14} />
+                                                {resolvedLocation.outside
+                                                    ? 'These coordinates are outside India'
+                                                    : `${resolvedLocation.label} · PIN ${resolvedLocation.pincodeRegion}`}
+                                            </p>
+                                        )}
                                         <input
                                             type="text"
                                             name="projectLocation"
@@ -839,6 +1067,76 @@ function LoanInitiationPage() {
                                     </div>
                                 </div>
                             </div>
+
+                            {/* What-if Green Score Simulator */}
+                            {!isAuthenticated() && formData.greenObjective && (
+                                <p style={{ marginTop: '1rem', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                                    <Gauge size={14} /> Sign in to see an estimated Green Score as you edit your project.
+                                </p>
+                            )}
+                            {simulation && (
+                                <div className="score-simulator">
+                                    <div className="simulator-header">
+                                        <div className="simulator-title">
+                                            <Gauge size={18} />
+                                            <span>Estimated Green Score</span>
+                                        </div>
+                                        <div className={`simulator-score ${simulation.simulated.sustainabilityClass}`}>
+                                            {simulation.simulated.greenScore}
+                                            <span>/100 · {simulation.simulated.sustainabilityClass}</span>
+                                        </div>
+                                    </div>
+
+                                    <ul className="simulator-factors">
+                                        {simulation.deltas.map((d) => (
+                                            <li key={d.factor}>
+                                                <span>{FACTOR_LABELS[d.factor] || d.factor}</span>
+                                                <span className="factor-points">
+                                                    {d.simulated} pts
+                                                    {d.delta !== 0 && (
+                                                        <em className={d.delta > 0 ? 'up' : 'down'}>
+                                                            {d.delta > 0 ? '+' : ''}{d.delta}
+                                                        </em>
+                                                    )}
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+
+                                    {simulation.suggestions.length > 0 && (
+                                        <div className="simulator-suggestions">
+                                            <h4><TrendingUp size={16} /> How to raise your score</h4>
+                                            {simulation.suggestions.map((suggestion) => (
+                                                <div key={suggestion.targetClass} className="simulator-suggestion">
+                                                    <strong>Reach {suggestion.targetClass} ({suggestion.threshold}+)</strong>
+                                                    {suggestion.reachable ? (
+                                                        <>
+                                                            <ul>
+                                                                {suggestion.changes.map((change) => (
+                                                                    <li key={change.field}>
+                                                                        <span>{change.description}</span>
+                                                                        <button className="btn btn-secondary btn-sm" onClick={() => applySuggestion(change)}>
+                                                                            {change.field === 'locationCoordinates' ? 'Detect' : 'Apply'}
+                                                                        </button>
+                                                                    </li>
+                                                                ))}
+                                                            </ul>
+                                                            <span className="suggestion-projection">Projected score: {suggestion.projectedScore}</span>
+                                                        </>
+                                                    ) : (
+                                                        <p>Not reachable through savings, disclosure, loan amount or geolocation changes.</p>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    <p className="simulator-note">
+                                        <Info size={14} />
+                                        Estimate with the current scoring rules{!formData.loanAmount && ', assuming a ₹1,00,000 loan until you enter the amount'}. Your final score is set at verification.
+                                    </p>
+                                </div>
+                            )}
                         </div>
                     )}
 
@@ -894,6 +1192,40 @@ function LoanInitiationPage() {
                                 />
                             </div>
 
+                            <div className="form-group">
+                                <label className="form-label">Disbursement</label>
+                                <label className="staged-toggle">
+                                    <input
+                                        type="checkbox"
+                                        checked={formData.stagedDisbursement}
+                                        onChange={(e) => setFormData(prev => ({ ...prev, stagedDisbursement: e.target.checked }))}
+                                    />
+                                    Release funds in milestone-based tranches
+                                </label>
+                                {formData.stagedDisbursement && (
+                                    <div className="milestone-plan">
+                                        {formData.milestones.map((milestone, index) => (
+                                            <div key={milestone.type} className="milestone-row">
+                                                <span className="milestone-name">{index + 1}. {milestone.name}</span>
+                                                <div className="milestone-percent">
+                                                    <input
+                                                        type="text"
+                                                        className="form-input"
+                                                        value={milestone.percent}
+                                                        onChange={(e) => handleMilestonePercentChange(index, e.target.value)}
+                                                    />
+                                                    <span>%</span>
+                                                </div>
+                                                <span className="milestone-amount">
+                                                    ₹{Math.round((Number(formData.loanAmount) || 0) * (Number(milestone.percent) || 0) / 100).toLocaleString()}
+                                                </span>
+                                            </div>
+                                        ))}
+                                        <p className="form-helper">Each tranche is released after its milestone evidence is approved. EMIs start after the final tranche.</p>
+                                    </div>
+                                )}
+                            </div>
+
                             <div className="loan-summary">
                                 <h3>Application Summary</h3>
                                 <div className="summary-grid">
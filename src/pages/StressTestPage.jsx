@@ -0,0 +1,254 @@
+import { useState, useEffect } from 'react';
+import {
+    CloudLightning,
+    Play,
+    MapPin,
+    Layers,
+    AlertTriangle,
+} from 'lucide-react';
+import { getStressShocks, runStressTest } from '../services/api';
+import './StressTestPage.css';
+
+/**
+ * StressTestPage Component
+ * Admin climate stress test: pick a hazard shock, apply it to the active
+ * book and review exposure at risk, impaired revenue and PD uplift by
+ * state, by green category and per loan.
+ */
+function StressTestPage() {
+    const [shocks, setShocks] = useState([]);
+    const [selectedShock, setSelectedShock] = useState('');
+    const [report, setReport] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [running, setRunning] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchShocks = async () => {
+            try {
+                const response = await getStressShocks();
+                setShocks(response.shocks || []);
+                setSelectedShock(response.shocks?.[0]?.key || '');
+            } catch (err) {
+                setError(err.message || 'Failed to load shocks');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchShocks();
+    }, []);
+
+    const handleRun = async () => {
+        setRunning(true);
+        setError(null);
+        try {
+            setReport(await runStressTest(selectedShock));
+        } catch (err) {
+            setError(err.message || 'Failed to run stress test');
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const formatCurrency = (amount) => {
+        return new Intl.NumberFormat('en-IN', {
+            style: 'currency',
+            currency: 'INR',
+            maximumFractionDigits: 0,
+        }).format(amount || 0);
+    };
+
+    const formatHazards = (hazards = {}) => Object.entries(hazards)
+        .map(([hazard, increase]) => `${hazard} +${increase}`)
+        .join(', ');
+
+    const shock = shocks.find(s => s.key === selectedShock);
+    const summary = report?.summary;
+
+    // Shared columns of the state and category tables
+    const renderGroupTable = (rows, keyField, keyLabel) => (
+        <div className="stress-table-wrapper">
+            <table className="stress-table">
+                <thead>
+                    <tr>
+                        <th>{keyLabel}</th>
+                        <th>Loans</th>
+                        <th>In scope</th>
+                        <th>Exposure</th>
+                        <th>Exposure at risk</th>
+                        <th>Impaired revenue</th>
+                        <th>PD (base → stressed)</th>
+                        <th>EL uplift</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={row[keyField]}>
+                            <td className="capitalize">{row[keyField]}</td>
+                            <td>{row.loans}</td>
+                            <td>{row.loansInScope}</td>
+                            <td>{formatCurrency(row.exposure)}</td>
+                            <td className={row.exposureAtRisk > 0 ? 'at-risk' : ''}>
+                                {formatCurrency(row.exposureAtRisk)} ({row.exposureAtRiskPct}%)
+                            </td>
+                            <td>{formatCurrency(row.impairedRevenue)}</td>
+                            <td>{row.basePd}% → {row.stressedPd}%</td>
+                            <td>{formatCurrency(row.expectedLossUplift)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    return (
+        <div className="stress-test-page">
+            <div className="container">
+                {/* Page Header */}
+                <div className="stress-header">
+                    <div>
+                        <h1>Climate Stress Test</h1>
+                        <p>Apply a hazard shock to the active book and measure what it puts at risk</p>
+                    </div>
+                </div>
+
+                {error && <div className="alert alert-error">{error}</div>}
+
+                {/* Shock Picker */}
+                <div className="stress-card shock-picker">
+                    {loading ? (
+                        <div className="skeleton skeleton-card" style={{ height: 80 }}></div>
+                    ) : (
+                        <>
+                            <div className="shock-options">
+                                {shocks.map(option => (
+                                    <button
+                                        key={option.key}
+                                        type="button"
+                                        className={`shock-option ${option.key === selectedShock ? 'selected' : ''}`}
+                                        onClick={() => setSelectedShock(option.key)}
+                                    >
+                                        <CloudLightning size={18} />
+                                        <span>{option.label}</span>
+                                    </button>
+                                ))}
+                            </div>
+                            {shock && (
+                                <p className="shock-description">
+                                    {shock.description}. Scope: {shock.states.length > 0
+                                        ? shock.states.join(', ')
+                                        : shock.coastal ? 'coastal locations' : 'whole book'}
+                                    . Hazard increase: {formatHazards(shock.hazards)}.
+                                </p>
+                            )}
+                            <button
+                                className="btn btn-primary"
+                                onClick={handleRun}
+                                disabled={!selectedShock || running}
+                            >
+                                <Play size={18} />
+                                {running ? 'Running…' : 'Run Stress Test'}
+                            </button>
+                        </>
+                    )}
+                </div>
+
+                {report && (
+                    <>
+                        {/* Headline Figures */}
+                        <div className="stress-summary">
+                            <div className="stress-stat">
+                                <span className="stat-label">Loans stressed</span>
+                                <span className="stat-value">{summary.loans}</span>
+                                <span className="stat-note">{summary.loansInScope} in scope of the shock</span>
+                            </div>
+                            <div className="stress-stat highlight">
+                                <span className="stat-label">Exposure at risk</span>
+                                <span className="stat-value">{formatCurrency(summary.exposureAtRisk)}</span>
+                                <span className="stat-note">
+                                    {summary.exposureAtRiskPct}% of {formatCurrency(summary.exposure)} · {summary.loansAtRisk} loans
+                                </span>
+                            </div>
+                            <div className="stress-stat">
+                                <span className="stat-label">Impaired revenue</span>
+                                <span className="stat-value">{formatCurrency(summary.impairedRevenue)}</span>
+                                <span className="stat-note">Annual borrower revenue lost</span>
+                            </div>
+                            <div className="stress-stat">
+                                <span className="stat-label">PD uplift</span>
+                                <span className="stat-value">+{summary.pdUplift} pp</span>
+                                <span className="stat-note">{summary.basePd}% → {summary.stressedPd}% (exposure-weighted)</span>
+                            </div>
+                            <div className="stress-stat">
+                                <span className="stat-label">Expected loss uplift</span>
+                                <span className="stat-value">{formatCurrency(summary.expectedLossUplift)}</span>
+                                <span className="stat-note">At {Math.round(report.assumptions.lgd * 100)}% LGD</span>
+                            </div>
+                        </div>
+
+                        {summary.loans === 0 ? (
+                            <div className="empty-state">
+                                <AlertTriangle size={48} />
+                                <h3>No Active Loans</h3>
+                                <p>There are no loans in {report.assumptions.statuses.join(', ')} status to stress.</p>
+                            </div>
+                        ) : (
+                            <>
+                                <div className="stress-card">
+                                    <h2><MapPin size={18} /> By State</h2>
+                                    {renderGroupTable(report.byState, 'state', 'State')}
+                                </div>
+
+                                <div className="stress-card">
+                                    <h2><Layers size={18} /> By Category</h2>
+                                    {renderGroupTable(report.byCategory, 'category', 'Category')}
+                                </div>
+
+                                <div className="stress-card">
+                                    <h2><AlertTriangle size={18} /> Most Affected Loans</h2>
+                                    <div className="stress-table-wrapper">
+                                        <table className="stress-table">
+                                            <thead>
+                                                <tr>
+                                                    <th>Loan</th>
+                                                    <th>Location</th>
+                                                    <th>Category</th>
+                                                    <th>Exposure</th>
+                                                    <th>Revenue lost</th>
+                                                    <th>PD (base → stressed)</th>
+                                                    <th>EL uplift</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {report.loans.slice(0, 20).map(loan => (
+                                                    <tr key={loan.loanId} className={loan.atRisk ? 'at-risk-row' : ''}>
+                                                        <td>{loan.loanId}</td>
+                                                        <td>{[loan.district, loan.state].filter(Boolean).join(', ')}</td>
+                                                        <td className="capitalize">{loan.category}</td>
+                                                        <td>{formatCurrency(loan.exposure)}</td>
+                                                        <td>
+                                                            {formatCurrency(loan.impairedRevenue)} ({Math.round(loan.impairmentShare * 100)}%)
+                                                        </td>
+                                                        <td>{loan.basePd}% → {loan.stressedPd}%</td>
+                                                        <td>{formatCurrency(loan.expectedLossUplift)}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            </>
+                        )}
+
+                        <p className="stress-footnote">
+                            Hazard data: {report.hazardSource.source} ({report.hazardSource.vintage}).
+                            Revenue sensitivities and PD elasticity are illustrative assumptions.
+                        </p>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default StressTestPage;
@@ -0,0 +1,264 @@
+import { useState, useEffect } from 'react';
+import {
+    ClipboardCheck,
+    CheckCircle,
+    XCircle,
+    HelpCircle,
+    AlertTriangle,
+    RefreshCw,
+    Leaf,
+    Users,
+} from 'lucide-react';
+import {
+    getUnderwritingQueue,
+    submitUnderwritingDecision,
+    proposeApproval,
+    signApproval,
+} from '../services/api';
+import './UnderwritingQueuePage.css';
+
+/**
+ * UnderwritingQueuePage Component
+ * Review queue for underwriters: loans awaiting verification and borderline
+ * AI decisions. Each decision needs a comment and is recorded on the audit chain.
+ * High-value loans are approved by a maker and a different checker.
+ */
+function UnderwritingQueuePage() {
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [queue, setQueue] = useState([]);
+    const [comments, setComments] = useState({});
+    const [submitting, setSubmitting] = useState(null);
+    const [lastDecision, setLastDecision] = useState(null);
+
+    useEffect(() => {
+        fetchQueue();
+    }, []);
+
+    const fetchQueue = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await getUnderwritingQueue();
+            setQueue(response.queue || []);
+        } catch (err) {
+            setError(err.message || 'Failed to load review queue');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Shared submit flow: every action needs a comment, then the queue refreshes
+    const submit = async (loanId, action, describe) => {
+        const comment = (comments[loanId] || '').trim();
+        if (!comment) {
+            setError('Please add a comment before recording a decision.');
+            return;
+        }
+
+        setSubmitting(loanId);
+        setError(null);
+        try {
+            const response = await action(comment);
+            setLastDecision({ loanId, message: describe(response) });
+            setComments(prev => ({ ...prev, [loanId]: '' }));
+            await fetchQueue();
+        } catch (err) {
+            setError(err.message || 'Failed to record decision');
+        } finally {
+            setSubmitting(null);
+        }
+    };
+
+    const handleDecision = (loanId, decision) => submit(
+        loanId,
+        (comment) => submitUnderwritingDecision(loanId, decision, comment),
+        (response) => `${formatStatus(decision)} recorded${response.override ? ' (AI decision overridden)' : ''}`
+    );
+
+    const handlePropose = (loanId) => submit(
+        loanId,
+        (comment) => proposeApproval(loanId, comment),
+        () => 'approval proposed, awaiting a checker'
+    );
+
+    const handleSign = (loanId, approvalId, decision) => submit(
+        loanId,
+        (comment) => signApproval(approvalId, decision, comment),
+        () => (decision === 'confirm' ? 'approval confirmed by checker' : 'approval declined by checker')
+    );
+
+    const formatCurrency = (amount) => {
+        return new Intl.NumberFormat('en-IN', {
+            style: 'currency',
+            currency: 'INR',
+            maximumFractionDigits: 0,
+        }).format(amount || 0);
+    };
+
+    const formatStatus = (status) => (status || '').replace(/_/g, ' ');
+
+    return (
+        <div className="underwriting-page">
+            <div className="container">
+                {/* Page Header */}
+                <div className="underwriting-header">
+                    <div>
+                        <h1>Underwriting Queue</h1>
+                        <p>Loans awaiting verification and borderline AI decisions</p>
+                    </div>
+                    <button className="btn btn-secondary" onClick={fetchQueue} disabled={loading}>
+                        <RefreshCw size={18} />
+                        Refresh
+                    </button>
+                </div>
+
+                {error && <div className="alert alert-error">{error}</div>}
+
+                {lastDecision && (
+                    <div className="alert alert-success">
+                        {lastDecision.loanId}: {lastDecision.message}.
+                    </div>
+                )}
+
+                {loading ? (
+                    <div className="loading-state">
+                        <div className="skeleton skeleton-card" style={{ height: 160 }}></div>
+                        <div className="skeleton skeleton-card" style={{ height: 160 }}></div>
+                    </div>
+                ) : queue.length > 0 ? (
+                    <div className="review-list">
+                        {queue.map((loan) => {
+                            const underwriting = loan.underwriting || {};
+                            const aiRejected = underwriting.aiRecommendation === 'rejected';
+                            const approval = loan.pendingApproval;
+
+                            return (
+                                <div key={loan.loanId} className="review-card">
+                                    <div className="review-card-header">
+                                        <div>
+                                            <span className="review-loan-id">{loan.loanId}</span>
+                                            <h3>{loan.businessName || loan.greenObjective}</h3>
+                                            <span className="review-meta">
+                                                {formatCurrency(loan.loanAmount)} · {loan.tenure} months · {loan.projectLocation}
+                                            </span>
+                                        </div>
+                                        <div className="review-badges">
+                                            <span className="status-pill">{formatStatus(loan.status)}</span>
+                                            {underwriting.borderline && (
+                                                <span className="status-pill borderline">
+                                                    <AlertTriangle size={12} />
+                                                    Borderline
+                                                </span>
+                                            )}
+                                            {underwriting.reviewStatus === 'info_requested' && (
+                                                <span className="status-pill info">Info requested</span>
+                                            )}
+                                            {loan.requiresMakerChecker && (
+                                                <span className="status-pill info">
+                                                    <Users size={12} />
+                                                    Maker-checker
+                                                </span>
+                                            )}
+                                        </div>
+                                    </div>
+
+                                    {/* AI Result */}
+                                    <div className={`ai-result ${aiRejected ? 'rejected' : 'approved'}`}>
+                                        <Leaf size={18} />
+                                        <div>
+                                            <strong>
+                                                AI recommendation: {underwriting.aiRecommendation || 'not run'}
+                                                {loan.aiScore !== undefined && loan.aiScore !== null && ` · Green Score ${loan.aiScore}/100`}
+                                            </strong>
+                                            {underwriting.aiReason && <p>{underwriting.aiReason}</p>}
+                                            {underwriting.greenwashingPassed === false && (
+                                                <p>Greenwashing check flagged this application.</p>
+                                            )}
+                                            {underwriting.duplicateLoanIds?.length > 0 && (
+                                                <p>Possible recycled claim: matches {underwriting.duplicateLoanIds.join(', ')}.</p>
+                                            )}
+                                        </div>
+                                    </div>
+
+                                    {/* Maker signature awaiting a checker */}
+                                    {approval && (
+                                        <div className="maker-signature">
+                                            <strong>Proposed by {approval.maker.email}</strong>
+                                            <p>{approval.maker.comment}</p>
+                                        </div>
+                                    )}
+
+                                    {/* Decision */}
+                                    <textarea
+                                        className="form-input review-comment"
+                                        rows={2}
+                                        placeholder="Comment (required) — explain your decision"
+                                        value={comments[loan.loanId] || ''}
+                                        onChange={(e) => setComments(prev => ({ ...prev, [loan.loanId]: e.target.value }))}
+                                    />
+                                    <div className="review-actions">
+                                        {approval ? (
+                                            <>
+                                                <button
+                                                    className="btn btn-primary btn-sm"
+                                                    onClick={() => handleSign(loan.loanId, approval.approvalId, 'confirm')}
+                                                    disabled={submitting === loan.loanId}
+                                                >
+                                                    <CheckCircle size={16} />
+                                                    Confirm as Checker
+                                                </button>
+                                                <button
+                                                    className="btn btn-secondary btn-sm"
+                                                    onClick={() => handleSign(loan.loanId, approval.approvalId, 'decline')}
+                                                    disabled={submitting === loan.loanId}
+                                                >
+                                                    Decline Approval
+                                                </button>
+                                            </>
+                                        ) : (
+                                            <button
+                                                className="btn btn-primary btn-sm"
+                                                onClick={() => (loan.requiresMakerChecker
+                                                    ? handlePropose(loan.loanId)
+                                                    : handleDecision(loan.loanId, 'approve'))}
+                                                disabled={submitting === loan.loanId}
+                                            >
+                                                <CheckCircle size={16} />
+                                                {loan.requiresMakerChecker ? 'Propose Approval' : 'Approve'}
+                                            </button>
+                                        )}
+                                        <button
+                                            className="btn btn-secondary btn-sm reject"
+                                            onClick={() => handleDecision(loan.loanId, 'reject')}
+                                            disabled={submitting === loan.loanId}
+                                        >
+                                            <XCircle size={16} />
+                                            Reject
+                                        </button>
+                                        <button
+                                            className="btn btn-ghost btn-sm"
+                                            onClick={() => handleDecision(loan.loanId, 'request_info')}
+                                            disabled={submitting === loan.loanId}
+                                        >
+                                            <HelpCircle size={16} />
+                                            Request Info
+                                        </button>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                ) : (
+                    <div className="empty-state">
+                        <ClipboardCheck size={48} />
+                        <h3>Queue is Clear</h3>
+                        <p>No loans are waiting for underwriter review.</p>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default UnderwritingQueuePage;
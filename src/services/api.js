@@ -72,6 +72,15 @@ export function isAuthenticated() {
     return !!getToken();
 }
 
+/**
+ * Check if the stored user has a permission (e.g. 'audit:read')
+ * Permissions come from the server's role matrix at login.
+ */
+export function hasPermission(permission) {
+    const permissions = getStoredUser()?.permissions || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
 // ============================================
 // BASE API REQUEST
 // ============================================
@@ -84,7 +93,8 @@ async function apiRequest(endpoint, options = {}) {
 
     const config = {
         headers: {
-            'Content-Type': 'application/json',
+            // FormData bodies get a multipart Content-Type (with boundary) from fetch
+            ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
             ...options.headers,
         },
         ...options,
@@ -114,7 +124,7 @@ async function apiRequest(endpoint, options = {}) {
             );
         }
 
-        return await response.json();
+        return options.responseType === 'blob' ? await response.blob() : await response.json();
     } catch (error) {
         console.error('FULL API ERROR DETAILS:', error);
         if (error instanceof ApiError) {
@@ -239,6 +249,92 @@ export async function getLoanById(loanId) {
     return apiRequest(`/api/loans/${loanId}`);
 }
 
+/**
+ * Get the amortization schedule for a loan
+ * @param {string} loanId - Loan ID
+ */
+export async function getLoanSchedule(loanId) {
+    return apiRequest(`/api/loans/${loanId}/schedule`);
+}
+
+/**
+ * Get the repayment ledger for a loan
+ * @param {string} loanId - Loan ID
+ */
+export async function getLoanPayments(loanId) {
+    return apiRequest(`/api/loans/${loanId}/payments`);
+}
+
+/**
+ * Post a repayment against a loan
+ * @param {string} loanId - Loan ID
+ * @param {Object} payment - { amount, paidAt, method, reference }
+ */
+export async function postLoanPayment(loanId, payment) {
+    return apiRequest(`/api/loans/${loanId}/payments`, {
+        method: 'POST',
+        body: JSON.stringify(payment),
+    });
+}
+
+/**
+ * Get the evidence documents uploaded for a loan
+ * @param {string} loanId - Loan ID
+ */
+export async function getLoanDocuments(loanId) {
+    return apiRequest(`/api/loans/${loanId}/documents`);
+}
+
+/**
+ * Upload an evidence document (invoice, certificate, site photo, bank statement)
+ * @param {string} loanId - Loan ID
+ * @param {File} file - File to upload
+ * @param {Object} details - { type, description, milestoneId }
+ */
+export async function uploadLoanDocument(loanId, file, { type, description, milestoneId } = {}) {
+    const form = new FormData();
+    form.append('type', type);
+    if (description) form.append('description', description);
+    if (milestoneId) form.append('milestoneId', milestoneId);
+    form.append('file', file);
+
+    return apiRequest(`/api/loans/${loanId}/documents`, {
+        method: 'POST',
+        body: form,
+    });
+}
+
+/**
+ * Download an evidence document's content
+ * @param {string} loanId - Loan ID
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Blob>}
+ */
+export async function downloadLoanDocument(loanId, documentId) {
+    return apiRequest(`/api/loans/${loanId}/documents/${documentId}`, { responseType: 'blob' });
+}
+
+/**
+ * Get disbursement milestones and tranche progress for a loan
+ * @param {string} loanId - Loan ID
+ */
+export async function getLoanMilestones(loanId) {
+    return apiRequest(`/api/loans/${loanId}/milestones`);
+}
+
+/**
+ * Submit completion evidence for a disbursement milestone
+ * @param {string} loanId - Loan ID
+ * @param {string} milestoneId - Milestone ID
+ * @param {Object} evidence - { description, documentId } or { description, documentUrl, documentType }
+ */
+export async function submitMilestoneEvidence(loanId, milestoneId, evidence) {
+    return apiRequest(`/api/loans/${loanId}/milestones/${milestoneId}/evidence`, {
+        method: 'POST',
+        body: JSON.stringify(evidence),
+    });
+}
+
 /**
  * Get all loans for a user (legacy compatibility)
  * @param {string} userId - User ID
@@ -271,6 +367,25 @@ export async function getVerificationStatus(loanId) {
     return apiRequest(`/api/verify/status/${loanId}`);
 }
 
+/**
+ * Get every verification run for a loan, newest first
+ * @param {string} loanId - Loan ID
+ */
+export async function getVerificationHistory(loanId) {
+    return apiRequest(`/api/verify/history/${loanId}`);
+}
+
+/**
+ * Simulate the Green Score for a what-if scenario (nothing is stored)
+ * @param {Object} request - { loanId } or { application }, plus optional { changes }
+ */
+export async function simulateGreenScore(request) {
+    return apiRequest('/api/verify/simulate', {
+        method: 'POST',
+        body: JSON.stringify(request),
+    });
+}
+
 /**
  * Run greenwashing check
  * @param {string} loanId - Loan ID
@@ -282,6 +397,68 @@ export async function runGreenwashingCheck(loanId) {
     });
 }
 
+// ============================================
+// UNDERWRITING ENDPOINTS
+// ============================================
+
+/**
+ * Get the underwriter review queue
+ */
+export async function getUnderwritingQueue() {
+    return apiRequest('/api/underwriting/queue');
+}
+
+/**
+ * Record an underwriter decision on a loan
+ * @param {string} loanId - Loan ID
+ * @param {string} decision - approve, reject or request_info
+ * @param {string} comment - Mandatory justification
+ */
+export async function submitUnderwritingDecision(loanId, decision, comment) {
+    return apiRequest(`/api/underwriting/${loanId}/decision`, {
+        method: 'POST',
+        body: JSON.stringify({ decision, comment }),
+    });
+}
+
+// ============================================
+// MAKER-CHECKER APPROVAL ENDPOINTS
+// ============================================
+
+/**
+ * Get maker-checker approval requests
+ * @param {string} status - Optional status filter (pending, confirmed, declined)
+ */
+export async function getApprovals(status = null) {
+    const endpoint = status ? `/api/approvals?status=${status}` : '/api/approvals';
+    return apiRequest(endpoint);
+}
+
+/**
+ * Propose approval of a high-value loan (maker)
+ * @param {string} loanId - Loan ID
+ * @param {string} comment - Maker justification
+ */
+export async function proposeApproval(loanId, comment) {
+    return apiRequest('/api/approvals', {
+        method: 'POST',
+        body: JSON.stringify({ loanId, comment }),
+    });
+}
+
+/**
+ * Confirm or decline a pending approval (checker)
+ * @param {string} approvalId - Approval request ID
+ * @param {string} decision - confirm or decline
+ * @param {string} comment - Checker justification
+ */
+export async function signApproval(approvalId, decision, comment) {
+    return apiRequest(`/api/approvals/${approvalId}/${decision}`, {
+        method: 'POST',
+        body: JSON.stringify({ comment }),
+    });
+}
+
 // ============================================
 // IMPACT API ENDPOINTS
 // ============================================
@@ -374,6 +551,50 @@ export async function getClimateRisk(location) {
     });
 }
 
+/**
+ * Project climate risk across a loan tenure under an emissions scenario
+ * @param {Object} location - { latitude, longitude } and/or { city, state }
+ * @param {string} scenario - baseline | ssp245 | ssp585
+ * @param {number} tenureMonths - Loan tenure in months
+ */
+export async function getClimateScenario(location, scenario = 'baseline', tenureMonths = 60) {
+    return apiRequest('/api/climate/scenario', {
+        method: 'POST',
+        body: JSON.stringify({ ...location, scenario, tenureMonths }),
+    });
+}
+
+/**
+ * List the preset portfolio stress test shocks (admin)
+ */
+export async function getStressShocks() {
+    return apiRequest('/api/stress-test/shocks');
+}
+
+/**
+ * Stress the active book with a hazard shock (admin)
+ * @param {string|Object} shock - Preset key or { label, states, coastal, hazards }
+ */
+export async function runStressTest(shock) {
+    return apiRequest('/api/stress-test/run', {
+        method: 'POST',
+        body: JSON.stringify({ shock }),
+    });
+}
+
+// ============================================
+// GEOLOCATION ENDPOINTS
+// ============================================
+
+/**
+ * Resolve coordinates to state, district and pincode region
+ * @param {number|string} latitude - Decimal degrees
+ * @param {number|string} longitude - Decimal degrees
+ */
+export async function reverseGeocode(latitude, longitude) {
+    return apiRequest(`/api/geo/reverse?lat=${encodeURIComponent(latitude)}&lng=${encodeURIComponent(longitude)}`);
+}
+
 // ============================================
 // AI EXTRACTION ENDPOINTS
 // ============================================
@@ -390,6 +611,22 @@ export async function extractSustainabilityClaim(text) {
     });
 }
 
+/**
+ * Extract sustainability data from a quotation or invoice (PDF or image)
+ * The server reads the PDF text layer, or OCRs scans and photos. Requires login.
+ * @param {File} file - Document to read
+ * @returns {Promise<Object>} Extracted claim (with line items and vendor GSTIN), confidence and how the document was read
+ */
+export async function extractClaimFromDocument(file) {
+    const form = new FormData();
+    form.append('file', file);
+
+    return apiRequest('/api/ai/extract-claim/document', {
+        method: 'POST',
+        body: form,
+    });
+}
+
 /**
  * Get AI service status
  * @returns {Promise<Object>} AI service status and capabilities